@@ -0,0 +1,191 @@
+/**
+ * Absence.gs - Self-Declared Leave / Out-of-Office
+ * "ooo today", "ooo tomorrow" and "half day" chat commands. Covers same-day
+ * sick calls that aren't in Sage HR yet: absences are logged to BigQuery,
+ * removed from the cached working list, and suppress prompts/escalations.
+ */
+
+// Absence types (match holiday types: full day, or afternoon off)
+var ABSENCE_FULL = 'full';
+var ABSENCE_HALF_PM = 'half_pm';
+
+// The full command forms only, so an EOD like "Half day spent on QA..." isn't a command.
+// A bare "ooo" matches too and gets the usage text.
+var OOO_COMMAND_PATTERN = /^\/?(?:ooo$|(ooo\s+today|ooo\s+tomorrow|half\s*day)(?:\s|$))/;
+
+/**
+ * Whether a message is an ooo / half day command
+ */
+function isOooCommandText(lowerText) {
+  return OOO_COMMAND_PATTERN.test(lowerText);
+}
+
+/**
+ * Handle "ooo today [reason]", "ooo tomorrow [reason]" and "half day [reason]"
+ */
+function handleOooCommand(email, displayName, text) {
+  var lowerText = text.toLowerCase().trim();
+  var match = lowerText.match(OOO_COMMAND_PATTERN);
+  if (!match || !match[1]) {
+    return createChatResponse('Usage: `ooo today`, `ooo tomorrow` or `half day` — optionally followed by a reason (e.g. `ooo today sick`).');
+  }
+
+  var keyword = match[1].replace(/\s+/g, ' ');
+  var reason = text.trim().substring(match[0].length).trim() || null;
+  var type = keyword === 'half day' ? ABSENCE_HALF_PM : ABSENCE_FULL;
+  var timezone = getUserTimezone(email);
+  var absenceDate = keyword === 'ooo tomorrow' ? _getNextLocalWorkday(email) : new Date();
+  var dateStr = Utilities.formatDate(absenceDate, timezone, 'yyyy-MM-dd');
+  var dateLabel = Utilities.formatDate(absenceDate, timezone, 'EEEE, MMMM d');
+
+  var existing = getDeclaredAbsence(email, dateStr);
+  if (existing && (existing.absence_type === type || existing.absence_type === ABSENCE_FULL)) {
+    return createChatResponse('👍 You\'re already marked ' + describeAbsenceType(existing.absence_type) + ' for ' + dateLabel + '.');
+  }
+
+  logDeclaredAbsence(email, dateStr, type, reason);
+  CacheService.getScriptCache().remove('DECLARED_ABSENCES_' + dateStr);
+
+  // Full day today: drop from the cached working list so triggers skip them immediately
+  if (type === ABSENCE_FULL && dateStr === getUserLocalDate(email)) {
+    _removeFromCachedWorkingEmployees(email);
+    clearUserState(email);
+  }
+
+  _notifyManagersOfAbsence(email, displayName, type, dateLabel, reason);
+
+  var reply = type === ABSENCE_FULL
+    ? '🏖️ Marked you *out of office* for ' + dateLabel + '. No check-in or EOD prompts that day.'
+    : '🌤️ Marked you for a *half day* (afternoon off) on ' + dateLabel + '. No EOD prompt or EOD escalation today.';
+  reply += '\nYour manager has been notified.';
+  return createChatResponse(reply);
+}
+
+/**
+ * Human-readable absence type
+ */
+function describeAbsenceType(type) {
+  return type === ABSENCE_HALF_PM ? 'half day (PM off)' : 'out of office';
+}
+
+/**
+ * Get all self-declared absences for a date (yyyy-MM-dd), keyed by email.
+ * Cached for 10 minutes; the cache is cleared whenever someone declares.
+ * A failed lookup caches "no absences" for a minute so per-member loops don't re-query.
+ */
+function getDeclaredAbsences(dateStr) {
+  var cache = CacheService.getScriptCache();
+  var cacheKey = 'DECLARED_ABSENCES_' + dateStr;
+  var cached = cache.get(cacheKey);
+  if (cached) {
+    try {
+      return JSON.parse(cached);
+    } catch (e) {
+      // corrupted cache, fall through to query
+    }
+  }
+
+  var map = {};
+  try {
+    getDeclaredAbsenceRows(dateStr).forEach(function (row) {
+      // A full day overrides a half day declared for the same date
+      if (!map[row.user_email] || row.absence_type === ABSENCE_FULL) {
+        map[row.user_email] = { absence_type: row.absence_type, reason: row.reason || null };
+      }
+    });
+  } catch (e) {
+    console.error('getDeclaredAbsences failed for ' + dateStr + ':', e.message);
+    cache.put(cacheKey, '{}', 60);
+    return {};
+  }
+
+  cache.put(cacheKey, JSON.stringify(map), 600);
+  return map;
+}
+
+/**
+ * Get a user's declared absence for a date (defaults to their local today), or null
+ */
+function getDeclaredAbsence(email, dateStr) {
+  var map = getDeclaredAbsences(dateStr || getUserLocalDate(email));
+  return map[email] || null;
+}
+
+/**
+ * Whether a user's self-declared absence covers a prompt kind today.
+ * @param {string} kind - 'CHECKIN' (full day only) or 'EOD' (full or half day)
+ */
+function isDeclaredAbsent(email, kind) {
+  var absence = getDeclaredAbsence(email);
+  if (!absence) return false;
+  if (absence.absence_type === ABSENCE_FULL) return true;
+  return kind === 'EOD' && absence.absence_type === ABSENCE_HALF_PM;
+}
+
+/**
+ * Declared absences for today, shaped like getEmployeesOnLeaveToday() rows
+ */
+function getDeclaredAbsencesForSummary() {
+  var config = getConfig();
+  var dateStr = Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd');
+  var map = getDeclaredAbsences(dateStr);
+  return Object.keys(map).map(function (email) {
+    var member = config.team_members.find(function (m) { return m.email === email; });
+    var absence = map[email];
+    var label = absence.absence_type === ABSENCE_HALF_PM ? 'Half day (self-declared)' : 'Out of office (self-declared)';
+    return {
+      name: member ? member.name : email.split('@')[0],
+      email: email,
+      leave_type: absence.reason ? label + ': ' + absence.reason : label
+    };
+  });
+}
+
+/**
+ * Next workday after today on the user's own calendar
+ */
+function _getNextLocalWorkday(email) {
+  var timezone = getUserTimezone(email);
+  // Anchor at local noon so DST shifts can't skip or repeat a day
+  var noon = getStartOfLocalDay(new Date(), timezone).getTime() + 12 * 3600000;
+  for (var i = 1; i <= 14; i++) {
+    var candidate = new Date(noon + i * 86400000);
+    if (isWorkday(candidate, timezone)) return candidate;
+  }
+  return new Date(noon + 86400000);
+}
+
+/**
+ * Remove a user from the cached working employee list
+ */
+function _removeFromCachedWorkingEmployees(email) {
+  try {
+    var cache = CacheService.getScriptCache();
+    var cached = cache.get('working_employees');
+    if (!cached) return;
+    var working = JSON.parse(cached).filter(function (e) { return e.email !== email; });
+    cache.put('working_employees', JSON.stringify(working), 21600);
+  } catch (e) {
+    console.error('Failed to update working_employees cache for ' + email + ':', e.message);
+  }
+}
+
+/**
+ * Notify the member's manager(s) about a declared absence
+ */
+function _notifyManagersOfAbsence(email, displayName, type, dateLabel, reason) {
+  try {
+    var config = getConfig();
+    var member = config.team_members.find(function (m) { return m.email === email; });
+    var name = (member && member.name) || displayName || email.split('@')[0];
+
+    var msg = (type === ABSENCE_HALF_PM ? '🌤️' : '🏖️') + ' **' + name + '** declared ' +
+      describeAbsenceType(type) + ' for ' + dateLabel;
+    if (reason) msg += '\nReason: ' + reason;
+    msg += '\n_Prompts and escalations for them are paused accordingly._';
+
+    sendEscalationToRecipients(getMemberManagerRecipients(email), msg);
+  } catch (e) {
+    console.error('Failed to notify managers of absence for ' + email + ':', e.message);
+  }
+}
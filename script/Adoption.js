@@ -135,10 +135,11 @@ function computeWeeklyAdoptionScores() {
   var weekStartStr = Utilities.formatDate(weekStart, 'America/Chicago', 'yyyy-MM-dd');
   var todayStr = Utilities.formatDate(today, 'America/Chicago', 'yyyy-MM-dd');
 
+  // Days with a manager-approved missed check-in excuse don't count against check-in response
   var query = 'SELECT ' +
-    'user_email, ' +
-    'COUNTIF(checkin_prompted) as days_prompted_checkin, ' +
-    'COUNTIF(checkin_responded) as days_responded_checkin, ' +
+    'm.user_email, ' +
+    'COUNTIF(checkin_prompted AND x.missed_date IS NULL) as days_prompted_checkin, ' +
+    'COUNTIF(checkin_responded AND x.missed_date IS NULL) as days_responded_checkin, ' +
     'AVG(CASE WHEN checkin_latency_minutes IS NOT NULL THEN checkin_latency_minutes END) as avg_checkin_latency, ' +
     'COUNTIF(eod_prompted) as days_prompted_eod, ' +
     'COUNTIF(eod_responded) as days_responded_eod, ' +
@@ -149,9 +150,11 @@ function computeWeeklyAdoptionScores() {
     'COUNTIF(eod_tomorrow_included) as days_tomorrow_included, ' +
     'COUNTIF(used_task_buttons) as days_used_buttons, ' +
     'SUM(button_actions_count) as total_button_actions ' +
-    'FROM `' + projectId + '.' + DATASET_ID + '.daily_adoption_metrics` ' +
-    'WHERE metric_date BETWEEN "' + weekStartStr + '" AND "' + todayStr + '" ' +
-    'GROUP BY user_email';
+    'FROM `' + projectId + '.' + DATASET_ID + '.daily_adoption_metrics` m ' +
+    'LEFT JOIN (SELECT DISTINCT user_email, missed_date FROM `' + projectId + '.' + DATASET_ID + '.v_missed_checkin_excuses` ' +
+    'WHERE status = "APPROVED") x ON x.user_email = m.user_email AND x.missed_date = m.metric_date ' +
+    'WHERE m.metric_date BETWEEN "' + weekStartStr + '" AND "' + todayStr + '" ' +
+    'GROUP BY m.user_email';
 
   var results = runBigQueryQuery(query);
   var rows = [];
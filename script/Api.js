@@ -0,0 +1,197 @@
+/**
+ * Api.gs - Read-mostly REST API for other systems (web app doGet / doPost)
+ * Callers pass an API key (?key=...) that matches a Script Property named
+ * API_KEY_<CLIENT>; the client name is recorded with every call in system_events.
+ * Apps Script can't read request headers or set status codes, so the key is a
+ * query parameter and the HTTP-style status is returned in the JSON body.
+ *
+ *   GET  checkins?date=yyyy-MM-dd       today's (or that day's) check-ins
+ *   GET  eods?date=yyyy-MM-dd           EOD reports (latest revision)
+ *   GET  users/<email>/stats            streak + last 7 days' check-in/EOD counts
+ *   GET  overdue                        team overdue summary (today's snapshot)
+ *   POST prompts/resend                 { email, type: checkin|eod } resend a prompt
+ */
+
+var API_KEY_PREFIX = 'API_KEY_';
+
+var API_ROUTES = [
+  { method: 'GET', pattern: /^checkins$/, handler: function (req) { return _apiGetCheckIns(req); } },
+  { method: 'GET', pattern: /^eods$/, handler: function (req) { return _apiGetEods(req); } },
+  { method: 'GET', pattern: /^users\/([^/]+)\/stats$/, handler: function (req, match) { return _apiGetUserStats(req, decodeURIComponent(match[1])); } },
+  { method: 'GET', pattern: /^overdue$/, handler: function (req) { return _apiGetOverdue(req); } },
+  { method: 'POST', pattern: /^prompts\/resend$/, handler: function (req) { return _apiResendPrompt(req); } }
+];
+
+var API_PROMPT_TYPES = { checkin: 'CHECKIN', eod: 'EOD' };
+
+/**
+ * Handle an API request from doGet / doPost
+ * @param {object} e - Web app event
+ * @param {string} method - 'GET' or 'POST'
+ */
+function handleApiRequest(e, method) {
+  var params = (e && e.parameter) || {};
+  var path = String((e && e.pathInfo) || params.path || '').replace(/^\/+|\/+$/g, '');
+
+  var client = getApiClient(params.key);
+  if (!client) {
+    // Console only: anyone can hit the web app URL, so denied calls don't get a BigQuery row each
+    console.warn('API request denied: ' + method + ' /' + path);
+    return _apiResponse(401, { error: 'Invalid or missing API key' });
+  }
+
+  var route = null;
+  var match = null;
+  for (var i = 0; i < API_ROUTES.length && !route; i++) {
+    match = path.match(API_ROUTES[i].pattern);
+    if (match && API_ROUTES[i].method === method) route = API_ROUTES[i];
+  }
+  if (!route) {
+    return _apiResponse(404, { error: 'No endpoint ' + method + ' /' + path });
+  }
+
+  var body = {};
+  if (method === 'POST' && e.postData && e.postData.contents) {
+    try {
+      body = JSON.parse(e.postData.contents);
+    } catch (err) {
+      return _apiResponse(400, { error: 'Body must be JSON' });
+    }
+  }
+
+  var result;
+  try {
+    result = route.handler({ client: client, params: params, body: body || {} }, match);
+  } catch (err) {
+    console.error('API ' + method + ' /' + path + ' failed:', err.message);
+    logBotError('handleApiRequest', err, { client: client, method: method, path: path });
+    result = { status: 500, data: { error: 'Internal error' } };
+  }
+
+  logSystemEvent('API', result.status < 400 ? 'OK' : 'ERROR', { client: client, method: method, path: path, status: result.status });
+  return _apiResponse(result.status, result.data);
+}
+
+/**
+ * Client name for an API key (the <CLIENT> in API_KEY_<CLIENT>), or null
+ */
+function getApiClient(key) {
+  if (!key) return null;
+  var props = PropertiesService.getScriptProperties().getProperties();
+  var client = null;
+  Object.keys(props).forEach(function (name) {
+    if (name.indexOf(API_KEY_PREFIX) === 0 && props[name] && props[name] === String(key)) {
+      client = name.substring(API_KEY_PREFIX.length).toLowerCase();
+    }
+  });
+  return client;
+}
+
+function _apiGetCheckIns(req) {
+  var date = _apiDateParam(req);
+  if (date === false) return _apiBadDate();
+  return { status: 200, data: { date: date, checkins: getTodayCheckIns(date) } };
+}
+
+function _apiGetEods(req) {
+  var date = _apiDateParam(req);
+  if (date === false) return _apiBadDate();
+  return { status: 200, data: { date: date, eods: getTodayEodReports(date) } };
+}
+
+function _apiGetUserStats(req, email) {
+  var member = _apiFindMember(email);
+  if (!member) return { status: 404, data: { error: 'Unknown member ' + email } };
+
+  var weekly = getUserWeeklyStats(member.email);
+  return {
+    status: 200,
+    data: {
+      email: member.email,
+      name: member.name,
+      streak: getUserStreak(member.email),
+      weekly: {
+        checkin_days: parseInt(weekly.checkin_days) || 0,
+        late_days: parseInt(weekly.late_days) || 0,
+        eod_days: parseInt(weekly.eod_days) || 0
+      }
+    }
+  };
+}
+
+function _apiGetOverdue() {
+  var rows = getTeamOverdueSummary();
+  return {
+    status: 200,
+    data: {
+      date: Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd'),
+      total_overdue: rows.reduce(function (sum, r) { return sum + (parseInt(r.total_overdue) || 0); }, 0),
+      members: rows
+    }
+  };
+}
+
+/**
+ * Resend today's check-in or EOD prompt to a member (skipped if they already responded).
+ * Answers with the real delivery: 200 sent, 202 queued for retry, 502 failed.
+ */
+function _apiResendPrompt(req) {
+  var promptType = API_PROMPT_TYPES[String(req.body.type || '').toLowerCase()];
+  if (!promptType) return { status: 400, data: { error: 'type must be checkin or eod' } };
+
+  var member = _apiFindMember(req.body.email);
+  if (!member) return { status: 404, data: { error: 'Unknown member ' + req.body.email } };
+  if (!member.active || member.tracking_mode === 'not_tracked') {
+    return { status: 409, data: { error: member.email + ' is not tracked' } };
+  }
+
+  var localDate = getUserLocalDate(member.email, new Date());
+  var todayCheckIns = getTodayCheckIns(localDate);
+  var todayEods = getTodayEodReports(localDate);
+  var done = promptType === 'CHECKIN'
+    ? todayCheckIns.some(function (c) { return c.user_email === member.email; })
+    : todayEods.some(function (r) { return r.user_email === member.email; });
+  if (done) {
+    return { status: 200, data: { email: member.email, type: req.body.type, sent: false, reason: promptType === 'CHECKIN' ? 'already checked in' : 'EOD already submitted' } };
+  }
+
+  var delivery = dispatchPrompt(member, promptType, getConfig(), todayCheckIns, todayEods) || { sent: false, error: 'prompt not sent' };
+  logSystemEvent('API_RESEND_PROMPT', promptType, { user: member.email, client: req.client, sent: !!delivery.sent, queued: !!delivery.queued });
+
+  var data = { email: member.email, type: req.body.type, sent: !!delivery.sent };
+  if (delivery.sent) return { status: 200, data: data };
+  // Queued: the outbox retries it (no DM space yet, rate limit, server error)
+  data.queued = !!delivery.queued;
+  data.error = delivery.error || null;
+  return { status: delivery.queued ? 202 : 502, data: data };
+}
+
+/**
+ * date parameter: yyyy-MM-dd (today on the reporting calendar when omitted), false when malformed
+ */
+function _apiDateParam(req) {
+  if (!req.params.date) return Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd');
+  return /^\d{4}-\d{2}-\d{2}$/.test(req.params.date) ? req.params.date : false;
+}
+
+function _apiBadDate() {
+  return { status: 400, data: { error: 'date must be yyyy-MM-dd' } };
+}
+
+function _apiFindMember(email) {
+  if (!email) return null;
+  var config = getConfig();
+  return (config.team_members || []).find(function (m) {
+    return m.email && m.email.toLowerCase() === String(email).toLowerCase().trim();
+  }) || null;
+}
+
+function _apiResponse(status, data) {
+  var body = { ok: status < 400, status: status };
+  if (status < 400) {
+    body.data = data;
+  } else {
+    body.error = data.error;
+  }
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
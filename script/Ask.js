@@ -0,0 +1,255 @@
+/**
+ * Ask.gs - Natural-language questions over BigQuery history (managers only)
+ * "ask <question>" is translated by the AI provider into one read-only SELECT over
+ * a whitelisted set of checkin_bot tables/views, validated, run with
+ * runBigQueryQuery and answered as a table. Every generated query is logged to
+ * the ask_queries table for audit.
+ */
+
+var ASK_MAX_ROWS = 50;
+var ASK_DISPLAY_ROWS = 20;
+
+/**
+ * Tables and views the generated SQL may read, with the columns the model sees.
+ * Prefer the v_ views: they keep only the latest row per record.
+ */
+var ASK_ALLOWED_TABLES = {
+  v_eod_reports: 'user_email, eod_date DATE, eod_timestamp, tasks_completed, blockers, tomorrow_priority, hours_worked FLOAT, revision — one row per person per day they submitted an EOD',
+  check_ins: 'user_email, checkin_date DATE, checkin_timestamp, is_late BOOL',
+  missed_checkins: "user_email, missed_date DATE, missed_type ('CHECKIN' or 'EOD')",
+  v_missed_checkin_excuses: 'user_email, missed_date DATE, excuse_reason, status, reviewed_by',
+  v_blockers: "blocker_id, user_email, opened_date DATE, blocker_text, blocked_by, blocked_by_email, ack_status, status ('OPEN'/'RESOLVED'), resolved_by, resolved_at",
+  declared_absences: 'user_email, absence_date DATE, absence_type, reason',
+  time_off: 'user_email, leave_date DATE, leave_type, status',
+  clickup_task_actions: "timestamp, user_email, task_id, task_name, list_name, action_type ('COMPLETE', 'TOMORROW', 'IN_PROGRESS'...), old_due_date, new_due_date, outcome",
+  task_delays: 'timestamp, user_email, task_id, task_name, original_due_date, new_due_date, delay_reason, delay_count',
+  overdue_snapshots: 'snapshot_date DATE, user_email, task_id, task_name, days_overdue, is_chronic, delay_count',
+  clickup_daily_snapshot: 'snapshot_date DATE, user_email, tasks_due_today, tasks_overdue, tasks_completed_today, tasks_moved_tomorrow, completion_rate',
+  escalations: 'escalation_type, user_email, task_id, task_name, days_overdue, created_at',
+  badges_awarded: 'user_email, badge_key, badge_name, awarded_at',
+  employees: 'email, name, department, position, manager_email, status — join on employees.email = <table>.user_email for names and teams'
+};
+
+var ASK_FORBIDDEN_KEYWORDS = /\b(INSERT|UPDATE|DELETE|MERGE|CREATE|DROP|ALTER|TRUNCATE|GRANT|REVOKE|EXPORT|LOAD|CALL|EXECUTE|DECLARE|SET|BEGIN|COMMIT|ROLLBACK)\b/i;
+
+// Whitespace, strings, numbers, (dotted, backticked) names, then single characters
+var ASK_SQL_TOKEN_PATTERN = /\s+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|\d+(?:\.\d*)?(?:e[+-]?\d+)?|(?:`[^`]*`|[A-Za-z_]\w*)(?:\.(?:`[^`]*`|[A-Za-z_]\w*))*|[\s\S]/gi;
+var ASK_SQL_PATH_PATTERN = /^(?:`[^`]*`|[A-Za-z_]\w*)(?:\.(?:`[^`]*`|[A-Za-z_]\w*))*$/;
+// Keywords that end a FROM clause
+var ASK_SQL_CLAUSE_KEYWORDS = /^(SELECT|WHERE|GROUP|HAVING|QUALIFY|WINDOW|ORDER|LIMIT|UNION|INTERSECT|EXCEPT)$/;
+
+/**
+ * Handle "ask <question>"
+ */
+function handleAskCommand(requesterEmail, question) {
+  if (!isBotManager(requesterEmail)) {
+    return createChatResponse('This command is only available to managers.');
+  }
+  if (!question) {
+    return createChatResponse('Usage: `ask <question>` — e.g. `ask how many EODs did the Design team miss in September?`');
+  }
+
+  var audit = { requester_email: requesterEmail, question: question };
+  var generated = generateAskSql(question);
+  if (!generated || !generated.sql) {
+    audit.status = 'NO_SQL';
+    audit.error = generated ? generated.note : 'no AI response';
+    logAskQuery(audit);
+    return createChatResponse('🤔 I couldn\'t turn that into a query' + (generated && generated.note ? ': ' + generated.note : '.'));
+  }
+  audit.generated_sql = generated.sql;
+
+  var checked = validateAskSql(generated.sql);
+  if (checked.error) {
+    audit.status = 'REJECTED';
+    audit.error = checked.error;
+    logAskQuery(audit);
+    return createChatResponse('⛔ The generated query was rejected (' + checked.error + '). Try rephrasing the question.');
+  }
+  audit.executed_sql = checked.sql;
+
+  var rows;
+  try {
+    rows = runBigQueryQuery(checked.sql);
+  } catch (e) {
+    audit.status = 'FAILED';
+    audit.error = e.message;
+    logAskQuery(audit);
+    return createChatResponse('⚠️ The query failed: ' + e.message);
+  }
+
+  audit.status = 'OK';
+  audit.row_count = rows.length;
+  logAskQuery(audit);
+
+  var message = '🔎 *' + question + '*\n';
+  if (generated.note) message += '_' + generated.note + '_\n';
+  message += '\n' + formatAskResultTable(rows);
+  return createChatResponse(message);
+}
+
+/**
+ * Ask the AI provider for a query answering the question
+ * @returns {object|null} { sql, note } (sql null when the question can't be answered)
+ */
+function generateAskSql(question) {
+  var timezone = getReportingTimezone();
+  var today = Utilities.formatDate(new Date(), timezone, 'yyyy-MM-dd (EEEE)');
+  var tableLines = Object.keys(ASK_ALLOWED_TABLES).map(function (name) {
+    return '- ' + DATASET_ID + '.' + name + ': ' + ASK_ALLOWED_TABLES[name];
+  }).join('\n');
+
+  var prompt = 'Translate the manager\'s question into ONE BigQuery Standard SQL SELECT statement.\n'
+    + 'Only these tables exist (always write them as ' + DATASET_ID + '.<table>):\n' + tableLines + '\n\n'
+    + 'Rules: read-only SELECT (WITH is fine), no other statements, no semicolons, at most ' + ASK_MAX_ROWS + ' rows, '
+    + 'readable column aliases. Today is ' + today + ' (' + timezone + '). People may be named in the question; '
+    + 'match them on employees.name. Teams are employees.department.\n\n'
+    + 'Respond in JSON only: {"sql": "<query or null>", "note": "<one short sentence on what the query counts, or why it can\'t be answered>"}\n\n'
+    + 'Question: ' + question;
+
+  var result = callLLM(prompt, { feature: 'ask', maxTokens: 600, json: true, temperature: 0 });
+  if (!result || !result.json) return null;
+  return { sql: result.json.sql ? String(result.json.sql).trim() : null, note: result.json.note || null };
+}
+
+/**
+ * Check a generated query is a single read-only SELECT over whitelisted tables,
+ * and qualify table names with the project
+ * @returns {object} { sql } ready to run, or { error }
+ */
+function validateAskSql(sql) {
+  var cleaned = String(sql || '').replace(/```sql\n?/gi, '').replace(/```/g, '').trim().replace(/;\s*$/, '');
+  var withoutStrings = cleaned.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''");
+
+  if (!/^(SELECT|WITH)\b/i.test(cleaned)) return { error: 'not a SELECT' };
+  if (/'''|"""/.test(cleaned)) return { error: 'triple-quoted strings are not allowed' };
+  if (withoutStrings.indexOf(';') !== -1) return { error: 'more than one statement' };
+  if (/--|\/\*|#/.test(withoutStrings)) return { error: 'comments are not allowed' };
+  var forbidden = withoutStrings.match(ASK_FORBIDDEN_KEYWORDS);
+  if (forbidden) return { error: forbidden[1].toUpperCase() + ' is not allowed' };
+  if (/INFORMATION_SCHEMA/i.test(withoutStrings)) return { error: 'INFORMATION_SCHEMA is not allowed' };
+
+  // CTE names are fine to select from
+  var cteNames = {};
+  var cteRegex = /(?:\bWITH|,)\s*(\w+)\s+AS\s*\(/gi;
+  var cte;
+  while ((cte = cteRegex.exec(withoutStrings)) !== null) cteNames[cte[1].toLowerCase()] = true;
+
+  var tokens = cleaned.match(ASK_SQL_TOKEN_PATTERN) || [];
+  var error = _checkAskTableReferences(tokens, cteNames);
+  if (error) return { error: error };
+
+  return { sql: 'SELECT * FROM (\n' + tokens.join('') + '\n) LIMIT ' + ASK_MAX_ROWS };
+}
+
+/**
+ * Walk the tokens and check every table reference: whatever follows FROM, JOIN or
+ * a comma inside a FROM clause, at any nesting depth. Allowed tables are
+ * qualified with the project in place; CTE names and UNNEST pass through.
+ * @returns {string|null} error, or null when every reference is allowed
+ */
+function _checkAskTableReferences(tokens, cteNames) {
+  var projectId = getProjectId();
+  var frames = [{ inFrom: false, extract: false }];
+  var expectTable = false;
+  var previous = null;
+
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i];
+    if (/^\s/.test(token)) continue;
+    var upper = token.toUpperCase();
+    var frame = frames[frames.length - 1];
+
+    if (expectTable) {
+      expectTable = false;
+      if (upper === 'SELECT' || upper === 'WITH') {
+        frame.inFrom = false;
+      } else if (token === '(') {
+        // Subquery or parenthesized join: the references inside are checked too
+        frames.push({ inFrom: true, extract: false });
+        expectTable = true;
+        previous = upper;
+        continue;
+      } else if (ASK_SQL_PATH_PATTERN.test(token)) {
+        if (_nextAskToken(tokens, i) === '(') {
+          if (upper !== 'UNNEST') return token + ' is not allowed';
+        } else {
+          var ref = _checkAskTablePath(token, cteNames, projectId);
+          if (ref.error) return ref.error;
+          tokens[i] = ref.sql;
+        }
+      } else {
+        return 'unexpected ' + token + ' after FROM';
+      }
+    }
+
+    if (token === '(') {
+      frames.push({ inFrom: false, extract: previous === 'EXTRACT' });
+    } else if (token === ')') {
+      if (frames.length > 1) frames.pop();
+    } else if (upper === 'FROM') {
+      // EXTRACT(MONTH FROM col) and a IS [NOT] DISTINCT FROM b aren't table references
+      if (!frame.extract && previous !== 'DISTINCT') {
+        frame.inFrom = true;
+        expectTable = true;
+      }
+    } else if (upper === 'JOIN' || (token === ',' && frame.inFrom)) {
+      expectTable = true;
+    } else if (ASK_SQL_CLAUSE_KEYWORDS.test(upper)) {
+      frame.inFrom = false;
+    }
+    previous = upper;
+  }
+  return null;
+}
+
+/**
+ * Check one table path (dataset.table, project.dataset.table or a bare name)
+ * @returns {object} { sql } project-qualified reference, or { error }
+ */
+function _checkAskTablePath(token, cteNames, projectId) {
+  var parts = token.replace(/`/g, '').split('.');
+  var table = parts[parts.length - 1];
+  if (parts.length === 1 && cteNames[table.toLowerCase()]) return { sql: token };
+  if ((parts.length === 2 && parts[0] !== DATASET_ID) || parts.length > 3
+    || (parts.length === 3 && (parts[0] !== projectId || parts[1] !== DATASET_ID))) {
+    return { error: parts.join('.') + ' is outside ' + DATASET_ID };
+  }
+  if (!ASK_ALLOWED_TABLES.hasOwnProperty(table)) return { error: table + ' is not an allowed table' };
+  return { sql: '`' + projectId + '.' + DATASET_ID + '.' + table + '`' };
+}
+
+function _nextAskToken(tokens, i) {
+  for (var j = i + 1; j < tokens.length; j++) {
+    if (!/^\s/.test(tokens[j])) return tokens[j];
+  }
+  return null;
+}
+
+/**
+ * Format query rows as a monospace table for Chat
+ */
+function formatAskResultTable(rows) {
+  if (!rows || rows.length === 0) return 'No rows.';
+
+  var columns = Object.keys(rows[0]);
+  var shown = rows.slice(0, ASK_DISPLAY_ROWS).map(function (row) {
+    return columns.map(function (c) {
+      var value = row[c] === null || row[c] === undefined ? '' : String(row[c]);
+      return value.length > 30 ? value.substring(0, 29) + '…' : value;
+    });
+  });
+  var widths = columns.map(function (c, i) {
+    return shown.reduce(function (max, cells) { return Math.max(max, cells[i].length); }, c.length);
+  });
+  var pad = function (cells) {
+    return cells.map(function (cell, i) { return cell + new Array(widths[i] - cell.length + 1).join(' '); }).join(' | ').replace(/\s+$/, '');
+  };
+
+  var lines = [pad(columns), widths.map(function (w) { return new Array(w + 1).join('-'); }).join('-+-')];
+  shown.forEach(function (cells) { lines.push(pad(cells)); });
+
+  var table = '```\n' + lines.join('\n') + '\n```';
+  if (rows.length > ASK_DISPLAY_ROWS) table += '\n_Showing ' + ASK_DISPLAY_ROWS + ' of ' + rows.length + ' rows._';
+  return table;
+}
@@ -162,10 +162,11 @@ function runBigQueryQuery(query) {
 /**
  * Check if a record already exists for a user on a given date
  * Used for deduplication of check-ins and EODs
+ * @param {string} timezone - Timezone the date is taken in (defaults to the user's)
  */
-function hasExistingRecord(tableName, emailField, dateField, email, date) {
+function hasExistingRecord(tableName, emailField, dateField, email, date, timezone) {
   var safeEmail = sanitizeForBQ(email);
-  var dateStr = Utilities.formatDate(date, 'America/Chicago', 'yyyy-MM-dd');
+  var dateStr = Utilities.formatDate(date, timezone || getUserTimezone(email), 'yyyy-MM-dd');
   var query = 'SELECT COUNT(*) as cnt FROM `' + getProjectId() + '.' + DATASET_ID + '.' + tableName +
     '` WHERE ' + emailField + ' = "' + safeEmail + '" AND ' + dateField + ' = "' + dateStr + '"';
   var results = runBigQueryQuery(query);
@@ -185,7 +186,7 @@ function logCheckIn(email, timestamp, response, isLate) {
   const row = {
     checkin_id: Utilities.getUuid(),
     user_email: email,
-    checkin_date: Utilities.formatDate(timestamp, 'America/Chicago', 'yyyy-MM-dd'),
+    checkin_date: Utilities.formatDate(timestamp, getUserTimezone(email), 'yyyy-MM-dd'),
     checkin_timestamp: timestamp.toISOString(),
     response_text: response,
     is_late: isLate,
@@ -193,15 +194,25 @@ function logCheckIn(email, timestamp, response, isLate) {
   };
 
   insertIntoBigQuery('check_ins', [row]);
+  emitBotEvent('checkin.created', {
+    checkin_id: row.checkin_id,
+    user_email: email,
+    checkin_date: row.checkin_date,
+    checkin_timestamp: row.checkin_timestamp,
+    is_late: isLate
+  });
   return row.checkin_id;
 }
 
 /**
  * Log an EOD report (with deduplication)
+ * @param {number} revision - 0 for the original; amendments pass the next revision
+ *   number and are written as new rows that v_eod_reports treats as the latest
+ * @param {object} parseInfo - { source: 'ai'|'regex'|'form', fallbackFields: [], errors: [] }
  */
-function logEodReport(email, timestamp, tasksCompleted, blockers, tomorrowPriority, rawResponse, hoursWorked) {
-  // Deduplication: skip if already submitted EOD today
-  if (hasExistingRecord('eod_reports', 'user_email', 'eod_date', email, timestamp)) {
+function logEodReport(email, timestamp, tasksCompleted, blockers, tomorrowPriority, rawResponse, hoursWorked, revision, parseInfo) {
+  // Deduplication: skip if already submitted EOD today (amendments are new revisions by design)
+  if (!revision && hasExistingRecord('eod_reports', 'user_email', 'eod_date', email, timestamp)) {
     console.log('Duplicate EOD report skipped for ' + email);
     return null;
   }
@@ -209,20 +220,49 @@ function logEodReport(email, timestamp, tasksCompleted, blockers, tomorrowPriori
   const row = {
     eod_id: Utilities.getUuid(),
     user_email: email,
-    eod_date: Utilities.formatDate(timestamp, 'America/Chicago', 'yyyy-MM-dd'),
+    eod_date: Utilities.formatDate(timestamp, getUserTimezone(email), 'yyyy-MM-dd'),
     eod_timestamp: timestamp.toISOString(),
     tasks_completed: tasksCompleted,
     blockers: blockers,
     tomorrow_priority: tomorrowPriority,
     raw_response: rawResponse,
     hours_worked: hoursWorked !== null && hoursWorked !== undefined ? hoursWorked : null,
+    revision: revision || 0,
+    parse_source: parseInfo ? parseInfo.source : null,
+    fallback_fields: parseInfo && parseInfo.fallbackFields.length > 0 ? parseInfo.fallbackFields.join(',') : null,
+    parse_errors: parseInfo && parseInfo.errors.length > 0 ? parseInfo.errors.join('; ') : null,
     created_at: new Date().toISOString()
   };
 
   insertIntoBigQuery('eod_reports', [row]);
+  emitBotEvent('eod.submitted', {
+    eod_id: row.eod_id,
+    user_email: email,
+    eod_date: row.eod_date,
+    eod_timestamp: row.eod_timestamp,
+    tasks_completed: tasksCompleted,
+    blockers: blockers,
+    tomorrow_priority: tomorrowPriority,
+    hours_worked: row.hours_worked,
+    revision: row.revision
+  });
   return row.eod_id;
 }
 
+/**
+ * Get the next revision number for a user's EOD on the timestamp's (local) date
+ */
+function getNextEodRevision(email, timestamp) {
+  var projectId = getProjectId();
+  var safeEmail = sanitizeForBQ(email);
+  var dateStr = Utilities.formatDate(timestamp || new Date(), getUserTimezone(email), 'yyyy-MM-dd');
+  var query = 'SELECT MAX(IFNULL(revision, 0)) as rev FROM `' + projectId + '.' + DATASET_ID + '.eod_reports` '
+    + 'WHERE user_email = \'' + safeEmail + '\' AND eod_date = \'' + dateStr + '\'';
+  var result = runBigQueryQuery(query);
+  var current = result.length > 0 ? parseInt(result[0].rev) : 0;
+  return (isNaN(current) ? 0 : current) + 1;
+}
+
 /**
  * Log a missed check-in
  */
@@ -230,12 +270,209 @@ function logMissedCheckIn(email, date, type) {
   const row = {
     missed_id: Utilities.getUuid(),
     user_email: email,
-    missed_date: Utilities.formatDate(date, 'America/Chicago', 'yyyy-MM-dd'),
+    missed_date: Utilities.formatDate(date, getUserTimezone(email), 'yyyy-MM-dd'),
     missed_type: type, // 'CHECKIN' or 'EOD'
     created_at: new Date().toISOString()
   };
 
   insertIntoBigQuery('missed_checkins', [row]);
+  return row;
+}
+
+/**
+ * Count a user's escalations of a type in the last N days (optionally for one task)
+ */
+function countRecentEscalations(email, escalationType, days, taskId) {
+  const projectId = getProjectId();
+  let query = `
+    SELECT COUNT(*) as escalation_count
+    FROM \`${projectId}.${DATASET_ID}.escalations\`
+    WHERE user_email = '${sanitizeForBQ(email)}'
+      AND escalation_type = '${sanitizeForBQ(escalationType)}'
+      AND created_at >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${parseInt(days) || 14} DAY)
+  `;
+  if (taskId) query += ` AND task_id = '${sanitizeForBQ(taskId)}'`;
+
+  const result = runBigQueryQuery(query);
+  return result.length > 0 ? parseInt(result[0].escalation_count) || 0 : 0;
+}
+
+/**
+ * Blocker ids with a PERSISTENT_BLOCKER escalation in the last N days, as a lookup object
+ * (older rows kept the blocker id in task_id)
+ */
+function getRecentlyEscalatedBlockerIds(days) {
+  const projectId = getProjectId();
+  const query = `
+    SELECT DISTINCT IFNULL(blocker_id, task_id) as blocker_id
+    FROM \`${projectId}.${DATASET_ID}.escalations\`
+    WHERE escalation_type = 'PERSISTENT_BLOCKER'
+      AND created_at >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${parseInt(days) || 7} DAY)
+  `;
+
+  const ids = {};
+  runBigQueryQuery(query).forEach(row => { if (row.blocker_id) ids[row.blocker_id] = true; });
+  return ids;
+}
+
+/**
+ * Log an excuse (or a manager decision on it) against a missed_checkins row
+ * Append-only: each status change is a new row, v_missed_checkin_excuses keeps the latest
+ * @param {object} excuse - { excuse_id, missed_id, user_email, missed_date, excuse_reason }
+ * @param {string} status - 'PENDING', 'APPROVED' or 'REJECTED'
+ * @param {string} reviewedBy - Manager email (null while pending)
+ */
+function logMissedCheckInExcuse(excuse, status, reviewedBy) {
+  const now = new Date().toISOString();
+  const row = {
+    excuse_id: excuse.excuse_id,
+    missed_id: excuse.missed_id,
+    user_email: excuse.user_email,
+    missed_date: excuse.missed_date,
+    excuse_reason: excuse.excuse_reason,
+    status: status,
+    reviewed_by: reviewedBy || null,
+    reviewed_at: reviewedBy ? now : null,
+    created_at: now
+  };
+
+  insertIntoBigQuery('missed_checkin_excuses', [row]);
+  return row;
+}
+
+/**
+ * Get the current state of the excuse for a missed check-in, or null
+ */
+function getMissedCheckInExcuse(missedId) {
+  const projectId = getProjectId();
+
+  const query = `
+    SELECT excuse_id, missed_id, user_email, missed_date, excuse_reason, status, reviewed_by
+    FROM \`${projectId}.${DATASET_ID}.v_missed_checkin_excuses\`
+    WHERE missed_id = '${sanitizeForBQ(missedId)}'
+  `;
+
+  const result = runBigQueryQuery(query);
+  return result.length > 0 ? result[0] : null;
+}
+
+/**
+ * Log a self-declared absence ("ooo today", "ooo tomorrow", "half day")
+ * @param {string} dateStr - yyyy-MM-dd on the user's local calendar
+ * @param {string} type - 'full' or 'half_pm'
+ */
+function logDeclaredAbsence(email, dateStr, type, reason) {
+  const row = {
+    absence_id: Utilities.getUuid(),
+    user_email: email,
+    absence_date: dateStr,
+    absence_type: type,
+    reason: reason || null,
+    created_at: new Date().toISOString()
+  };
+
+  insertIntoBigQuery('declared_absences', [row]);
+}
+
+/**
+ * Get self-declared absences for a date
+ */
+function getDeclaredAbsenceRows(dateStr) {
+  const projectId = getProjectId();
+
+  const query = `
+    SELECT user_email, absence_type, reason
+    FROM \`${projectId}.${DATASET_ID}.declared_absences\`
+    WHERE absence_date = '${sanitizeForBQ(dateStr)}'
+  `;
+
+  return runBigQueryQuery(query);
+}
+
+/**
+ * Log a blocker record (or a status change on it)
+ * Append-only: each status change is a new row, v_blockers keeps the latest
+ * @param {object} blocker - { blocker_id, user_email, opened_date, blocker_text, blocked_by,
+ *   blocked_by_email, ack_status, acknowledged_at }
+ * @param {string} status - 'OPEN' or 'RESOLVED'
+ * @param {string} resolvedBy - Email of whoever closed it (null while open)
+ */
+function logBlocker(blocker, status, resolvedBy) {
+  const now = new Date().toISOString();
+  const row = {
+    blocker_id: blocker.blocker_id,
+    user_email: blocker.user_email,
+    opened_date: blocker.opened_date,
+    blocker_text: blocker.blocker_text,
+    blocker_type: blocker.blocker_type || null,
+    blocked_by: blocker.blocked_by || null,
+    blocked_by_email: blocker.blocked_by_email || null,
+    ack_status: blocker.ack_status || null,
+    acknowledged_at: blocker.acknowledged_at || null,
+    status: status,
+    resolved_by: resolvedBy || null,
+    resolved_at: status === 'RESOLVED' ? now : null,
+    created_at: now
+  };
+
+  insertIntoBigQuery('blockers', [row]);
+  return row;
+}
+
+/**
+ * Get open blockers with their age in days (all users, or one)
+ */
+function getOpenBlockerRows(email) {
+  const projectId = getProjectId();
+  const timezone = sanitizeForBQ(getReportingTimezone());
+
+  let query = `
+    SELECT blocker_id, user_email, opened_date, blocker_text, blocker_type, blocked_by, blocked_by_email, ack_status, status,
+      DATE_DIFF(CURRENT_DATE('${timezone}'), opened_date, DAY) as age_days
+    FROM \`${projectId}.${DATASET_ID}.v_blockers\`
+    WHERE status = 'OPEN'
+  `;
+  if (email) query += ` AND user_email = '${sanitizeForBQ(email)}'`;
+  query += ' ORDER BY opened_date, created_at';
+
+  return runBigQueryQuery(query);
+}
+
+/**
+ * Get the current state of a blocker, or null
+ */
+function getBlockerById(blockerId) {
+  const projectId = getProjectId();
+
+  const query = `
+    SELECT blocker_id, user_email, opened_date, blocker_text, blocker_type, blocked_by, blocked_by_email, ack_status,
+      acknowledged_at, status, resolved_by, resolved_at
+    FROM \`${projectId}.${DATASET_ID}.v_blockers\`
+    WHERE blocker_id = '${sanitizeForBQ(blockerId)}'
+  `;
+
+  const result = runBigQueryQuery(query);
+  return result.length > 0 ? result[0] : null;
+}
+
+/**
+ * Get a user's blockers resolved since a date, with how long each stayed open
+ */
+function getResolvedBlockerRows(email, sinceDateStr) {
+  const projectId = getProjectId();
+  const timezone = sanitizeForBQ(getReportingTimezone());
+
+  const query = `
+    SELECT blocker_id, blocker_text, opened_date, resolved_at,
+      DATE_DIFF(DATE(resolved_at, '${timezone}'), opened_date, DAY) as days_open
+    FROM \`${projectId}.${DATASET_ID}.v_blockers\`
+    WHERE user_email = '${sanitizeForBQ(email)}'
+      AND status = 'RESOLVED'
+      AND DATE(resolved_at, '${timezone}') >= '${sanitizeForBQ(sinceDateStr)}'
+    ORDER BY resolved_at DESC
+  `;
+
+  return runBigQueryQuery(query);
 }
 
 /**
@@ -262,6 +499,21 @@ function logTaskAction(userEmail, taskId, taskName, listId, listName, actionType
   };
 
   insertIntoBigQuery('clickup_task_actions', [row]);
+  emitBotEvent('task.action', {
+    action_id: row.action_id,
+    user_email: userEmail,
+    task_id: taskId,
+    task_name: taskName,
+    action_type: actionType,
+    old_status: oldStatus,
+    new_status: newStatus,
+    old_due_date: oldDueDate,
+    new_due_date: newDueDate,
+    status: status,
+    source: row.source,
+    outcome: row.outcome,
+    deliverable_link: row.deliverable_link
+  });
 }
 
 /**
@@ -345,6 +597,189 @@ function logSystemEvent(eventType, status, details = {}) {
   insertIntoBigQuery('system_events', [row]);
 }
 
+/**
+ * Log token usage for one AI call (see callLLM)
+ * @param {object} usage - { provider, model, feature, prompt_tokens, completion_tokens, latency_ms,
+ *   estimated_cost_usd, success, error }
+ */
+function logAiUsage(usage) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const row = {
+    usage_id: Utilities.getUuid(),
+    usage_date: Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd'),
+    provider: usage.provider,
+    model: usage.model,
+    feature: usage.feature,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    latency_ms: usage.latency_ms || null,
+    estimated_cost_usd: usage.estimated_cost_usd || 0,
+    success: usage.success !== false,
+    error: usage.error || null,
+    created_at: new Date().toISOString()
+  };
+
+  insertIntoBigQuery('ai_usage', [row]);
+}
+
+/**
+ * Log an "ask" command's generated query for audit
+ * @param {object} entry - { requester_email, question, generated_sql, executed_sql, status, error, row_count }
+ */
+function logAskQuery(entry) {
+  const row = {
+    query_id: Utilities.getUuid(),
+    requester_email: entry.requester_email,
+    question: entry.question,
+    generated_sql: entry.generated_sql || null,
+    executed_sql: entry.executed_sql || null,
+    status: entry.status,
+    error: entry.error || null,
+    row_count: entry.row_count !== undefined ? entry.row_count : null,
+    created_at: new Date().toISOString()
+  };
+
+  insertIntoBigQuery('ask_queries', [row]);
+}
+
+/**
+ * Log a reporting-integrity review item (or a manager verdict on it)
+ * Append-only: each verdict is a new row, v_gaming_reviews keeps the latest
+ * @param {object} review - { review_id, user_email, eod_date, rule, similarity_score, similar_date, detail }
+ * @param {string} status - 'PENDING', 'LEGIT', 'COACH' or 'WARN'
+ * @param {string} reviewedBy - Manager email (null while pending)
+ */
+function logGamingReview(review, status, reviewedBy) {
+  const now = new Date().toISOString();
+  const row = {
+    review_id: review.review_id,
+    user_email: review.user_email,
+    eod_date: review.eod_date,
+    rule: review.rule,
+    similarity_score: review.similarity_score || 0,
+    similar_date: review.similar_date || null,
+    detail: review.detail || null,
+    status: status,
+    reviewed_by: reviewedBy || null,
+    reviewed_at: reviewedBy ? now : null,
+    created_at: now
+  };
+
+  insertIntoBigQuery('gaming_reviews', [row]);
+  return row;
+}
+
+/**
+ * Get the current state of a review item, or null
+ */
+function getGamingReview(reviewId) {
+  const projectId = getProjectId();
+
+  const query = `
+    SELECT review_id, user_email, eod_date, rule, similarity_score, similar_date, detail, status, reviewed_by
+    FROM \`${projectId}.${DATASET_ID}.v_gaming_reviews\`
+    WHERE review_id = '${sanitizeForBQ(reviewId)}'
+  `;
+
+  const result = runBigQueryQuery(query);
+  return result.length > 0 ? result[0] : null;
+}
+
+/**
+ * Review item ids logged for EODs of the last N days, as a lookup object
+ */
+function getRecentGamingReviewIds(days) {
+  const projectId = getProjectId();
+  const query = `
+    SELECT review_id
+    FROM \`${projectId}.${DATASET_ID}.v_gaming_reviews\`
+    WHERE eod_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${parseInt(days) || 2} DAY)
+  `;
+
+  const ids = {};
+  runBigQueryQuery(query).forEach(row => { if (row.review_id) ids[row.review_id] = true; });
+  return ids;
+}
+
+/**
+ * Flags and verdicts per rule over the last N days
+ */
+function getGamingRuleStats(days) {
+  const projectId = getProjectId();
+  const safeDays = parseInt(days) || 90;
+
+  const query = `
+    SELECT rule, COUNT(*) as flagged,
+      COUNTIF(status != 'PENDING') as reviewed,
+      COUNTIF(status = 'LEGIT') as legit,
+      COUNTIF(status = 'COACH') as coach,
+      COUNTIF(status = 'WARN') as warn
+    FROM \`${projectId}.${DATASET_ID}.v_gaming_reviews\`
+    WHERE eod_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ${safeDays} DAY)
+    GROUP BY rule
+    ORDER BY flagged DESC
+  `;
+
+  return runBigQueryQuery(query);
+}
+
+/**
+ * Dead-letter a chat message that could not be delivered (see Outbox.gs)
+ * @param {object} message - { id, email, spaceName, text, attempts, firstAttemptAt, lastError }
+ */
+function logUndeliveredMessage(message, hasCards) {
+  const row = {
+    message_id: message.id,
+    recipient_email: message.email || null,
+    space_name: message.spaceName || null,
+    text_preview: String(message.text || '').substring(0, 500),
+    has_cards: !!hasCards,
+    attempts: message.attempts,
+    last_error: String(message.lastError || '').substring(0, 500),
+    first_attempt_at: message.firstAttemptAt,
+    failed_at: new Date().toISOString()
+  };
+
+  insertIntoBigQuery('undelivered_messages', [row]);
+  return row;
+}
+
+/**
+ * Undelivered messages since an ISO timestamp, oldest first
+ */
+function getUndeliveredMessages(sinceIso) {
+  const projectId = getProjectId();
+
+  const query = `
+    SELECT message_id, recipient_email, space_name, text_preview, has_cards, attempts, last_error, failed_at
+    FROM \`${projectId}.${DATASET_ID}.undelivered_messages\`
+    WHERE failed_at >= TIMESTAMP('${sanitizeForBQ(sinceIso)}')
+    ORDER BY failed_at
+  `;
+
+  return runBigQueryQuery(query);
+}
+
+/**
+ * AI calls, tokens and estimated cost per feature since a date
+ */
+function getAiUsageSummary(sinceDate) {
+  const projectId = getProjectId();
+
+  const query = `
+    SELECT feature, COUNT(*) as calls, SUM(total_tokens) as total_tokens,
+      IFNULL(SUM(estimated_cost_usd), 0) as cost_usd
+    FROM \`${projectId}.${DATASET_ID}.ai_usage\`
+    WHERE usage_date >= '${sanitizeForBQ(sinceDate)}'
+    GROUP BY feature
+    ORDER BY cost_usd DESC
+  `;
+
+  return runBigQueryQuery(query);
+}
+
 /**
  * Log error to sheet (fallback)
  */
@@ -373,9 +808,10 @@ function logBotError(functionName, error, context) {
 
 /**
  * Get today's check-ins
+ * @param {string} dateStr - yyyy-MM-dd (defaults to today on the reporting calendar)
  */
-function getTodayCheckIns() {
-  const today = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
+function getTodayCheckIns(dateStr) {
+  const today = dateStr || Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd');
   const projectId = getProjectId();
 
   const query = `
@@ -389,13 +825,14 @@ function getTodayCheckIns() {
 
 /**
  * Get today's EOD reports
+ * @param {string} dateStr - yyyy-MM-dd (defaults to today on the reporting calendar)
  */
-function getTodayEodReports() {
-  const today = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
+function getTodayEodReports(dateStr) {
+  const today = dateStr || Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd');
   const projectId = getProjectId();
 
   const query = `
-    SELECT user_email, eod_timestamp, tasks_completed, blockers, tomorrow_priority, hours_worked, raw_response, eod_timestamp as submission_timestamp
+    SELECT user_email, eod_date, eod_timestamp, tasks_completed, blockers, tomorrow_priority, hours_worked, raw_response, revision, eod_timestamp as submission_timestamp
     FROM \`${projectId}.${DATASET_ID}.v_eod_reports\`
     WHERE eod_date = '${today}'
   `;
@@ -415,25 +852,35 @@ function sanitizeForBQ(value) {
 
 /**
  * Get user's check-in streak
+ * Days with a manager-approved missed check-in excuse bridge the gap but don't add to the count
  */
 function getUserStreak(email) {
   const projectId = getProjectId();
   const safeEmail = sanitizeForBQ(email);
 
   const query = `
-    WITH consecutive_days AS (
+    WITH streak_days AS (
+      SELECT DISTINCT checkin_date, FALSE as is_excused
+      FROM \`${projectId}.${DATASET_ID}.check_ins\`
+      WHERE user_email = '${safeEmail}'
+      UNION ALL
+      SELECT DISTINCT missed_date as checkin_date, TRUE as is_excused
+      FROM \`${projectId}.${DATASET_ID}.v_missed_checkin_excuses\`
+      WHERE user_email = '${safeEmail}' AND status = 'APPROVED'
+    ),
+    consecutive_days AS (
       SELECT
         checkin_date,
+        is_excused,
         DATE_DIFF(checkin_date, LAG(checkin_date) OVER (ORDER BY checkin_date), DAY) as day_diff
-      FROM \`${projectId}.${DATASET_ID}.check_ins\`
-      WHERE user_email = '${safeEmail}'
+      FROM streak_days
       ORDER BY checkin_date DESC
     )
     SELECT COUNT(*) as streak
     FROM (
       SELECT checkin_date
       FROM consecutive_days
-      WHERE day_diff IS NULL OR day_diff = 1
+      WHERE (day_diff IS NULL OR day_diff = 1) AND NOT is_excused
     )
   `;
 
@@ -529,6 +976,28 @@ function getWeeklyDelayReasons() {
   return runBigQueryQuery(query);
 }
 
+/**
+ * Get one user's delay reasons over the last N days
+ */
+function getUserDelayReasons(email, days) {
+  const projectId = getProjectId();
+  const safeEmail = sanitizeForBQ(email);
+  const safeDays = parseInt(days) || 30;
+
+  const query = `
+    SELECT
+      delay_reason,
+      COUNT(*) as count
+    FROM \`${projectId}.${DATASET_ID}.task_delays\`
+    WHERE user_email = '${safeEmail}'
+      AND timestamp >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${safeDays} DAY)
+    GROUP BY delay_reason
+    ORDER BY count DESC
+  `;
+
+  return runBigQueryQuery(query);
+}
+
 /**
  * Get repeat delayed tasks
  */
@@ -688,6 +1157,10 @@ function setupBigQueryTables() {
       { name: 'tomorrow_priority', type: 'STRING' },
       { name: 'raw_response', type: 'STRING' },
       { name: 'hours_worked', type: 'FLOAT' },
+      { name: 'revision', type: 'INTEGER' },
+      { name: 'parse_source', type: 'STRING' },
+      { name: 'fallback_fields', type: 'STRING' },
+      { name: 'parse_errors', type: 'STRING' },
       { name: 'created_at', type: 'TIMESTAMP' }
     ],
     missed_checkins: [
@@ -697,6 +1170,90 @@ function setupBigQueryTables() {
       { name: 'missed_type', type: 'STRING' },
       { name: 'created_at', type: 'TIMESTAMP' }
     ],
+    missed_checkin_excuses: [
+      { name: 'excuse_id', type: 'STRING' },
+      { name: 'missed_id', type: 'STRING' },
+      { name: 'user_email', type: 'STRING' },
+      { name: 'missed_date', type: 'DATE' },
+      { name: 'excuse_reason', type: 'STRING' },
+      { name: 'status', type: 'STRING' },
+      { name: 'reviewed_by', type: 'STRING' },
+      { name: 'reviewed_at', type: 'TIMESTAMP' },
+      { name: 'created_at', type: 'TIMESTAMP' }
+    ],
+    blockers: [
+      { name: 'blocker_id', type: 'STRING' },
+      { name: 'user_email', type: 'STRING' },
+      { name: 'opened_date', type: 'DATE' },
+      { name: 'blocker_text', type: 'STRING' },
+      { name: 'blocker_type', type: 'STRING' },
+      { name: 'blocked_by', type: 'STRING' },
+      { name: 'blocked_by_email', type: 'STRING' },
+      { name: 'ack_status', type: 'STRING' },
+      { name: 'acknowledged_at', type: 'TIMESTAMP' },
+      { name: 'status', type: 'STRING' },
+      { name: 'resolved_by', type: 'STRING' },
+      { name: 'resolved_at', type: 'TIMESTAMP' },
+      { name: 'created_at', type: 'TIMESTAMP' }
+    ],
+    ai_usage: [
+      { name: 'usage_id', type: 'STRING' },
+      { name: 'usage_date', type: 'DATE' },
+      { name: 'provider', type: 'STRING' },
+      { name: 'model', type: 'STRING' },
+      { name: 'feature', type: 'STRING' },
+      { name: 'prompt_tokens', type: 'INTEGER' },
+      { name: 'completion_tokens', type: 'INTEGER' },
+      { name: 'total_tokens', type: 'INTEGER' },
+      { name: 'latency_ms', type: 'INTEGER' },
+      { name: 'estimated_cost_usd', type: 'FLOAT' },
+      { name: 'success', type: 'BOOLEAN' },
+      { name: 'error', type: 'STRING' },
+      { name: 'created_at', type: 'TIMESTAMP' }
+    ],
+    ask_queries: [
+      { name: 'query_id', type: 'STRING' },
+      { name: 'requester_email', type: 'STRING' },
+      { name: 'question', type: 'STRING' },
+      { name: 'generated_sql', type: 'STRING' },
+      { name: 'executed_sql', type: 'STRING' },
+      { name: 'status', type: 'STRING' },
+      { name: 'error', type: 'STRING' },
+      { name: 'row_count', type: 'INTEGER' },
+      { name: 'created_at', type: 'TIMESTAMP' }
+    ],
+    gaming_reviews: [
+      { name: 'review_id', type: 'STRING' },
+      { name: 'user_email', type: 'STRING' },
+      { name: 'eod_date', type: 'DATE' },
+      { name: 'rule', type: 'STRING' },
+      { name: 'similarity_score', type: 'FLOAT' },
+      { name: 'similar_date', type: 'DATE' },
+      { name: 'detail', type: 'STRING' },
+      { name: 'status', type: 'STRING' },
+      { name: 'reviewed_by', type: 'STRING' },
+      { name: 'reviewed_at', type: 'TIMESTAMP' },
+      { name: 'created_at', type: 'TIMESTAMP' }
+    ],
+    undelivered_messages: [
+      { name: 'message_id', type: 'STRING' },
+      { name: 'recipient_email', type: 'STRING' },
+      { name: 'space_name', type: 'STRING' },
+      { name: 'text_preview', type: 'STRING' },
+      { name: 'has_cards', type: 'BOOLEAN' },
+      { name: 'attempts', type: 'INTEGER' },
+      { name: 'last_error', type: 'STRING' },
+      { name: 'first_attempt_at', type: 'TIMESTAMP' },
+      { name: 'failed_at', type: 'TIMESTAMP' }
+    ],
+    declared_absences: [
+      { name: 'absence_id', type: 'STRING' },
+      { name: 'user_email', type: 'STRING' },
+      { name: 'absence_date', type: 'DATE' },
+      { name: 'absence_type', type: 'STRING' },
+      { name: 'reason', type: 'STRING' },
+      { name: 'created_at', type: 'TIMESTAMP' }
+    ],
     clickup_task_actions: [
       { name: 'action_id', type: 'STRING' },
       { name: 'timestamp', type: 'TIMESTAMP' },
@@ -755,6 +1312,9 @@ function setupBigQueryTables() {
       { name: 'task_id', type: 'STRING' },
       { name: 'task_name', type: 'STRING' },
       { name: 'days_overdue', type: 'INTEGER' },
+      { name: 'blocker_id', type: 'STRING' },
+      { name: 'blocker_text', type: 'STRING' },
+      { name: 'blocker_age_days', type: 'INTEGER' },
       { name: 'recipients', type: 'STRING' },
       { name: 'created_at', type: 'TIMESTAMP' }
     ],
@@ -873,6 +1433,48 @@ function setupBigQueryTables() {
     console.log('hours_worked column may already exist or ALTER failed:', e.message);
   }
 
+  // Add revision column to eod_reports if missing (amended EODs)
+  try {
+    var alterRevision = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.eod_reports` ADD COLUMN IF NOT EXISTS revision INT64';
+    runBigQueryQuery(alterRevision);
+    console.log('Ensured revision column exists in eod_reports');
+  } catch (e) {
+    console.log('revision column may already exist or ALTER failed:', e.message);
+  }
+
+  // Add parse outcome columns to eod_reports if missing (AI schema failures / regex fallback)
+  try {
+    var alterParse = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.eod_reports` '
+      + 'ADD COLUMN IF NOT EXISTS parse_source STRING, '
+      + 'ADD COLUMN IF NOT EXISTS fallback_fields STRING, '
+      + 'ADD COLUMN IF NOT EXISTS parse_errors STRING';
+    runBigQueryQuery(alterParse);
+    console.log('Ensured parse columns exist in eod_reports');
+  } catch (e) {
+    console.log('parse columns in eod_reports may already exist or ALTER failed:', e.message);
+  }
+
+  // Add blocker_type column to blockers if missing (AI-parsed blocker type)
+  try {
+    var alterBlockers = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.blockers` ADD COLUMN IF NOT EXISTS blocker_type STRING';
+    runBigQueryQuery(alterBlockers);
+    console.log('Ensured blocker_type column exists in blockers');
+  } catch (e) {
+    console.log('blocker_type column in blockers may already exist or ALTER failed:', e.message);
+  }
+
+  // Add blocker columns to escalations if missing (PERSISTENT_BLOCKER rows)
+  try {
+    var alterEscalations = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.escalations` '
+      + 'ADD COLUMN IF NOT EXISTS blocker_id STRING, '
+      + 'ADD COLUMN IF NOT EXISTS blocker_text STRING, '
+      + 'ADD COLUMN IF NOT EXISTS blocker_age_days INT64';
+    runBigQueryQuery(alterEscalations);
+    console.log('Ensured blocker columns exist in escalations');
+  } catch (e) {
+    console.log('blocker columns in escalations may already exist or ALTER failed:', e.message);
+  }
+
   // Add source column to clickup_task_actions if missing
   try {
     var alterActions = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.clickup_task_actions` ADD COLUMN IF NOT EXISTS source STRING';
@@ -907,11 +1509,32 @@ function setupBigQueryTables() {
     console.log('source column in task_delays may already exist or ALTER failed:', e.message);
   }
 
+  // Add handoff columns to blockers if missing (blocked-by person's On it / Done / Not me)
+  try {
+    var alterBlockers = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.blockers` '
+      + 'ADD COLUMN IF NOT EXISTS blocked_by_email STRING, '
+      + 'ADD COLUMN IF NOT EXISTS ack_status STRING, '
+      + 'ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP';
+    runBigQueryQuery(alterBlockers);
+    console.log('Ensured handoff columns exist in blockers');
+  } catch (e) {
+    console.log('handoff columns in blockers may already exist or ALTER failed:', e.message);
+  }
+
+  // Add estimated_cost_usd to ai_usage if missing
+  try {
+    var alterAiUsage = 'ALTER TABLE `' + projectId + '.' + DATASET_ID + '.ai_usage` ADD COLUMN IF NOT EXISTS estimated_cost_usd FLOAT64';
+    runBigQueryQuery(alterAiUsage);
+    console.log('Ensured estimated_cost_usd column exists in ai_usage');
+  } catch (e) {
+    console.log('estimated_cost_usd column in ai_usage may already exist or ALTER failed:', e.message);
+  }
+
   // Create deduplication view for eod_reports (Append-Only Fix)
   try {
     var viewQuery = 'CREATE OR REPLACE VIEW `' + projectId + '.' + DATASET_ID + '.v_eod_reports` AS '
       + 'SELECT * EXCEPT(row_num) FROM ('
-      + '  SELECT *, ROW_NUMBER() OVER (PARTITION BY user_email, eod_date ORDER BY created_at DESC) as row_num '
+      + '  SELECT *, ROW_NUMBER() OVER (PARTITION BY user_email, eod_date ORDER BY IFNULL(revision, 0) DESC, created_at DESC) as row_num '
       + '  FROM `' + projectId + '.' + DATASET_ID + '.eod_reports` '
       + ') WHERE row_num = 1';
     runBigQueryQuery(viewQuery);
@@ -933,6 +1556,45 @@ function setupBigQueryTables() {
   } catch (e) {
     console.error('Failed to create v_prompt_log view:', e.message);
   }
+
+  // Create deduplication view for missed_checkin_excuses (latest decision per missed check-in)
+  try {
+    var excuseViewQuery = 'CREATE OR REPLACE VIEW `' + projectId + '.' + DATASET_ID + '.v_missed_checkin_excuses` AS '
+      + 'SELECT * EXCEPT(row_num) FROM ('
+      + '  SELECT *, ROW_NUMBER() OVER (PARTITION BY missed_id ORDER BY created_at DESC) as row_num '
+      + '  FROM `' + projectId + '.' + DATASET_ID + '.missed_checkin_excuses` '
+      + ') WHERE row_num = 1';
+    runBigQueryQuery(excuseViewQuery);
+    console.log('Created/Updated deduplication view v_missed_checkin_excuses');
+  } catch (e) {
+    console.error('Failed to create v_missed_checkin_excuses view:', e.message);
+  }
+
+  // Create deduplication view for blockers (latest status per blocker)
+  try {
+    var blockerViewQuery = 'CREATE OR REPLACE VIEW `' + projectId + '.' + DATASET_ID + '.v_blockers` AS '
+      + 'SELECT * EXCEPT(row_num) FROM ('
+      + '  SELECT *, ROW_NUMBER() OVER (PARTITION BY blocker_id ORDER BY created_at DESC) as row_num '
+      + '  FROM `' + projectId + '.' + DATASET_ID + '.blockers` '
+      + ') WHERE row_num = 1';
+    runBigQueryQuery(blockerViewQuery);
+    console.log('Created/Updated deduplication view v_blockers');
+  } catch (e) {
+    console.error('Failed to create v_blockers view:', e.message);
+  }
+
+  // Create deduplication view for gaming_reviews (latest verdict per review item)
+  try {
+    var gamingViewQuery = 'CREATE OR REPLACE VIEW `' + projectId + '.' + DATASET_ID + '.v_gaming_reviews` AS '
+      + 'SELECT * EXCEPT(row_num) FROM ('
+      + '  SELECT *, ROW_NUMBER() OVER (PARTITION BY review_id ORDER BY created_at DESC) as row_num '
+      + '  FROM `' + projectId + '.' + DATASET_ID + '.gaming_reviews` '
+      + ') WHERE row_num = 1';
+    runBigQueryQuery(gamingViewQuery);
+    console.log('Created/Updated deduplication view v_gaming_reviews');
+  } catch (e) {
+    console.error('Failed to create v_gaming_reviews view:', e.message);
+  }
 }
 
 /**
@@ -1031,12 +1693,12 @@ function getActiveStreaks() {
 function updateTodayEodHours(email, hours) {
   var projectId = getProjectId();
   var safeEmail = sanitizeForBQ(email);
-  var today = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
+  var today = getUserLocalDate(email);
 
-  // Append-only pattern: INSERT new row with hours instead of UPDATE
+  // Append-only pattern: INSERT new row with hours instead of UPDATE (keeps the current revision)
   var query = 'INSERT INTO `' + projectId + '.' + DATASET_ID + '.eod_reports` '
-    + '(eod_id, user_email, eod_date, eod_timestamp, tasks_completed, blockers, tomorrow_priority, raw_response, hours_worked, created_at) '
-    + 'SELECT \'' + Utilities.getUuid() + '\', \'' + safeEmail + '\', eod_date, eod_timestamp, tasks_completed, blockers, tomorrow_priority, raw_response, ' + hours + ', CURRENT_TIMESTAMP() '
+    + '(eod_id, user_email, eod_date, eod_timestamp, tasks_completed, blockers, tomorrow_priority, raw_response, hours_worked, revision, created_at) '
+    + 'SELECT \'' + Utilities.getUuid() + '\', \'' + safeEmail + '\', eod_date, eod_timestamp, tasks_completed, blockers, tomorrow_priority, raw_response, ' + hours + ', revision, CURRENT_TIMESTAMP() '
     + 'FROM `' + projectId + '.' + DATASET_ID + '.v_eod_reports` '
     + 'WHERE user_email = \'' + safeEmail + '\' AND eod_date = \'' + today + '\'';
 
@@ -1393,12 +2055,14 @@ function createV2Tables() {
 }
 
 /**
- * Get recent EOD raw responses for a user (for anti-gaming comparison)
+ * Get recent EOD raw responses for a user (for anti-gaming comparison and coaching)
+ * @param {number} limit - Max rows, newest first (default 5)
  */
-function getRecentEodRawResponses(email, days) {
+function getRecentEodRawResponses(email, days, limit) {
   var projectId = getProjectId();
   var safeEmail = sanitizeForBQ(email);
   var safeDays = parseInt(days) || 7;
+  var safeLimit = parseInt(limit) || 5;
 
   var query = 'SELECT eod_date, raw_response '
     + 'FROM `' + projectId + '.' + DATASET_ID + '.v_eod_reports` '
@@ -1407,7 +2071,24 @@ function getRecentEodRawResponses(email, days) {
     + 'AND eod_date < CURRENT_DATE() '
     + 'AND raw_response IS NOT NULL '
     + 'ORDER BY eod_date DESC '
-    + 'LIMIT 5';
+    + 'LIMIT ' + safeLimit;
+
+  return runBigQueryQuery(query);
+}
+
+/**
+ * Everyone's EOD raw responses over the last N days, oldest first (for similarity baselines)
+ */
+function getTeamRecentEodRawResponses(days) {
+  var projectId = getProjectId();
+  var safeDays = parseInt(days) || 30;
+
+  var query = 'SELECT user_email, eod_date, raw_response '
+    + 'FROM `' + projectId + '.' + DATASET_ID + '.v_eod_reports` '
+    + 'WHERE eod_date >= DATE_SUB(CURRENT_DATE(), INTERVAL ' + safeDays + ' DAY) '
+    + 'AND eod_date < CURRENT_DATE() '
+    + 'AND raw_response IS NOT NULL '
+    + 'ORDER BY user_email, eod_date';
 
   return runBigQueryQuery(query);
 }
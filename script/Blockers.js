@@ -0,0 +1,422 @@
+/**
+ * Blockers.gs - Blocker Records
+ * Each blocker reported in an EOD becomes its own record (reporter, optional
+ * "blocked by" owner, open/resolved). Open blockers are shown with a
+ * "Resolved?" button on the next morning's check-in card, and their real age
+ * drives the persistent-blocker alert, the prep report and the AI evaluation.
+ * Colleagues a blocker is waiting on get a handoff card (On it / Done / Not me);
+ * their answer goes back to the reporter and is logged on the blocker.
+ */
+
+var BLOCKER_OPEN = 'OPEN';
+var BLOCKER_RESOLVED = 'RESOLVED';
+
+// Handoff replies from the person a blocker is waiting on
+var BLOCKER_ACK_LABELS = {
+  'ON_IT': '👍 On it',
+  'DONE': '✅ Done',
+  'NOT_ME': '🙅 Not me'
+};
+
+/**
+ * Record the blockers from an EOD as open blocker records.
+ * A blocker the user already has open (same text) is not recorded twice, so
+ * re-reporting it — or amending the EOD — keeps the original age.
+ * @param {string} eodDate - yyyy-MM-dd on the user's local calendar
+ * @param {string[]} waitingOn - Names/emails the AI parser says the blockers wait on (optional)
+ * @param {object[]} typedBlockers - AI-parsed [{ text, type }] (optional); a matching entry's type is stored
+ * @returns {object[]} Newly opened blocker rows
+ */
+function recordEodBlockers(email, eodDate, blockersText, waitingOn, typedBlockers) {
+  var entries = parseBlockerEntries(blockersText);
+  if (entries.length === 0) return [];
+
+  var typeByText = {};
+  (typedBlockers || []).forEach(function (b) {
+    if (b && b.text && b.type) typeByText[_normalizeBlockerText(b.text)] = b.type;
+  });
+
+  var openTexts = getOpenBlockers(email).map(function (b) { return _normalizeBlockerText(b.blocker_text); });
+  var hintedMembers = [];
+  (waitingOn || []).forEach(function (name) {
+    findTeamMembersInText(String(name), email).forEach(function (m) {
+      if (hintedMembers.indexOf(m) === -1) hintedMembers.push(m);
+    });
+  });
+
+  var opened = [];
+  entries.forEach(function (entry) {
+    if (openTexts.indexOf(_normalizeBlockerText(entry.text)) !== -1) return;
+
+    // Owner named in this blocker, else the AI's pick when there's only one blocker
+    var owner = findTeamMembersInText(entry.text, email)[0] ||
+      (entries.length === 1 && hintedMembers.length === 1 ? hintedMembers[0] : null);
+
+    opened.push(logBlocker({
+      blocker_id: Utilities.getUuid(),
+      user_email: email,
+      opened_date: eodDate,
+      blocker_text: entry.text,
+      blocker_type: typeByText[_normalizeBlockerText(entry.text)] || null,
+      blocked_by: entry.blocked_by || (owner ? owner.name || owner.email : null),
+      blocked_by_email: owner ? owner.email : null
+    }, BLOCKER_OPEN, null));
+    openTexts.push(_normalizeBlockerText(entry.text));
+  });
+
+  if (opened.length > 0) CacheService.getScriptCache().remove('open_blockers');
+
+  opened.forEach(function (blocker) {
+    if (blocker.blocked_by_email) _sendBlockerHandoff(blocker);
+  });
+  return opened;
+}
+
+/**
+ * Active team members named in text: by email, full name, or a first name
+ * that is capitalized and unique on the team.
+ * @param {string} excludeEmail - Usually the reporter
+ */
+function findTeamMembersInText(text, excludeEmail) {
+  if (!text) return [];
+  var active = getActiveTeamMembers();
+  var members = active.filter(function (m) { return m.email && m.email !== excludeEmail; });
+  var lowerText = text.toLowerCase();
+
+  var firstNameCounts = {};
+  active.forEach(function (m) {
+    var first = (m.name || '').split(/\s+/)[0].toLowerCase();
+    if (first) firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
+  });
+
+  return members.filter(function (m) {
+    if (lowerText.indexOf(m.email.toLowerCase()) !== -1) return true;
+    var name = (m.name || '').trim();
+    if (!name) return false;
+    if (name.indexOf(' ') !== -1 && new RegExp('\\b' + _escapeRegExp(name) + '\\b', 'i').test(text)) return true;
+    var first = name.split(/\s+/)[0];
+    if (first.length < 3 || firstNameCounts[first.toLowerCase()] !== 1) return false;
+    var capitalized = first.charAt(0).toUpperCase() + first.slice(1).toLowerCase();
+    return new RegExp('\\b' + _escapeRegExp(capitalized) + '\\b').test(text);
+  });
+}
+
+/**
+ * Split an EOD blockers field into individual blockers.
+ * One per line, or separated by "|" / ";". "No blockers", "none", "n/a" etc. yield nothing.
+ * @returns {object[]} [{ text, blocked_by }]
+ */
+function parseBlockerEntries(blockersText) {
+  if (!blockersText) return [];
+  return String(blockersText).split(/\n|\||;/)
+    .map(function (part) { return part.replace(/^\s*[-•*]\s*/, '').trim(); })
+    .filter(function (part) { return !_isNoBlocker(part); })
+    .map(function (part) { return { text: part, blocked_by: _extractBlockedBy(part) }; });
+}
+
+/**
+ * Open blockers for all users, keyed by email. Cached for 5 minutes;
+ * the cache is cleared whenever a blocker is opened or resolved.
+ */
+function getOpenBlockersByUser() {
+  var cache = CacheService.getScriptCache();
+  var cached = cache.get('open_blockers');
+  if (cached) {
+    try {
+      return JSON.parse(cached);
+    } catch (e) {
+      // corrupted cache, fall through to query
+    }
+  }
+
+  var map = {};
+  try {
+    getOpenBlockerRows().forEach(function (row) {
+      if (!map[row.user_email]) map[row.user_email] = [];
+      map[row.user_email].push({
+        blocker_id: row.blocker_id,
+        blocker_text: row.blocker_text,
+        blocker_type: row.blocker_type || null,
+        blocked_by: row.blocked_by || null,
+        blocked_by_email: row.blocked_by_email || null,
+        ack_status: row.ack_status || null,
+        opened_date: row.opened_date,
+        age_days: parseInt(row.age_days) || 0
+      });
+    });
+  } catch (e) {
+    console.error('getOpenBlockersByUser failed:', e.message);
+    return map;
+  }
+
+  cache.put('open_blockers', JSON.stringify(map), 300);
+  return map;
+}
+
+/**
+ * A user's open blockers, oldest first
+ */
+function getOpenBlockers(email) {
+  return getOpenBlockersByUser()[email] || [];
+}
+
+/**
+ * Human-readable blocker age
+ */
+function formatBlockerAge(ageDays) {
+  if (!ageDays) return 'opened today';
+  return 'open ' + ageDays + ' day' + (ageDays === 1 ? '' : 's');
+}
+
+/**
+ * Handoff state of a blocker for alerts and reports, e.g. "no reply from Sarah"
+ * (empty when the blocker isn't waiting on a teammate)
+ */
+function describeBlockerHandoff(blocker) {
+  if (!blocker.blocked_by_email) return '';
+  var who = blocker.blocked_by || blocker.blocked_by_email;
+  if (blocker.ack_status === 'ON_IT') return who + ' is on it';
+  if (blocker.ack_status === 'NOT_ME') return who + ' says it\'s not theirs';
+  return 'no reply from ' + who;
+}
+
+/**
+ * Whether a blocker waits on a teammate who hasn't answered the handoff card
+ */
+function isBlockerUnacknowledged(blocker) {
+  return !!blocker.blocked_by_email && !blocker.ack_status;
+}
+
+/**
+ * Build the "Open blockers" card section with a Resolved? button per blocker
+ * @param {object} context - Card to re-render after a click:
+ *   { view: 'checkin', userName, summary } or { view: 'list' }
+ */
+function buildOpenBlockersSection(blockers, context) {
+  var summary = context.summary || {};
+  var widgets = blockers.map(function (b) {
+    var label = formatBlockerAge(b.age_days) + (b.blocked_by ? ' · waiting on ' + b.blocked_by : '');
+    return {
+      decoratedText: {
+        text: b.blocker_text,
+        bottomLabel: label,
+        wrapText: true,
+        button: {
+          text: '✅ Resolved?',
+          onClick: {
+            action: {
+              function: 'handleBlockerResolved',
+              parameters: [
+                { key: 'blockerId', value: b.blocker_id },
+                { key: 'view', value: context.view },
+                { key: 'userName', value: context.userName || '' },
+                { key: 'overdue', value: String(summary.overdue || 0) },
+                { key: 'inProgress', value: String(summary.inProgress || 0) },
+                { key: 'dueToday', value: String(summary.dueToday || 0) }
+              ]
+            }
+          }
+        }
+      }
+    };
+  });
+
+  return {
+    header: '🚧 Open blockers (' + blockers.length + ')',
+    widgets: widgets
+  };
+}
+
+/**
+ * Build a standalone open-blockers card (shown after check-in)
+ */
+function buildOpenBlockersCard(blockers) {
+  return [{
+    cardId: 'open_blockers_card',
+    card: {
+      header: {
+        title: 'Still blocked?',
+        subtitle: 'Mark blockers resolved once they\'re cleared'
+      },
+      sections: [buildOpenBlockersSection(blockers, { view: 'list' })]
+    }
+  }];
+}
+
+/**
+ * Handle "Resolved?" button click on an open blocker
+ * The reporter or their manager can resolve; the card is re-rendered without it.
+ */
+function handleBlockerResolved(event) {
+  var params = _extractCardParams(event);
+  var email = event.chat.user.email;
+
+  var blocker = params.blockerId ? getBlockerById(params.blockerId) : null;
+  if (!blocker) {
+    return createChatResponse('❌ Blocker not found.');
+  }
+  if (blocker.user_email !== email && blocker.blocked_by_email !== email &&
+      getMemberManagerRecipients(blocker.user_email).indexOf(email) === -1) {
+    return createChatResponse('❌ Only the person who reported this blocker (or their manager) can resolve it.');
+  }
+  if (blocker.status === BLOCKER_RESOLVED) {
+    return createChatResponse('👍 Already resolved' + (blocker.resolved_by && blocker.resolved_by !== email ? ' by ' + blocker.resolved_by : '') + '.');
+  }
+
+  logBlocker(blocker, BLOCKER_RESOLVED, email);
+  CacheService.getScriptCache().remove('open_blockers');
+
+  var remaining = getOpenBlockers(blocker.user_email).filter(function (b) { return b.blocker_id !== blocker.blocker_id; });
+  var text = '✅ Marked resolved: "' + blocker.blocker_text + '"';
+
+  if (params.view === 'checkin') {
+    var summary = {
+      overdue: parseInt(params.overdue) || 0,
+      inProgress: parseInt(params.inProgress) || 0,
+      dueToday: parseInt(params.dueToday) || 0
+    };
+    return createChatResponse({
+      actionResponse: { type: 'UPDATE_MESSAGE' },
+      text: text,
+      cardsV2: buildCheckInCard(params.userName, summary, remaining)
+    });
+  }
+
+  var response = { actionResponse: { type: 'UPDATE_MESSAGE' }, text: text };
+  if (remaining.length > 0) response.cardsV2 = buildOpenBlockersCard(remaining);
+  return createChatResponse(response);
+}
+
+/**
+ * Build the handoff card sent to the person a blocker is waiting on
+ */
+function buildBlockerHandoffCard(blocker, reporterName) {
+  var buttons = Object.keys(BLOCKER_ACK_LABELS).map(function (code) {
+    return {
+      text: BLOCKER_ACK_LABELS[code],
+      onClick: {
+        action: {
+          function: 'handleBlockerHandoffReply',
+          parameters: [
+            { key: 'blockerId', value: blocker.blocker_id },
+            { key: 'response', value: code }
+          ]
+        }
+      }
+    };
+  });
+
+  return [{
+    cardId: 'blocker_handoff_' + blocker.blocker_id,
+    card: {
+      header: {
+        title: reporterName + ' is waiting on you',
+        subtitle: 'Blocker reported ' + blocker.opened_date
+      },
+      sections: [{
+        widgets: [
+          { decoratedText: { text: blocker.blocker_text, wrapText: true, startIcon: { knownIcon: 'DESCRIPTION' } } },
+          { buttonList: { buttons: buttons } }
+        ]
+      }]
+    }
+  }];
+}
+
+/**
+ * Handle On it / Done / Not me from the person a blocker is waiting on.
+ * The reply is logged on the blocker (Done also resolves it) and sent to the reporter.
+ */
+function handleBlockerHandoffReply(event) {
+  var params = _extractCardParams(event);
+  var email = event.chat.user.email;
+  var response = params.response;
+
+  if (!BLOCKER_ACK_LABELS[response]) {
+    return createChatResponse({ actionResponse: { type: 'UPDATE_MESSAGE' }, text: '❌ Invalid response.' });
+  }
+
+  var blocker = params.blockerId ? getBlockerById(params.blockerId) : null;
+  if (!blocker) {
+    return createChatResponse('❌ Blocker not found.');
+  }
+  if (blocker.blocked_by_email !== email) {
+    return createChatResponse('❌ This blocker isn\'t assigned to you.');
+  }
+  if (blocker.status === BLOCKER_RESOLVED) {
+    return createChatResponse({
+      actionResponse: { type: 'UPDATE_MESSAGE' },
+      text: '👍 Already resolved: "' + blocker.blocker_text + '"'
+    });
+  }
+
+  var acked = Object.assign({}, blocker, { ack_status: response, acknowledged_at: new Date().toISOString() });
+  if (response === 'DONE') {
+    logBlocker(acked, BLOCKER_RESOLVED, email);
+  } else {
+    logBlocker(acked, BLOCKER_OPEN, null);
+  }
+  CacheService.getScriptCache().remove('open_blockers');
+
+  var config = getConfig();
+  var member = config.team_members.find(function (m) { return m.email === email; });
+  var name = (member && member.name) || event.chat.user.displayName || email.split('@')[0];
+
+  var notice;
+  if (response === 'ON_IT') {
+    notice = '👍 *' + name + '* is on it: "' + blocker.blocker_text + '"';
+  } else if (response === 'DONE') {
+    notice = '✅ *' + name + '* marked this done: "' + blocker.blocker_text + '"\nThe blocker is now resolved.';
+  } else {
+    notice = '🙅 *' + name + '* says this isn\'t theirs: "' + blocker.blocker_text + '"\nPlease check who owns it or raise it with your manager.';
+  }
+  try {
+    sendDirectMessage(blocker.user_email, notice);
+  } catch (e) {
+    console.error('Failed to send handoff reply to ' + blocker.user_email + ':', e.message);
+  }
+
+  return createChatResponse({
+    actionResponse: { type: 'UPDATE_MESSAGE' },
+    text: BLOCKER_ACK_LABELS[response] + ' — "' + blocker.blocker_text + '"\nThe reporter has been told.'
+  });
+}
+
+/**
+ * DM the handoff card to the person a new blocker is waiting on
+ */
+function _sendBlockerHandoff(blocker) {
+  try {
+    var config = getConfig();
+    var reporter = config.team_members.find(function (m) { return m.email === blocker.user_email; });
+    var reporterName = (reporter && reporter.name) || blocker.user_email.split('@')[0];
+    sendDirectMessage(blocker.blocked_by_email, '🚧 ' + reporterName + ' reported a blocker that\'s waiting on you.',
+      buildBlockerHandoffCard(blocker, reporterName));
+  } catch (e) {
+    console.error('Failed to send blocker handoff to ' + blocker.blocked_by_email + ':', e.message);
+  }
+}
+
+/**
+ * Pull the owner out of "what > owner > deadline", "blocked by X" or "waiting on X"
+ */
+function _extractBlockedBy(text) {
+  var parts = text.split('>').map(function (p) { return p.trim(); });
+  if (parts.length >= 2 && parts[1]) return parts[1];
+
+  var match = text.match(/(?:blocked\s+(?:by|on)|waiting\s+(?:on|for))\s+(.+?)(?:\s+(?:for|to|about|re)\b|[,.;()]|$)/i);
+  return match ? match[1].trim() : null;
+}
+
+function _isNoBlocker(text) {
+  var t = text.toLowerCase().replace(/[.!]+$/, '').trim();
+  return t.length < 3 || /^(none|no|n\/?a|nil|nothing|no blockers?|no issues?|none today|no blockers? today)$/.test(t);
+}
+
+function _escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function _normalizeBlockerText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
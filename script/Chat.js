@@ -7,6 +7,29 @@
 // Cache for DM space IDs
 const DM_SPACE_CACHE = {};
 
+/**
+ * Chat transports, picked by space/message name: "slack:..." goes to Slack
+ * (Slack.gs), anything else ("spaces/...") to the Google Chat REST API.
+ * Each transport: send(spaceName, text, cards) → { sent, spaceName, messageName, hasCards }
+ * and update(messageName, text, cards) → updated message or null.
+ */
+const CHAT_TRANSPORTS = {
+  google_chat: {
+    send: (spaceName, text, cards) => _sendGoogleChatMessage(spaceName, text, cards),
+    update: (messageName, text, cards) => _updateGoogleChatMessage(messageName, text, cards)
+  },
+  slack: {
+    send: (spaceName, text, cards) => sendSlackMessage(spaceName, text, cards),
+    update: (messageName, text, cards) => updateSlackMessage(messageName, text, cards)
+  }
+};
+
+/**
+ * Transport for a space or message name
+ */
+function getChatTransport(name) {
+  return CHAT_TRANSPORTS[isSlackSpace(name) ? 'slack' : 'google_chat'];
+}
 
 
 /**
@@ -19,11 +42,15 @@ function isServiceAccountConfigured() {
 
 /**
  * Get DM space for a user (from storage only - does not create)
- * Spaces are stored when users message the bot
+ * Spaces are stored when users message the bot. A stored space on the other
+ * transport than the member's chat_platform (e.g. a Chat DM after they moved
+ * to Slack) is ignored.
  */
 function getDMSpace(userEmail) {
+  var slack = isSlackMember(userEmail);
+
   // Check in-memory cache first
-  if (DM_SPACE_CACHE[userEmail]) {
+  if (DM_SPACE_CACHE[userEmail] && isSlackSpace(DM_SPACE_CACHE[userEmail]) === slack) {
     return DM_SPACE_CACHE[userEmail];
   }
 
@@ -33,7 +60,7 @@ function getDMSpace(userEmail) {
     var key = 'DM_SPACE_' + userEmail.replace(/[^a-zA-Z0-9]/g, '_');
     var spaceName = props.getProperty(key);
 
-    if (spaceName) {
+    if (spaceName && isSlackSpace(spaceName) === slack) {
       DM_SPACE_CACHE[userEmail] = spaceName;
       return spaceName;
     }
@@ -41,6 +68,15 @@ function getDMSpace(userEmail) {
     console.error(`Error getting DM space for ${userEmail}:`, error);
   }
 
+  // Slack members: look them up by email and open a DM with the bot
+  if (slack) {
+    var slackSpace = openSlackDM(userEmail);
+    if (slackSpace) {
+      storeDMSpace(userEmail, slackSpace);
+      return slackSpace;
+    }
+  }
+
   // No space found - user needs to message the bot first
   console.log(`No DM space stored for ${userEmail} - user must message bot first`);
   return null;
@@ -66,6 +102,70 @@ function storeDMSpace(userEmail, spaceName) {
   }
 }
 
+/**
+ * Find the user's DM with the bot, or create it, with the service account
+ * (spaces.findDirectMessage, then spaces.setup) so they don't have to message the bot first.
+ * Creating a DM with app auth needs the chat.app.spaces.create scope approved by an admin.
+ * @returns {object} { spaceName, created } or { spaceName: null, error }
+ */
+function setupDMSpace(userEmail) {
+  if (!isServiceAccountConfigured()) {
+    return { spaceName: null, error: 'Service account not configured' };
+  }
+
+  var userName = 'users/' + userEmail;
+  try {
+    var token = getServiceAccountToken('https://www.googleapis.com/auth/chat.bot');
+    if (!token) return { spaceName: null, error: 'Service account token failed' };
+
+    var findResponse = UrlFetchApp.fetch('https://chat.googleapis.com/v1/spaces:findDirectMessage?name=' + encodeURIComponent(userName), {
+      method: 'get',
+      headers: { 'Authorization': 'Bearer ' + token },
+      muteHttpExceptions: true
+    });
+    if (findResponse.getResponseCode() === 200) {
+      var found = JSON.parse(findResponse.getContentText());
+      storeDMSpace(userEmail, found.name);
+      return { spaceName: found.name, created: false };
+    }
+    if (findResponse.getResponseCode() !== 404) {
+      return { spaceName: null, error: 'findDirectMessage HTTP ' + findResponse.getResponseCode() + ': ' + _chatApiErrorMessage(findResponse) };
+    }
+
+    var createToken = getServiceAccountToken('https://www.googleapis.com/auth/chat.app.spaces.create');
+    if (!createToken) return { spaceName: null, error: 'No DM yet and the chat.app.spaces.create token failed' };
+
+    var setupResponse = UrlFetchApp.fetch('https://chat.googleapis.com/v1/spaces:setup', {
+      method: 'post',
+      contentType: 'application/json',
+      headers: { 'Authorization': 'Bearer ' + createToken },
+      payload: JSON.stringify({
+        space: { spaceType: 'DIRECT_MESSAGE' },
+        memberships: [{ member: { name: userName, type: 'HUMAN' } }]
+      }),
+      muteHttpExceptions: true
+    });
+    if (setupResponse.getResponseCode() === 200) {
+      var created = JSON.parse(setupResponse.getContentText());
+      storeDMSpace(userEmail, created.name);
+      return { spaceName: created.name, created: true };
+    }
+    return { spaceName: null, error: 'spaces.setup HTTP ' + setupResponse.getResponseCode() + ': ' + _chatApiErrorMessage(setupResponse) };
+  } catch (error) {
+    console.error('Error setting up DM space for ' + userEmail + ':', error.message);
+    return { spaceName: null, error: error.message };
+  }
+}
+
+function _chatApiErrorMessage(response) {
+  try {
+    var body = JSON.parse(response.getContentText());
+    return body.error && body.error.message ? body.error.message : response.getContentText();
+  } catch (e) {
+    return response.getContentText();
+  }
+}
+
 /**
  * One-time migration: move DM spaces from JSON blob to individual properties
  * Run once after deploying V2
@@ -97,21 +197,14 @@ function migrateDMSpaces() {
 
 /**
  * Send a direct message to a user
+ * Temporary failures (including no DM space yet) are queued for retry (Outbox.gs)
  */
 function sendDirectMessage(userEmail, text, cards = null) {
-  const spaceName = getDMSpace(userEmail);
-
-  if (!spaceName) {
-    console.error(`Cannot send DM to ${userEmail}: no space available`);
-    return null;
-  }
-
-  return sendMessageToSpace(spaceName, text, cards);
+  return deliverOrQueueMessage({ email: userEmail }, text, cards);
 }
 
 /**
- * Send message to a space (DM or channel)
- * Uses Service Account for cards support, falls back to user OAuth for text-only
+ * Send message to a space (DM or channel) through its transport
  */
 function sendMessageToSpace(spaceName, text, cards = null) {
   if (!spaceName) {
@@ -119,6 +212,14 @@ function sendMessageToSpace(spaceName, text, cards = null) {
     return { sent: false, error: 'Missing spaceName' };
   }
 
+  return getChatTransport(spaceName).send(spaceName, text, cards);
+}
+
+/**
+ * Send message to a Google Chat space
+ * Uses Service Account for cards support, falls back to user OAuth for text-only
+ */
+function _sendGoogleChatMessage(spaceName, text, cards) {
   try {
     let accessToken;
     let useServiceAccount = false;
@@ -183,6 +284,7 @@ function sendMessageToSpace(spaceName, text, cards = null) {
       console.error(`Error details: ${errorText}`);
       return {
         sent: false,
+        code: responseCode,
         error: `HTTP ${responseCode}: ${errorText}`
       };
     }
@@ -200,14 +302,15 @@ function sendMessageToSpace(spaceName, text, cards = null) {
 
 /**
  * Send message to a channel/space
+ * Temporary failures are queued for retry (Outbox.gs)
  */
 function sendChannelMessage(spaceId, text, cards = null) {
-  return sendMessageToSpace(spaceId, text, cards);
+  if (!spaceId) return sendMessageToSpace(spaceId, text, cards);
+  return deliverOrQueueMessage({ spaceName: spaceId }, text, cards);
 }
 
 /**
- * Update an existing message (BUG #14 fix)
- * Uses Chat REST API with service account auth
+ * Update an existing message (BUG #14 fix) through its transport
  */
 function updateMessage(messageName, text, cards) {
   if (!messageName) {
@@ -215,6 +318,14 @@ function updateMessage(messageName, text, cards) {
     return null;
   }
 
+  return getChatTransport(messageName).update(messageName, text, cards);
+}
+
+/**
+ * Update a Google Chat message
+ * Uses Chat REST API with service account auth
+ */
+function _updateGoogleChatMessage(messageName, text, cards) {
   try {
     var accessToken = null;
     var updateMask = 'text';
@@ -280,25 +391,38 @@ function sendEscalationToRecipients(emails, message) {
 
 /**
  * Get the team updates channel space ID from config
+ * @param {object} team - Team from the teams tab (optional; falls back to the global channel)
  */
-function getTeamUpdatesChannel() {
+function getTeamUpdatesChannel(team) {
+  if (team && team.summary_space_id) return team.summary_space_id;
   const config = getConfig();
   return config.settings.team_updates_space_id;
 }
 
 /**
  * Post morning summary to team channel
+ * @param {object} team - Scope to one team's channel (optional)
+ * @returns {object} Send result (messageName is kept so the summary can be updated live), or null
  */
-function postMorningSummary(checkedIn, late, missing, overdueStats, onLeaveToday, todayBirthdays, notTracked) {
-  const spaceId = getTeamUpdatesChannel();
+function postMorningSummary(checkedIn, late, missing, overdueStats, onLeaveToday, todayBirthdays, notTracked, team) {
+  const spaceId = getTeamUpdatesChannel(team);
   if (!spaceId) {
     console.error('Team updates channel not configured');
-    return;
+    return null;
   }
 
+  const message = buildMorningSummaryMessage(checkedIn, late, missing, overdueStats, onLeaveToday, todayBirthdays, notTracked, team);
+  return sendChannelMessage(spaceId, message);
+}
+
+/**
+ * Build the morning summary text (also used to refresh the posted summary)
+ */
+function buildMorningSummaryMessage(checkedIn, late, missing, overdueStats, onLeaveToday, todayBirthdays, notTracked, team) {
   const today = Utilities.formatDate(new Date(), 'America/Chicago', 'EEEE, MMMM d');
+  const teamLabel = team ? `${team.name} ` : '';
 
-  let message = `📊 **Morning Summary - ${today}**\n\n`;
+  let message = `📊 **${teamLabel}Morning Summary - ${today}**\n\n`;
   // Total = checkedIn + missing (late are already included in checkedIn)
   message += `✅ Checked in: ${checkedIn.length}/${checkedIn.length + missing.length}\n`;
 
@@ -351,19 +475,30 @@ function postMorningSummary(checkedIn, late, missing, overdueStats, onLeaveToday
     message += `\n📌 Not tracked: ${notTracked.map(function(m) { return m.name || m.email.split('@')[0]; }).join(', ')}\n`;
   }
 
-  sendChannelMessage(spaceId, message);
+  return message;
 }
 
 /**
  * Post EOD summary to team channel
+ * @param {object} team - Scope to one team's channel (optional)
+ * @returns {object} Send result (messageName is kept so the summary can be updated live), or null
  */
-function postEodSummary(submitted, missing, taskStats, perPersonCompletions, todayBlockers, notTracked) {
-  const spaceId = getTeamUpdatesChannel();
-  if (!spaceId) return;
+function postEodSummary(submitted, missing, taskStats, perPersonCompletions, todayBlockers, notTracked, team) {
+  const spaceId = getTeamUpdatesChannel(team);
+  if (!spaceId) return null;
+
+  const message = buildEodSummaryMessage(submitted, missing, taskStats, perPersonCompletions, todayBlockers, notTracked, team);
+  return sendChannelMessage(spaceId, message);
+}
 
+/**
+ * Build the EOD summary text (also used to refresh the posted summary)
+ */
+function buildEodSummaryMessage(submitted, missing, taskStats, perPersonCompletions, todayBlockers, notTracked, team) {
   const today = Utilities.formatDate(new Date(), 'America/Chicago', 'EEEE, MMMM d');
+  const teamLabel = team ? `${team.name} ` : '';
 
-  let message = `📊 **EOD Summary - ${today}**\n\n`;
+  let message = `📊 **${teamLabel}EOD Summary - ${today}**\n\n`;
   message += `📝 Submitted: ${submitted.length}/${submitted.length + missing.length}\n`;
 
   if (missing.length > 0) {
@@ -424,7 +559,7 @@ function postEodSummary(submitted, missing, taskStats, perPersonCompletions, tod
     message += `\n📌 Not tracked: ${notTracked.map(function(m) { return m.name || m.email.split('@')[0]; }).join(', ')}\n`;
   }
 
-  sendChannelMessage(spaceId, message);
+  return message;
 }
 
 /**
@@ -321,26 +321,21 @@ function getTasksDueForUser(googleEmail, dueBy = 'today') {
   if (!teamId) return [];
 
   const now = new Date();
-  const timezone = 'America/Chicago';
+  // "Today" and overdue counts follow the member's own timezone
+  const timezone = getUserTimezone(googleEmail);
+  const startOfToday = getStartOfLocalDay(now, timezone);
 
   let dueDateLt, dueDateGt;
 
   if (dueBy === 'today') {
-    // End of today in Chicago timezone
-    var tomorrowChicago = Utilities.formatDate(new Date(now.getTime() + 86400000), 'America/Chicago', 'yyyy-MM-dd');
-    var chicagoHour = parseInt(Utilities.formatDate(now, 'America/Chicago', 'HH'));
-    var utcHour = now.getUTCHours();
-    var offsetHours = utcHour - chicagoHour;
-    if (offsetHours < 0) offsetHours += 24;
-    var endOfDayMs = new Date(tomorrowChicago + 'T00:00:00Z').getTime() + (offsetHours * 3600000);
-    dueDateLt = endOfDayMs;
+    // End of today in the member's timezone
+    var tomorrowLocal = getStartOfLocalDay(new Date(startOfToday.getTime() + 36 * 3600000), timezone);
+    dueDateLt = tomorrowLocal.getTime();
     dueDateGt = 0; // Include all overdue
   } else if (dueBy === 'week') {
-    const friday = new Date(now);
-    const daysUntilFriday = (5 - now.getDay() + 7) % 7;
-    friday.setDate(now.getDate() + daysUntilFriday);
-    friday.setHours(23, 59, 59, 999);
-    dueDateLt = friday.getTime();
+    const daysUntilFriday = (5 - getLocalDayOfWeek(now, timezone) + 7) % 7;
+    const saturday = getStartOfLocalDay(new Date(startOfToday.getTime() + (daysUntilFriday + 1) * 86400000 + 12 * 3600000), timezone);
+    dueDateLt = saturday.getTime() - 1;
     dueDateGt = 0;
   }
 
@@ -358,10 +353,6 @@ function getTasksDueForUser(googleEmail, dueBy = 'today') {
     return [];
   }
 
-  // Start of today for overdue calculation
-  const startOfToday = new Date(now);
-  startOfToday.setHours(0, 0, 0, 0);
-
   // Filter: exclude tasks that were closed BEFORE today
   var filteredTasks = result.tasks.filter(function (task) {
     var statusType = task.status && task.status.type ? task.status.type : 'open';
@@ -679,22 +670,12 @@ function getTodayTimeEntries(googleEmail) {
   if (!clickUpUserId) { console.warn('getTodayTimeEntries: no ClickUp user for ' + googleEmail); return null; }
 
   var now = new Date();
-  // Use Chicago midnight, not server (UTC) midnight
-  var todayStr = Utilities.formatDate(now, 'America/Chicago', 'yyyy-MM-dd');
-  var startOfDayChicago = new Date(todayStr + 'T00:00:00');
-  // Adjust for Chicago offset (CST=-6, CDT=-5)
-  var chicagoOffset = parseInt(Utilities.formatDate(now, 'America/Chicago', 'Z').replace('+', ''));
-  var utcOffset = now.getTimezoneOffset(); // GAS server offset in minutes
-  var startMs = now.getTime() - (now.getTime() % 86400000); // UTC midnight
-  // Simpler: just calculate Chicago midnight in UTC
-  var chicagoHour = parseInt(Utilities.formatDate(now, 'America/Chicago', 'HH'));
-  var chicagoMin = parseInt(Utilities.formatDate(now, 'America/Chicago', 'mm'));
-  var elapsedTodayMs = (chicagoHour * 3600 + chicagoMin * 60) * 1000;
-  var chicagoMidnightUtcMs = now.getTime() - elapsedTodayMs;
+  // Use the member's local midnight, not server (UTC) midnight
+  var localMidnightUtcMs = getStartOfLocalDay(now, getUserTimezone(googleEmail)).getTime();
 
   // First try: with assignee filter
   var endpoint = '/team/' + teamId + '/time_entries?' +
-    'start_date=' + chicagoMidnightUtcMs + '&' +
+    'start_date=' + localMidnightUtcMs + '&' +
     'end_date=' + now.getTime() + '&' +
     'assignee=' + clickUpUserId;
 
@@ -706,7 +687,7 @@ function getTodayTimeEntries(googleEmail) {
     // If no results with assignee filter, try without (API might not filter correctly)
     if ((!result || !result.data || result.data.length === 0)) {
       var endpointAll = '/team/' + teamId + '/time_entries?' +
-        'start_date=' + chicagoMidnightUtcMs + '&' +
+        'start_date=' + localMidnightUtcMs + '&' +
         'end_date=' + now.getTime();
       var resultAll = clickUpRequest(endpointAll);
       if (resultAll && resultAll.data && resultAll.data.length > 0) {
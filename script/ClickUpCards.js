@@ -876,9 +876,10 @@ function categorizeTasks(tasks, email, skipBqQuery) {
  * Build morning check-in button card
  * @param {string} userName - Display name
  * @param {object} taskSummary - { dueToday, inProgress, overdue } counts
+ * @param {object[]} openBlockers - User's open blockers, each with a Resolved? button (optional)
  * @returns {object} cardsV2 array with single check-in card
  */
-function buildCheckInCard(userName, taskSummary) {
+function buildCheckInCard(userName, taskSummary, openBlockers) {
   var greeting = 'Good morning' + (userName ? ', ' + userName : '') + '!';
   var summaryParts = [];
   if (taskSummary.overdue > 0) summaryParts.push('⚠️ ' + taskSummary.overdue + ' overdue');
@@ -886,6 +887,46 @@ function buildCheckInCard(userName, taskSummary) {
   if (taskSummary.dueToday > 0) summaryParts.push('📋 ' + taskSummary.dueToday + ' due today');
   var summaryText = summaryParts.length > 0 ? summaryParts.join(' | ') : 'No tasks due today';
 
+  var sections = [
+    {
+      widgets: [
+        {
+          decoratedText: {
+            text: summaryText,
+            startIcon: { knownIcon: 'DESCRIPTION' }
+          }
+        },
+        {
+          decoratedText: {
+            text: 'Click below to confirm you\'re online and see your tasks.',
+            wrapText: true
+          }
+        },
+        {
+          buttonList: {
+            buttons: [
+              {
+                text: '✅ Check In',
+                onClick: {
+                  action: {
+                    function: 'handleCheckIn',
+                    parameters: [
+                      { key: 'action', value: 'checkin' }
+                    ]
+                  }
+                }
+              }
+            ]
+          }
+        }
+      ]
+    }
+  ];
+
+  if (openBlockers && openBlockers.length > 0) {
+    sections.push(buildOpenBlockersSection(openBlockers, { view: 'checkin', userName: userName, summary: taskSummary }));
+  }
+
   return [{
     cardId: 'checkin_card',
     card: {
@@ -893,41 +934,7 @@ function buildCheckInCard(userName, taskSummary) {
         title: greeting,
         subtitle: 'Daily Check-In'
       },
-      sections: [
-        {
-          widgets: [
-            {
-              decoratedText: {
-                text: summaryText,
-                startIcon: { knownIcon: 'DESCRIPTION' }
-              }
-            },
-            {
-              decoratedText: {
-                text: 'Click below to confirm you\'re online and see your tasks.',
-                wrapText: true
-              }
-            },
-            {
-              buttonList: {
-                buttons: [
-                  {
-                    text: '✅ Check In',
-                    onClick: {
-                      action: {
-                        function: 'handleCheckIn',
-                        parameters: [
-                          { key: 'action', value: 'checkin' }
-                        ]
-                      }
-                    }
-                  }
-                ]
-              }
-            }
-          ]
-        }
-      ]
+      sections: sections
     }
   }];
 }
@@ -983,7 +990,7 @@ function buildStartEodCard(lateNote, complianceWarning, taskSummary) {
   // Instruction + button
   widgets.push({
     decoratedText: {
-      text: 'Click below to load your task cards and start your EOD report.',
+      text: 'Click below to load your task cards and start your EOD report, or fill in the EOD form directly.',
       wrapText: true
     }
   });
@@ -1001,6 +1008,17 @@ function buildStartEodCard(lateNote, complianceWarning, taskSummary) {
               ]
             }
           }
+        },
+        {
+          text: '🗒️ Fill EOD form',
+          onClick: {
+            action: {
+              function: 'handleOpenEodForm',
+              parameters: [
+                { key: 'action', value: 'open_eod_form' }
+              ]
+            }
+          }
         }
       ]
     }
@@ -1018,4 +1036,108 @@ function buildStartEodCard(lateNote, complianceWarning, taskSummary) {
   }];
 }
 
+/**
+ * Build the EOD form card: one input per field, required fields enforced by the card.
+ * Submitted straight to _processSingleEod — no free-text validation loop or AI parsing.
+ * @param {object} values - Previously entered values to pre-fill (optional)
+ * @param {string} errorText - Validation message shown above the inputs (optional)
+ */
+function buildEodFormCard(values, errorText) {
+  values = values || {};
+  var widgets = [];
+
+  if (errorText) {
+    widgets.push({
+      decoratedText: {
+        text: errorText,
+        wrapText: true,
+        startIcon: { knownIcon: 'DESCRIPTION' }
+      }
+    });
+  }
+
+  widgets.push({
+    textInput: {
+      label: 'What did you accomplish today?',
+      type: 'MULTIPLE_LINE',
+      name: 'eodAccomplishments',
+      hintText: 'Tasks completed, meetings attended (or "0 meetings")',
+      value: values.accomplishments || ''
+    }
+  });
+  widgets.push({
+    textInput: {
+      label: 'Blockers (optional)',
+      type: 'MULTIPLE_LINE',
+      name: 'eodBlockers',
+      hintText: 'What > owner > deadline (leave blank if none)',
+      value: values.blockers || ''
+    }
+  });
+  widgets.push({
+    textInput: {
+      label: 'Tomorrow\'s priority',
+      type: 'MULTIPLE_LINE',
+      name: 'eodTomorrow',
+      hintText: '1-3 tasks you\'ll focus on tomorrow',
+      value: values.tomorrow || ''
+    }
+  });
+  widgets.push({
+    textInput: {
+      label: 'Hours worked',
+      type: 'SINGLE_LINE',
+      name: 'eodHours',
+      hintText: 'e.g. 7.5',
+      value: values.hours || '',
+      validation: { inputType: 'FLOAT' }
+    }
+  });
+  widgets.push({
+    buttonList: {
+      buttons: [
+        {
+          text: '📨 Submit EOD',
+          onClick: {
+            action: {
+              function: 'handleEodFormSubmit',
+              parameters: [
+                { key: 'action', value: 'submit_eod_form' }
+              ],
+              requiredWidgets: ['eodAccomplishments', 'eodTomorrow', 'eodHours']
+            }
+          }
+        }
+      ]
+    }
+  });
+
+  return [{
+    cardId: 'eod_form_card',
+    card: {
+      header: {
+        title: 'EOD Report',
+        subtitle: 'Fill in each field and submit'
+      },
+      sections: [{ widgets: widgets }]
+    }
+  }];
+}
+
+/**
+ * Validate EOD form values (the card enforces required fields; this catches old clients)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEodForm(values) {
+  var missing = [];
+  if (!values.accomplishments) missing.push('accomplishments');
+  if (!values.tomorrow) missing.push('tomorrow\'s priority');
+  if (!values.hours) missing.push('hours worked');
+  if (missing.length > 0) return '⚠️ Please fill in: ' + missing.join(', ');
+
+  var hours = parseFloat(values.hours);
+  if (isNaN(hours) || hours <= 0 || hours > 24) return '⚠️ Hours worked must be a number between 0 and 24 (e.g. 7.5)';
+  return null;
+}
+
 // formatDelayReason is defined in Chat.js (BUG #13 fix - removed duplicate)
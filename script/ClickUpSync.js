@@ -172,9 +172,10 @@ function dailyClickUpSnapshot() {
 
 /**
  * Get team task stats for channel summary
+ * @param {Array} members - Limit to these members (optional, defaults to everyone working)
  */
-function getTeamTaskStats() {
-  const teamMembers = getCachedWorkingEmployees();
+function getTeamTaskStats(members) {
+  const teamMembers = members || getCachedWorkingEmployees();
   
   let completed = 0;
   let delayed = 0;
@@ -213,9 +214,13 @@ function getTeamTaskStats() {
 
 /**
  * Get team overdue stats for morning summary
+ * @param {Array} memberEmails - Limit to these members (optional, defaults to everyone)
  */
-function getTeamOverdueStats() {
-  const summary = getTeamOverdueSummary();
+function getTeamOverdueStats(memberEmails) {
+  let summary = getTeamOverdueSummary();
+  if (summary && memberEmails) {
+    summary = summary.filter(row => memberEmails.indexOf(row.user_email) > -1);
+  }
   
   if (!summary || summary.length === 0) {
     return null;
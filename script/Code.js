@@ -14,7 +14,7 @@ const TEST_MODE = false; // Set to true only for development testing
 
 /**
  * Set conversation state for a user
- * States: AWAITING_EOD, IDLE
+ * States: AWAITING_EOD, AMENDING_EOD, IDLE
  * Uses PropertiesService for persistence across execution contexts
  */
 function setUserState(email, state) {
@@ -112,7 +112,7 @@ function handleClickUpCompliance(email, taskCount) {
  */
 function getLateMinutesForUser(email, checkInsCache) {
   try {
-    var checkIns = checkInsCache || getTodayCheckIns();
+    var checkIns = checkInsCache || getTodayCheckIns(getUserLocalDate(email));
     var userCheckIn = checkIns.find(function (c) { return c.user_email === email; });
     if (!userCheckIn) return 0;
     var isLate = userCheckIn.is_late === true || userCheckIn.is_late === 'true';
@@ -123,7 +123,7 @@ function getLateMinutesForUser(email, checkInsCache) {
     var startMins = timeToMinutes(schedule.blocks[0].start);
     var graceMinutes = getLateThresholdMin();
 
-    var checkinTimeStr = Utilities.formatDate(new Date(userCheckIn.checkin_timestamp), 'America/Chicago', 'HH:mm');
+    var checkinTimeStr = Utilities.formatDate(new Date(userCheckIn.checkin_timestamp), schedule.timezone, 'HH:mm');
     var checkinMins = timeToMinutes(checkinTimeStr);
 
     var diffMins = checkinMins - (startMins + graceMinutes);
@@ -146,7 +146,7 @@ function getEodRetryCount(email) {
   var parts = raw.split('|');
   var count = parseInt(parts[0]) || 0;
   var dateStr = parts[1] || '';
-  var today = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
+  var today = getUserLocalDate(email);
   if (dateStr !== today) {
     props.deleteProperty(key);
     return 0;
@@ -157,7 +157,7 @@ function getEodRetryCount(email) {
 function incrementEodRetryCount(email) {
   var props = PropertiesService.getScriptProperties();
   var key = 'EOD_RETRY_' + email.replace(/[^a-zA-Z0-9]/g, '_');
-  var today = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
+  var today = getUserLocalDate(email);
   var current = getEodRetryCount(email);
   props.setProperty(key, (current + 1) + '|' + today);
   return current + 1;
@@ -270,10 +270,13 @@ function onMessage(event) {
     }
 
     var userState = getUserState(sender.email);
+    // While an EOD (or amendment) is expected, the message is the report, not a command
+    var isEodReply = userState === 'AWAITING_EOD' || userState === 'AMENDING_EOD';
+    var isOooCommand = !isEodReply && isOooCommandText(lowerText);
 
     // Weekend/after-hours guard: acknowledge but don't process as check-in/EOD
-    if (!isWorkday()) {
-      if (!['help', '?', 'ping', 'hi', 'hello', 'runeod', 'runcheckin'].includes(lowerText)) {
+    if (!isWorkday(new Date(), getUserTimezone(sender.email))) {
+      if (!isOooCommand && !['help', '?', 'ping', 'hi', 'hello', 'status', 'runeod', 'runcheckin', 'coaching off', 'coaching on'].includes(lowerText)) {
         return createChatResponse('📅 It\'s outside work hours. I\'ll be available on the next workday. If this is urgent, contact your manager directly.');
       }
     }
@@ -292,6 +295,11 @@ function onMessage(event) {
         "• EOD: I'll send you a 📝 *Start EOD* button\n" +
         "• Click it to load task cards, then reply with your EOD summary\n\n" +
         "*Commands:*\n" +
+        "• `status` — Your day at a glance (check-in, EOD, streak, tasks, schedule)\n" +
+        "• `amend` / `edit eod` — Replace today's EOD with a revised one\n" +
+        "• `ooo today` / `ooo tomorrow` [reason] — Mark yourself out of office\n" +
+        "• `half day` [reason] — Taking the afternoon off (no EOD today)\n" +
+        "• `coaching off` / `coaching on` — Stop or resume the AI coaching note after your EOD\n" +
         "• `refresh` — Reload ClickUp tasks during EOD\n" +
         "• `ping` — Check if bot is responding\n" +
         "• `help` — Show this message"
@@ -370,6 +378,37 @@ function onMessage(event) {
       }
     }
 
+    if (lowerText === 'status' || lowerText === '/status') {
+      return handleStatusCommand(sender.email, sender.displayName, userState);
+    }
+
+    if (lowerText === 'coaching off' || lowerText === 'coaching on') {
+      return handleCoachingCommand(sender.email, lowerText === 'coaching on');
+    }
+
+    if (lowerText === 'amend' || lowerText === '/amend' || lowerText === 'amend eod' || lowerText === 'edit eod') {
+      return handleAmendEodCommand(sender.email);
+    }
+
+    // Self-declared absence: "ooo today", "ooo tomorrow", "half day"
+    if (isOooCommand) {
+      return handleOooCommand(sender.email, sender.displayName, text);
+    }
+
+    // Manager Q&A over BigQuery history ("ask" alone could be an EOD sentence, so only managers
+    // are routed, and never while their EOD is awaited — "/ask" still works then)
+    if (lowerText.startsWith('/ask ') || (lowerText.startsWith('ask ') && !isEodReply && isBotManager(sender.email))) {
+      return handleAskCommand(sender.email, text.replace(/^\/?ask\s+/i, '').trim());
+    }
+
+    if (lowerText === 'ai usage' || lowerText === '/aiusage') {
+      return handleAiUsageCommand(sender.email);
+    }
+
+    if (lowerText === 'gaming stats' || lowerText === '/gamingstats') {
+      return handleGamingStatsCommand(sender.email);
+    }
+
     // 1-on-1 prep command
     if (lowerText.startsWith('prep ') || lowerText.startsWith('/prep ')) {
       var targetName = text.replace(/^\/?prep\s+/i, '').trim();
@@ -379,6 +418,15 @@ function onMessage(event) {
     // === State-based routing (BUG #2, #3, #4 fix) ===
     console.log("User state for " + sender.email + ": " + userState);
 
+    // Amended EOD: the next message replaces today's logged report
+    if (userState === 'AMENDING_EOD') {
+      clearUserState(sender.email);
+      if (lowerText === 'cancel') {
+        return createChatResponse('👍 No changes made — your original EOD stands.');
+      }
+      return handleEodResponse(sender.email, sender.displayName, text, true);
+    }
+
     if (userState === 'AWAITING_EOD' || (TEST_MODE && lowerText === 'completed testing tasks. no blockers. tomorrow: continue testing.')) {
 
       // --- REFRESH: re-pull ClickUp tasks and re-send EOD cards ---
@@ -566,6 +614,25 @@ function onRemoveFromSpace(event) {
   console.log("Bot removed from space:", space ? space.name : "unknown");
 }
 
+/**
+ * Web app entry point (Deploy > Web app, execute as me, anyone can access)
+ * Slack events and button clicks arrive here and are replayed through onMessage / onCardClick;
+ * anything else is a REST API call (see Api.js).
+ */
+function doPost(e) {
+  if (isSlackRequest(e)) {
+    return handleSlackRequest(e);
+  }
+  return handleApiRequest(e, 'POST');
+}
+
+/**
+ * Web app GET entry point (REST API, see Api.js)
+ */
+function doGet(e) {
+  return handleApiRequest(e, 'GET');
+}
+
 /**
  * Handle card action clicks (Add-on style)
  */
@@ -590,6 +657,20 @@ function onCardClick(event) {
       return handleCheckIn(event);
     case 'handleStartEod':
       return handleStartEod(event);
+    case 'handleOpenEodForm':
+      return handleOpenEodForm(event);
+    case 'handleEodFormSubmit':
+      return handleEodFormSubmit(event);
+    case 'handleExcuseSelected':
+      return handleExcuseSelected(event);
+    case 'handleExcuseReview':
+      return handleExcuseReview(event);
+    case 'handleBlockerResolved':
+      return handleBlockerResolved(event);
+    case 'handleBlockerHandoffReply':
+      return handleBlockerHandoffReply(event);
+    case 'handleGamingReview':
+      return handleGamingReview(event);
     default:
       console.warn('Unknown action: ' + actionName);
       return createChatResponse('Unknown action');
@@ -607,7 +688,7 @@ function handleCheckIn(event) {
 
     // Double-click protection: check if already checked in today
     try {
-      var todayCheckIns = getTodayCheckIns();
+      var todayCheckIns = getTodayCheckIns(getUserLocalDate(email));
       var alreadyCheckedIn = todayCheckIns.some(function(c) { return c.user_email === email; });
       if (alreadyCheckedIn) {
         return createChatResponse({
@@ -624,16 +705,17 @@ function handleCheckIn(event) {
 
     // Log attendance
     var now = new Date();
-    var nowChicago = Utilities.formatDate(now, 'America/Chicago', 'HH:mm');
+    var nowLocal = Utilities.formatDate(now, getUserTimezone(email), 'HH:mm');
     var isLate = false;
     try {
       logPromptResponse(email, 'CHECKIN');
       var schedule = getUserWorkSchedule(email);
       var graceMinutes = getLateThresholdMin();
       var scheduleMinutes = timeToMinutes(schedule.blocks[0].start) + graceMinutes;
-      var nowMinutes = timeToMinutes(nowChicago);
+      var nowMinutes = timeToMinutes(nowLocal);
       isLate = nowMinutes > scheduleMinutes;
       logCheckIn(email, now, 'Button check-in', isLate);
+      queueLiveSummaryRefresh('MORNING', email, { is_late: isLate });
     } catch (logErr) {
       console.error('handleCheckIn: attendance logging failed:', logErr.message);
     }
@@ -656,8 +738,8 @@ function handleCheckIn(event) {
         }
 
         var checkinMsg = isLate
-          ? '⏰ *Checked in (late) at ' + nowChicago + '*'
-          : '✅ *Checked in at ' + nowChicago + '*. Have a productive day!';
+          ? '⏰ *Checked in (late) at ' + nowLocal + '*'
+          : '✅ *Checked in at ' + nowLocal + '*. Have a productive day!';
 
         if (tasksFetched && tasks.length > 0) {
           var cat = categorizeTasks(tasks, email);
@@ -681,8 +763,8 @@ function handleCheckIn(event) {
       } else {
         // Cache cold — schedule background fetch (6-min limit trigger)
         var checkinMsg2 = isLate
-          ? '⏰ *Checked in (late) at ' + nowChicago + '*'
-          : '✅ *Checked in at ' + nowChicago + '*. Have a productive day!';
+          ? '⏰ *Checked in (late) at ' + nowLocal + '*'
+          : '✅ *Checked in at ' + nowLocal + '*. Have a productive day!';
         scheduleBackgroundTaskFetch(email, 'checkin');
         sendDirectMessage(email, checkinMsg2 + '\n\n⏳ Loading your ClickUp tasks in the background...');
       }
@@ -690,13 +772,20 @@ function handleCheckIn(event) {
       console.error('handleCheckIn: task send failed:', taskErr.message);
     }
 
-    // Replace the check-in card with confirmation
-    return createChatResponse({
+    // Replace the check-in card with confirmation (open blockers keep their Resolved? buttons)
+    var confirmation = {
       actionResponse: { type: 'UPDATE_MESSAGE' },
       text: isLate
-        ? '⏰ Checked in (late) at ' + nowChicago + '. ' + (tasksFetched ? 'Tasks sent above.' : 'Tasks loading in background...')
-        : '✅ Checked in at ' + nowChicago + '. ' + (tasksFetched ? 'Tasks sent above.' : 'Tasks loading in background...')
-    });
+        ? '⏰ Checked in (late) at ' + nowLocal + '. ' + (tasksFetched ? 'Tasks sent above.' : 'Tasks loading in background...')
+        : '✅ Checked in at ' + nowLocal + '. ' + (tasksFetched ? 'Tasks sent above.' : 'Tasks loading in background...')
+    };
+    try {
+      var openBlockers = getOpenBlockers(email);
+      if (openBlockers.length > 0) confirmation.cardsV2 = buildOpenBlockersCard(openBlockers);
+    } catch (blockerErr) {
+      console.error('handleCheckIn: open blockers lookup failed:', blockerErr.message);
+    }
+    return createChatResponse(confirmation);
   } catch (fatalErr) {
     console.error('handleCheckIn FATAL:', fatalErr.message, fatalErr.stack);
     return createChatResponse({
@@ -789,10 +878,83 @@ function handleStartEod(event) {
   }
 }
 
+/**
+ * Handle "Fill EOD form" button click - swap the Start EOD card for the form card
+ */
+function handleOpenEodForm(event) {
+  var email = event.chat.user.email;
+  if (getUserState(email) !== 'AWAITING_EOD') {
+    setUserState(email, 'AWAITING_EOD');
+    clearEodRetryCount(email);
+  }
+  return createChatResponse({
+    actionResponse: { type: 'UPDATE_MESSAGE' },
+    cardsV2: buildEodFormCard()
+  });
+}
+
+/**
+ * Handle EOD form submission
+ * Fields are already structured, so the report skips the free-text retry loop and AI parsing
+ */
+function handleEodFormSubmit(event) {
+  var email = event.chat.user.email;
+  var name = event.chat.user.displayName || email.split('@')[0];
+
+  var values = {
+    accomplishments: _extractFormInput(event, 'eodAccomplishments'),
+    blockers: _extractFormInput(event, 'eodBlockers'),
+    tomorrow: _extractFormInput(event, 'eodTomorrow'),
+    hours: _extractFormInput(event, 'eodHours')
+  };
+
+  var error = validateEodForm(values);
+  if (error) {
+    return createChatResponse({
+      actionResponse: { type: 'UPDATE_MESSAGE' },
+      cardsV2: buildEodFormCard(values, error)
+    });
+  }
+
+  // Dedup: a double-click must not queue the report twice
+  var cache = CacheService.getScriptCache();
+  var dedupKey = 'eod_form_submitted_' + email.replace(/[^a-zA-Z0-9]/g, '_');
+  if (cache.get(dedupKey)) {
+    return createChatResponse({
+      actionResponse: { type: 'UPDATE_MESSAGE' },
+      text: '📨 EOD already submitted. Type `amend eod` if you need to change it.'
+    });
+  }
+  cache.put(dedupKey, '1', 120);
+
+  var fields = {
+    tasks_completed: values.accomplishments,
+    blockers: values.blockers || null,
+    tomorrow_priority: values.tomorrow,
+    hours_worked: parseFloat(values.hours)
+  };
+
+  // Same layout as the typed format so forwards and raw_response read the same
+  var text = values.accomplishments + '\n' +
+    'Blockers: ' + (values.blockers || 'None') + '\n' +
+    'Tomorrow: ' + values.tomorrow + '\n' +
+    'Hours: ' + fields.hours_worked + 'h';
+
+  clearUserState(email);
+  clearEodRetryCount(email);
+  handleEodResponse(email, name, text, false, fields);
+
+  return createChatResponse({
+    actionResponse: { type: 'UPDATE_MESSAGE' },
+    text: '⏳ *EOD form submitted* (' + fields.hours_worked + 'h). I will send your results in a new message shortly!'
+  });
+}
+
 /**
  * Handle EOD response - now async to prevent 30s timeout
+ * @param {object} fields - Structured fields from the EOD form card (optional; skips parsing)
  */
-function handleEodResponse(email, name, text) {
+function handleEodResponse(email, name, text, isAmendment, fields) {
   // Save payload to process asynchronously
   var props = PropertiesService.getScriptProperties();
   var eodId = 'EOD_QUEUE_' + new Date().getTime() + '_' + Math.floor(Math.random() * 1000);
@@ -800,14 +962,42 @@ function handleEodResponse(email, name, text) {
     email: email,
     name: name,
     text: text,
-    timestamp: new Date().getTime()
+    timestamp: new Date().getTime(),
+    amend: !!isAmendment,
+    fields: fields || null
   }));
 
   // Return instantly to avoid 30s timeout on Google Chat request
   // NOTE: A separate 1-minute time-driven trigger MUST be manually created for processEodBackground
+  if (isAmendment) {
+    return createChatResponse('⏳ *Processing your revised EOD...*\nIt will replace the report you sent earlier today.');
+  }
   return createChatResponse('⏳ *Processing your EOD report...*\nI am evaluating your tasks and hours. I will send your results in a new message shortly!');
 }
 
+/**
+ * Re-open today's EOD for editing. The next message is processed as a
+ * new revision that supersedes the logged report.
+ */
+function handleAmendEodCommand(email) {
+  var todayEods = getTodayEodReports(getUserLocalDate(email));
+  var current = todayEods.find(function (r) { return r.user_email === email; });
+  if (!current) {
+    return createChatResponse('📝 You haven\'t submitted an EOD today, so there\'s nothing to amend. Just send your EOD report when you\'re ready.');
+  }
+
+  setUserState(email, 'AMENDING_EOD');
+
+  var msg = '✏️ *Amend today\'s EOD*\n\n';
+  msg += 'Here\'s what I have logged:\n';
+  msg += '―――――――――――――――――――\n';
+  msg += (current.raw_response || current.tasks_completed || '(empty)') + '\n';
+  msg += '―――――――――――――――――――\n\n';
+  msg += 'Send your *full revised EOD* as your next message — it replaces the one above and your manager gets the revised copy.\n';
+  msg += 'Type `cancel` to keep the original.';
+  return createChatResponse(msg);
+}
+
 /**
  * Schedule a background task fetch (runs with 6-min trigger limit, avoids 30s timeout)
  * @param {string} email - User email
@@ -889,6 +1079,10 @@ function backgroundTaskFetch() {
             console.log('backgroundTaskFetch: no tasks sendDirectMessage result: ' + JSON.stringify(sendResult2));
           }
 
+        } else if (data.type === 'status') {
+          var statusCat = categorizeTasks(tasks, data.email, true);
+          sendDirectMessage(data.email, buildStatusTaskLine(statusCat.summary));
+
         } else if (data.type === 'eod' || data.type === 'refresh') {
           var eodMessage = buildEodTaskMessage(tasks, '');
           var fullText = eodMessage.text;
@@ -941,7 +1135,7 @@ function processEodBackground(e) {
       if (key.indexOf('EOD_QUEUE_') === 0) {
         try {
           var payload = JSON.parse(allProps[key]);
-          _processSingleEod(payload.email, payload.name, payload.text, new Date(payload.timestamp));
+          _processSingleEod(payload.email, payload.name, payload.text, new Date(payload.timestamp), payload.amend === true, payload.fields);
           // Delete after successful processing
           props.deleteProperty(key);
         } catch (err) {
@@ -957,6 +1151,25 @@ function processEodBackground(e) {
       }
 
     }
+
+    // Morning / EOD summary updates for today's check-ins and EODs (including the ones above)
+    try {
+      processLiveSummaryRefreshes();
+    } catch (err) {
+      console.error('Error updating live summaries:', err.message);
+    }
+
+    // Chat messages due for a retry, then queued and retried webhook deliveries
+    try {
+      processOutbox();
+    } catch (err) {
+      console.error('Error retrying queued messages:', err.message);
+    }
+    try {
+      processWebhookQueue();
+    } catch (err) {
+      console.error('Error sending webhooks:', err.message);
+    }
   } finally {
     lock.releaseLock();
   }
@@ -964,30 +1177,85 @@ function processEodBackground(e) {
 
 /**
  * The original heavy EOD processing logic
+ * @param {boolean} isAmendment - Text replaces today's logged EOD (amend flow)
+ * @param {object} fields - Structured fields from the EOD form card (optional)
  */
-function _processSingleEod(email, name, text, now) {
-  // Log prompt response for adoption tracking
-  logPromptResponse(email, 'EOD');
+function _processSingleEod(email, name, text, now, isAmendment, fields) {
+  // Log prompt response for adoption tracking (amendments aren't prompt responses)
+  if (!isAmendment) logPromptResponse(email, 'EOD');
 
-  var isFriday = now.getDay() === 5;
+  var isFriday = getLocalDayOfWeek(now, getUserTimezone(email)) === 5;
   var config = getConfig();
 
-  // Try AI parsing first if enabled, fall back to regex
-  var parsed = null;
-  if (config.settings.enable_ai_eod_parsing !== false) {
+  // Form submissions are already structured; otherwise try AI parsing first if enabled,
+  // and fill any field the AI didn't return validly from the regex extractors
+  var parsed = fields || null;
+  var parseInfo = { source: fields ? 'form' : 'regex', fallbackFields: [], errors: [] };
+  if (!parsed && config.settings.enable_ai_eod_parsing !== false) {
+    parseInfo.source = 'ai';
     try {
-      parsed = parseEodWithAI(text);
+      var aiParse = parseEodWithAI(text);
+      if (aiParse) {
+        parsed = aiParse.fields;
+        parseInfo.errors = aiParse.errors;
+      } else {
+        parseInfo.errors.push('no AI response');
+      }
     } catch (e) {
       console.error('AI EOD parsing failed, using regex fallback:', e.message);
+      parseInfo.errors.push(e.message);
     }
   }
 
-  var tasksCompleted = parsed ? parsed.tasks_completed : text;
-  var blockers = parsed ? parsed.blockers : extractBlockers(text);
-  var tomorrowPriority = parsed ? parsed.tomorrow_priority : extractTomorrowPriority(text);
-  var hoursWorked = parsed ? parsed.hours_worked : extractHoursWorked(text);
+  var regexFallbacks = {
+    tasks_completed: function () { return text; },
+    blockers: function () { return extractBlockers(text); },
+    tomorrow_priority: function () { return extractTomorrowPriority(text); },
+    hours_worked: function () { return extractHoursWorked(text); }
+  };
+  var eodValues = {};
+  Object.keys(regexFallbacks).forEach(function (name) {
+    if (parsed && name in parsed) {
+      eodValues[name] = parsed[name];
+    } else {
+      eodValues[name] = regexFallbacks[name]();
+      if (parseInfo.source === 'ai') parseInfo.fallbackFields.push(name);
+    }
+  });
+  if (parseInfo.fallbackFields.length > 0) {
+    console.warn('EOD for ' + email + ' used regex fallback for: ' + parseInfo.fallbackFields.join(', '));
+  }
 
-  logEodReport(email, now, tasksCompleted, blockers, tomorrowPriority, text, hoursWorked);
+  var tasksCompleted = eodValues.tasks_completed;
+  var blockers = eodValues.blockers;
+  var tomorrowPriority = eodValues.tomorrow_priority;
+  var hoursWorked = eodValues.hours_worked;
+
+  if (isAmendment) {
+    // Keep previously reported hours if the revision doesn't restate them
+    if (hoursWorked === null || hoursWorked === undefined) {
+      try {
+        var previous = getTodayEodReports(getUserLocalDate(email, now)).find(function (r) { return r.user_email === email; });
+        if (previous && previous.hours_worked !== null && previous.hours_worked !== undefined) {
+          hoursWorked = parseFloat(previous.hours_worked);
+        }
+      } catch (e) {
+        console.error('Failed to carry over hours for amended EOD:', e.message);
+      }
+    }
+    logEodReport(email, now, tasksCompleted, blockers, tomorrowPriority, text, hoursWorked, getNextEodRevision(email, now), parseInfo);
+  } else {
+    logEodReport(email, now, tasksCompleted, blockers, tomorrowPriority, text, hoursWorked, 0, parseInfo);
+  }
+  queueLiveSummaryRefresh('EOD', email, { blockers: blockers });
+
+  // Each reported blocker becomes an open blocker record; colleagues it waits on get a handoff card
+  try {
+    recordEodBlockers(email, getUserLocalDate(email, now), blockers, parsed ? parsed.waiting_on : null,
+      parsed ? parsed.blocker_items : null);
+  } catch (e) {
+    console.error('Failed to record blockers for ' + email + ':', e.message);
+  }
 
   // --- Build personalized EOD feedback ---
   var feedback = {};
@@ -1060,7 +1328,20 @@ function _processSingleEod(email, name, text, now) {
   }
   feedback.hoursWorked = hoursWorked;
 
+  // Optional AI coaching note (private to the member, not in the manager forward)
+  var coachingNote = null;
+  if (!isAmendment && isAiCoachingEnabled(email)) {
+    try {
+      coachingNote = generateEodCoachingNote(email, name, text, feedback.taskStats || null, hoursWorked);
+    } catch (e) {
+      console.error('Coaching note failed for ' + email + ':', e.message);
+    }
+  }
+
   var response = isFriday ? getFridayEodConfirmation(feedback) : getEodConfirmation(feedback);
+  if (isAmendment) {
+    response = '✏️ **Revised EOD saved** — it replaces your earlier report for today.\n\n' + response;
+  }
 
   if (hoursWorked === null) {
     response += '\n\n🚨 **Action Required:** Reply with your hours worked today (e.g. "6.5"). Hours reporting is mandatory.';
@@ -1068,9 +1349,10 @@ function _processSingleEod(email, name, text, now) {
 
   // Forward EOD report + feedback to manager(s) in real-time
   try {
-    var managerRecipients = getReportRecipients('eod_forward');
+    // Line manager, else team EOD forward list, else global list
+    var managerRecipients = getMemberEodForwardRecipients(email);
     var displayName = name || email.split('@')[0];
-    var forwardMsg = '📨 **EOD Report from ' + displayName + '** (' + email + ')\n';
+    var forwardMsg = '📨 **EOD Report from ' + displayName + (isAmendment ? ' (revised)' : '') + '** (' + email + ')\n';
     forwardMsg += '―――――――――――――――――――\n';
     forwardMsg += text + '\n';
     forwardMsg += '―――――――――――――――――――\n\n';
@@ -1101,6 +1383,7 @@ function _processSingleEod(email, name, text, now) {
     console.error('Failed to forward EOD to manager:', fwdErr.message);
   }
 
+  if (coachingNote) response += formatCoachingNote(coachingNote);
   sendDirectMessage(email, response);
 }
 
@@ -1186,7 +1469,7 @@ function _sendMorningCheckIns(isMonday) {
     if (!fullMember) return true;
     if (fullMember.tracking_mode === 'not_tracked') return false;
     if (splitSpecialActive) return false; // Dispatcher handles everyone during split special periods
-    return !fullMember.custom_start_time; // Skip custom-schedule users (dispatcher handles them)
+    return !isDispatcherManaged(fullMember); // Skip custom-schedule and other-timezone users (dispatcher handles them)
   });
 
   console.log('Morning check-in: ' + defaultMembers.length + ' default members after filtering (splitSpecial=' + splitSpecialActive + ')');
@@ -1218,6 +1501,14 @@ function _sendMorningCheckIns(isMonday) {
     }
   }
 
+  // Open blockers get a Resolved? button on the check-in card
+  var openBlockersByUser = {};
+  try {
+    openBlockersByUser = getOpenBlockersByUser();
+  } catch (err) {
+    console.error('Error getting open blockers:', err.message);
+  }
+
   // Send individual DMs with per-user error handling (BUG #11)
   for (var i = 0; i < defaultMembers.length; i++) {
     var member = defaultMembers[i];
@@ -1233,7 +1524,8 @@ function _sendMorningCheckIns(isMonday) {
       var cat = categorizeTasks(tasks, member.email, true);
       var checkInCards = buildCheckInCard(
         member.name || member.email.split('@')[0],
-        cat.summary
+        cat.summary,
+        openBlockersByUser[member.email]
       );
       var ciResult = sendDirectMessage(member.email, '👋 Good morning! Click below to check in.', checkInCards);
       if (!ciResult || !ciResult.sent) {
@@ -1272,7 +1564,7 @@ function _sendCheckInFollowUps() {
     var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
     if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
     if (splitSpecialActive) return false;
-    if (fullMember && fullMember.custom_start_time) return false;
+    if (isDispatcherManaged(fullMember)) return false;
     return true;
   });
 
@@ -1309,40 +1601,11 @@ function _postMorningSummary() {
   console.log('Posting morning summary...');
 
   var teamMembers = getCachedWorkingEmployees();
-  var config = getConfig();
   var todayCheckIns = getTodayCheckIns();
-  var checkedInEmails = {};
-  for (var i = 0; i < todayCheckIns.length; i++) {
-    checkedInEmails[todayCheckIns[i].user_email] = true;
-  }
-
-  var checkedIn = teamMembers.filter(function (m) { return checkedInEmails[m.email]; });
-  // BigQuery returns is_late as string 'true'/'false', not boolean
-  var late = todayCheckIns.filter(function (c) { return c.is_late === true || c.is_late === 'true'; }).map(function (c) {
-    var member = teamMembers.find(function (m) { return m.email === c.user_email; });
-    return { email: c.user_email, name: member ? (member.name || member.full_name) : null };
-  });
-  // Missing = not checked in AND tracked (not-tracked users aren't expected to check in)
-  var missing = teamMembers.filter(function (m) {
-    if (checkedInEmails[m.email]) return false;
-    var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
-    if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
-
-    try {
-      var schedule = getUserWorkSchedule(m.email);
-      if (schedule && schedule.blocks && schedule.blocks.length > 0) {
-        var startMin = timeToMinutes(schedule.blocks[0].start);
-        var localTimeStr = Utilities.formatDate(new Date(), 'America/Chicago', 'HH:mm');
-        var nowMin = timeToMinutes(localTimeStr);
-        // If their shift hasn't started (plus 30m grace), they aren't "missing" yet
-        if (nowMin < startMin + 30) return false;
-      }
-    } catch (e) {
-      // Ignore err
-    }
-
-    return true;
-  });
+  var attendance = getMorningAttendance(teamMembers, todayCheckIns);
+  var checkedIn = attendance.checkedIn;
+  var late = attendance.late;
+  var missing = attendance.missing;
 
   // Get not-tracked team members for summary visibility
   var notTracked = getNotTrackedTeamMembers();
@@ -1362,6 +1625,15 @@ function _postMorningSummary() {
     console.error('Error getting employees on leave:', err.message);
   }
 
+  // Add self-declared absences ("ooo today" / "half day") not already in Sage HR
+  try {
+    getDeclaredAbsencesForSummary().forEach(function (a) {
+      if (!onLeaveToday.some(function (l) { return l.email === a.email; })) onLeaveToday.push(a);
+    });
+  } catch (err) {
+    console.error('Error getting declared absences:', err.message);
+  }
+
   // Get today's birthdays
   var todayBirthdays = [];
   try {
@@ -1370,7 +1642,29 @@ function _postMorningSummary() {
     console.error('Error getting today birthdays:', err.message);
   }
 
-  postMorningSummary(checkedIn, late, missing, overdueStats, onLeaveToday, todayBirthdays, notTracked);
+  // One summary per team (a single summary when no teams tab is configured)
+  var teamGroups = groupMembersByTeam(teamMembers);
+  teamGroups.forEach(function (group) {
+    var inTeam = function (p) { return isMemberInTeam(p.email, group.team); };
+    var teamOverdueStats = overdueStats;
+    if (teamGroups.length > 1 && overdueStats) {
+      try {
+        teamOverdueStats = getTeamOverdueStats(group.members.map(function (m) { return m.email; }));
+      } catch (err) {
+        console.error('Error getting team overdue stats:', err.message);
+      }
+    }
+    var sections = {
+      overdueStats: teamOverdueStats,
+      onLeaveToday: onLeaveToday.filter(inTeam),
+      todayBirthdays: todayBirthdays.filter(inTeam),
+      notTracked: notTracked.filter(inTeam)
+    };
+    var posted = postMorningSummary(checkedIn.filter(inTeam), late.filter(inTeam), missing.filter(inTeam), sections.overdueStats,
+      sections.onLeaveToday, sections.todayBirthdays, sections.notTracked, group.team);
+    // Check-ins later in the day update this message in place
+    saveLiveSummary('MORNING', group.team, posted, sections);
+  });
 
   // Post standup digest to team channel
   try {
@@ -1393,6 +1687,49 @@ function _postMorningSummary() {
   console.log('Morning summary posted');
 }
 
+/**
+ * Split today's working members into checked in / late / missing for the morning summary
+ * Members whose shift started less than 30 minutes ago aren't missing yet.
+ * @returns {object} { checkedIn, late, missing }
+ */
+function getMorningAttendance(teamMembers, todayCheckIns) {
+  var config = getConfig();
+  var checkedInEmails = {};
+  for (var i = 0; i < todayCheckIns.length; i++) {
+    checkedInEmails[todayCheckIns[i].user_email] = true;
+  }
+
+  var checkedIn = teamMembers.filter(function (m) { return checkedInEmails[m.email]; });
+  // BigQuery returns is_late as string 'true'/'false', not boolean
+  var late = todayCheckIns.filter(function (c) { return c.is_late === true || c.is_late === 'true'; }).map(function (c) {
+    var member = teamMembers.find(function (m) { return m.email === c.user_email; });
+    return { email: c.user_email, name: member ? (member.name || member.full_name) : null };
+  });
+  // Missing = not checked in AND tracked (not-tracked users aren't expected to check in)
+  var missing = teamMembers.filter(function (m) {
+    if (checkedInEmails[m.email]) return false;
+    var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
+    if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
+    if (isDeclaredAbsent(m.email, 'CHECKIN')) return false;
+
+    try {
+      var schedule = getUserWorkSchedule(m.email);
+      if (schedule && schedule.blocks && schedule.blocks.length > 0) {
+        var startMin = timeToMinutes(schedule.blocks[0].start);
+        var nowMin = getUserLocalMinutes(m.email);
+        // If their shift hasn't started (plus 30m grace), they aren't "missing" yet
+        if (nowMin < startMin + 30) return false;
+      }
+    } catch (e) {
+      // Ignore err
+    }
+
+    return true;
+  });
+
+  return { checkedIn: checkedIn, late: late, missing: missing };
+}
+
 /**
  * Send EOD requests to all team members
  * Shared by Mon-Thu and Friday triggers
@@ -1428,7 +1765,8 @@ function _sendEodRequests() {
     if (!fullMember) return true;
     if (fullMember.tracking_mode === 'not_tracked') return false;
     if (splitSpecialActive) return false;
-    return !fullMember.custom_start_time;
+    if (isDeclaredAbsent(m.email, 'EOD')) return false;
+    return !isDispatcherManaged(fullMember);
   });
 
   for (var i = 0; i < defaultMembers.length; i++) {
@@ -1500,7 +1838,8 @@ function _sendEodFollowUps() {
     var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
     if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
     if (splitSpecialActive) return false;
-    if (fullMember && fullMember.custom_start_time) return false;
+    if (isDispatcherManaged(fullMember)) return false;
+    if (isDeclaredAbsent(m.email, 'EOD')) return false;
     return true;
   });
 
@@ -1536,35 +1875,10 @@ function _postEodSummary() {
   console.log('Posting EOD summary...');
 
   var teamMembers = getCachedWorkingEmployees();
-  var config = getConfig();
   var todayEods = getTodayEodReports();
-  var submittedEmails = {};
-  for (var i = 0; i < todayEods.length; i++) {
-    submittedEmails[todayEods[i].user_email] = true;
-  }
-
-  var submitted = teamMembers.filter(function (m) { return submittedEmails[m.email]; });
-  // Missing = not submitted AND tracked
-  var missing = teamMembers.filter(function (m) {
-    if (submittedEmails[m.email]) return false;
-    var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
-    if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
-
-    try {
-      var schedule = getUserWorkSchedule(m.email);
-      if (schedule && schedule.blocks && schedule.blocks.length > 0) {
-        var endMin = timeToMinutes(schedule.blocks[schedule.blocks.length - 1].end);
-        var localTimeStr = Utilities.formatDate(new Date(), 'America/Chicago', 'HH:mm');
-        var nowMin = timeToMinutes(localTimeStr);
-        // If their shift hasn't ended, they aren't "missing" EOD yet
-        if (nowMin < endMin) return false;
-      }
-    } catch (e) {
-      // Ignore err
-    }
-
-    return true;
-  });
+  var submissions = getEodSubmissions(teamMembers, todayEods);
+  var submitted = submissions.submitted;
+  var missing = submissions.missing;
   var notTracked = getNotTrackedTeamMembers();
 
   var taskStats = null;
@@ -1582,23 +1896,30 @@ function _postEodSummary() {
     console.error('Error getting per-person completions:', err.message);
   }
 
-  // Gather blockers from today's EOD reports
-  var todayBlockers = [];
-  try {
-    todayEods.forEach(function (eod) {
-      if (eod.blockers && eod.blockers.trim()) {
-        var member = teamMembers.find(function (m) { return m.email === eod.user_email; });
-        todayBlockers.push({
-          name: member ? (member.name || eod.user_email.split('@')[0]) : eod.user_email.split('@')[0],
-          blocker: eod.blockers
-        });
-      }
-    });
-  } catch (err) {
-    console.error('Error gathering blockers:', err.message);
-  }
+  var todayBlockers = submissions.blockers;
 
-  postEodSummary(submitted, missing, taskStats, perPersonCompletions, todayBlockers, notTracked);
+  // One summary per team (a single summary when no teams tab is configured)
+  var teamGroups = groupMembersByTeam(teamMembers);
+  teamGroups.forEach(function (group) {
+    var inTeam = function (p) { return isMemberInTeam(p.email, group.team); };
+    var teamTaskStats = taskStats;
+    if (teamGroups.length > 1 && taskStats) {
+      try {
+        teamTaskStats = getTeamTaskStats(group.members);
+      } catch (err) {
+        console.error('Error getting team task stats:', err.message);
+      }
+    }
+    var sections = {
+      taskStats: teamTaskStats,
+      perPersonCompletions: perPersonCompletions.filter(inTeam),
+      notTracked: notTracked.filter(inTeam)
+    };
+    var posted = postEodSummary(submitted.filter(inTeam), missing.filter(inTeam), sections.taskStats, sections.perPersonCompletions,
+      todayBlockers.filter(inTeam), sections.notTracked, group.team);
+    // Late EODs update this message in place
+    saveLiveSummary('EOD', group.team, posted, sections);
+  });
 
   // Post EOD digest to team channel
   try {
@@ -1631,20 +1952,76 @@ function _postEodSummary() {
   console.log('EOD summary posted');
 }
 
+/**
+ * Split today's working members into submitted / missing for the EOD summary,
+ * plus the blockers reported in today's EODs
+ * Members whose shift hasn't ended yet aren't missing.
+ * @returns {object} { submitted, missing, blockers }
+ */
+function getEodSubmissions(teamMembers, todayEods) {
+  var config = getConfig();
+  var submittedEmails = {};
+  for (var i = 0; i < todayEods.length; i++) {
+    submittedEmails[todayEods[i].user_email] = true;
+  }
+
+  var submitted = teamMembers.filter(function (m) { return submittedEmails[m.email]; });
+  // Missing = not submitted AND tracked
+  var missing = teamMembers.filter(function (m) {
+    if (submittedEmails[m.email]) return false;
+    var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
+    if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
+    if (isDeclaredAbsent(m.email, 'EOD')) return false;
+
+    try {
+      var schedule = getUserWorkSchedule(m.email);
+      if (schedule && schedule.blocks && schedule.blocks.length > 0) {
+        var endMin = timeToMinutes(schedule.blocks[schedule.blocks.length - 1].end);
+        var nowMin = getUserLocalMinutes(m.email);
+        // If their shift hasn't ended, they aren't "missing" EOD yet
+        if (nowMin < endMin) return false;
+      }
+    } catch (e) {
+      // Ignore err
+    }
+
+    return true;
+  });
+
+  // Gather blockers from today's EOD reports
+  var todayBlockers = [];
+  try {
+    todayEods.forEach(function (eod) {
+      if (eod.blockers && eod.blockers.trim()) {
+        var member = teamMembers.find(function (m) { return m.email === eod.user_email; });
+        todayBlockers.push({
+          email: eod.user_email,
+          name: member ? (member.name || eod.user_email.split('@')[0]) : eod.user_email.split('@')[0],
+          blocker: eod.blockers
+        });
+      }
+    });
+  } catch (err) {
+    console.error('Error gathering blockers:', err.message);
+  }
+
+  return { submitted: submitted, missing: missing, blockers: todayBlockers };
+}
+
 /**
  * Send compiled EOD batch to manager(s) — all reports in one message
  */
-function _sendCompiledEodBatch(todayEods, teamMembers) {
+function _sendCompiledEodBatch(todayEods, teamMembers, team) {
   if (!todayEods || todayEods.length === 0) return;
 
-  var recipients = getReportRecipients('eod_forward');
+  var recipients = getTeamReportRecipients(team, 'eod_forward');
   if (!recipients || recipients.length === 0) return;
 
   var today = Utilities.formatDate(new Date(), 'America/Chicago', 'EEEE, MMMM d');
   var nameMap = {};
   teamMembers.forEach(function (m) { nameMap[m.email] = m.name || m.email.split('@')[0]; });
 
-  var batch = '📋 **Compiled EOD Reports — ' + today + '**\n';
+  var batch = '📋 **' + (team ? team.name + ' ' : '') + 'Compiled EOD Reports — ' + today + '**\n';
   batch += todayEods.length + ' reports received\n';
   batch += '═══════════════════════════\n\n';
 
@@ -1652,7 +2029,7 @@ function _sendCompiledEodBatch(todayEods, teamMembers) {
     var name = nameMap[eod.user_email] || eod.user_email.split('@')[0];
     var hours = eod.hours_worked !== null && eod.hours_worked !== undefined ? eod.hours_worked + 'h' : 'not reported';
 
-    batch += '👤 **' + name + '** | ' + hours + '\n';
+    batch += '👤 **' + name + '**' + (parseInt(eod.revision) > 0 ? ' _(revised)_' : '') + ' | ' + hours + '\n';
 
     if (eod.raw_response) {
       // Truncate long reports
@@ -1691,6 +2068,7 @@ function _sendCompiledEodBatch(todayEods, teamMembers) {
 function _getLatestShiftEndMinutes() {
   var config = getConfig();
   var workingEmployees = getCachedWorkingEmployees();
+  var reportingTz = getReportingTimezone();
   var latestEnd = 0;
 
   for (var i = 0; i < workingEmployees.length; i++) {
@@ -1702,7 +2080,8 @@ function _getLatestShiftEndMinutes() {
       var schedule = getUserWorkSchedule(email);
       if (schedule && schedule.blocks && schedule.blocks.length > 0) {
         var lastBlock = schedule.blocks[schedule.blocks.length - 1];
-        var endMin = timeToMinutes(lastBlock.end);
+        // Shift end is local to the member; compare on the reporting clock
+        var endMin = convertLocalMinutes(timeToMinutes(lastBlock.end), schedule.timezone, reportingTz);
         if (endMin > latestEnd) latestEnd = endMin;
       }
     } catch (err) {
@@ -1721,15 +2100,15 @@ function _getLatestShiftEndMinutes() {
  */
 function _checkAndSendCompiledBatch() {
   var cache = CacheService.getScriptCache();
-  var todayStr = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
+  var reportingTz = getReportingTimezone();
+  var todayStr = Utilities.formatDate(new Date(), reportingTz, 'yyyy-MM-dd');
   var dedupKey = 'COMPILED_EOD_BATCH_' + todayStr;
 
   // Already sent today?
   if (cache.get(dedupKey)) return;
 
   var now = new Date();
-  var nowMinutes = parseInt(Utilities.formatDate(now, 'America/Chicago', 'HH')) * 60 +
-    parseInt(Utilities.formatDate(now, 'America/Chicago', 'mm'));
+  var nowMinutes = timeToMinutes(Utilities.formatDate(now, reportingTz, 'HH:mm'));
 
   var latestEnd = _getLatestShiftEndMinutes();
   var BUFFER = 15; // 15 minutes after last shift ends
@@ -1751,7 +2130,11 @@ function _checkAndSendCompiledBatch() {
     return;
   }
 
-  _sendCompiledEodBatch(todayEods, teamMembers);
+  // One batch per team, each to that team's EOD forward recipients
+  groupMembersByTeam(todayEods.map(function (e) { return { email: e.user_email }; })).forEach(function (group) {
+    var teamEods = todayEods.filter(function (e) { return isMemberInTeam(e.user_email, group.team); });
+    _sendCompiledEodBatch(teamEods, teamMembers, group.team);
+  });
   cache.put(dedupKey, 'sent', 21600); // 6 hour TTL
 
   console.log('Compiled batch sent after latest shift end (' +
@@ -1810,6 +2193,9 @@ function triggerMorningSummary() {
   if (today.getDay() === 5) return;
 
   _postMorningSummary();
+
+  // Undelivered messages report merged here to save triggers
+  try { sendUndeliveredMessagesReport(); } catch (e) { console.error('Undelivered messages report failed:', e.message); }
 }
 
 /**
@@ -1921,6 +2307,9 @@ function triggerMorningSummaryFriday() {
 
   console.log('Posting Friday morning summary...');
   _postMorningSummary();
+
+  // Undelivered messages report merged here to save triggers
+  try { sendUndeliveredMessagesReport(); } catch (e) { console.error('Undelivered messages report failed:', e.message); }
 }
 
 /**
@@ -2046,13 +2435,14 @@ function triggerDailyAdoptionMetricsFriday() {
  * Default-schedule users are handled by the existing global triggers.
  */
 function triggerScheduleDispatcher() {
-  if (!isWorkday()) return;
-
-  // Always check if compiled EOD batch should be sent (schedule-aware)
-  try {
-    _checkAndSendCompiledBatch();
-  } catch (err) {
-    console.error('Error checking compiled EOD batch:', err.message);
+  // Compiled batch follows the reporting calendar; prompts follow each member's local calendar
+  if (isWorkday()) {
+    // Always check if compiled EOD batch should be sent (schedule-aware)
+    try {
+      _checkAndSendCompiledBatch();
+    } catch (err) {
+      console.error('Error checking compiled EOD batch:', err.message);
+    }
   }
 
   var config = getConfig();
@@ -2066,10 +2456,11 @@ function triggerScheduleDispatcher() {
     var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
     if (!fullMember) return false;
     if ((fullMember.tracking_mode || 'tracked') !== 'tracked') return false;
+    if (!isWorkday(new Date(), getUserTimezone(fullMember.email))) return false;
     // During split special periods, dispatcher handles everyone
     if (splitSpecialActive) return true;
-    // Otherwise only custom-schedule users
-    return !!fullMember.custom_start_time;
+    // Otherwise only custom-schedule and other-timezone users
+    return isDispatcherManaged(fullMember);
   });
 
   console.log('Dispatcher: ' + dispatchUsers.length + ' dispatch users');
@@ -2079,21 +2470,27 @@ function triggerScheduleDispatcher() {
   var checkinTypes = ['CHECKIN', 'CHECKIN_FOLLOWUP', 'ESCALATION_CHECKIN'];
   var eodTypes = ['EOD', 'EOD_FOLLOWUP', 'ESCALATION_EOD'];
   var cache = CacheService.getScriptCache();
-  var todayStr = Utilities.formatDate(new Date(), 'America/Chicago', 'yyyy-MM-dd');
 
-  var todayCheckIns = null;
-  var todayEods = null;
+  // Check-ins/EODs keyed by member-local date (members in different timezones can be on different days)
+  var checkInsByDate = {};
+  var eodsByDate = {};
 
   for (var i = 0; i < dispatchUsers.length; i++) {
     var member = dispatchUsers[i];
+    var todayStr = getUserLocalDate(member.email);
+    var todayCheckIns = checkInsByDate[todayStr] || null;
+    var todayEods = eodsByDate[todayStr] || null;
+    // Self-declared absences: full day skips everything, half day (PM) skips the EOD series
+    var skipCheckIn = isDeclaredAbsent(member.email, 'CHECKIN');
+    var skipEod = isDeclaredAbsent(member.email, 'EOD');
 
     // Evaluate CHECKIN series sequentially per user
-    for (var j = 0; j < checkinTypes.length; j++) {
+    for (var j = 0; j < checkinTypes.length && !skipCheckIn; j++) {
       var promptType = checkinTypes[j];
       if (isTimeForPrompt(member.email, promptType)) {
         var dedupKey = 'DISPATCH_' + promptType + '_' + member.email + '_' + todayStr;
         if (!cache.get(dedupKey)) {
-          if (!todayCheckIns) todayCheckIns = getTodayCheckIns();
+          if (!todayCheckIns) todayCheckIns = checkInsByDate[todayStr] = getTodayCheckIns(todayStr);
           try {
             dispatchPrompt(member, promptType, config, todayCheckIns, todayEods);
             cache.put(dedupKey, 'sent', 21600); // 6 hour TTL
@@ -2106,13 +2503,13 @@ function triggerScheduleDispatcher() {
     }
 
     // Evaluate EOD series sequentially per user
-    for (var k = 0; k < eodTypes.length; k++) {
+    for (var k = 0; k < eodTypes.length && !skipEod; k++) {
       var eodType = eodTypes[k];
       if (isTimeForPrompt(member.email, eodType)) {
         var dedupKey = 'DISPATCH_' + eodType + '_' + member.email + '_' + todayStr;
         if (!cache.get(dedupKey)) {
-          if (!todayCheckIns) todayCheckIns = getTodayCheckIns(); // Issue 11 Fix
-          if (!todayEods) todayEods = getTodayEodReports();
+          if (!todayCheckIns) todayCheckIns = checkInsByDate[todayStr] = getTodayCheckIns(todayStr); // Issue 11 Fix
+          if (!todayEods) todayEods = eodsByDate[todayStr] = getTodayEodReports(todayStr);
           try {
             dispatchPrompt(member, eodType, config, todayCheckIns, todayEods);
             cache.put(dedupKey, 'sent', 21600); // 6 hour TTL
@@ -2130,11 +2527,12 @@ function triggerScheduleDispatcher() {
  * Check if NOW is the right time to send a prompt to this user.
  * Uses a 29-minute window to match dispatcher's 30-min interval + GAS trigger jitter.
  * Dedup cache prevents double-sends within the window.
+ * Schedule times and "now" are both in the member's own timezone.
  */
 function isTimeForPrompt(email, promptType) {
   var schedule = getUserWorkSchedule(email);
   // Fixed Issue 5, 9, 10: Use exact local time to avoid UTC mismatch in trigger environment
-  var localTimeStr = Utilities.formatDate(new Date(), 'America/Chicago', 'HH:mm');
+  var localTimeStr = Utilities.formatDate(new Date(), schedule.timezone, 'HH:mm');
   var nowMinutes = timeToMinutes(localTimeStr);
   var WINDOW = 29;
 
@@ -2162,8 +2560,11 @@ function isTimeForPrompt(email, promptType) {
 
 /**
  * Send the appropriate prompt to a user based on type.
+ * @returns {object|null} sendDirectMessage result for the prompts DMed to the member
+ *   (CHECKIN, CHECKIN_FOLLOWUP, EOD, EOD_FOLLOWUP), null when nothing was sent to them
  */
 function dispatchPrompt(member, promptType, config, todayCheckIns, todayEods) {
+  var result = null;
   switch (promptType) {
     case 'CHECKIN':
       if (todayCheckIns && todayCheckIns.some(function (c) { return c.user_email === member.email; })) {
@@ -2171,8 +2572,8 @@ function dispatchPrompt(member, promptType, config, todayCheckIns, todayEods) {
       }
       var tasks = config.clickup_config && config.clickup_config.enabled ? getTasksForUser(member.email, 'today') : [];
       var dispCiCat = categorizeTasks(tasks, member.email, true);
-      var dispCiCards = buildCheckInCard(member.name || member.email.split('@')[0], dispCiCat.summary);
-      sendDirectMessage(member.email, '👋 Good morning! Click below to check in.', dispCiCards);
+      var dispCiCards = buildCheckInCard(member.name || member.email.split('@')[0], dispCiCat.summary, getOpenBlockers(member.email));
+      result = sendDirectMessage(member.email, '👋 Good morning! Click below to check in.', dispCiCards);
       logPromptSent(member.email, 'CHECKIN');
       // No AWAITING_CHECKIN state — button click handles it
       break;
@@ -2181,14 +2582,14 @@ function dispatchPrompt(member, promptType, config, todayCheckIns, todayEods) {
         var dispFollowTasks = config.clickup_config && config.clickup_config.enabled ? getTasksForUser(member.email, 'today') : [];
         var dispFollowCat = categorizeTasks(dispFollowTasks, member.email, true);
         var dispFollowCards = buildCheckInCard(member.name || member.email.split('@')[0], dispFollowCat.summary);
-        sendDirectMessage(member.email, '⏰ *Reminder:* Please check in.', dispFollowCards);
+        result = sendDirectMessage(member.email, '⏰ *Reminder:* Please check in.', dispFollowCards);
         logPromptSent(member.email, 'CHECKIN_FOLLOWUP');
       }
       break;
     case 'ESCALATION_CHECKIN':
       if (!todayCheckIns || !todayCheckIns.some(function (c) { return c.user_email === member.email; })) {
-        logMissedCheckIn(member.email, new Date(), 'CHECKIN');
-        escalateMissedCheckIn(member.email, member.name || member.email.split('@')[0]);
+        var missed = logMissedCheckIn(member.email, new Date(), 'CHECKIN');
+        escalateMissedCheckIn(member.email, member.name || member.email.split('@')[0], missed);
         logPromptSent(member.email, 'ESCALATION_CHECKIN');
       }
       break;
@@ -2213,7 +2614,7 @@ function dispatchPrompt(member, promptType, config, todayCheckIns, todayEods) {
         console.error('Error fetching workspace stats for ' + member.email + ':', wsErr.message);
       }
 
-      sendDirectMessage(member.email, dispEodText, dispEodCards);
+      result = sendDirectMessage(member.email, dispEodText, dispEodCards);
       logPromptSent(member.email, 'EOD');
       setUserState(member.email, 'AWAITING_EOD');
       clearEodRetryCount(member.email);
@@ -2223,7 +2624,7 @@ function dispatchPrompt(member, promptType, config, todayCheckIns, todayEods) {
         var dispEodFollowTasks = config.clickup_config && config.clickup_config.enabled ? getTasksForUser(member.email, 'today') : [];
         var dispEodFollowCat = categorizeTasks(dispEodFollowTasks, member.email);
         var dispEodFollowCards = buildStartEodCard('', '', dispEodFollowCat.summary);
-        sendDirectMessage(member.email, '⏰ *EOD Reminder:* Please submit your end-of-day report.', dispEodFollowCards);
+        result = sendDirectMessage(member.email, '⏰ *EOD Reminder:* Please submit your end-of-day report.', dispEodFollowCards);
         logPromptSent(member.email, 'EOD_FOLLOWUP');
         setUserState(member.email, 'AWAITING_EOD');
       }
@@ -2236,12 +2637,65 @@ function dispatchPrompt(member, promptType, config, todayCheckIns, todayEods) {
       }
       break;
   }
+  return result;
 }
 
 // ============================================
 // PREP COMMAND HANDLER
 // ============================================
 
+/**
+ * Handle "coaching off" / "coaching on" - per-member opt-out of the AI coaching note
+ */
+function handleCoachingCommand(email, turnOn) {
+  var props = PropertiesService.getScriptProperties();
+  var key = 'AI_COACHING_OPTOUT_' + email;
+  if (turnOn) {
+    props.deleteProperty(key);
+  } else {
+    props.setProperty(key, new Date().toISOString());
+  }
+
+  if (getConfig().settings.enable_ai_coaching !== true) {
+    return createChatResponse('👍 Saved. (Coaching notes are currently turned off for the whole team.)');
+  }
+  return createChatResponse(turnOn
+    ? '🧭 Coaching notes are back on — you\'ll get a short tip with your EOD confirmation.'
+    : '👍 Got it — no more coaching notes. Reply "coaching on" any time to get them back.');
+}
+
+/**
+ * Handle "ai usage" command - this month's AI calls and estimated cost (managers only)
+ */
+function handleAiUsageCommand(requesterEmail) {
+  if (!isBotManager(requesterEmail)) {
+    return createChatResponse('This command is only available to managers.');
+  }
+
+  var monthStart = _aiMonthStart();
+  var rows = [];
+  try {
+    rows = getAiUsageSummary(monthStart);
+  } catch (e) {
+    console.error('AI usage summary failed:', e.message);
+    return createChatResponse('⚠️ Could not load AI usage right now.');
+  }
+
+  var total = 0;
+  var lines = rows.map(function (r) {
+    var cost = parseFloat(r.cost_usd) || 0;
+    total += cost;
+    return '• ' + r.feature + ': ' + r.calls + ' calls, ' + (parseInt(r.total_tokens) || 0).toLocaleString() + ' tokens, $' + cost.toFixed(2);
+  });
+
+  var budget = getMonthlyAiBudget();
+  var message = '🤖 *AI usage this month* (' + getAiProviderName() + ')\n\n'
+    + (lines.length > 0 ? lines.join('\n') : 'No AI calls yet this month.') + '\n\n'
+    + '*Estimated total:* $' + total.toFixed(2)
+    + (budget ? ' of $' + budget.toFixed(2) + ' budget' + (total >= budget ? ' — ⛔ cap reached, AI features paused' : '') : ' (no monthly budget set)');
+  return createChatResponse(message);
+}
+
 /**
  * Handle /prep command - generate 1-on-1 prep report for a team member
  */
@@ -2249,14 +2703,7 @@ function handlePrepCommand(requesterEmail, targetName) {
   var config = getConfig();
 
   // Only allow managers to use this
-  var managerEmails = [config.settings.manager_email];
-  if (config.settings.escalation_emails) {
-    managerEmails = managerEmails.concat(
-      Array.isArray(config.settings.escalation_emails) ? config.settings.escalation_emails : [config.settings.escalation_emails]
-    );
-  }
-
-  if (managerEmails.indexOf(requesterEmail) === -1) {
+  if (!isBotManager(requesterEmail)) {
     return createChatResponse('This command is only available to managers.');
   }
 
@@ -2294,11 +2741,9 @@ function handlePrepCommand(requesterEmail, targetName) {
   var attendance = runBigQueryQuery(attendanceQuery);
   var att = attendance.length > 0 ? attendance[0] : {};
 
-  // Recent blockers
-  var blockerQuery = 'SELECT blockers, eod_date FROM `' + projectId + '.' + DATASET_ID + '.v_eod_reports` ' +
-    'WHERE user_email = "' + targetEmail + '" AND eod_date >= "' + startStr + '" AND blockers IS NOT NULL AND blockers != "" ' +
-    'ORDER BY eod_date DESC LIMIT 5';
-  var blockers = runBigQueryQuery(blockerQuery);
+  // Blocker records: still open (with age) and resolved in the window
+  var openBlockers = getOpenBlockers(targetEmail);
+  var resolvedBlockers = getResolvedBlockerRows(targetEmail, startStr);
 
   // Task stats
   var taskQuery = 'SELECT action_type, COUNT(*) as cnt FROM (' +
@@ -2358,12 +2803,20 @@ function handlePrepCommand(requesterEmail, targetName) {
   }
 
   // Blockers
-  if (blockers.length > 0) {
-    report += '\n*Recent Blockers:*\n';
-    blockers.forEach(function (b) {
-      report += '  ' + b.eod_date + ': ' + b.blockers + '\n';
+  if (openBlockers.length > 0) {
+    report += '\n*Open Blockers (' + openBlockers.length + '):*\n';
+    openBlockers.slice(0, 5).forEach(function (b) {
+      var handoff = describeBlockerHandoff(b);
+      report += '  "' + b.blocker_text + '" — ' + formatBlockerAge(b.age_days) +
+        (handoff ? ', ' + handoff : (b.blocked_by ? ', waiting on ' + b.blocked_by : '')) + '\n';
     });
   }
+  if (resolvedBlockers.length > 0) {
+    var totalDaysOpen = 0;
+    resolvedBlockers.forEach(function (b) { totalDaysOpen += parseInt(b.days_open) || 0; });
+    report += '*Resolved Blockers:* ' + resolvedBlockers.length + ', avg ' +
+      Math.round(totalDaysOpen / resolvedBlockers.length * 10) / 10 + ' days open\n';
+  }
 
   // EOD quality
   var avgWords = parseFloat(att.avg_eod_words);
@@ -2377,6 +2830,105 @@ function handlePrepCommand(requesterEmail, targetName) {
   return createChatResponse(report);
 }
 
+// ============================================
+// STATUS COMMAND HANDLER
+// ============================================
+
+/**
+ * Handle "status" — the user's own day at a glance:
+ * check-in + lateness, EOD, streak, task counts and today's schedule blocks.
+ */
+function handleStatusCommand(email, displayName, userState) {
+  var config = getConfig();
+  var schedule = getUserWorkSchedule(email);
+  var timezone = schedule.timezone;
+  var todayStr = getUserLocalDate(email);
+  var dayLabel = Utilities.formatDate(new Date(), timezone, 'EEEE, MMMM d');
+
+  var report = '📊 *Your Status — ' + dayLabel + '*\n\n';
+
+  // Schedule
+  var blockText = schedule.blocks.map(function (b) { return b.start + '–' + b.end; }).join(', ');
+  report += '🕘 *Schedule:* ' + blockText + ' (' + schedule.totalExpectedHours + 'h';
+  if (schedule.source === 'special_period') report += ', special hours';
+  if (timezone !== getReportingTimezone()) report += ', ' + timezone;
+  report += ')\n';
+
+  // Check-in
+  try {
+    var todayCheckIns = getTodayCheckIns(todayStr);
+    var userCheckIn = todayCheckIns.find(function (c) { return c.user_email === email; });
+    if (userCheckIn) {
+      var checkinTime = Utilities.formatDate(new Date(userCheckIn.checkin_timestamp), timezone, 'HH:mm');
+      var lateMin = getLateMinutesForUser(email, todayCheckIns);
+      report += lateMin > 0
+        ? '⏰ *Check-in:* ' + checkinTime + ' (' + lateMin + ' min late)\n'
+        : '✅ *Check-in:* ' + checkinTime + ' (on time)\n';
+    } else {
+      report += '⬜ *Check-in:* Not checked in yet\n';
+    }
+  } catch (e) {
+    console.error('status: check-in lookup failed:', e.message);
+    report += '⬜ *Check-in:* Unavailable\n';
+  }
+
+  // EOD
+  try {
+    var todayEods = getTodayEodReports(todayStr);
+    var userEod = todayEods.find(function (r) { return r.user_email === email; });
+    if (userEod) {
+      var eodTime = Utilities.formatDate(new Date(userEod.eod_timestamp), timezone, 'HH:mm');
+      var hours = parseFloat(userEod.hours_worked);
+      report += '✅ *EOD:* Submitted at ' + eodTime + (!isNaN(hours) ? ' (' + hours + 'h)' : '') + '\n';
+    } else if (userState === 'AWAITING_EOD') {
+      report += '📝 *EOD:* Waiting for your report — reply with your EOD summary\n';
+    } else {
+      report += '⬜ *EOD:* Not submitted yet\n';
+    }
+  } catch (e) {
+    console.error('status: EOD lookup failed:', e.message);
+    report += '⬜ *EOD:* Unavailable\n';
+  }
+
+  // Streak
+  try {
+    var streak = getUserStreak(email);
+    report += '🔥 *Streak:* ' + streak + ' day' + (streak === 1 ? '' : 's') + '\n';
+  } catch (e) {
+    console.error('status: streak lookup failed:', e.message);
+  }
+
+  // Tasks — only fetch inline if the user resolves quickly (avoids 30s timeout)
+  try {
+    if (config.clickup_config && config.clickup_config.enabled) {
+      var statusCache = CacheService.getScriptCache();
+      var statusUserMap = config.clickup_user_map || {};
+      var canResolve = !!(statusUserMap[email] || statusUserMap[email.toLowerCase()] || statusCache.get('clickup_workspace'));
+      if (canResolve) {
+        var cat = categorizeTasks(getTasksForUser(email, 'today'), email, true);
+        report += buildStatusTaskLine(cat.summary) + '\n';
+      } else {
+        scheduleBackgroundTaskFetch(email, 'status');
+        report += '📋 *Tasks:* Loading — counts will follow in a moment\n';
+      }
+    }
+  } catch (e) {
+    console.error('status: task counts failed:', e.message);
+    report += '📋 *Tasks:* Unavailable\n';
+  }
+
+  return createChatResponse(report.trim());
+}
+
+/**
+ * Format the task counts line for the status command.
+ */
+function buildStatusTaskLine(summary) {
+  return '📋 *Tasks:* ' + (summary.overdue || 0) + ' overdue, ' +
+    (summary.inProgress || 0) + ' in progress, ' +
+    (summary.dueToday || 0) + ' due today';
+}
+
 // ============================================
 // TEST HELPER (kept for development)
 // ============================================
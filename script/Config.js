@@ -58,9 +58,15 @@ function getConfig() {
     // Script Properties (sensitive)
     sage_hr_api_key: props.getProperty('SAGE_HR_API_KEY'),
     openai_api_key: props.getProperty('OPENAI_API_KEY'),
+    anthropic_api_key: props.getProperty('ANTHROPIC_API_KEY'),
+    azure_openai_api_key: props.getProperty('AZURE_OPENAI_API_KEY'),
+    ai_compatible_api_key: props.getProperty('AI_COMPATIBLE_API_KEY'),
+    slack_bot_token: props.getProperty('SLACK_BOT_TOKEN'),
+    slack_verification_token: props.getProperty('SLACK_VERIFICATION_TOKEN'),
     clickup_api_token: props.getProperty('CLICKUP_API_TOKEN'),
     bigquery_project_id: props.getProperty('BIGQUERY_PROJECT_ID'),
     odoo_api_key: props.getProperty('ODOO_API_KEY'),
+    webhook_secret: props.getProperty('WEBHOOK_SECRET'),
 
     // From settings tab
     settings: loadSettingsTab(ss),
@@ -68,6 +74,9 @@ function getConfig() {
     // From team_members tab
     team_members: loadTeamMembersTab(ss),
 
+    // From teams tab (per-department channels, managers and hours)
+    teams: loadTeamsTab(ss),
+
     // From work_hours tab
     work_hours: loadWorkHoursTab(ss),
 
@@ -90,7 +99,10 @@ function getConfig() {
     special_hours: loadSpecialHoursTab(ss),
 
     // From email_mapping tab (Sage HR → Google email)
-    email_mapping: loadEmailMappingTab(ss)
+    email_mapping: loadEmailMappingTab(ss),
+
+    // From webhooks tab (outbound event subscriptions)
+    webhooks: loadWebhooksTab(ss)
   };
 
   // Cache it (CacheService, not in-memory)
@@ -165,11 +177,13 @@ function loadTeamMembersTab(ss) {
         active: data[i][4] !== false && data[i][4] !== 'FALSE',
         custom_start_time: data[i][5] || null,
         custom_end_time: data[i][6] || null,
-        timezone: data[i][7] || 'America/Chicago',
+        timezone: data[i][7] || null,
         task_source: data[i][8] || 'clickup',
         tracking_mode: data[i][9] || 'tracked',
         custom_block2_start: data[i][10] || null,
-        custom_block2_end: data[i][11] || null
+        custom_block2_end: data[i][11] || null,
+        ai_coaching: data[i][12] !== false && data[i][12] !== 'FALSE',
+        chat_platform: String(data[i][13] || 'google_chat').toLowerCase().trim()
       });
     }
   }
@@ -177,6 +191,68 @@ function loadTeamMembersTab(ss) {
   return members;
 }
 
+/**
+ * Load teams tab (optional — without it the bot runs as a single team)
+ * Columns: department, team_name, manager_email, summary_space_id, escalation_recipients,
+ *          eod_forward_recipients, default_start, default_end, friday_start, friday_end, active
+ */
+function loadTeamsTab(ss) {
+  const sheet = ss.getSheetByName('teams');
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const teams = [];
+  const toList = (value) => value ? String(value).split(',').map(v => v.trim()).filter(v => v) : null;
+
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0]) { // Has department
+      teams.push({
+        department: String(data[i][0]).trim(),
+        name: data[i][1] || String(data[i][0]).trim(),
+        manager_email: data[i][2] || null,
+        summary_space_id: data[i][3] || null,
+        escalation_recipients: toList(data[i][4]),
+        eod_forward_recipients: toList(data[i][5]),
+        default_start: data[i][6] || null,
+        default_end: data[i][7] || null,
+        friday_start: data[i][8] || null,
+        friday_end: data[i][9] || null,
+        active: data[i][10] !== false && data[i][10] !== 'FALSE'
+      });
+    }
+  }
+
+  return teams;
+}
+
+/**
+ * Load webhooks tab (optional)
+ * Columns: url, events (comma-separated, blank or * = all), secret, active, description
+ */
+function loadWebhooksTab(ss) {
+  const sheet = ss.getSheetByName('webhooks');
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+  const webhooks = [];
+
+  // Skip header row
+  for (let i = 1; i < data.length; i++) {
+    const url = String(data[i][0] || '').trim();
+    if (!url) continue;
+    webhooks.push({
+      url: url,
+      events: String(data[i][1] || '').split(',').map(e => e.trim().toLowerCase()).filter(e => e),
+      secret: data[i][2] ? String(data[i][2]).trim() : null,
+      active: data[i][3] !== false && data[i][3] !== 'FALSE',
+      description: data[i][4] || ''
+    });
+  }
+
+  return webhooks;
+}
+
 /**
  * Load work hours tab
  */
@@ -414,17 +490,19 @@ function getTasksForUser(email, period) {
 /**
  * Check if today is a holiday and return the holiday object (or null)
  */
-function getHolidayInfo(date = new Date()) {
+function getHolidayInfo(date = new Date(), timezone) {
   const config = getConfig();
-  const dateStr = Utilities.formatDate(date, config.work_hours.timezone || 'America/Chicago', 'yyyy-MM-dd');
+  const reportingTz = getReportingTimezone();
+  const dateStr = Utilities.formatDate(date, timezone || reportingTz, 'yyyy-MM-dd');
 
   for (var i = 0; i < config.holidays.length; i++) {
     var h = config.holidays[i];
     var holidayDate;
+    // Sheet dates are midnight in the sheet's (reporting) timezone
     if (h.date instanceof Date) {
-      holidayDate = Utilities.formatDate(h.date, 'America/Chicago', 'yyyy-MM-dd');
+      holidayDate = Utilities.formatDate(h.date, reportingTz, 'yyyy-MM-dd');
     } else if (typeof h.date === 'string' && h.date.indexOf('T') > -1) {
-      holidayDate = Utilities.formatDate(new Date(h.date), 'America/Chicago', 'yyyy-MM-dd');
+      holidayDate = Utilities.formatDate(new Date(h.date), reportingTz, 'yyyy-MM-dd');
     } else {
       holidayDate = String(h.date).substring(0, 10);
     }
@@ -436,16 +514,16 @@ function getHolidayInfo(date = new Date()) {
 /**
  * Check if today is a holiday (any type)
  */
-function isHoliday(date = new Date()) {
-  return getHolidayInfo(date) !== null;
+function isHoliday(date = new Date(), timezone) {
+  return getHolidayInfo(date, timezone) !== null;
 }
 
 /**
  * Check if today is a full-day off (type=full or no type specified)
  * half_pm and half_am holidays are NOT full days off
  */
-function isFullDayOff(date = new Date()) {
-  var holiday = getHolidayInfo(date);
+function isFullDayOff(date = new Date(), timezone) {
+  var holiday = getHolidayInfo(date, timezone);
   if (!holiday) return false;
   return !holiday.type || holiday.type === 'full';
 }
@@ -453,20 +531,21 @@ function isFullDayOff(date = new Date()) {
 /**
  * Check if today is a half_pm holiday (morning triggers run, EOD triggers skip)
  */
-function isHalfPmHoliday(date = new Date()) {
-  var holiday = getHolidayInfo(date);
+function isHalfPmHoliday(date = new Date(), timezone) {
+  var holiday = getHolidayInfo(date, timezone);
   return holiday && holiday.type === 'half_pm';
 }
 
 /**
  * Check if today is a workday (at least partial)
+ * @param {string} timezone - Member timezone (defaults to the reporting calendar)
  */
-function isWorkday(date = new Date()) {
-  const day = date.getDay();
+function isWorkday(date = new Date(), timezone) {
+  const day = getLocalDayOfWeek(date, timezone || getReportingTimezone());
   // Sunday = 0, Saturday = 6
   if (day === 0 || day === 6) return false;
   // Full day off = not a workday. Half-day holidays ARE workdays.
-  if (isFullDayOff(date)) return false;
+  if (isFullDayOff(date, timezone)) return false;
   return true;
 }
 
@@ -474,9 +553,9 @@ function isWorkday(date = new Date()) {
  * Check if afternoon/EOD triggers should run today
  * Returns false on half_pm holidays (morning only) and full holidays
  */
-function isEodWorkday(date = new Date()) {
-  if (!isWorkday(date)) return false;
-  if (isHalfPmHoliday(date)) return false;
+function isEodWorkday(date = new Date(), timezone) {
+  if (!isWorkday(date, timezone)) return false;
+  if (isHalfPmHoliday(date, timezone)) return false;
   return true;
 }
 
@@ -604,6 +683,81 @@ function getReportRecipients(reportType) {
   }
 }
 
+/**
+ * Whether a member gets the AI coaching note with their EOD confirmation:
+ * enable_ai_coaching is on, and they haven't opted out (team_members ai_coaching
+ * column set to FALSE, or "coaching off" in a DM)
+ */
+function isAiCoachingEnabled(email) {
+  const config = getConfig();
+  if (config.settings.enable_ai_coaching !== true) return false;
+  const member = config.team_members.find(m => m.email === email);
+  if (member && member.ai_coaching === false) return false;
+  return !PropertiesService.getScriptProperties().getProperty('AI_COACHING_OPTOUT_' + email);
+}
+
+/**
+ * Whether an email may use manager-only commands (manager_email or escalation_emails)
+ */
+function isBotManager(email) {
+  const config = getConfig();
+  var managerEmails = [config.settings.manager_email];
+  if (config.settings.escalation_emails) {
+    managerEmails = managerEmails.concat(
+      Array.isArray(config.settings.escalation_emails) ? config.settings.escalation_emails : [config.settings.escalation_emails]
+    );
+  }
+  return managerEmails.indexOf(email) !== -1;
+}
+
+/**
+ * Get the managers to notify about a specific member:
+ * their line manager, else their team's escalation recipients, else the global list
+ */
+function getMemberManagerRecipients(email) {
+  var lineManager = getLineManagerEmail(email);
+  var recipients = lineManager ? [lineManager] : [].concat(getTeamReportRecipients(getTeamForMember(email), 'escalation'));
+  return recipients.filter(function (r, i) { return r && r !== email && recipients.indexOf(r) === i; });
+}
+
+/**
+ * Get who receives a member's real-time EOD forward:
+ * their line manager, else their team's EOD forward list, else the global list
+ */
+function getMemberEodForwardRecipients(email) {
+  var lineManager = getLineManagerEmail(email);
+  var recipients = lineManager ? [lineManager] : [].concat(getTeamReportRecipients(getTeamForMember(email), 'eod_forward'));
+  return recipients.filter(function (r, i) { return r && r !== email && recipients.indexOf(r) === i; });
+}
+
+/**
+ * Get a person's line manager: team_members Manager Email, else Sage HR reports_to
+ */
+function getLineManagerEmail(email) {
+  if (!email) return null;
+  const config = getConfig();
+  const member = config.team_members.find(m => m.email && m.email.toLowerCase() === email.toLowerCase());
+  if (member && member.manager_email) return member.manager_email;
+
+  try {
+    return getSageHRManagerMap()[email.toLowerCase()] || null;
+  } catch (e) {
+    console.error('Sage HR manager lookup failed for ' + email + ':', e.message);
+    return null;
+  }
+}
+
+/**
+ * Get a member's skip-level manager (their line manager's manager), or null
+ */
+function getSkipLevelManagerEmail(email) {
+  var lineManager = getLineManagerEmail(email);
+  if (!lineManager) return null;
+  var skipLevel = getLineManagerEmail(lineManager);
+  if (!skipLevel || skipLevel === email || skipLevel === lineManager) return null;
+  return skipLevel;
+}
+
 /**
  * Load special hours tab (Ramadan, Q4 crunch, etc.)
  * Columns: period_name, start_date, end_date, mt_start, mt_end, fri_start, fri_end
@@ -640,26 +794,27 @@ function loadSpecialHoursTab(ss) {
  * Get active special period for a given date (e.g. Ramadan)
  * Returns the period object if today falls within it, null otherwise
  */
-function getActiveSpecialPeriod(date) {
+function getActiveSpecialPeriod(date, timezone) {
   var config = getConfig();
   if (!config.special_hours || config.special_hours.length === 0) return null;
 
-  var dateStr = Utilities.formatDate(date || new Date(), 'America/Chicago', 'yyyy-MM-dd');
+  var reportingTz = getReportingTimezone();
+  var dateStr = Utilities.formatDate(date || new Date(), timezone || reportingTz, 'yyyy-MM-dd');
 
   for (var i = 0; i < config.special_hours.length; i++) {
     var period = config.special_hours[i];
     var startStr, endStr;
     if (period.start_date instanceof Date) {
-      startStr = Utilities.formatDate(period.start_date, 'America/Chicago', 'yyyy-MM-dd');
+      startStr = Utilities.formatDate(period.start_date, reportingTz, 'yyyy-MM-dd');
     } else if (typeof period.start_date === 'string' && period.start_date.indexOf('T') > -1) {
-      startStr = Utilities.formatDate(new Date(period.start_date), 'America/Chicago', 'yyyy-MM-dd');
+      startStr = Utilities.formatDate(new Date(period.start_date), reportingTz, 'yyyy-MM-dd');
     } else {
       startStr = String(period.start_date).substring(0, 10);
     }
     if (period.end_date instanceof Date) {
-      endStr = Utilities.formatDate(period.end_date, 'America/Chicago', 'yyyy-MM-dd');
+      endStr = Utilities.formatDate(period.end_date, reportingTz, 'yyyy-MM-dd');
     } else if (typeof period.end_date === 'string' && period.end_date.indexOf('T') > -1) {
-      endStr = Utilities.formatDate(new Date(period.end_date), 'America/Chicago', 'yyyy-MM-dd');
+      endStr = Utilities.formatDate(new Date(period.end_date), reportingTz, 'yyyy-MM-dd');
     } else {
       endStr = String(period.end_date).substring(0, 10);
     }
@@ -727,8 +882,9 @@ function getLateThresholdMin() {
 function getUserWorkSchedule(email) {
   var config = getConfig();
   var member = config.team_members.find(function (m) { return m.email === email; });
+  var timezone = getUserTimezone(email);
   var today = new Date();
-  var isFriday = today.getDay() === 5;
+  var isFriday = getLocalDayOfWeek(today, timezone) === 5;
 
   var formatTime = function (val, defaultVal) {
     if (!val) return defaultVal;
@@ -762,11 +918,11 @@ function getUserWorkSchedule(email) {
         end: formatTime(member.custom_block2_end, '23:00')
       });
     }
-    return { blocks: blocks, totalExpectedHours: computeTotalHours(blocks), source: 'custom' };
+    return { blocks: blocks, totalExpectedHours: computeTotalHours(blocks), source: 'custom', timezone: timezone };
   }
 
   // Priority 2: Active special period (global, e.g. Ramadan)
-  var specialPeriod = getActiveSpecialPeriod(today);
+  var specialPeriod = getActiveSpecialPeriod(today, timezone);
   if (specialPeriod) {
     var blocks = [];
     if (isFriday) {
@@ -792,22 +948,32 @@ function getUserWorkSchedule(email) {
         });
       }
     }
-    return { blocks: blocks, totalExpectedHours: computeTotalHours(blocks), source: 'special_period' };
+    return { blocks: blocks, totalExpectedHours: computeTotalHours(blocks), source: 'special_period', timezone: timezone };
   }
 
-  // Priority 3: Default global work hours
+  // Priority 3: Team work hours (teams tab)
+  var team = getTeamForMember(email);
+  if (teamHasOwnSchedule(team)) {
+    var teamBlocks = [{
+      start: formatTime(isFriday ? team.friday_start || config.work_hours.friday_start : team.default_start || config.work_hours.default_start, isFriday ? '07:00' : '08:00'),
+      end: formatTime(isFriday ? team.friday_end || config.work_hours.friday_end : team.default_end || config.work_hours.default_end, isFriday ? '11:00' : '17:00')
+    }];
+    return { blocks: teamBlocks, totalExpectedHours: computeTotalHours(teamBlocks), source: 'team', timezone: timezone };
+  }
+
+  // Priority 4: Default global work hours
   if (isFriday) {
     var friBlocks = [{
       start: formatTime(config.work_hours.friday_start, '07:00'),
       end: formatTime(config.work_hours.friday_end, '11:00')
     }];
-    return { blocks: friBlocks, totalExpectedHours: parseFloat(config.work_hours.friday_hours_per_day) || computeTotalHours(friBlocks), source: 'default' };
+    return { blocks: friBlocks, totalExpectedHours: parseFloat(config.work_hours.friday_hours_per_day) || computeTotalHours(friBlocks), source: 'default', timezone: timezone };
   }
   var defaultBlocks = [{
     start: formatTime(config.work_hours.default_start, '08:00'),
     end: formatTime(config.work_hours.default_end, '17:00')
   }];
-  return { blocks: defaultBlocks, totalExpectedHours: parseFloat(config.work_hours.default_hours_per_day) || computeTotalHours(defaultBlocks), source: 'default' };
+  return { blocks: defaultBlocks, totalExpectedHours: parseFloat(config.work_hours.default_hours_per_day) || computeTotalHours(defaultBlocks), source: 'default', timezone: timezone };
 }
 
 /**
@@ -853,3 +1019,163 @@ function hasActiveSplitSpecialPeriod() {
   var specialPeriod = getActiveSpecialPeriod(new Date());
   return !!specialPeriod;
 }
+
+// ============================================
+// TIMEZONES
+// ============================================
+// Schedules, late detection and "today" for a member are computed in the
+// member's own timezone (team_members.timezone). Team summaries, BigQuery
+// reporting queries and the fixed daily triggers stay on the reporting
+// timezone (work_hours.timezone, default America/Chicago).
+
+/**
+ * Get the reporting timezone used for team-wide summaries.
+ */
+function getReportingTimezone() {
+  var config = getConfig();
+  return (config.work_hours && config.work_hours.timezone) || 'America/Chicago';
+}
+
+/**
+ * Get a member's timezone, falling back to the reporting timezone.
+ */
+function getUserTimezone(email) {
+  var config = getConfig();
+  var member = email ? config.team_members.find(function (m) { return m.email === email; }) : null;
+  return (member && member.timezone) || getReportingTimezone();
+}
+
+/**
+ * Get the member's local date (yyyy-MM-dd) for a moment in time.
+ */
+function getUserLocalDate(email, date) {
+  return Utilities.formatDate(date || new Date(), getUserTimezone(email), 'yyyy-MM-dd');
+}
+
+/**
+ * Get the member's local time of day in minutes since midnight.
+ */
+function getUserLocalMinutes(email, date) {
+  return timeToMinutes(Utilities.formatDate(date || new Date(), getUserTimezone(email), 'HH:mm'));
+}
+
+/**
+ * Day of week (0 = Sunday) for a moment in the given timezone.
+ */
+function getLocalDayOfWeek(date, timezone) {
+  // 'u' is ISO day number: 1 = Monday ... 7 = Sunday
+  return parseInt(Utilities.formatDate(date || new Date(), timezone, 'u'), 10) % 7;
+}
+
+/**
+ * UTC offset of a timezone in minutes (e.g. -300 for CDT, +300 for PKT).
+ */
+function getTimezoneOffsetMinutes(timezone, date) {
+  var z = Utilities.formatDate(date || new Date(), timezone, 'Z');
+  var sign = z.charAt(0) === '-' ? -1 : 1;
+  return sign * (parseInt(z.substr(1, 2), 10) * 60 + parseInt(z.substr(3, 2), 10));
+}
+
+/**
+ * Start of the local day (00:00) in the given timezone, as a Date.
+ */
+function getStartOfLocalDay(date, timezone) {
+  var dayStr = Utilities.formatDate(date || new Date(), timezone, 'yyyy-MM-dd');
+  var utcMidnight = new Date(dayStr + 'T00:00:00Z').getTime();
+  return new Date(utcMidnight - getTimezoneOffsetMinutes(timezone, new Date(utcMidnight)) * 60000);
+}
+
+/**
+ * Convert minutes-of-day in one timezone to minutes-of-day in another (today's offsets).
+ */
+function convertLocalMinutes(minutes, fromTz, toTz) {
+  if (fromTz === toTz) return minutes;
+  var now = new Date();
+  return minutes - getTimezoneOffsetMinutes(fromTz, now) + getTimezoneOffsetMinutes(toTz, now);
+}
+
+/**
+ * Whether the 5-min dispatcher (rather than the fixed daily triggers) sends
+ * this member's prompts: custom schedules and members outside the reporting timezone.
+ */
+function isDispatcherManaged(member) {
+  if (!member) return false;
+  if (member.custom_start_time) return true;
+  if (teamHasOwnSchedule(getTeamForMember(member.email))) return true;
+  return !!member.timezone && member.timezone !== getReportingTimezone();
+}
+
+// ============================================
+// TEAMS
+// ============================================
+// The teams tab maps a team_members department to its own summary channel,
+// managers and hours. Members whose department has no teams row (or every
+// member, when the tab is missing) use the global settings.
+
+/**
+ * Get active teams from the teams tab
+ */
+function getTeams() {
+  var config = getConfig();
+  return (config.teams || []).filter(function (t) { return t.active; });
+}
+
+/**
+ * Get the team for a member (by department), or null
+ */
+function getTeamForMember(email) {
+  var config = getConfig();
+  var member = config.team_members.find(function (m) { return m.email === email; });
+  if (!member || !member.department) return null;
+  var department = String(member.department).trim().toLowerCase();
+  return getTeams().find(function (t) { return t.department.toLowerCase() === department; }) || null;
+}
+
+/**
+ * Whether a member belongs to a team (null team = members without a configured team)
+ */
+function isMemberInTeam(email, team) {
+  var memberTeam = getTeamForMember(email);
+  if (!team) return !memberTeam;
+  return !!memberTeam && memberTeam.department === team.department;
+}
+
+/**
+ * Split members into per-team groups: [{ team, members }]
+ * Members without a configured team land in a group with team = null.
+ * Without a teams tab this is a single group, so callers behave as before.
+ */
+function groupMembersByTeam(members) {
+  var groups = getTeams().map(function (t) { return { team: t, members: [] }; });
+  var unassigned = { team: null, members: [] };
+
+  members.forEach(function (m) {
+    var team = getTeamForMember(m.email);
+    var group = team ? groups.find(function (g) { return g.team.department === team.department; }) : null;
+    (group || unassigned).members.push(m);
+  });
+
+  var result = groups.filter(function (g) { return g.members.length > 0; });
+  if (unassigned.members.length > 0 || result.length === 0) result.push(unassigned);
+  return result;
+}
+
+/**
+ * Get recipients for a report type, scoped to a team
+ * Falls back to the team manager, then to the global getReportRecipients()
+ */
+function getTeamReportRecipients(team, reportType) {
+  if (team) {
+    if (reportType === 'escalation' && team.escalation_recipients) return team.escalation_recipients;
+    if (reportType === 'eod_forward' && team.eod_forward_recipients) return team.eod_forward_recipients;
+    if ((reportType === 'escalation' || reportType === 'eod_forward') && team.manager_email) return [team.manager_email];
+  }
+  return getReportRecipients(reportType);
+}
+
+/**
+ * Whether a team overrides the global work_hours tab
+ */
+function teamHasOwnSchedule(team) {
+  return !!team && !!(team.default_start || team.default_end || team.friday_start || team.friday_end);
+}
@@ -5,24 +5,39 @@
 
 /**
  * Send escalation for missed check-in
+ * Employee gets the alert with excuse buttons (when the missed_checkins row is known)
+ * Managers get plain text notification
+ * @param {object} missed - Row returned by logMissedCheckIn (optional)
  */
-function escalateMissedCheckIn(memberEmail, memberName) {
-  const config = getConfig();
-  const recipients = getReportRecipients('escalation');
+function escalateMissedCheckIn(memberEmail, memberName, missed) {
+  // Self-declared OOO (ooo today) — nothing to escalate
+  if (isDeclaredAbsent(memberEmail, 'CHECKIN')) return;
 
-  // Send individual DMs to employee and managers (BUG #5 fix)
-  const allRecipients = [memberEmail, ...recipients.filter(r => r !== memberEmail)];
+  const config = getConfig();
+  // Line manager (team_members or Sage HR), else team escalation list, else global list
+  const recipients = getMemberManagerRecipients(memberEmail);
 
   const message = getMissedCheckInEscalation(memberEmail, memberName);
 
-  sendEscalationToRecipients(allRecipients, message);
+  // Send individual DMs to employee and managers (BUG #5 fix)
+  if (missed && missed.missed_id) {
+    try {
+      sendDirectMessage(memberEmail, message, buildMissedCheckInExcuseCard(missed.missed_id, missed.missed_date));
+    } catch (err) {
+      console.error('Error sending excuse card to ' + memberEmail + ':', err.message);
+    }
+    sendEscalationToRecipients(recipients.filter(r => r !== memberEmail), message);
+  } else {
+    sendEscalationToRecipients([memberEmail, ...recipients.filter(r => r !== memberEmail)], message);
+  }
+  const loggedRecipients = _sendSkipLevelCc(memberEmail, 'MISSED_CHECKIN', message, null, recipients);
 
   // Log escalation
-  insertIntoBigQuery('escalations', [{
+  logEscalations([{
     escalation_id: Utilities.getUuid(),
     escalation_type: 'MISSED_CHECKIN',
     user_email: memberEmail,
-    recipients: JSON.stringify(recipients),
+    recipients: JSON.stringify(loggedRecipients),
     created_at: new Date().toISOString()
   }]);
 
@@ -35,8 +50,12 @@ function escalateMissedCheckIn(memberEmail, memberName) {
  * Managers get plain text notification
  */
 function escalateMissedEod(memberEmail, memberName) {
+  // Self-declared OOO or half day — no EOD expected
+  if (isDeclaredAbsent(memberEmail, 'EOD')) return;
+
   const config = getConfig();
-  const recipients = getReportRecipients('escalation');
+  // Line manager (team_members or Sage HR), else team escalation list, else global list
+  const recipients = getMemberManagerRecipients(memberEmail);
 
   // 1. Send Start EOD button card to the EMPLOYEE
   try {
@@ -66,13 +85,14 @@ function escalateMissedEod(memberEmail, memberName) {
   if (managerRecipients.length > 0) {
     sendEscalationToRecipients(managerRecipients, getMissedEodEscalation(memberEmail, memberName));
   }
+  var loggedRecipients = _sendSkipLevelCc(memberEmail, 'MISSED_EOD', getMissedEodEscalation(memberEmail, memberName), null, recipients);
 
   // 3. Log escalation
-  insertIntoBigQuery('escalations', [{
+  logEscalations([{
     escalation_id: Utilities.getUuid(),
     escalation_type: 'MISSED_EOD',
     user_email: memberEmail,
-    recipients: JSON.stringify(recipients),
+    recipients: JSON.stringify(loggedRecipients),
     created_at: new Date().toISOString()
   }]);
 
@@ -84,7 +104,8 @@ function escalateMissedEod(memberEmail, memberName) {
  */
 function escalateOverdueTask(taskId, taskName, assigneeEmail, daysOverdue) {
   const config = getConfig();
-  const recipients = getReportRecipients('escalation');
+  // Assignee's line manager, else team escalation list, else global list
+  const recipients = getMemberManagerRecipients(assigneeEmail);
 
   const task = getTaskById(taskId);
   const taskUrl = task ? task.url : '';
@@ -100,15 +121,16 @@ function escalateOverdueTask(taskId, taskName, assigneeEmail, daysOverdue) {
   recipients.forEach(recipient => {
     sendDirectMessage(recipient, message);
   });
+  const loggedRecipients = _sendSkipLevelCc(assigneeEmail, 'OVERDUE_TASK', message, taskId, recipients);
 
-  insertIntoBigQuery('escalations', [{
+  logEscalations([{
     escalation_id: Utilities.getUuid(),
     escalation_type: 'OVERDUE_TASK',
     user_email: assigneeEmail,
     task_id: taskId,
     task_name: taskName,
     days_overdue: daysOverdue,
-    recipients: JSON.stringify(recipients),
+    recipients: JSON.stringify(loggedRecipients),
     created_at: new Date().toISOString()
   }]);
 
@@ -119,6 +141,58 @@ function escalateOverdueTask(taskId, taskName, assigneeEmail, daysOverdue) {
   });
 }
 
+/**
+ * Log escalation rows and publish each as an escalation.sent webhook event
+ */
+function logEscalations(rows) {
+  insertIntoBigQuery('escalations', rows);
+  rows.forEach(function (row) {
+    var recipients = [];
+    try { recipients = JSON.parse(row.recipients || '[]'); } catch (e) { }
+    emitBotEvent('escalation.sent', {
+      escalation_id: row.escalation_id,
+      escalation_type: row.escalation_type,
+      user_email: row.user_email,
+      task_id: row.task_id || null,
+      task_name: row.task_name || null,
+      days_overdue: row.days_overdue !== undefined ? row.days_overdue : null,
+      blocker_id: row.blocker_id || null,
+      blocker_text: row.blocker_text || null,
+      blocker_age_days: row.blocker_age_days !== undefined ? row.blocker_age_days : null,
+      recipients: recipients,
+      created_at: row.created_at
+    });
+  });
+}
+
+/**
+ * CC the skip-level manager once a member has been escalated N times for the same thing
+ * Settings: skip_level_cc_after (N, blank/0 = off), skip_level_window_days (default 14)
+ * @param {string} taskId - Only count escalations for this task (OVERDUE_TASK)
+ * @returns {string[]} recipients plus the skip-level manager if CC'd
+ */
+function _sendSkipLevelCc(memberEmail, escalationType, message, taskId, recipients) {
+  const config = getConfig();
+  const ccAfter = parseInt(config.settings.skip_level_cc_after) || 0;
+  if (ccAfter <= 0) return recipients;
+
+  try {
+    const skipLevel = getSkipLevelManagerEmail(memberEmail);
+    if (!skipLevel || recipients.indexOf(skipLevel) !== -1) return recipients;
+
+    const windowDays = parseInt(config.settings.skip_level_window_days) || 14;
+    // This escalation hasn't been logged yet
+    const count = countRecentEscalations(memberEmail, escalationType, windowDays, taskId) + 1;
+    if (count < ccAfter) return recipients;
+
+    sendDirectMessage(skipLevel, `👀 *Skip-level CC* — escalation #${count} in the last ${windowDays} days\n\n` + message);
+    return recipients.concat([skipLevel]);
+  } catch (e) {
+    console.error('Skip-level CC failed for ' + memberEmail + ':', e.message);
+    return recipients;
+  }
+}
+
 /**
  * Check and send morning escalations
  */
@@ -134,19 +208,22 @@ function checkMorningEscalations() {
     var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
     if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
 
-    // Skip users handled by the dispatcher (custom schedules / special periods)
+    // Skip users handled by the dispatcher (custom schedules, other timezones, special periods)
     if (hasActiveSplitSpecialPeriod(new Date())) return false;
-    if (fullMember && fullMember.custom_start_time) return false;
+    if (fullMember && isDispatcherManaged(fullMember)) return false;
+
+    // Skip self-declared absences (ooo / half day)
+    if (isDeclaredAbsent(m.email, 'CHECKIN')) return false;
 
     return true;
   });
 
   for (const member of missing) {
     // Log missed check-in
-    logMissedCheckIn(member.email, new Date(), 'CHECKIN');
+    const missed = logMissedCheckIn(member.email, new Date(), 'CHECKIN');
 
     // Send escalation
-    escalateMissedCheckIn(member.email, member.name);
+    escalateMissedCheckIn(member.email, member.name, missed);
   }
 
   // Also check for chronic overdue
@@ -179,9 +256,12 @@ function checkEodEscalations() {
     var fullMember = config.team_members.find(function (tm) { return tm.email === m.email; });
     if (fullMember && fullMember.tracking_mode === 'not_tracked') return false;
 
-    // Skip users handled by the dispatcher (custom schedules / special periods)
+    // Skip users handled by the dispatcher (custom schedules, other timezones, special periods)
     if (hasActiveSplitSpecialPeriod(new Date())) return false;
-    if (fullMember && fullMember.custom_start_time) return false;
+    if (fullMember && isDispatcherManaged(fullMember)) return false;
+
+    // Skip self-declared absences (ooo / half day)
+    if (isDeclaredAbsent(m.email, 'EOD')) return false;
 
     return true;
   });
@@ -242,79 +322,258 @@ function checkCapacityWarnings() {
 }
 
 /**
- * Check for persistent blockers (same blocker 2+ consecutive days)
- * Called as part of morning escalations
+ * Check for persistent blockers (open blocker records aged blocker_escalation_days+)
+ * Called as part of morning escalations. Each blocker is re-alerted at most weekly.
+ * Blockers whose blocked-by teammate never answered the handoff card are listed first.
  */
 function checkPersistentBlockers() {
-  var projectId = getProjectId();
-  var today = new Date();
   var config = getConfig();
   var blockerDays = parseInt(config.settings.blocker_escalation_days) || 2;
-  var lookback = new Date(today);
-  lookback.setDate(today.getDate() - (blockerDays + 1));
-  var startStr = Utilities.formatDate(lookback, 'America/Chicago', 'yyyy-MM-dd');
-
-  var query = 'SELECT user_email, blockers, eod_date ' +
-    'FROM `' + projectId + '.' + DATASET_ID + '.v_eod_reports` ' +
-    'WHERE eod_date >= "' + startStr + '" AND blockers IS NOT NULL AND blockers != "" ' +
-    'ORDER BY user_email, eod_date';
-
-  var results = runBigQueryQuery(query);
-
-  // Group by user
-  var userBlockers = {};
-  results.forEach(function (r) {
-    if (!userBlockers[r.user_email]) userBlockers[r.user_email] = [];
-    userBlockers[r.user_email].push({ date: r.eod_date, blocker: r.blockers });
-  });
+  var openBlockers = getOpenBlockersByUser();
 
   var teamMembers = getCachedWorkingEmployees();
   var nameMap = {};
   teamMembers.forEach(function (m) { nameMap[m.email] = m.name || m.email.split('@')[0]; });
 
-  // Check for consecutive days with blockers
-  Object.keys(userBlockers).forEach(function (email) {
-    var entries = userBlockers[email];
-    if (entries.length >= blockerDays) {
-      // Verify dates are actually consecutive (not just N days in the window)
-      var sortedDates = entries.map(function (e) { return e.date; }).sort();
-      var consecutive = 1;
-      var maxConsecutive = 1;
-      for (var i = 1; i < sortedDates.length; i++) {
-        var prev = new Date(sortedDates[i - 1]);
-        var curr = new Date(sortedDates[i]);
-        var diffDays = Math.round((curr - prev) / (1000 * 60 * 60 * 24));
-        // Allow weekend gaps (Fri→Mon = 3 days)
-        if (diffDays === 1 || (diffDays <= 3 && prev.getDay() === 5)) {
-          consecutive++;
-          maxConsecutive = Math.max(maxConsecutive, consecutive);
-        } else {
-          consecutive = 1;
-        }
-      }
-
-      if (maxConsecutive < blockerDays) return; // Not actually consecutive
+  // One lookup for every blocker alerted on in the last week
+  var alreadyEscalated = Object.keys(openBlockers).length > 0 ? getRecentlyEscalatedBlockerIds(7) : {};
 
-      var name = nameMap[email] || email;
-      var blockerTexts = entries.map(function (e) { return e.date + ': ' + e.blocker; }).join('\n');
-
-      var message = '🔴 *Persistent Blocker Alert*\n\n' +
-        name + ' has reported blockers for ' + maxConsecutive + ' consecutive days:\n\n' +
-        blockerTexts + '\n\n' +
-        'This may need manager intervention.';
+  Object.keys(openBlockers).forEach(function (email) {
+    var aged = openBlockers[email].filter(function (b) {
+      return b.age_days >= blockerDays && !alreadyEscalated[b.blocker_id];
+    });
+    if (aged.length === 0) return;
+
+    var name = nameMap[email] || email;
+    var unacknowledged = aged.filter(isBlockerUnacknowledged);
+    var others = aged.filter(function (b) { return !isBlockerUnacknowledged(b); });
+    var formatLine = function (b) {
+      var handoff = describeBlockerHandoff(b);
+      return '• "' + b.blocker_text + '" — ' + formatBlockerAge(b.age_days) +
+        (handoff ? ', ' + handoff : (b.blocked_by ? ', waiting on ' + b.blocked_by : ''));
+    };
+
+    var message = '🔴 *Persistent Blocker Alert*\n\n' +
+      name + ' has ' + aged.length + ' blocker' + (aged.length === 1 ? '' : 's') + ' open for ' + blockerDays + '+ days:\n\n';
+    if (unacknowledged.length > 0) {
+      message += '⚠️ *Unacknowledged:*\n' + unacknowledged.map(formatLine).join('\n') + '\n\n';
+    }
+    if (others.length > 0) {
+      message += (unacknowledged.length > 0 ? '*Other:*\n' : '') + others.map(formatLine).join('\n') + '\n\n';
+    }
+    message += 'This may need manager intervention.';
 
-      var blockerRecipients = getReportRecipients('escalation');
-      blockerRecipients.forEach(function (recipient) {
-        sendDirectMessage(recipient, message);
-      });
+    var blockerRecipients = getMemberManagerRecipients(email);
+    sendEscalationToRecipients(blockerRecipients, message);
 
-      insertIntoBigQuery('escalations', [{
+    logEscalations(aged.map(function (b) {
+      return {
         escalation_id: Utilities.getUuid(),
         escalation_type: 'PERSISTENT_BLOCKER',
         user_email: email,
+        blocker_id: b.blocker_id,
+        blocker_text: b.blocker_text,
+        blocker_age_days: b.age_days,
         recipients: JSON.stringify(blockerRecipients),
         created_at: new Date().toISOString()
-      }]);
+      };
+    }));
+  });
+}
+
+// ============================================
+// MISSED CHECK-IN EXCUSES
+// ============================================
+
+var EXCUSE_REASONS = {
+  'ON_CALL': '📞 I was on a call',
+  'TECH_ISSUE': '💻 Technical issue',
+  'FORGOT': '🤦 Forgot',
+  'SICK': '🤒 Sick'
+};
+
+/**
+ * Human-readable excuse reason
+ */
+function formatExcuseReason(reason) {
+  return EXCUSE_REASONS[reason] || reason;
+}
+
+/**
+ * Build the excuse buttons card attached to a missed check-in escalation
+ */
+function buildMissedCheckInExcuseCard(missedId, missedDate) {
+  var buttons = Object.keys(EXCUSE_REASONS).map(function (reason) {
+    return {
+      text: EXCUSE_REASONS[reason],
+      onClick: {
+        action: {
+          function: 'handleExcuseSelected',
+          parameters: [
+            { key: 'missedId', value: missedId },
+            { key: 'missedDate', value: missedDate },
+            { key: 'reason', value: reason }
+          ]
+        }
+      }
+    };
+  });
+
+  return [{
+    cardId: 'missed_checkin_excuse_' + missedId,
+    card: {
+      header: {
+        title: 'Missed check-in',
+        subtitle: 'Let your manager know what happened'
+      },
+      sections: [{
+        widgets: [
+          { buttonList: { buttons: buttons } }
+        ]
+      }]
+    }
+  }];
+}
+
+/**
+ * Build the approve/reject card sent to managers when an excuse is submitted
+ */
+function buildExcuseReviewCard(excuse, memberName) {
+  var parameters = [
+    { key: 'missedId', value: excuse.missed_id },
+    { key: 'excuseId', value: excuse.excuse_id },
+    { key: 'email', value: excuse.user_email },
+    { key: 'missedDate', value: excuse.missed_date },
+    { key: 'reason', value: excuse.excuse_reason }
+  ];
+
+  return [{
+    cardId: 'excuse_review_' + excuse.excuse_id,
+    card: {
+      header: {
+        title: '📝 Missed check-in excuse',
+        subtitle: memberName + ' · ' + excuse.missed_date
+      },
+      sections: [{
+        widgets: [
+          {
+            decoratedText: {
+              text: formatExcuseReason(excuse.excuse_reason),
+              wrapText: true
+            }
+          },
+          {
+            buttonList: {
+              buttons: [
+                {
+                  text: '✅ Approve',
+                  onClick: { action: { function: 'handleExcuseReview', parameters: parameters.concat([{ key: 'decision', value: 'APPROVED' }]) } }
+                },
+                {
+                  text: '❌ Reject',
+                  onClick: { action: { function: 'handleExcuseReview', parameters: parameters.concat([{ key: 'decision', value: 'REJECTED' }]) } }
+                }
+              ]
+            }
+          }
+        ]
+      }]
+    }
+  }];
+}
+
+/**
+ * Handle an excuse button click from the employee
+ * Records a PENDING excuse and sends the approve/reject card to managers
+ */
+function handleExcuseSelected(event) {
+  var params = _extractCardParams(event);
+  var email = event.chat.user.email;
+  var displayName = event.chat.user.displayName || email.split('@')[0];
+
+  if (!params.missedId || !EXCUSE_REASONS[params.reason]) {
+    return createChatResponse({ actionResponse: { type: 'UPDATE_MESSAGE' }, text: '❌ Invalid excuse. Please contact your manager.' });
+  }
+
+  var existing = getMissedCheckInExcuse(params.missedId);
+  if (existing) {
+    return createChatResponse({
+      actionResponse: { type: 'UPDATE_MESSAGE' },
+      text: 'You already submitted an excuse for this missed check-in (' + formatExcuseReason(existing.excuse_reason) + ' — ' + existing.status.toLowerCase() + ').'
+    });
+  }
+
+  var excuse = logMissedCheckInExcuse({
+    excuse_id: Utilities.getUuid(),
+    missed_id: params.missedId,
+    user_email: email,
+    missed_date: params.missedDate,
+    excuse_reason: params.reason
+  }, 'PENDING');
+
+  var config = getConfig();
+  var member = config.team_members.find(function (m) { return m.email === email; });
+  var memberName = (member && member.name) || displayName;
+  getMemberManagerRecipients(email).forEach(function (manager) {
+    try {
+      sendDirectMessage(manager, '📝 **' + memberName + '** sent an excuse for a missed check-in.', buildExcuseReviewCard(excuse, memberName));
+    } catch (err) {
+      console.error('Error sending excuse review card to ' + manager + ':', err.message);
     }
   });
+
+  logSystemEvent('EXCUSE', 'SUBMITTED', { user: email, missed_id: params.missedId, reason: params.reason });
+
+  return createChatResponse({
+    actionResponse: { type: 'UPDATE_MESSAGE' },
+    text: '👍 Thanks — sent to your manager for review: ' + formatExcuseReason(params.reason)
+  });
+}
+
+/**
+ * Handle a manager's approve/reject click on an excuse
+ * First decision wins; the employee is notified of the outcome
+ */
+function handleExcuseReview(event) {
+  var params = _extractCardParams(event);
+  var reviewer = event.chat.user.email;
+  var decision = params.decision;
+
+  if (decision !== 'APPROVED' && decision !== 'REJECTED') {
+    return createChatResponse({ actionResponse: { type: 'UPDATE_MESSAGE' }, text: '❌ Invalid decision.' });
+  }
+  if (getMemberManagerRecipients(params.email).indexOf(reviewer) === -1) {
+    return createChatResponse('⛔ Only a manager of ' + params.email + ' can review this excuse.');
+  }
+
+  var current = getMissedCheckInExcuse(params.missedId);
+  if (current && current.status !== 'PENDING') {
+    return createChatResponse({
+      actionResponse: { type: 'UPDATE_MESSAGE' },
+      text: 'Already ' + current.status.toLowerCase() + (current.reviewed_by ? ' by ' + current.reviewed_by : '') + '.'
+    });
+  }
+
+  logMissedCheckInExcuse({
+    excuse_id: params.excuseId,
+    missed_id: params.missedId,
+    user_email: params.email,
+    missed_date: params.missedDate,
+    excuse_reason: params.reason
+  }, decision, reviewer);
+
+  var approved = decision === 'APPROVED';
+  try {
+    sendDirectMessage(params.email, (approved ? '✅' : '❌') + ' Your excuse for the missed check-in on ' + params.missedDate +
+      ' (' + formatExcuseReason(params.reason) + ') was ' + (approved ? 'approved — it won\'t break your streak.' : 'not approved.'));
+  } catch (err) {
+    console.error('Error notifying ' + params.email + ' of excuse decision:', err.message);
+  }
+
+  logSystemEvent('EXCUSE', decision, { user: params.email, missed_id: params.missedId, reviewer: reviewer });
+
+  return createChatResponse({
+    actionResponse: { type: 'UPDATE_MESSAGE' },
+    text: (approved ? '✅ Approved' : '❌ Rejected') + ': ' + params.email + ' — ' + formatExcuseReason(params.reason) + ' (' + params.missedDate + ')'
+  });
 }
@@ -384,18 +384,23 @@ function postWeeklyGamification() {
   const zeroOverdue = getZeroOverdueList();
   const badges = calculateWeeklyBadges();
 
-  const leaderboard = {
-    attendance: attendanceLeaderboard.slice(0, 5),
-    taskCompletion: taskLeaderboard.slice(0, 5),
-    zeroOverdue: zeroOverdue
-  };
-
-  const message = buildWeeklyGamificationMessage(leaderboard, badges);
-
-  const spaceId = getTeamUpdatesChannel();
-  if (spaceId) {
-    sendChannelMessage(spaceId, message);
-  }
+  // One leaderboard per team, posted to that team's channel
+  groupMembersByTeam(getCachedWorkingEmployees()).forEach(function (group) {
+    const inTeam = function (p) { return isMemberInTeam(p.email, group.team); };
+    const leaderboard = {
+      attendance: attendanceLeaderboard.filter(inTeam).slice(0, 5),
+      taskCompletion: taskLeaderboard.filter(inTeam).slice(0, 5),
+      zeroOverdue: zeroOverdue.filter(inTeam)
+    };
+
+    let message = buildWeeklyGamificationMessage(leaderboard, (badges || []).filter(inTeam));
+    if (group.team) message = `👥 *${group.team.name}*\n` + message;
+
+    const spaceId = getTeamUpdatesChannel(group.team);
+    if (spaceId) {
+      sendChannelMessage(spaceId, message);
+    }
+  });
 
   // BUG #15 fix: Actually award badges (log to BigQuery + notify users)
   if (badges && badges.length > 0) {
@@ -433,14 +438,16 @@ function awardBadge(userEmail, badgeKey) {
   if (!badge) return;
 
   // Log to BigQuery
-  insertIntoBigQuery('badges_awarded', [{
+  const row = {
     badge_id: Utilities.getUuid(),
     user_email: userEmail,
     badge_key: badgeKey,
     badge_emoji: badge.emoji,
     badge_name: badge.name,
     awarded_at: new Date().toISOString()
-  }]);
+  };
+  insertIntoBigQuery('badges_awarded', [row]);
+  emitBotEvent('badge.awarded', row);
 
   // Optionally notify user
   const message = `🎉 **Badge Earned!**\n\n${badge.emoji} **${badge.name}**\n${badge.description}`;
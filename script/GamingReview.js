@@ -0,0 +1,226 @@
+/**
+ * GamingReview.gs - Manager review queue for reporting-integrity flags
+ * Each COPY_PASTE / VAGUE_LANGUAGE / HOURS_INFLATION flag from computeGamingSignals
+ * is stored in gaming_reviews. Managers get one card a day with the flagged EODs
+ * (next to the most similar earlier report) and Legit / Coach / Warn buttons.
+ * Verdicts are appended to the same table, so each rule's false-positive rate
+ * (share of Legit verdicts) can be measured with "gaming stats".
+ */
+
+var GAMING_REVIEW_RULES = ['COPY_PASTE', 'VAGUE_LANGUAGE', 'HOURS_INFLATION'];
+
+var GAMING_REVIEW_VERDICTS = {
+  'LEGIT': '✅ Legit',
+  'COACH': '💬 Coach',
+  'WARN': '⚠️ Warn'
+};
+
+var GAMING_REVIEW_TEXT_LIMIT = 600;
+
+/**
+ * Whether flagged EODs are queued for manager review (settings: enable_gaming_review, default on)
+ */
+function isGamingReviewEnabled() {
+  var config = getConfig();
+  return config.settings.enable_gaming_review !== false;
+}
+
+/**
+ * Store review items for today's flagged EODs and send each manager their card.
+ * Item ids come from member, the EOD row's date and rule, so a re-run skips items already queued.
+ * @param {Array} flagged - [{ email, name, eodDate, eodText, signals, similarText }]
+ * @returns {Array} Review rows logged
+ */
+function queueGamingReviews(flagged) {
+  if (!isGamingReviewEnabled() || !flagged || flagged.length === 0) return [];
+
+  var alreadyQueued = getRecentGamingReviewIds(2);
+  var logged = [];
+  var byManager = {};
+
+  flagged.forEach(function (entry) {
+    var eodDate = entry.eodDate;
+    var rules = (entry.signals.flags || []).filter(function (f) {
+      return GAMING_REVIEW_RULES.indexOf(f) !== -1 && !alreadyQueued[getGamingReviewId(entry.email, eodDate, f)];
+    });
+    if (rules.length === 0) return;
+
+    var reviews = rules.map(function (rule) {
+      var review = logGamingReview({
+        review_id: getGamingReviewId(entry.email, eodDate, rule),
+        user_email: entry.email,
+        eod_date: eodDate,
+        rule: rule,
+        similarity_score: entry.signals.similarityScore || 0,
+        similar_date: entry.signals.mostSimilarDate || null,
+        detail: _getGamingRuleDetail(rule, entry.signals)
+      }, 'PENDING');
+      logged.push(review);
+      return review;
+    });
+
+    getMemberManagerRecipients(entry.email).forEach(function (manager) {
+      if (!byManager[manager]) byManager[manager] = [];
+      byManager[manager].push({ entry: entry, reviews: reviews });
+    });
+  });
+
+  Object.keys(byManager).forEach(function (manager) {
+    var items = byManager[manager];
+    try {
+      sendDirectMessage(manager, '🕵️ **Reporting integrity review** — ' + items.length + ' flagged EOD' + (items.length === 1 ? '' : 's') + ' today.',
+        buildGamingReviewCard(items, items[0].reviews[0].eod_date));
+    } catch (err) {
+      console.error('Error sending gaming review card to ' + manager + ':', err.message);
+    }
+  });
+
+  if (logged.length > 0) {
+    logSystemEvent('GAMING_REVIEW', 'QUEUED', { reviews: logged.length, managers: Object.keys(byManager).length });
+  }
+  return logged;
+}
+
+/**
+ * Review item id for one rule on one member's EOD
+ */
+function getGamingReviewId(email, eodDate, rule) {
+  return String(email).toLowerCase() + '|' + eodDate + '|' + rule;
+}
+
+/**
+ * Build the daily review card: one section per flagged EOD, today's text next to
+ * the most similar earlier report, and verdict buttons per flagged rule
+ * @param {Array} items - [{ entry, reviews }]
+ */
+function buildGamingReviewCard(items, eodDate) {
+  var sections = items.map(function (item) {
+    var entry = item.entry;
+    var widgets = [];
+
+    var todayColumn = [{ textParagraph: { text: '<b>Today</b>\n' + _truncateGamingText(entry.eodText) } }];
+    if (entry.similarText) {
+      widgets.push({
+        columns: {
+          columnItems: [
+            { horizontalSizeStyle: 'FILL_AVAILABLE_SPACE', widgets: todayColumn },
+            { horizontalSizeStyle: 'FILL_AVAILABLE_SPACE', widgets: [{ textParagraph: { text: '<b>' + entry.signals.mostSimilarDate + '</b>\n' + _truncateGamingText(entry.similarText) } }] }
+          ]
+        }
+      });
+    } else {
+      widgets = widgets.concat(todayColumn);
+    }
+
+    item.reviews.forEach(function (review) {
+      var parameters = [
+        { key: 'reviewId', value: review.review_id },
+        { key: 'email', value: review.user_email },
+        { key: 'eodDate', value: review.eod_date },
+        { key: 'rule', value: review.rule }
+      ];
+      widgets.push({ decoratedText: { topLabel: review.rule, text: review.detail, wrapText: true } });
+      widgets.push({
+        buttonList: {
+          buttons: Object.keys(GAMING_REVIEW_VERDICTS).map(function (verdict) {
+            return {
+              text: GAMING_REVIEW_VERDICTS[verdict],
+              onClick: { action: { function: 'handleGamingReview', parameters: parameters.concat([{ key: 'verdict', value: verdict }]) } }
+            };
+          })
+        }
+      });
+    });
+
+    return { header: entry.name, collapsible: false, widgets: widgets };
+  });
+
+  return [{
+    cardId: 'gaming_review_' + eodDate,
+    card: {
+      header: {
+        title: '🕵️ Reporting integrity review',
+        subtitle: eodDate + ' · ' + items.length + ' flagged'
+      },
+      sections: sections
+    }
+  }];
+}
+
+/**
+ * Handle a manager's Legit / Coach / Warn click on a review item
+ * First verdict wins; only the member's managers can decide
+ */
+function handleGamingReview(event) {
+  var params = _extractCardParams(event);
+  var reviewer = event.chat.user.email;
+  var verdict = params.verdict;
+
+  if (!GAMING_REVIEW_VERDICTS[verdict] || !params.reviewId) {
+    return createChatResponse('❌ Invalid verdict.');
+  }
+  if (getMemberManagerRecipients(params.email).indexOf(reviewer) === -1) {
+    return createChatResponse('⛔ Only a manager of ' + params.email + ' can review this flag.');
+  }
+
+  var current = getGamingReview(params.reviewId);
+  if (current && current.status !== 'PENDING') {
+    return createChatResponse(params.rule + ' for ' + params.email + ' (' + params.eodDate + ') was already marked ' +
+      (GAMING_REVIEW_VERDICTS[current.status] || current.status) + (current.reviewed_by ? ' by ' + current.reviewed_by : '') + '.');
+  }
+
+  logGamingReview({
+    review_id: params.reviewId,
+    user_email: params.email,
+    eod_date: params.eodDate,
+    rule: params.rule,
+    similarity_score: current ? parseFloat(current.similarity_score) || 0 : 0,
+    similar_date: current ? current.similar_date : null,
+    detail: current ? current.detail : null
+  }, verdict, reviewer);
+
+  logSystemEvent('GAMING_REVIEW', verdict, { user: params.email, rule: params.rule, reviewer: reviewer });
+
+  return createChatResponse(GAMING_REVIEW_VERDICTS[verdict] + ': ' + params.email + ' — ' + params.rule + ' (' + params.eodDate + ')');
+}
+
+/**
+ * Handle "gaming stats" (managers only): verdicts and false-positive rate per rule
+ */
+function handleGamingStatsCommand(requesterEmail) {
+  if (!isBotManager(requesterEmail)) {
+    return createChatResponse('This command is only available to managers.');
+  }
+
+  var rows = getGamingRuleStats(90);
+  var message = '🕵️ *Reporting integrity flags (last 90 days)*\n';
+  if (rows.length === 0) return createChatResponse(message + '\nNo flags yet.');
+
+  rows.forEach(function (r) {
+    var reviewed = parseInt(r.reviewed) || 0;
+    var legit = parseInt(r.legit) || 0;
+    message += '\n• *' + r.rule + '*: ' + (parseInt(r.flagged) || 0) + ' flagged, ' + reviewed + ' reviewed';
+    if (reviewed > 0) {
+      message += ' — ' + legit + ' legit, ' + (parseInt(r.coach) || 0) + ' coach, ' + (parseInt(r.warn) || 0) + ' warn'
+        + ' (' + Math.round(legit / reviewed * 100) + '% false positives)';
+    }
+  });
+  return createChatResponse(message);
+}
+
+function _getGamingRuleDetail(rule, signals) {
+  switch (rule) {
+    case 'COPY_PASTE':
+      return Math.round((signals.similarityScore || 0) * 100) + '% similar to ' + (signals.mostSimilarDate || 'an earlier report');
+    case 'VAGUE_LANGUAGE':
+      return 'Vague phrases: "' + (signals.vaguePhrasesFound || []).join('", "') + '"';
+    case 'HOURS_INFLATION':
+      return 'Hours / tasks: ' + (signals.hoursTaskRatio || 'n/a');
+  }
+  return rule;
+}
+
+function _truncateGamingText(text) {
+  var value = String(text || '').trim();
+  return value.length > GAMING_REVIEW_TEXT_LIMIT ? value.substring(0, GAMING_REVIEW_TEXT_LIMIT - 3) + '...' : value;
+}
@@ -0,0 +1,525 @@
+/**
+ * LLM.gs - LLM Provider Layer
+ * One entry point (callLLM) for every AI call. The provider is chosen in the
+ * settings tab (ai_provider): OpenAI, Anthropic, Azure OpenAI or a generic
+ * OpenAI-compatible endpoint (e.g. a local server). Supports per-call model
+ * selection, JSON output, and logs token usage and estimated cost per call to
+ * BigQuery (ai_usage). Calls stop once monthly_ai_budget_usd is spent.
+ * Prompts are redacted (Redaction.gs) before they leave the script.
+ */
+
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const AZURE_OPENAI_DEFAULT_API_VERSION = '2024-06-01';
+const LLM_DEFAULT_SYSTEM_PROMPT = 'You are an HR assistant analyzing team performance data.';
+
+/**
+ * USD per 1M tokens [input, output], matched by model-name prefix (longest first).
+ * Models not listed here (e.g. Azure deployment names) can be priced with the
+ * ai_model_prices setting: "gpt4o-prod=2.5/10, llama3.1=0/0".
+ */
+const AI_MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'gpt-4.1-nano': [0.10, 0.40],
+  'gpt-4.1-mini': [0.40, 1.60],
+  'gpt-4.1': [2.00, 8.00],
+  'gpt-3.5-turbo': [0.50, 1.50],
+  'claude-3-5-haiku': [0.80, 4.00],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-sonnet': [3.00, 15.00],
+  'claude-3-7-sonnet': [3.00, 15.00],
+  'claude-sonnet-4': [3.00, 15.00],
+  'claude-3-opus': [15.00, 75.00],
+  'claude-opus-4': [15.00, 75.00],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0]
+};
+
+/**
+ * Provider registry. Each provider turns a normalized request into an HTTP call
+ * and its response back into { text, usage }. Add a provider by adding an entry.
+ *   request: { prompt, system, model, maxTokens, temperature, json }
+ * Providers with an embeddings API also define buildEmbeddingRequest
+ * (request: { texts, model }) and defaultEmbeddingModel.
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    apiKeyConfig: 'openai_api_key',
+    defaultModel: () => getOpenAIModel(),
+    buildRequest: (request, settings, apiKey) => ({
+      url: OPENAI_API_URL,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      payload: _buildChatCompletionPayload(request, true)
+    }),
+    parseResponse: _parseChatCompletionResponse,
+    defaultEmbeddingModel: () => 'text-embedding-3-small',
+    buildEmbeddingRequest: (request, settings, apiKey) => ({
+      url: OPENAI_EMBEDDINGS_URL,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      payload: { model: request.model, input: request.texts }
+    })
+  },
+
+  azure_openai: {
+    apiKeyConfig: 'azure_openai_api_key',
+    // Azure routes by deployment name, so the "model" is the deployment
+    defaultModel: (settings) => settings.azure_openai_deployment || null,
+    buildRequest: (request, settings, apiKey) => ({
+      url: `${String(settings.azure_openai_endpoint || '').replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(request.model)}` +
+        `/chat/completions?api-version=${settings.azure_openai_api_version || AZURE_OPENAI_DEFAULT_API_VERSION}`,
+      headers: { 'api-key': apiKey },
+      payload: _buildChatCompletionPayload(request, false)
+    }),
+    parseResponse: _parseChatCompletionResponse,
+    defaultEmbeddingModel: (settings) => settings.azure_openai_embedding_deployment || null,
+    buildEmbeddingRequest: (request, settings, apiKey) => ({
+      url: `${String(settings.azure_openai_endpoint || '').replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(request.model)}` +
+        `/embeddings?api-version=${settings.azure_openai_api_version || AZURE_OPENAI_DEFAULT_API_VERSION}`,
+      headers: { 'api-key': apiKey },
+      payload: { input: request.texts }
+    })
+  },
+
+  openai_compatible: {
+    apiKeyConfig: 'ai_compatible_api_key',
+    defaultModel: () => null,
+    buildRequest: (request, settings, apiKey) => ({
+      url: `${String(settings.ai_base_url || '').replace(/\/+$/, '')}/chat/completions`,
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      payload: _buildChatCompletionPayload(request, true)
+    }),
+    parseResponse: _parseChatCompletionResponse,
+    keyOptional: true,
+    defaultEmbeddingModel: () => null,
+    buildEmbeddingRequest: (request, settings, apiKey) => ({
+      url: `${String(settings.ai_base_url || '').replace(/\/+$/, '')}/embeddings`,
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      payload: { model: request.model, input: request.texts }
+    })
+  },
+
+  anthropic: {
+    apiKeyConfig: 'anthropic_api_key',
+    defaultModel: () => 'claude-3-5-haiku-latest',
+    buildRequest: (request, settings, apiKey) => {
+      const messages = [{ role: 'user', content: request.prompt }];
+      // No JSON mode: prefill the reply with "{" so the model continues a JSON object
+      if (request.json) messages.push({ role: 'assistant', content: '{' });
+      return {
+        url: ANTHROPIC_API_URL,
+        headers: { 'x-api-key': apiKey, 'anthropic-version': ANTHROPIC_API_VERSION },
+        payload: {
+          model: request.model,
+          system: request.system,
+          messages: messages,
+          max_tokens: request.maxTokens,
+          temperature: request.temperature
+        }
+      };
+    },
+    parseResponse: (body, request) => {
+      const text = (body.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const usage = body.usage || {};
+      return {
+        text: request.json ? '{' + text : text,
+        usage: { prompt_tokens: usage.input_tokens || 0, completion_tokens: usage.output_tokens || 0 }
+      };
+    }
+  }
+};
+
+/**
+ * Call the configured LLM provider
+ * @param {string} prompt - User prompt
+ * @param {object} options - {
+ *   feature: name for usage accounting (e.g. 'eod_parsing'),
+ *   model: override the model for this call,
+ *   maxTokens (default 2000), temperature (default 0.7), system,
+ *   json: ask for a JSON object and parse it into result.json,
+ *   redact: false to skip redaction (default: on unless enable_ai_redaction is FALSE)
+ * }
+ * @returns {object|null} { text, json, model, provider, usage } or null on failure
+ */
+function callLLM(prompt, options) {
+  options = options || {};
+  const config = getConfig();
+  const settings = config.settings;
+  const providerName = getAiProviderName();
+  const provider = LLM_PROVIDERS[providerName];
+  const feature = options.feature || 'general';
+
+  if (!provider) {
+    console.error(`Unknown ai_provider "${providerName}"`);
+    return null;
+  }
+
+  const apiKey = config[provider.apiKeyConfig];
+  if (!apiKey && !provider.keyOptional) {
+    console.error(`API key for AI provider "${providerName}" not configured`);
+    return null;
+  }
+
+  // Pseudonymize people and mask sensitive data; the reply gets real names back
+  const redactor = options.redact !== false && isAiRedactionEnabled() ? createRedactor() : null;
+
+  const request = {
+    prompt: redactor ? redactor.redact(prompt) : prompt,
+    system: options.system || LLM_DEFAULT_SYSTEM_PROMPT,
+    model: options.model || getAiModel(feature),
+    maxTokens: options.maxTokens || 2000,
+    temperature: options.temperature !== undefined ? options.temperature : 0.7,
+    json: !!options.json
+  };
+  if (!request.model) {
+    console.error(`No model configured for AI provider "${providerName}" (set ai_model)`);
+    return null;
+  }
+
+  // Over the monthly cap: callers fall back to their non-AI path
+  if (isAiBudgetExceeded()) {
+    console.warn(`AI budget reached, skipping ${feature} call`);
+    notifyAiBudgetReached();
+    return null;
+  }
+
+  const usageEntry = { provider: providerName, model: request.model, feature: feature };
+  const startedAt = Date.now();
+
+  try {
+    const http = provider.buildRequest(request, settings, apiKey);
+    const response = UrlFetchApp.fetch(http.url, {
+      method: 'post',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, http.headers),
+      payload: JSON.stringify(http.payload),
+      muteHttpExceptions: true
+    });
+    const code = response.getResponseCode();
+    usageEntry.latency_ms = Date.now() - startedAt;
+
+    if (code !== 200) {
+      console.error(`AI provider ${providerName} error: ${code} - ${response.getContentText()}`);
+      _logLlmUsage(usageEntry, null, `HTTP ${code}`);
+      return null;
+    }
+
+    const parsed = provider.parseResponse(JSON.parse(response.getContentText()), request);
+    _logLlmUsage(usageEntry, parsed.usage, null);
+    if (redactor) parsed.text = redactor.restore(parsed.text);
+
+    const result = {
+      text: parsed.text,
+      json: null,
+      model: request.model,
+      provider: providerName,
+      usage: parsed.usage
+    };
+    if (request.json) {
+      result.json = parseLlmJson(parsed.text);
+      if (!result.json) console.error(`AI provider ${providerName} returned invalid JSON for ${feature}:`, parsed.text);
+    }
+    return result;
+  } catch (error) {
+    console.error(`AI request to ${providerName} failed:`, error);
+    usageEntry.latency_ms = Date.now() - startedAt;
+    _logLlmUsage(usageEntry, null, String(error && error.message || error));
+    return null;
+  }
+}
+
+/**
+ * Embed texts with the configured provider's embeddings API
+ * Same key, redaction, budget cap and usage logging as callLLM. Anthropic has no
+ * embeddings API, so it returns null there (callers fall back to a local method).
+ * @param {Array<string>} texts
+ * @param {object} options - { feature (default 'embedding'), model (default ai_embedding_model setting) }
+ * @returns {object|null} { vectors: [[number]] in input order, model, provider, usage } or null on failure
+ */
+function callEmbeddings(texts, options) {
+  options = options || {};
+  const config = getConfig();
+  const settings = config.settings;
+  const providerName = getAiProviderName();
+  const provider = LLM_PROVIDERS[providerName];
+  const feature = options.feature || 'embedding';
+
+  if (!provider || !provider.buildEmbeddingRequest) {
+    console.warn(`AI provider "${providerName}" has no embeddings API`);
+    return null;
+  }
+  if (!texts || texts.length === 0) return { vectors: [], model: null, provider: providerName, usage: null };
+
+  const apiKey = config[provider.apiKeyConfig];
+  if (!apiKey && !provider.keyOptional) {
+    console.error(`API key for AI provider "${providerName}" not configured`);
+    return null;
+  }
+
+  const model = options.model || settings.ai_embedding_model || provider.defaultEmbeddingModel(settings);
+  if (!model) {
+    console.error(`No embedding model configured for AI provider "${providerName}" (set ai_embedding_model)`);
+    return null;
+  }
+
+  if (isAiBudgetExceeded()) {
+    console.warn(`AI budget reached, skipping ${feature} call`);
+    notifyAiBudgetReached();
+    return null;
+  }
+
+  // One redactor for the batch, so the same person gets the same pseudonym in every text
+  const redactor = options.redact !== false && isAiRedactionEnabled() ? createRedactor() : null;
+  const request = { texts: texts.map(t => redactor ? redactor.redact(t) : t), model: model };
+  const usageEntry = { provider: providerName, model: model, feature: feature };
+  const startedAt = Date.now();
+
+  try {
+    const http = provider.buildEmbeddingRequest(request, settings, apiKey);
+    const response = UrlFetchApp.fetch(http.url, {
+      method: 'post',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, http.headers),
+      payload: JSON.stringify(http.payload),
+      muteHttpExceptions: true
+    });
+    const code = response.getResponseCode();
+    usageEntry.latency_ms = Date.now() - startedAt;
+
+    if (code !== 200) {
+      console.error(`AI provider ${providerName} embeddings error: ${code} - ${response.getContentText()}`);
+      _logLlmUsage(usageEntry, null, `HTTP ${code}`);
+      return null;
+    }
+
+    const body = JSON.parse(response.getContentText());
+    const usage = { prompt_tokens: (body.usage && body.usage.prompt_tokens) || 0, completion_tokens: 0 };
+    _logLlmUsage(usageEntry, usage, null);
+
+    const vectors = [];
+    (body.data || []).forEach((item, i) => { vectors[item.index !== undefined ? item.index : i] = item.embedding; });
+    return { vectors: vectors, model: model, provider: providerName, usage: usage };
+  } catch (error) {
+    console.error(`Embeddings request to ${providerName} failed:`, error);
+    usageEntry.latency_ms = Date.now() - startedAt;
+    _logLlmUsage(usageEntry, null, String(error && error.message || error));
+    return null;
+  }
+}
+
+/**
+ * Configured provider name (settings: ai_provider, default openai)
+ */
+function getAiProviderName() {
+  const config = getConfig();
+  return String(config.settings.ai_provider || 'openai').toLowerCase().trim();
+}
+
+/**
+ * Model for a feature: ai_model_<feature> setting, else ai_model, else the provider default
+ */
+function getAiModel(feature) {
+  const config = getConfig();
+  const settings = config.settings;
+  const provider = LLM_PROVIDERS[getAiProviderName()];
+  if (feature && settings['ai_model_' + feature]) return settings['ai_model_' + feature];
+  if (settings.ai_model) return settings.ai_model;
+  return provider ? provider.defaultModel(settings) : null;
+}
+
+/**
+ * Parse a JSON object out of model output (tolerates code fences and surrounding prose)
+ */
+function parseLlmJson(text) {
+  if (!text) return null;
+  const cleaned = String(text).replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch (e2) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Chat-completions payload shared by OpenAI, Azure OpenAI and compatible endpoints
+ * @param {boolean} includeModel - Azure selects the model by deployment instead
+ */
+function _buildChatCompletionPayload(request, includeModel) {
+  const payload = {
+    messages: [
+      { role: 'system', content: request.system },
+      { role: 'user', content: request.prompt }
+    ],
+    max_tokens: request.maxTokens,
+    temperature: request.temperature
+  };
+  if (includeModel) payload.model = request.model;
+  if (request.json) payload.response_format = { type: 'json_object' };
+  return payload;
+}
+
+function _parseChatCompletionResponse(body) {
+  const usage = body.usage || {};
+  return {
+    text: body.choices[0].message.content,
+    usage: { prompt_tokens: usage.prompt_tokens || 0, completion_tokens: usage.completion_tokens || 0 }
+  };
+}
+
+/**
+ * Record token usage for one call (never throws)
+ */
+function _logLlmUsage(entry, usage, error) {
+  try {
+    const cost = usage ? estimateAiCost(entry.model, usage.prompt_tokens, usage.completion_tokens) : 0;
+    _addToAiMonthSpend(cost);
+    logAiUsage({
+      provider: entry.provider,
+      model: entry.model,
+      feature: entry.feature,
+      prompt_tokens: usage ? usage.prompt_tokens : 0,
+      completion_tokens: usage ? usage.completion_tokens : 0,
+      latency_ms: entry.latency_ms || null,
+      estimated_cost_usd: cost,
+      success: !error,
+      error: error
+    });
+  } catch (e) {
+    console.error('Failed to log AI usage:', e.message);
+  }
+}
+
+// ============================================
+// COST + MONTHLY BUDGET
+// ============================================
+
+/**
+ * Estimated USD cost of one call (0 for unpriced models)
+ */
+function estimateAiCost(model, promptTokens, completionTokens) {
+  const price = getAiModelPrice(model);
+  if (!price) return 0;
+  const cost = ((promptTokens || 0) * price[0] + (completionTokens || 0) * price[1]) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * [input, output] USD per 1M tokens for a model, or null if unknown
+ */
+function getAiModelPrice(model) {
+  if (!model) return null;
+  const name = String(model).toLowerCase();
+  const overrides = _parseAiModelPrices(getConfig().settings.ai_model_prices);
+  if (overrides[name]) return overrides[name];
+
+  const prefix = Object.keys(AI_MODEL_PRICES)
+    .sort((a, b) => b.length - a.length)
+    .find(key => name.indexOf(key) === 0);
+  return prefix ? AI_MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Monthly AI budget in USD (settings: monthly_ai_budget_usd; 0/blank = no cap)
+ */
+function getMonthlyAiBudget() {
+  const config = getConfig();
+  return parseFloat(config.settings.monthly_ai_budget_usd) || 0;
+}
+
+/**
+ * Estimated AI spend so far this month (reporting-timezone calendar month)
+ * Cached for 10 minutes; each logged call is added to the cached total
+ */
+function getAiMonthToDateSpend() {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = _aiSpendCacheKey();
+  const cached = cache.get(cacheKey);
+  if (cached !== null) return parseFloat(cached) || 0;
+
+  let spend = 0;
+  try {
+    getAiUsageSummary(_aiMonthStart()).forEach(row => { spend += parseFloat(row.cost_usd) || 0; });
+  } catch (e) {
+    console.error('AI spend lookup failed:', e.message);
+    return 0;
+  }
+  cache.put(cacheKey, String(spend), 600);
+  return spend;
+}
+
+/**
+ * True once this month's estimated spend has reached monthly_ai_budget_usd
+ */
+function isAiBudgetExceeded() {
+  const budget = getMonthlyAiBudget();
+  if (!budget) return false;
+  return getAiMonthToDateSpend() >= budget;
+}
+
+/**
+ * Tell the AI report recipients the budget was reached (once per month)
+ */
+function notifyAiBudgetReached() {
+  const props = PropertiesService.getScriptProperties();
+  const flagKey = 'AI_BUDGET_ALERT_' + _aiMonthStart().substring(0, 7);
+  if (props.getProperty(flagKey)) return;
+  props.setProperty(flagKey, new Date().toISOString());
+
+  const budget = getMonthlyAiBudget();
+  let breakdown = '';
+  try {
+    breakdown = getAiUsageSummary(_aiMonthStart()).map(row =>
+      `• ${row.feature}: ${row.calls} calls, $${(parseFloat(row.cost_usd) || 0).toFixed(2)}`
+    ).join('\n');
+  } catch (e) {
+    console.error('AI usage breakdown failed:', e.message);
+  }
+
+  const message = `💸 *AI budget reached*\n\n` +
+    `Estimated AI spend this month is $${getAiMonthToDateSpend().toFixed(2)} of the $${budget.toFixed(2)} budget ` +
+    `(\`monthly_ai_budget_usd\`).\n\n` +
+    (breakdown ? `*By feature:*\n${breakdown}\n\n` : '') +
+    `Until next month (or a higher budget), EODs are parsed without AI, hours estimates are skipped ` +
+    `and the daily AI evaluation won't be sent.`;
+
+  getReportRecipients('ai_evaluation').forEach(recipient => {
+    sendDirectMessage(recipient, message);
+  });
+  logSystemEvent('AI_BUDGET', 'REACHED', { budget: budget });
+}
+
+function _addToAiMonthSpend(cost) {
+  if (!cost) return;
+  // An expired total is reloaded first (this call isn't in ai_usage yet), so the cost always counts
+  const spend = getAiMonthToDateSpend() + cost;
+  CacheService.getScriptCache().put(_aiSpendCacheKey(), String(spend), 600);
+}
+
+function _aiMonthStart() {
+  return Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM') + '-01';
+}
+
+function _aiSpendCacheKey() {
+  return 'ai_spend_' + _aiMonthStart().substring(0, 7);
+}
+
+/**
+ * Parse "model=in/out, model=in/out" into { model: [in, out] }
+ */
+function _parseAiModelPrices(value) {
+  const prices = {};
+  if (!value) return prices;
+  String(value).split(',').forEach(entry => {
+    const match = entry.trim().match(/^([^=]+)=\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+    if (match) prices[match[1].trim().toLowerCase()] = [parseFloat(match[2]), parseFloat(match[3])];
+  });
+  return prices;
+}
@@ -0,0 +1,193 @@
+/**
+ * LiveSummary.gs - Keep the day's morning and EOD summaries current
+ * When a summary is posted its message name is saved per team (LIVE_SUMMARY_*),
+ * with the sections that don't change during the day. A check-in or EOD only
+ * queues its member (LIVE_SUMMARY_PENDING_*, one key each so concurrent clicks
+ * can't overwrite each other); processEodBackground, holding the script lock,
+ * then rebuilds the checked in / late / missing (or submitted / missing /
+ * blockers) lists once per team and patches the channel message in place.
+ * Only today's summary is updated; the next day's post replaces the saved one.
+ */
+
+var LIVE_SUMMARY_PREFIX = 'LIVE_SUMMARY_';
+var LIVE_SUMMARY_PENDING_PREFIX = 'LIVE_SUMMARY_PENDING_';
+
+// Script Properties hold up to 9 KB per value
+var LIVE_SUMMARY_PROPERTY_LIMIT = 8500;
+
+/**
+ * Remember a posted summary so it can be updated as people respond
+ * @param {string} type - 'MORNING' or 'EOD'
+ * @param {object} team - Team the summary was posted for (null = members without a team)
+ * @param {object} posted - Result of postMorningSummary / postEodSummary
+ * @param {object} sections - The summary's fixed sections (overdue, leave, task stats, ...)
+ */
+function saveLiveSummary(type, team, posted, sections) {
+  try {
+    var props = PropertiesService.getScriptProperties();
+    var key = _liveSummaryKey(type, team);
+    if (!posted || !posted.messageName) {
+      // Not sent (or queued for retry): nothing to update today
+      props.deleteProperty(key);
+      return false;
+    }
+
+    if (sections.perPersonCompletions) sections.perPersonCompletions = sections.perPersonCompletions.slice(0, 5);
+    var value = JSON.stringify({
+      date: Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd'),
+      messageName: posted.messageName,
+      sections: sections
+    });
+    if (value.length > LIVE_SUMMARY_PROPERTY_LIMIT) {
+      console.warn(type + ' summary for ' + (team ? team.name : 'all members') + ' is too large to keep live');
+      props.deleteProperty(key);
+      return false;
+    }
+
+    props.setProperty(key, value);
+    return true;
+  } catch (err) {
+    console.error('Error saving live ' + type + ' summary:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Queue a summary update for a member who just checked in or submitted an EOD.
+ * Nothing is queued when their team has no summary posted today.
+ * Never throws: the check-in or EOD itself is already recorded.
+ * @param {string} type - 'MORNING' or 'EOD'
+ * @param {object} response - MORNING: { is_late }, EOD: { blockers }
+ * @returns {boolean} True if queued
+ */
+function queueLiveSummaryRefresh(type, email, response) {
+  try {
+    if (!_getLiveSummary(type, getTeamForMember(email))) return false;
+    PropertiesService.getScriptProperties().setProperty(LIVE_SUMMARY_PENDING_PREFIX + type + '_' + email,
+      JSON.stringify(Object.assign({ type: type, user_email: email }, response)));
+    return true;
+  } catch (err) {
+    console.error('Error queueing ' + type + ' summary update for ' + email + ':', err.message);
+    return false;
+  }
+}
+
+/**
+ * Apply queued summary updates: one rebuild and one message update per team summary.
+ * Runs from processEodBackground, whose script lock keeps two updates of the same
+ * summary from interleaving.
+ * @returns {number} Summaries updated
+ */
+function processLiveSummaryRefreshes() {
+  var props = PropertiesService.getScriptProperties();
+  var allProps = props.getProperties();
+  var groups = {};
+
+  Object.keys(allProps).forEach(function (key) {
+    if (key.indexOf(LIVE_SUMMARY_PENDING_PREFIX) !== 0) return;
+    props.deleteProperty(key);
+    try {
+      var response = JSON.parse(allProps[key]);
+      var team = getTeamForMember(response.user_email);
+      var groupKey = _liveSummaryKey(response.type, team);
+      if (!groups[groupKey]) groups[groupKey] = { type: response.type, team: team, responses: [] };
+      groups[groupKey].responses.push(response);
+    } catch (e) {
+      console.error('Dropping unreadable live summary update ' + key + ':', e.message);
+    }
+  });
+
+  var updated = 0;
+  Object.keys(groups).forEach(function (groupKey) {
+    var group = groups[groupKey];
+    var refresh = group.type === 'MORNING' ? refreshMorningSummary : refreshEodSummary;
+    if (refresh(group.team, group.responses)) updated++;
+  });
+  return updated;
+}
+
+/**
+ * Update a team's morning summary for today. Call with the script lock held.
+ * Never throws.
+ * @param {object} team - Team from getTeamForMember (null = members without a team)
+ * @param {Array} checkIns - [{ user_email, is_late }] just recorded, which may not be visible to queries yet
+ * @returns {boolean} True if the summary message was updated
+ */
+function refreshMorningSummary(team, checkIns) {
+  try {
+    var summary = _getLiveSummary('MORNING', team);
+    if (!summary) return false;
+
+    var todayCheckIns = getTodayCheckIns(summary.date);
+    (checkIns || []).forEach(function (checkIn) {
+      if (!todayCheckIns.some(function (c) { return c.user_email === checkIn.user_email; })) todayCheckIns.push(checkIn);
+    });
+
+    var attendance = getMorningAttendance(getCachedWorkingEmployees(), todayCheckIns);
+    var inTeam = function (p) { return isMemberInTeam(p.email, team); };
+    var s = summary.sections;
+    var message = buildMorningSummaryMessage(attendance.checkedIn.filter(inTeam), attendance.late.filter(inTeam),
+      attendance.missing.filter(inTeam), s.overdueStats, s.onLeaveToday, s.todayBirthdays, s.notTracked, team);
+    return _updateLiveSummary(summary, message);
+  } catch (err) {
+    console.error('Error refreshing morning summary for ' + (team ? team.name : 'all members') + ':', err.message);
+    return false;
+  }
+}
+
+/**
+ * Update a team's EOD summary for today. Call with the script lock held.
+ * Never throws.
+ * @param {object} team - Team from getTeamForMember (null = members without a team)
+ * @param {Array} eods - [{ user_email, blockers }] just recorded, which may not be visible to queries yet
+ * @returns {boolean} True if the summary message was updated
+ */
+function refreshEodSummary(team, eods) {
+  try {
+    var summary = _getLiveSummary('EOD', team);
+    if (!summary) return false;
+
+    var todayEods = getTodayEodReports(summary.date);
+    (eods || []).forEach(function (eod) {
+      if (!todayEods.some(function (r) { return r.user_email === eod.user_email; })) {
+        todayEods.push({ user_email: eod.user_email, blockers: eod.blockers || '' });
+      }
+    });
+
+    var submissions = getEodSubmissions(getCachedWorkingEmployees(), todayEods);
+    var inTeam = function (p) { return isMemberInTeam(p.email, team); };
+    var s = summary.sections;
+    var message = buildEodSummaryMessage(submissions.submitted.filter(inTeam), submissions.missing.filter(inTeam),
+      s.taskStats, s.perPersonCompletions, submissions.blockers.filter(inTeam), s.notTracked, team);
+    return _updateLiveSummary(summary, message);
+  } catch (err) {
+    console.error('Error refreshing EOD summary for ' + (team ? team.name : 'all members') + ':', err.message);
+    return false;
+  }
+}
+
+/**
+ * Today's saved summary for a team, or null if none was posted today
+ */
+function _getLiveSummary(type, team) {
+  var raw = PropertiesService.getScriptProperties().getProperty(_liveSummaryKey(type, team));
+  if (!raw) return null;
+
+  var summary = JSON.parse(raw);
+  var today = Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd');
+  return summary.date === today ? summary : null;
+}
+
+function _updateLiveSummary(summary, message) {
+  var updated = updateMessage(summary.messageName, message);
+  if (!updated) {
+    console.warn('Could not update live summary ' + summary.messageName);
+    return false;
+  }
+  return true;
+}
+
+function _liveSummaryKey(type, team) {
+  var teamKey = team ? String(team.department).toUpperCase().replace(/[^A-Z0-9]/g, '_') : 'ALL';
+  return LIVE_SUMMARY_PREFIX + type + '_' + teamKey;
+}
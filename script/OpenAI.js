@@ -1,59 +1,11 @@
 /**
  * OpenAI.gs - AI Evaluation Functions
- * Handles OpenAI API calls for daily evaluations
+ * Daily evaluations, EOD parsing and hours estimates. Requests go through
+ * callLLM (LLM.gs), so the provider and model come from the settings tab.
  */
 
 const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
 
-/**
- * Call OpenAI API
- */
-function callOpenAI(prompt, maxTokens = 2000) {
-  const config = getConfig();
-  const apiKey = config.openai_api_key;
-
-  if (!apiKey) {
-    console.error('OpenAI API key not configured');
-    return null;
-  }
-
-  const payload = {
-    model: getOpenAIModel(),
-    messages: [
-      { role: 'system', content: 'You are an HR assistant analyzing team performance data.' },
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: maxTokens,
-    temperature: 0.7
-  };
-
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-
-  try {
-    const response = UrlFetchApp.fetch(OPENAI_API_URL, options);
-    const code = response.getResponseCode();
-
-    if (code !== 200) {
-      console.error(`OpenAI API error: ${code} - ${response.getContentText()}`);
-      return null;
-    }
-
-    const result = JSON.parse(response.getContentText());
-    return result.choices[0].message.content;
-  } catch (error) {
-    console.error('OpenAI request failed:', error);
-    return null;
-  }
-}
-
 /**
  * Estimate realistic hours for completed tasks using AI
  * Returns: { estimatedHours: number, reasoning: string } or null
@@ -76,14 +28,10 @@ function estimateTaskHours(tasks, eodText, reportedHours) {
     + 'Only flag a mismatch if the difference is significant (2+ hours gap).';
 
   try {
-    var result = callOpenAI(prompt, 150);
-    if (!result) return null;
-
-    // Extract JSON from response
-    var jsonMatch = result.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) return null;
+    var result = callLLM(prompt, { feature: 'hours_estimate', maxTokens: 150, json: true });
+    if (!result || !result.json) return null;
 
-    var parsed = JSON.parse(jsonMatch[0]);
+    var parsed = result.json;
     return {
       estimatedHours: parseFloat(parsed.estimatedHours) || null,
       reasoning: parsed.reasoning || null
@@ -94,30 +42,211 @@ function estimateTaskHours(tasks, eodText, reportedHours) {
   }
 }
 
+// ============================================
+// AI EOD PARSING
+// ============================================
+
+const EOD_BLOCKER_TYPES = ['waiting_on_person', 'access', 'technical', 'external', 'other'];
+const EOD_PARSE_MAX_ATTEMPTS = 2;
+
+/**
+ * Declared shape of an AI-parsed EOD. validateEodParse() coerces model output
+ * against it; fields that still fail after a retry fall back to regex extraction.
+ */
+const EOD_PARSE_SCHEMA = {
+  tasks_completed: { type: 'list', required: true, description: 'array of strings, one per thing they accomplished today' },
+  blockers: { type: 'blocker_list', description: 'array of {"text": string, "type": one of ' + EOD_BLOCKER_TYPES.join('|') + '}; [] if none' },
+  tomorrow_priority: { type: 'string', description: 'string or null, what they plan to do tomorrow/next' },
+  hours_worked: { type: 'number', min: 0, max: 24, description: 'number between 0 and 24, or null if not mentioned' },
+  waiting_on: { type: 'list', description: 'array of names or emails of colleagues the blockers are waiting on; [] if none' }
+};
+
 /**
- * Parse EOD response using OpenAI for structured extraction
- * Returns { tasks_completed, blockers, tomorrow_priority, hours_worked }
+ * Parse EOD response with the AI provider into EOD_PARSE_SCHEMA fields.
+ * Retries once with the validation errors when the answer doesn't fit the schema.
+ * @returns {object|null} null if the AI gave no answer at all, else {
+ *   fields: valid fields only, flattened for logging (tasks_completed/blockers as strings),
+ *   invalidFields: schema fields the AI never got right, errors: [string], attempts }
  */
 function parseEodWithAI(rawText) {
-  var prompt = 'Parse this end-of-day work report into structured JSON. Extract exactly these fields:\n' +
-    '- tasks_completed: string (what they accomplished today)\n' +
-    '- blockers: string or null (any blockers, issues, things they are waiting on)\n' +
-    '- tomorrow_priority: string or null (what they plan to do tomorrow/next)\n' +
-    '- hours_worked: number or null (hours worked today, if mentioned)\n\n' +
+  var fieldLines = Object.keys(EOD_PARSE_SCHEMA).map(function (name) {
+    return '- ' + name + ': ' + EOD_PARSE_SCHEMA[name].description;
+  }).join('\n');
+  var basePrompt = 'Parse this end-of-day work report into a JSON object with exactly these fields:\n' +
+    fieldLines + '\n\n' +
     'Return ONLY valid JSON, no markdown, no explanation.\n\n' +
     'EOD Report:\n' + rawText;
 
-  var result = callOpenAI(prompt, 500);
-  if (!result) return null;
+  var value = {};
+  var errors = {};
+  var attempts = 0;
+  var prompt = basePrompt;
+
+  while (attempts < EOD_PARSE_MAX_ATTEMPTS) {
+    attempts++;
+    var result = callLLM(prompt, { feature: 'eod_parsing', maxTokens: 500, json: true, temperature: 0.2 });
+    if (!result) break;
+
+    var check = validateEodParse(result.json);
+    // Keep fields that were valid on an earlier attempt
+    value = Object.assign(value, check.value);
+    errors = {};
+    Object.keys(check.errors).forEach(function (name) {
+      if (!(name in value)) errors[name] = check.errors[name];
+    });
+    if (Object.keys(errors).length === 0) break;
+
+    console.warn('AI EOD parse failed schema (attempt ' + attempts + '):', JSON.stringify(errors));
+    prompt = basePrompt + '\n\nYour previous answer did not match the schema:\n' +
+      Object.keys(errors).map(function (name) { return '- ' + name + ': ' + errors[name]; }).join('\n') +
+      '\nReturn the corrected JSON object.';
+  }
+
+  if (attempts === 1 && !result) return null;
+
+  var fields = {};
+  if ('tasks_completed' in value) fields.tasks_completed = value.tasks_completed.join('; ');
+  if ('blockers' in value) {
+    fields.blockers = value.blockers.length > 0 ? value.blockers.map(function (b) { return b.text; }).join('; ') : null;
+    fields.blocker_items = value.blockers;
+  }
+  if ('tomorrow_priority' in value) fields.tomorrow_priority = value.tomorrow_priority;
+  if ('hours_worked' in value) fields.hours_worked = value.hours_worked;
+  fields.waiting_on = value.waiting_on || [];
+
+  return {
+    fields: fields,
+    invalidFields: Object.keys(EOD_PARSE_SCHEMA).filter(function (name) { return !(name in value); }),
+    errors: Object.keys(errors).map(function (name) { return name + ': ' + errors[name]; }),
+    attempts: attempts
+  };
+}
+
+/**
+ * Short AI coaching note for a member's EOD confirmation, from their last 10 EODs,
+ * delay reasons, chronic delays and gaming signals
+ * @returns {string|null} Note text, or null when there's nothing worth saying
+ */
+function generateEodCoachingNote(email, name, eodText, taskStats, hoursWorked) {
+  var recentEods = [];
+  var delayReasons = [];
+  var chronicDelays = [];
 
   try {
-    // Strip markdown code fences if present
-    var cleaned = result.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    return JSON.parse(cleaned);
-  } catch (e) {
-    console.error('Failed to parse AI EOD response:', e.message, result);
-    return null;
+    recentEods = getRecentEodRawResponses(email, 21, 10) || [];
+  } catch (e) { console.error('Coaching: recent EODs fetch failed:', e.message); }
+
+  try {
+    delayReasons = getUserDelayReasons(email, 30) || [];
+  } catch (e) { console.error('Coaching: delay reasons fetch failed:', e.message); }
+
+  try {
+    chronicDelays = (getRepeatDelayedTasks() || []).filter(function (t) { return t.user_email === email; });
+  } catch (e) { console.error('Coaching: repeat delays fetch failed:', e.message); }
+
+  var gamingSignals = computeGamingSignals(email, eodText, recentEods, taskStats, hoursWorked);
+
+  var prompt = buildEodCoachingPrompt({
+    name: name || email.split('@')[0],
+    eodText: eodText,
+    hoursWorked: hoursWorked,
+    taskStats: taskStats,
+    recentEods: recentEods,
+    delayReasons: delayReasons,
+    chronicDelays: chronicDelays,
+    gamingSignals: gamingSignals
+  });
+
+  var result = callLLM(prompt, {
+    feature: 'eod_coaching',
+    maxTokens: 200,
+    system: 'You are a supportive work coach writing a brief private note to one employee.'
+  });
+  if (!result || !result.text) return null;
+
+  var note = result.text.trim();
+  if (/^none\b/i.test(note)) return null;
+  return note.length > 500 ? note.substring(0, 497) + '...' : note;
+}
+
+/**
+ * Validate and coerce parsed EOD output against EOD_PARSE_SCHEMA
+ * @returns {object} { value: { field: coerced value } for valid fields, errors: { field: message } }
+ */
+function validateEodParse(output) {
+  var value = {};
+  var errors = {};
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    Object.keys(EOD_PARSE_SCHEMA).forEach(function (name) { errors[name] = 'response was not a JSON object'; });
+    return { value: value, errors: errors };
   }
+
+  Object.keys(EOD_PARSE_SCHEMA).forEach(function (name) {
+    var spec = EOD_PARSE_SCHEMA[name];
+    var raw = output[name];
+    var coerced;
+
+    try {
+      coerced = _coerceEodField(spec, raw);
+    } catch (e) {
+      errors[name] = e.message;
+      return;
+    }
+
+    if (spec.required && (coerced === null || (Array.isArray(coerced) && coerced.length === 0))) {
+      errors[name] = 'required';
+      return;
+    }
+    value[name] = coerced;
+  });
+
+  return { value: value, errors: errors };
+}
+
+/**
+ * Coerce one field to its schema type; throws with a short reason when it can't
+ */
+function _coerceEodField(spec, raw) {
+  var isEmpty = raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '');
+
+  switch (spec.type) {
+    case 'string':
+      if (isEmpty) return null;
+      if (Array.isArray(raw)) return raw.map(String).join('; ');
+      if (typeof raw !== 'string' && typeof raw !== 'number') throw new Error('expected a string');
+      return String(raw).trim();
+
+    case 'number':
+      if (isEmpty) return null;
+      var num = typeof raw === 'number' ? raw : parseFloat(String(raw));
+      if (isNaN(num)) throw new Error('expected a number, got ' + JSON.stringify(raw));
+      if (num < spec.min || num > spec.max) throw new Error('must be between ' + spec.min + ' and ' + spec.max + ', got ' + num);
+      return num;
+
+    case 'list':
+      if (isEmpty) return [];
+      var items = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(/\n+/) : null);
+      if (!items) throw new Error('expected an array of strings');
+      return items.map(function (item) {
+        if (typeof item !== 'string' && typeof item !== 'number') throw new Error('expected an array of strings');
+        return String(item).replace(/^\s*[-•*]\s*/, '').trim();
+      }).filter(function (item) { return item.length > 0; });
+
+    case 'blocker_list':
+      if (isEmpty) return [];
+      var entries = Array.isArray(raw) ? raw : (typeof raw === 'string' ? [raw] : null);
+      if (!entries) throw new Error('expected an array of blockers');
+      return entries.map(function (entry) {
+        if (typeof entry === 'string') return { text: entry.trim(), type: 'other' };
+        if (!entry || typeof entry !== 'object' || typeof (entry.text || entry.description) !== 'string') {
+          throw new Error('each blocker needs a text');
+        }
+        var type = String(entry.type || 'other').toLowerCase();
+        return { text: (entry.text || entry.description).trim(), type: EOD_BLOCKER_TYPES.indexOf(type) !== -1 ? type : 'other' };
+      }).filter(function (b) { return !_isNoBlocker(b.text); });
+  }
+  return raw;
 }
 
 /**
@@ -208,6 +337,11 @@ function generateDailyAiEvaluation() {
     lastEvaluation = getLastAiEvaluation();
   } catch (e) { console.error('Last evaluation fetch failed:', e.message); }
 
+  var openBlockersByUser = {};
+  try {
+    openBlockersByUser = getOpenBlockersByUser();
+  } catch (e) { console.error('Open blockers fetch failed:', e.message); }
+
   // Fetch recent EOD responses for anti-gaming comparison
   var recentResponsesMap = {};
   try {
@@ -227,6 +361,9 @@ function generateDailyAiEvaluation() {
     + ', recentResponses=' + Object.keys(recentResponsesMap).length
     + ', lastEval=' + (lastEvaluation ? lastEvaluation.evaluation_date : 'none'));
 
+  // Flagged EODs for the manager review queue
+  var flaggedEods = [];
+
   // Build team data for evaluation
   const teamData = teamMembers.map(member => {
     const checkIn = todayCheckIns.find(c => c.user_email === member.email);
@@ -300,6 +437,17 @@ function generateDailyAiEvaluation() {
       var recentForUser = recentResponsesMap[member.email] || [];
       if (todayRaw) {
         gamingSignals = computeGamingSignals(member.email, todayRaw, recentForUser, taskStats, eodHours);
+        if (gamingSignals.flags.length > 0) {
+          var similar = recentForUser.find(function (r) { return r.eod_date === gamingSignals.mostSimilarDate; });
+          flaggedEods.push({
+            email: member.email,
+            name: member.name || member.email.split('@')[0],
+            eodDate: String(eod.eod_date),
+            eodText: todayRaw,
+            signals: gamingSignals,
+            similarText: similar ? similar.raw_response : null
+          });
+        }
       }
     } catch (e) { console.error('Gaming signals failed for ' + member.email + ':', e.message); }
 
@@ -337,6 +485,7 @@ function generateDailyAiEvaluation() {
       schedEnd: schedEnd,
       eodReport: eod ? eod.tasks_completed : null,
       blockers: eod ? eod.blockers : null,
+      openBlockers: openBlockersByUser[member.email] || [],
       taskStats: taskStats,
       hoursReported: eodHours,
       clickupEstimateHrs: clickupEstimateHrs,
@@ -366,12 +515,18 @@ function generateDailyAiEvaluation() {
     };
   });
 
+  // Queue flags for manager review before the AI call, so they're kept even if it fails
+  try {
+    queueGamingReviews(flaggedEods);
+  } catch (e) { console.error('Gaming review queue failed:', e.message); }
+
   const prompt = buildAiEvaluationPrompt(teamData, lastEvaluation);
-  const evaluation = callOpenAI(prompt, 3000);
+  const result = callLLM(prompt, { feature: 'daily_evaluation', maxTokens: 3000 });
+  const evaluation = result ? result.text : null;
 
   if (!evaluation) {
     console.error('Failed to generate AI evaluation');
-    logSystemEvent('AI_EVALUATION', 'FAILED', { error: 'No response from OpenAI' });
+    logSystemEvent('AI_EVALUATION', 'FAILED', { error: 'No response from AI provider ' + getAiProviderName() });
     return;
   }
 
@@ -658,24 +813,29 @@ function computeGamingSignals(email, todayRawResponse, recentResponses, taskStat
   var vaguePhrasesFound = [];
   var hoursTaskRatio = null;
 
+  var similarityMethod = null;
+  var similarityThresholds = null;
+
   if (!todayRawResponse) {
-    return { similarityScore: 0, mostSimilarDate: null, vagueScore: 0, vaguePhrasesFound: [], hoursTaskRatio: null, flags: [] };
+    return { similarityScore: 0, mostSimilarDate: null, similarityMethod: null, similarityThresholds: null, vagueScore: 0, vaguePhrasesFound: [], hoursTaskRatio: null, flags: [] };
   }
 
-  // 1. Similarity check
-  if (recentResponses && recentResponses.length > 0) {
-    for (var i = 0; i < recentResponses.length; i++) {
-      var prev = recentResponses[i];
-      if (!prev.raw_response) continue;
-      var sim = computeTextSimilarity(todayRawResponse, prev.raw_response);
+  // 1. Similarity check (backend and cutoffs from Similarity.gs)
+  var previous = (recentResponses || []).filter(function (r) { return r.raw_response; });
+  if (previous.length > 0) {
+    var similarity = computeSimilarityScores([{ text: todayRawResponse, others: previous.map(function (r) { return r.raw_response; }) }]);
+    similarityMethod = similarity.method;
+    similarity.scores[0].forEach(function (sim, i) {
       if (sim > similarityScore) {
         similarityScore = sim;
-        mostSimilarDate = prev.eod_date;
+        mostSimilarDate = previous[i].eod_date;
       }
-    }
-    if (similarityScore > 0.8) {
+    });
+
+    similarityThresholds = getSimilarityThresholds(email, similarityMethod);
+    if (similarityScore > similarityThresholds.copy) {
       flags.push('COPY_PASTE');
-    } else if (similarityScore > 0.6) {
+    } else if (similarityScore > similarityThresholds.high) {
       flags.push('HIGH_SIMILARITY');
     }
   }
@@ -719,6 +879,8 @@ function computeGamingSignals(email, todayRawResponse, recentResponses, taskStat
   return {
     similarityScore: Math.round(similarityScore * 100) / 100,
     mostSimilarDate: mostSimilarDate,
+    similarityMethod: similarityMethod,
+    similarityThresholds: similarityThresholds,
     vagueScore: vagueScore,
     vaguePhrasesFound: vaguePhrasesFound,
     hoursTaskRatio: hoursTaskRatio,
@@ -0,0 +1,257 @@
+/**
+ * Outbox.gs - Reliable delivery for sendDirectMessage / sendChannelMessage
+ * Each message is sent straight away; if that fails with something worth retrying
+ * (no DM space yet, 429, 5xx, timeout) it is parked in Script Properties
+ * (OUTBOX_*) and retried by processEodBackground with exponential backoff.
+ * Messages that still fail, fail permanently (other 4xx, or a transport saying
+ * permanent), or don't fit in the bounded queue go to the undelivered_messages
+ * table, and managers get a daily "undelivered messages" report.
+ */
+
+var OUTBOX_PREFIX = 'OUTBOX_';
+var OUTBOX_BODY_PREFIX = 'OUTBOX_BODY_';
+
+// Retry after 2, 4, 8, 16, 32 minutes (about an hour in total)
+var OUTBOX_MAX_ATTEMPTS = 6;
+var OUTBOX_RETRY_BASE_MINUTES = 2;
+
+// Messages retried per processEodBackground run
+var OUTBOX_BATCH_SIZE = 50;
+
+// Script Properties share 500 KB across the script, so the queue is capped at
+// OUTBOX_MAX_MESSAGES of at most OUTBOX_PROPERTY_LIMIT each (150 KB); larger
+// messages keep their text and cards in the cache
+var OUTBOX_MAX_MESSAGES = 100;
+var OUTBOX_PROPERTY_LIMIT = 1500;
+
+// When the last undelivered messages report was run (ISO), so a Monday report covers the weekend
+var UNDELIVERED_REPORT_SINCE_KEY = 'UNDELIVERED_REPORT_SINCE';
+
+/**
+ * Send now, or queue for retry when the failure is temporary
+ * @param {object} target - { email } for a DM or { spaceName } for a channel
+ * @returns {object} Transport result, plus queued: true when parked for retry
+ */
+function deliverOrQueueMessage(target, text, cards) {
+  var result = _attemptOutboxDelivery(target, text, cards);
+  if (result.sent) return result;
+
+  var message = {
+    id: Utilities.getUuid(),
+    email: target.email || null,
+    spaceName: target.spaceName || null,
+    text: text || '',
+    attempts: 1,
+    firstAttemptAt: new Date().toISOString(),
+    lastError: result.error
+  };
+
+  if (!_isRetryableDelivery(result)) {
+    logUndeliveredMessage(message, !!cards);
+    return { sent: false, error: result.error };
+  }
+
+  if (_countOutboxMessages() >= OUTBOX_MAX_MESSAGES) {
+    message.lastError = result.error + ' (outbox full)';
+    logUndeliveredMessage(message, !!cards);
+    return { sent: false, error: message.lastError };
+  }
+  if (!_parkOutboxMessage(message, cards)) {
+    logUndeliveredMessage(message, !!cards);
+    return { sent: false, error: message.lastError };
+  }
+  console.warn('Message to ' + (message.email || message.spaceName) + ' queued for retry: ' + result.error);
+  return { sent: false, queued: true, error: result.error };
+}
+
+/**
+ * Retry parked messages that are due. Runs from processEodBackground (every minute).
+ */
+function processOutbox() {
+  var props = PropertiesService.getScriptProperties();
+  var allProps = props.getProperties();
+  var now = new Date().getTime();
+  var processed = 0;
+
+  var keys = Object.keys(allProps).filter(function (key) { return key.indexOf(OUTBOX_PREFIX) === 0; });
+
+  for (var i = 0; i < keys.length && processed < OUTBOX_BATCH_SIZE; i++) {
+    var message;
+    try {
+      message = JSON.parse(allProps[keys[i]]);
+    } catch (e) {
+      props.deleteProperty(keys[i]);
+      continue;
+    }
+    if (message.nextAttemptAt > now) continue;
+    processed++;
+
+    _loadOutboxBody(message);
+    var cards = message.cards;
+    var result = _attemptOutboxDelivery(message, message.text, cards);
+    message.attempts++;
+    message.lastError = result.error;
+
+    if (result.sent) {
+      _dropOutboxMessage(message);
+      console.log('Queued message to ' + (message.email || message.spaceName) + ' delivered on attempt ' + message.attempts);
+    } else if (!_isRetryableDelivery(result) || message.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      _dropOutboxMessage(message);
+      logUndeliveredMessage(message, !!cards || !!message.hasCards);
+    } else if (!_parkOutboxMessage(message, cards)) {
+      logUndeliveredMessage(message, !!cards || !!message.hasCards);
+    }
+  }
+}
+
+/**
+ * Daily report of messages that could not be delivered since the previous report
+ * (the last 24 hours on the first run).
+ * Each manager gets their own people's; channel messages go to manager_email.
+ */
+function sendUndeliveredMessagesReport() {
+  var props = PropertiesService.getScriptProperties();
+  var now = new Date();
+  var since = props.getProperty(UNDELIVERED_REPORT_SINCE_KEY) || new Date(now.getTime() - 24 * 3600000).toISOString();
+  var rows = getUndeliveredMessages(since);
+  props.setProperty(UNDELIVERED_REPORT_SINCE_KEY, now.toISOString());
+  if (rows.length === 0) return 0;
+
+  var config = getConfig();
+  var byManager = {};
+  var add = function (manager, row) {
+    if (!manager) return;
+    if (!byManager[manager]) byManager[manager] = [];
+    byManager[manager].push(row);
+  };
+  rows.forEach(function (row) {
+    if (row.recipient_email) {
+      getMemberManagerRecipients(row.recipient_email).forEach(function (manager) {
+        if (manager !== row.recipient_email) add(manager, row);
+      });
+    } else {
+      add(config.settings.manager_email, row);
+    }
+  });
+
+  Object.keys(byManager).forEach(function (manager) {
+    try {
+      sendDirectMessage(manager, _buildUndeliveredReport(byManager[manager]));
+    } catch (err) {
+      console.error('Error sending undelivered messages report to ' + manager + ':', err.message);
+    }
+  });
+
+  logSystemEvent('UNDELIVERED_REPORT', 'SENT', { messages: rows.length, managers: Object.keys(byManager).length });
+  return rows.length;
+}
+
+function _buildUndeliveredReport(rows) {
+  var config = getConfig();
+  var groups = {};
+  var order = [];
+  rows.forEach(function (row) {
+    var key = row.recipient_email || row.space_name;
+    if (!groups[key]) {
+      groups[key] = { rows: [], missingSpace: false, errors: {} };
+      order.push(key);
+    }
+    groups[key].rows.push(row);
+    if (row.last_error === 'No DM space') groups[key].missingSpace = true;
+    groups[key].errors[row.last_error] = true;
+  });
+
+  var message = '📭 *Undelivered messages (since the last report)*\n';
+  order.forEach(function (key) {
+    var group = groups[key];
+    var member = config.team_members.find(function (m) { return m.email === key; });
+    var who = group.rows[0].recipient_email ? (member && member.name ? member.name + ' (' + key + ')' : key) : 'Channel ' + key;
+    message += '\n• *' + who + '* — ' + group.rows.length + ' message' + (group.rows.length === 1 ? '' : 's');
+    message += group.missingSpace
+      ? ': no DM with the bot yet. Ask them to send the bot a message once.'
+      : ': ' + Object.keys(group.errors).join('; ');
+    group.rows.slice(0, 3).forEach(function (row) {
+      if (row.text_preview) message += '\n    _' + row.text_preview.split('\n')[0].substring(0, 80) + '_';
+    });
+  });
+  return message;
+}
+
+/**
+ * Resolve the space (DMs look it up on every attempt, so a DM space stored
+ * after the first failure is picked up) and send through the transport
+ */
+function _attemptOutboxDelivery(target, text, cards) {
+  var spaceName = target.spaceName;
+  if (target.email) {
+    spaceName = getDMSpace(target.email);
+    if (!spaceName) return { sent: false, error: 'No DM space' };
+  }
+  return sendMessageToSpace(spaceName, text, cards);
+}
+
+/**
+ * Temporary failures: no DM space yet, rate limit, server error, timeout or
+ * a network error (no HTTP code). Other 4xx, and failures the transport marks
+ * permanent (e.g. Slack channel_not_found), won't succeed on retry.
+ */
+function _isRetryableDelivery(result) {
+  if (result.permanent) return false;
+  if (result.error === 'No DM space' || !result.code) return true;
+  return result.code === 408 || result.code === 429 || result.code >= 500;
+}
+
+/**
+ * Store a message for its next attempt
+ * @returns {boolean} Parked; false (with message.lastError set) when storage failed
+ */
+function _parkOutboxMessage(message, cards) {
+  var props = PropertiesService.getScriptProperties();
+  message.nextAttemptAt = new Date().getTime() + OUTBOX_RETRY_BASE_MINUTES * Math.pow(2, message.attempts - 1) * 60000;
+  message.hasCards = !!cards;
+  message.cards = cards || null;
+  message.bodyInCache = false;
+
+  try {
+    var value = JSON.stringify(message);
+    if (value.length > OUTBOX_PROPERTY_LIMIT) {
+      // Retries finish within about an hour, well inside the 6 hour cache lifetime
+      CacheService.getScriptCache().put(OUTBOX_BODY_PREFIX + message.id, JSON.stringify({ text: message.text, cards: message.cards }), 21600);
+      var stub = JSON.parse(value);
+      stub.text = String(message.text).substring(0, 500);
+      stub.cards = null;
+      stub.bodyInCache = true;
+      value = JSON.stringify(stub);
+    }
+    props.setProperty(OUTBOX_PREFIX + message.id, value);
+    return true;
+  } catch (e) {
+    console.error('Could not queue message ' + message.id + ' for retry:', e.message);
+    message.lastError = message.lastError + ' (not queued: ' + e.message + ')';
+    return false;
+  }
+}
+
+function _countOutboxMessages() {
+  return PropertiesService.getScriptProperties().getKeys().filter(function (key) { return key.indexOf(OUTBOX_PREFIX) === 0; }).length;
+}
+
+/**
+ * Restore text and cards kept in the cache (a truncated text and no cards if it expired)
+ */
+function _loadOutboxBody(message) {
+  if (!message.bodyInCache) return;
+  var cached = CacheService.getScriptCache().get(OUTBOX_BODY_PREFIX + message.id);
+  if (!cached) {
+    message.cards = null;
+    return;
+  }
+  var body = JSON.parse(cached);
+  message.text = body.text;
+  message.cards = body.cards;
+}
+
+function _dropOutboxMessage(message) {
+  PropertiesService.getScriptProperties().deleteProperty(OUTBOX_PREFIX + message.id);
+  if (message.bodyInCache) CacheService.getScriptCache().remove(OUTBOX_BODY_PREFIX + message.id);
+}
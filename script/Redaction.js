@@ -0,0 +1,165 @@
+/**
+ * Redaction.gs - Redact sensitive data before prompts leave the script
+ * Team members' names and emails become stable pseudonyms (Person_XXXX for the
+ * name, Email_XXXX for the email, same XXXX), as do the redaction_keywords from
+ * settings (Term_N). Phone numbers (Phone_N), other emails (Contact_N) and URLs
+ * with secrets in their query (Url_N) get numbered placeholders.
+ * restore() maps every token in the reply back to what it replaced: names to the
+ * member's name, emails to the email, placeholders to the original text, so
+ * managers still read replies with names and parsed EODs keep their numbers.
+ */
+
+var REDACTION_TOKEN_PATTERN = /\b(?:Person_[0-9A-F]{4,8}|Email_[0-9A-F]{4,8}|Term_\d+|Phone_\d+|Contact_\d+|Url_\d+)\b/g;
+var REDACTED_URL_PARAM_PATTERN = /^(?:.*token.*|.*secret.*|.*password.*|key|api_?key|apikey|sig|signature|auth|code|access_?key|session.*|x-amz-.*)$/i;
+var REDACTED_PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+var REDACTED_EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+/**
+ * Whether AI prompts are redacted (settings: enable_ai_redaction, default on)
+ */
+function isAiRedactionEnabled() {
+  var config = getConfig();
+  return config.settings.enable_ai_redaction !== false;
+}
+
+/**
+ * Build a redactor for one prompt/reply round trip
+ * @returns {object} { redact(text), restore(text), tokens: { token: original } }
+ */
+function createRedactor() {
+  var config = getConfig();
+  var tokens = {};
+  var people = _buildRedactionPeople(config.team_members || [], tokens);
+  var keywords = _getRedactionKeywords(config.settings.redaction_keywords).map(function (keyword, i) {
+    var token = 'Term_' + (i + 1);
+    tokens[token] = keyword;
+    return { token: token, pattern: new RegExp('\\b' + _escapeRegExp(keyword) + '\\b', 'gi') };
+  });
+  var placeholders = {};
+  var placeholderCounts = {};
+
+  // Same text, same placeholder, so repeats in one prompt still read consistently
+  function placeholder(prefix, original) {
+    var key = prefix + '|' + original;
+    if (!placeholders[key]) {
+      placeholderCounts[prefix] = (placeholderCounts[prefix] || 0) + 1;
+      placeholders[key] = prefix + '_' + placeholderCounts[prefix];
+      tokens[placeholders[key]] = original;
+    }
+    return placeholders[key];
+  }
+
+  function redact(text) {
+    if (!text) return text;
+    var out = String(text);
+
+    out = out.replace(/https?:\/\/[^\s<>"')\]]+/g, function (url) {
+      return _urlHasSecrets(url) ? placeholder('Url', url) : url;
+    });
+
+    out = out.replace(REDACTED_EMAIL_PATTERN, function (email) {
+      var person = people.byEmail[email.toLowerCase()];
+      if (!person) return placeholder('Contact', email);
+      tokens[person.emailToken] = email;
+      return person.emailToken;
+    });
+
+    out = out.replace(REDACTED_PHONE_PATTERN, function (phone) {
+      return placeholder('Phone', phone);
+    });
+
+    people.namePatterns.forEach(function (p) {
+      out = out.replace(p.pattern, p.token);
+    });
+
+    keywords.forEach(function (k) {
+      out = out.replace(k.pattern, k.token);
+    });
+
+    return out;
+  }
+
+  function restore(text) {
+    if (!text) return text;
+    return String(text).replace(REDACTION_TOKEN_PATTERN, function (token) {
+      return tokens[token] !== undefined ? tokens[token] : token;
+    });
+  }
+
+  return { redact: redact, restore: restore, tokens: tokens };
+}
+
+/**
+ * Stable pseudonym for a team member, derived from their email
+ */
+function getRedactionPseudonym(email, length) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, String(email).toLowerCase());
+  var hex = digest.map(function (b) {
+    return ('0' + ((b + 256) % 256).toString(16)).slice(-2);
+  }).join('').toUpperCase();
+  return 'Person_' + hex.substring(0, length || 4);
+}
+
+/**
+ * Pseudonyms and match patterns for every team member.
+ * Full names match case-insensitively; a first name only matches capitalized
+ * and only when no one else on the team shares it.
+ */
+function _buildRedactionPeople(members, tokens) {
+  var byEmail = {};
+  var namePatterns = [];
+  var firstNameCounts = {};
+
+  members.forEach(function (m) {
+    var first = String(m.name || '').trim().split(/\s+/)[0].toLowerCase();
+    if (first) firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
+  });
+
+  members.forEach(function (m) {
+    if (!m.email) return;
+    var email = String(m.email).toLowerCase();
+    var token = getRedactionPseudonym(email);
+    if (tokens[token] !== undefined) token = getRedactionPseudonym(email, 8);
+    var emailToken = token.replace('Person_', 'Email_');
+    var name = String(m.name || '').trim();
+    tokens[token] = name || email.split('@')[0];
+    tokens[emailToken] = email;
+    byEmail[email] = { token: token, emailToken: emailToken };
+
+    if (!name) return;
+    var parts = name.split(/\s+/);
+    if (parts.length > 1) {
+      namePatterns.push({ token: token, length: name.length, pattern: new RegExp('\\b' + _escapeRegExp(name).replace(/\s+/g, '\\s+') + '\\b', 'gi') });
+    }
+    var first = parts[0];
+    if (first.length >= 3 && firstNameCounts[first.toLowerCase()] === 1) {
+      var capitalized = first.charAt(0).toUpperCase() + first.slice(1);
+      namePatterns.push({ token: token, length: first.length, pattern: new RegExp('\\b' + _escapeRegExp(capitalized) + '\\b', 'g') });
+    }
+  });
+
+  // Longest first, so "Sarah Lee" is replaced before "Sarah"
+  namePatterns.sort(function (a, b) { return b.length - a.length; });
+  return { byEmail: byEmail, namePatterns: namePatterns };
+}
+
+function _getRedactionKeywords(value) {
+  if (!value) return [];
+  var list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(function (k) { return String(k).trim(); }).filter(function (k) { return k.length > 0; });
+}
+
+/**
+ * Whether a URL carries secret-looking query values (token=, key=, sig=...)
+ */
+function _urlHasSecrets(url) {
+  var queryStart = url.indexOf('?');
+  if (queryStart === -1) return false;
+  return url.substring(queryStart + 1).split('&').some(function (pair) {
+    var eq = pair.indexOf('=');
+    if (eq === -1) return false;
+    var key = pair.substring(0, eq);
+    try { key = decodeURIComponent(key); } catch (e) { /* keep the raw key */ }
+    return REDACTED_URL_PARAM_PATTERN.test(key);
+  });
+}
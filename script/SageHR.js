@@ -73,6 +73,33 @@ function getSageHREmployees() {
   }));
 }
 
+/**
+ * Get Sage HR line managers keyed by Google email (employee email → reports_to email)
+ * Both sides go through the email_mapping tab. Cached for 6 hours.
+ */
+function getSageHRManagerMap() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get('sage_manager_map');
+  if (cached) return JSON.parse(cached);
+
+  const map = {};
+  const config = getConfig();
+  if (config.sage_hr_api_key) {
+    const employees = getSageHREmployees();
+    // No employees means the Sage HR call failed: don't pin an empty map for 6 hours
+    if (employees.length === 0) return map;
+
+    employees.forEach(emp => {
+      if (emp.email && emp.manager_email) {
+        map[resolveEmail(emp.email).toLowerCase()] = resolveEmail(emp.manager_email).toLowerCase();
+      }
+    });
+  }
+
+  cache.put('sage_manager_map', JSON.stringify(map), 21600);
+  return map;
+}
+
 /**
  * Get employees who are working today (not on leave)
  */
@@ -85,7 +112,7 @@ function getWorkingEmployeesToday() {
   if (!employees.length) {
     // Fallback to config sheet if Sage HR fails
     console.warn('Falling back to config sheet for team members');
-    return getActiveTeamMembers();
+    return getActiveTeamMembers().filter(m => !isDeclaredAbsent(m.email, 'CHECKIN'));
   }
 
   // Get leave requests for today
@@ -100,9 +127,9 @@ function getWorkingEmployeesToday() {
     });
   }
 
-  // Filter out employees on leave
+  // Filter out employees on leave (Sage HR or self-declared "ooo")
   const working = employees.filter(emp => {
-    return emp.status === 'active' && !onLeave.has(emp.id);
+    return emp.status === 'active' && !onLeave.has(emp.id) && !isDeclaredAbsent(emp.email, 'CHECKIN');
   });
 
   return working;
@@ -138,20 +165,39 @@ function dailySageHRSync() {
   const working = getWorkingEmployeesToday();
   const onLeaveCount = employees.filter(e => e.status === 'active').length - working.length;
 
-  // --- Detect new employees without DM spaces ---
+  // --- Detect new employees and set up missing DM spaces ---
   var config = getConfig();
   var newEmployees = [];
   var missingDMEmployees = [];
+  var createdDMCount = 0;
+
+  // Everyone working today, plus tracked members on leave (so they're ready when back)
+  var candidates = working.slice();
+  config.team_members.forEach(function(tm) {
+    if (!tm.active || tm.tracking_mode === 'not_tracked') return;
+    if (!candidates.some(function(c) { return c.email === tm.email; })) {
+      candidates.push({ email: tm.email, name: tm.name });
+    }
+  });
 
-  working.forEach(function(emp) {
+  candidates.forEach(function(emp) {
     // Check if they're in the team_members sheet
     var inSheet = config.team_members.find(function(tm) { return tm.email === emp.email; });
 
     // Skip not_tracked users — they don't need bot setup
     if (inSheet && inSheet.tracking_mode === 'not_tracked') return;
 
-    // Check if they have a DM space (can the bot message them?)
+    // Check if they have a DM space (can the bot message them?); if not, find or create it
     var dmSpace = getDMSpace(emp.email);
+    if (!dmSpace && !isSlackMember(emp.email)) {
+      var setup = setupDMSpace(emp.email);
+      if (setup.spaceName) {
+        dmSpace = setup.spaceName;
+        if (setup.created) createdDMCount++;
+      } else {
+        emp.dmError = setup.error;
+      }
+    }
     if (!dmSpace) {
       missingDMEmployees.push(emp);
     }
@@ -161,18 +207,19 @@ function dailySageHRSync() {
     }
   });
 
-  // Alert manager about new employees needing setup
+  // Alert admin about employees the bot still can't reach
   if (missingDMEmployees.length > 0) {
     var alertMsg = '👤 **New Employee Bot Setup Required**\n\n';
-    alertMsg += 'The following employees are active in Sage HR but haven\'t set up their bot DM yet. They need to send a message to the bot to activate it:\n\n';
+    alertMsg += 'The bot couldn\'t open a DM with the following employees, so they won\'t get check-ins or EOD prompts:\n\n';
     missingDMEmployees.forEach(function(emp) {
       var name = emp.full_name || emp.name || emp.email;
       alertMsg += '• **' + name + '** (' + emp.email + ')';
       var isNew = newEmployees.some(function(ne) { return ne.email === emp.email; });
       if (isNew) alertMsg += ' — _also missing from team_members sheet_';
+      if (emp.dmError) alertMsg += '\n    _' + emp.dmError + '_';
       alertMsg += '\n';
     });
-    alertMsg += '\n**Action needed:** Ask them to open a DM with the Daily Check-in Bot and send any message (e.g. "hello"). The bot will then be able to send them check-ins and EOD prompts.';
+    alertMsg += '\n**Action needed:** Install the Daily Check-in Bot for them (Admin console > Apps > Google Workspace Marketplace apps), or ask them to open a DM with the bot and send any message (e.g. "hello"). The bot will then be able to send them check-ins and EOD prompts.';
 
     if (newEmployees.length > 0) {
       alertMsg += '\n\nFor new employees also missing from the team_members sheet, you may want to add them with their department, task source, and schedule settings.';
@@ -202,8 +249,9 @@ function dailySageHRSync() {
   // Update team members cache
   updateTeamMembersCache(working);
 
+  syncData.dm_spaces_created = createdDMCount;
   logSystemEvent('SAGE_HR_SYNC', 'SUCCESS', syncData);
-  console.log(`Sage HR sync complete: ${working.length} working today, ${onLeaveCount} on leave, ${missingDMEmployees.length} missing DM, ${newEmployees.length} new`);
+  console.log(`Sage HR sync complete: ${working.length} working today, ${onLeaveCount} on leave, ${createdDMCount} DM spaces created, ${missingDMEmployees.length} missing DM, ${newEmployees.length} new`);
 }
 
 /**
@@ -338,9 +386,9 @@ function syncEmployeesToSheet() {
   }
 
   // Prepare header row
-  const headers = ['email', 'name', 'department', 'manager_email', 'active', 'custom_start_time', 'custom_end_time', 'timezone', 'task_source', 'tracking_mode', 'custom_block2_start', 'custom_block2_end'];
+  const headers = ['email', 'name', 'department', 'manager_email', 'active', 'custom_start_time', 'custom_end_time', 'timezone', 'task_source', 'tracking_mode', 'custom_block2_start', 'custom_block2_end', 'ai_coaching', 'chat_platform'];
 
-  // Get existing data to preserve custom fields (custom_start_time, custom_end_time, timezone, task_source)
+  // Get existing data to preserve custom fields (schedule, timezone, task_source, tracking, ai_coaching opt-out, chat_platform)
   const existingData = sheet.getDataRange().getValues();
   const existingByEmail = {};
 
@@ -351,11 +399,14 @@ function syncEmployeesToSheet() {
         existingByEmail[email] = {
           custom_start_time: existingData[i][5] || '',
           custom_end_time: existingData[i][6] || '',
-          timezone: existingData[i][7] || 'America/Chicago',
+          timezone: existingData[i][7] || '',
           task_source: existingData[i][8] || 'clickup',
           tracking_mode: existingData[i][9] || 'tracked',
           custom_block2_start: existingData[i][10] || '',
-          custom_block2_end: existingData[i][11] || ''
+          custom_block2_end: existingData[i][11] || '',
+          // Kept as-is: FALSE is an opt-out, blank means the default (on)
+          ai_coaching: existingData[i][12] === undefined ? '' : existingData[i][12],
+          chat_platform: existingData[i][13] || 'google_chat'
         };
       }
     }
@@ -372,11 +423,13 @@ function syncEmployeesToSheet() {
       emp.status === 'active' ? 'TRUE' : 'FALSE',
       existing.custom_start_time || '',
       existing.custom_end_time || '',
-      existing.timezone || 'America/Chicago',
+      existing.timezone || '',
       existing.task_source || 'clickup',
       existing.tracking_mode || 'tracked',
       existing.custom_block2_start || '',
-      existing.custom_block2_end || ''
+      existing.custom_block2_end || '',
+      existing.ai_coaching === undefined ? '' : existing.ai_coaching,
+      existing.chat_platform || 'google_chat'
     ];
   });
 
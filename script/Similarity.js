@@ -0,0 +1,273 @@
+/**
+ * Similarity.gs - EOD similarity backends and per-department baselines
+ * computeGamingSignals scores today's EOD against recent ones with the backend set
+ * in settings (similarity_method): word-bigram Jaccard (default), local TF-IDF
+ * cosine, or provider embeddings. COPY_PASTE / HIGH_SIMILARITY cutoffs come from
+ * the department's usual repetitiveness over the last 30 days, so support roles
+ * that write similar reports every day aren't flagged for it.
+ */
+
+var SIMILARITY_BASELINE_DAYS = 30;
+var SIMILARITY_COMPARE_DAYS = 7;
+var SIMILARITY_BASELINE_MIN_SAMPLES = 10;
+var SIMILARITY_TEXT_LIMIT = 2000;
+var SIMILARITY_EMBEDDING_BATCH = 100;
+
+var SIMILARITY_STOPWORDS = ['the', 'and', 'for', 'with', 'on', 'to', 'of', 'in', 'a', 'an', 'is', 'was', 'it', 'at',
+  'my', 'i', 'we', 'our', 'some', 'from', 'this', 'that', 'be', 'are', 'as', 'by', 'or', 'up', 'all', 'today'];
+
+/**
+ * Backend registry. score(sets) takes [{ text, others: [text] }] and returns one
+ * array of scores (0-1) per set, or null on failure (then the fallback backend is used).
+ * defaults are the fixed cutoffs used until a department has enough history.
+ */
+var SIMILARITY_BACKENDS = {
+  bigram: {
+    defaults: { copy: 0.8, high: 0.6 },
+    score: function (sets) {
+      return sets.map(function (set) {
+        return set.others.map(function (other) { return computeTextSimilarity(set.text, other); });
+      });
+    }
+  },
+
+  tfidf: {
+    defaults: { copy: 0.85, high: 0.7 },
+    score: function (sets) {
+      return sets.map(function (set) { return _tfidfCosineScores(set.text, set.others); });
+    }
+  },
+
+  embedding: {
+    defaults: { copy: 0.93, high: 0.85 },
+    fallback: 'tfidf',
+    score: _embeddingScoreSets
+  }
+};
+
+/**
+ * Configured backend name (settings: similarity_method, default bigram)
+ */
+function getSimilarityMethod() {
+  var config = getConfig();
+  var method = String(config.settings.similarity_method || 'bigram').toLowerCase().trim();
+  return SIMILARITY_BACKENDS[method] ? method : 'bigram';
+}
+
+/**
+ * Score texts against their comparison sets with the configured backend
+ * @param {Array} sets - [{ text, others: [text] }]
+ * @returns {object} { method: backend actually used, scores: [[number]] }
+ */
+function computeSimilarityScores(sets, method) {
+  method = method || getSimilarityMethod();
+  var backend = SIMILARITY_BACKENDS[method];
+  var scores = null;
+  try {
+    scores = backend.score(sets);
+  } catch (e) {
+    console.error('Similarity backend ' + method + ' failed:', e.message);
+  }
+  if (!scores && backend.fallback) return computeSimilarityScores(sets, backend.fallback);
+  return { method: method, scores: scores || sets.map(function (set) { return set.others.map(function () { return 0; }); }) };
+}
+
+/**
+ * COPY_PASTE / HIGH_SIMILARITY cutoffs for a person: their department's baseline
+ * (mean + 2 sd / mean + 1 sd of each EOD's best match in the prior week), else the
+ * whole team's, else the backend's fixed defaults
+ * @returns {object} { copy, high, basis: 'department'|'team'|'default', department, mean }
+ */
+function getSimilarityThresholds(email, method) {
+  var defaults = SIMILARITY_BACKENDS[method].defaults;
+  var department = getMemberDepartment(email);
+
+  var baselines = {};
+  try {
+    baselines = getSimilarityBaselines(method);
+  } catch (e) {
+    console.error('Similarity baselines failed:', e.message);
+  }
+
+  var basis = 'default';
+  var baseline = null;
+  if (department && baselines[department] && baselines[department].samples >= SIMILARITY_BASELINE_MIN_SAMPLES) {
+    basis = 'department';
+    baseline = baselines[department];
+  } else if (baselines._team && baselines._team.samples >= SIMILARITY_BASELINE_MIN_SAMPLES) {
+    basis = 'team';
+    baseline = baselines._team;
+  }
+  if (!baseline) return { copy: defaults.copy, high: defaults.high, basis: basis, department: department, mean: null };
+
+  var copy = Math.min(0.98, Math.max(defaults.high, baseline.mean + 2 * baseline.sd));
+  var high = Math.min(copy, Math.max(defaults.high - 0.2, baseline.mean + baseline.sd));
+  return {
+    copy: Math.round(copy * 100) / 100,
+    high: Math.round(high * 100) / 100,
+    basis: basis,
+    department: department,
+    mean: baseline.mean
+  };
+}
+
+/**
+ * Per-department repetitiveness: mean and sd of each EOD's best similarity to the
+ * same person's EODs in the week before it, over the last 30 days.
+ * Cached for 6 hours per backend. If the backend failed and its fallback scored
+ * the history, those baselines are cached for the fallback and {} is returned,
+ * so the caller's cutoffs stay on the requested backend's defaults.
+ * @returns {object} { department: { mean, sd, samples }, _team: { ... } }
+ */
+function getSimilarityBaselines(method) {
+  var cache = CacheService.getScriptCache();
+  var cacheKey = _similarityBaselinesCacheKey(method);
+  var cached = cache.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  var byUser = {};
+  (getTeamRecentEodRawResponses(SIMILARITY_BASELINE_DAYS) || []).forEach(function (r) {
+    if (!r.raw_response) return;
+    if (!byUser[r.user_email]) byUser[r.user_email] = [];
+    byUser[r.user_email].push(r);
+  });
+
+  var sets = [];
+  var setDepartments = [];
+  Object.keys(byUser).forEach(function (email) {
+    var rows = byUser[email];
+    var department = getMemberDepartment(email);
+    rows.forEach(function (row, i) {
+      var others = rows.slice(0, i).filter(function (prev) {
+        return _daysBetweenDates(prev.eod_date, row.eod_date) <= SIMILARITY_COMPARE_DAYS;
+      }).map(function (prev) { return prev.raw_response; });
+      if (others.length === 0) return;
+      sets.push({ text: row.raw_response, others: others });
+      setDepartments.push(department);
+    });
+  });
+
+  var samples = { _team: [] };
+  var scoredWith = method;
+  if (sets.length > 0) {
+    var result = computeSimilarityScores(sets, method);
+    scoredWith = result.method;
+    result.scores.forEach(function (scores, i) {
+      var best = Math.max.apply(null, scores);
+      samples._team.push(best);
+      if (setDepartments[i]) {
+        if (!samples[setDepartments[i]]) samples[setDepartments[i]] = [];
+        samples[setDepartments[i]].push(best);
+      }
+    });
+  }
+
+  var baselines = {};
+  Object.keys(samples).forEach(function (key) {
+    var values = samples[key];
+    if (values.length === 0) return;
+    var mean = values.reduce(function (sum, v) { return sum + v; }, 0) / values.length;
+    var variance = values.reduce(function (sum, v) { return sum + (v - mean) * (v - mean); }, 0) / values.length;
+    baselines[key] = { mean: Math.round(mean * 1000) / 1000, sd: Math.round(Math.sqrt(variance) * 1000) / 1000, samples: values.length };
+  });
+
+  cache.put(_similarityBaselinesCacheKey(scoredWith), JSON.stringify(baselines), 21600);
+  return scoredWith === method ? baselines : {};
+}
+
+function _similarityBaselinesCacheKey(method) {
+  return 'similarity_baselines_' + method + '_' + Utilities.formatDate(new Date(), getReportingTimezone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Department from the team_members tab (null if unknown)
+ */
+function getMemberDepartment(email) {
+  var config = getConfig();
+  var member = (config.team_members || []).find(function (m) { return m.email && m.email.toLowerCase() === String(email).toLowerCase(); });
+  return member && member.department ? member.department : null;
+}
+
+/**
+ * TF-IDF cosine of text against each of others; IDF over text + others
+ */
+function _tfidfCosineScores(text, others) {
+  var docs = [text].concat(others).map(_similarityTerms);
+  var docFreq = {};
+  docs.forEach(function (terms) {
+    Object.keys(terms).forEach(function (term) { docFreq[term] = (docFreq[term] || 0) + 1; });
+  });
+
+  var vectors = docs.map(function (terms) {
+    var vector = {};
+    Object.keys(terms).forEach(function (term) {
+      vector[term] = terms[term] * (Math.log((1 + docs.length) / (1 + docFreq[term])) + 1);
+    });
+    return vector;
+  });
+
+  return vectors.slice(1).map(function (vector) { return _cosineSimilarity(vectors[0], vector); });
+}
+
+/**
+ * Term counts for TF-IDF: normalized words without stopwords, with plural/tense endings trimmed
+ */
+function _similarityTerms(text) {
+  var terms = {};
+  normalizeTextForComparison(text).split(' ').forEach(function (word) {
+    if (word.length < 2 || SIMILARITY_STOPWORDS.indexOf(word) !== -1) return;
+    var stem = word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word;
+    terms[stem] = (terms[stem] || 0) + 1;
+  });
+  return terms;
+}
+
+/**
+ * Embed every distinct text once (in batches of SIMILARITY_EMBEDDING_BATCH per
+ * API call), then cosine per pair. Any failed batch fails the whole scoring.
+ */
+function _embeddingScoreSets(sets) {
+  var unique = [];
+  var indexOf = {};
+  sets.forEach(function (set) {
+    [set.text].concat(set.others).forEach(function (t) {
+      var key = String(t).substring(0, SIMILARITY_TEXT_LIMIT);
+      if (indexOf[key] === undefined) {
+        indexOf[key] = unique.length;
+        unique.push(key);
+      }
+    });
+  });
+
+  var vectors = [];
+  for (var start = 0; start < unique.length; start += SIMILARITY_EMBEDDING_BATCH) {
+    var batch = unique.slice(start, start + SIMILARITY_EMBEDDING_BATCH);
+    var result = callEmbeddings(batch, { feature: 'eod_similarity' });
+    if (!result || result.vectors.length !== batch.length) return null;
+    vectors = vectors.concat(result.vectors);
+  }
+
+  var vectorFor = function (t) { return vectors[indexOf[String(t).substring(0, SIMILARITY_TEXT_LIMIT)]]; };
+  return sets.map(function (set) {
+    var base = vectorFor(set.text);
+    return set.others.map(function (other) { return Math.max(0, _cosineSimilarity(base, vectorFor(other))); });
+  });
+}
+
+/**
+ * Cosine similarity of two vectors (arrays or { term: weight } maps)
+ */
+function _cosineSimilarity(a, b) {
+  var dot = 0, normA = 0, normB = 0, key;
+  for (key in a) {
+    normA += a[key] * a[key];
+    if (b[key] !== undefined) dot += a[key] * b[key];
+  }
+  for (key in b) normB += b[key] * b[key];
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function _daysBetweenDates(from, to) {
+  return Math.round((new Date(String(to) + 'T00:00:00Z') - new Date(String(from) + 'T00:00:00Z')) / 86400000);
+}
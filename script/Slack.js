@@ -0,0 +1,411 @@
+/**
+ * Slack.gs - Slack transport
+ * Members with chat_platform = slack get the same prompts, cards and summaries
+ * through a Slack bot. Slack spaces are written "slack:<channel id>" (DMs and
+ * channels alike), so sendMessageToSpace / updateMessage route them here.
+ * cardsV2 are mapped to Block Kit; Slack messages and button clicks arrive at the
+ * web app (doPost) and are replayed through onMessage / onCardClick as Chat events.
+ */
+
+const SLACK_API_URL = 'https://slack.com/api/';
+const SLACK_SPACE_PREFIX = 'slack:';
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_MAX_TEXT = 3000;
+
+// chat.postMessage errors that won't succeed on retry
+const SLACK_PERMANENT_ERRORS = ['channel_not_found', 'not_in_channel', 'is_archived', 'invalid_auth', 'not_authed',
+  'account_inactive', 'token_revoked', 'missing_scope', 'user_not_found', 'cannot_dm_bot', 'msg_too_long', 'invalid_blocks'];
+
+/**
+ * Whether a space or message name belongs to Slack
+ */
+function isSlackSpace(name) {
+  return String(name || '').indexOf(SLACK_SPACE_PREFIX) === 0;
+}
+
+/**
+ * Whether a member gets their DMs in Slack (team_members chat_platform column)
+ */
+function isSlackMember(email) {
+  if (!email) return false;
+  var config = getConfig();
+  var member = config.team_members.find(function (m) { return m.email && m.email.toLowerCase() === email.toLowerCase(); });
+  return !!member && member.chat_platform === 'slack';
+}
+
+/**
+ * Call a Slack Web API method with the bot token
+ * @param {boolean} useGet - Read methods (users.info, users.lookupByEmail) take query parameters
+ * @returns {object|null} Response body when ok, else null
+ */
+function callSlackApi(method, payload, useGet) {
+  return _fetchSlackApi(method, payload, useGet).body;
+}
+
+/**
+ * callSlackApi with the failure kept
+ * @returns {object} { body } when ok, else { body: null, code, error } (error: Slack's error code,
+ *   or a message when the call never got an answer)
+ */
+function _fetchSlackApi(method, payload, useGet) {
+  var config = getConfig();
+  if (!config.slack_bot_token) {
+    console.error('Slack bot token not configured (SLACK_BOT_TOKEN)');
+    return { body: null, code: null, error: 'not_authed' };
+  }
+
+  try {
+    var headers = { 'Authorization': 'Bearer ' + config.slack_bot_token };
+    var response = useGet
+      ? UrlFetchApp.fetch(SLACK_API_URL + method + '?' + Object.keys(payload || {}).map(function (k) {
+        return k + '=' + encodeURIComponent(payload[k]);
+      }).join('&'), { method: 'get', headers: headers, muteHttpExceptions: true })
+      : UrlFetchApp.fetch(SLACK_API_URL + method, {
+        method: 'post',
+        contentType: 'application/json; charset=utf-8',
+        headers: headers,
+        payload: JSON.stringify(payload || {}),
+        muteHttpExceptions: true
+      });
+    var code = response.getResponseCode();
+    var body = JSON.parse(response.getContentText() || '{}');
+    if (code !== 200 || !body.ok) {
+      console.error('Slack ' + method + ' failed: ' + code + ' ' + (body.error || response.getContentText()));
+      return { body: null, code: code, error: body.error || 'HTTP ' + code };
+    }
+    return { body: body, code: code, error: null };
+  } catch (error) {
+    console.error('Slack ' + method + ' error:', error.message);
+    return { body: null, code: null, error: error.message };
+  }
+}
+
+/**
+ * Post a message to a Slack channel or DM
+ * @returns {object} Same shape as sendMessageToSpace: { sent, spaceName, messageName, hasCards }
+ *   or { sent: false, error, code, permanent } (permanent: Slack said retrying won't help)
+ */
+function sendSlackMessage(spaceName, text, cards) {
+  var channel = spaceName.substring(SLACK_SPACE_PREFIX.length);
+  var payload = { channel: channel, text: formatSlackText(text || '') };
+  var blocks = cards ? convertCardsToSlackBlocks(cards) : [];
+  if (blocks.length > 0) {
+    if (text) blocks.unshift({ type: 'section', text: { type: 'mrkdwn', text: _truncateSlackText(payload.text) } });
+    payload.blocks = blocks.slice(0, SLACK_MAX_BLOCKS);
+  }
+
+  var response = _fetchSlackApi('chat.postMessage', payload);
+  var body = response.body;
+  if (!body) {
+    return {
+      sent: false,
+      error: 'Slack chat.postMessage failed: ' + response.error,
+      // Slack reports API errors with HTTP 200; only a real HTTP failure code is passed on
+      code: response.code === 200 ? null : response.code,
+      permanent: SLACK_PERMANENT_ERRORS.indexOf(response.error) !== -1
+    };
+  }
+  return {
+    sent: true,
+    spaceName: spaceName,
+    messageName: SLACK_SPACE_PREFIX + body.channel + '/' + body.ts,
+    hasCards: blocks.length > 0
+  };
+}
+
+/**
+ * Replace a Slack message in place
+ * @param {string} messageName - "slack:<channel>/<ts>" as returned by sendSlackMessage
+ */
+function updateSlackMessage(messageName, text, cards) {
+  var parts = messageName.substring(SLACK_SPACE_PREFIX.length).split('/');
+  var payload = { channel: parts[0], ts: parts[1], text: formatSlackText(text || '') };
+  var blocks = cards ? convertCardsToSlackBlocks(cards) : [];
+  if (text && blocks.length > 0) blocks.unshift({ type: 'section', text: { type: 'mrkdwn', text: _truncateSlackText(payload.text) } });
+  // An empty list clears old buttons when a card is replaced by text
+  payload.blocks = blocks.slice(0, SLACK_MAX_BLOCKS);
+  return callSlackApi('chat.update', payload);
+}
+
+/**
+ * Find a member's Slack user by email and open a DM with the bot
+ * @returns {string|null} "slack:<DM channel id>"
+ */
+function openSlackDM(email) {
+  var user = callSlackApi('users.lookupByEmail', { email: email }, true);
+  if (!user || !user.user) return null;
+  var dm = callSlackApi('conversations.open', { users: user.user.id });
+  return dm && dm.channel ? SLACK_SPACE_PREFIX + dm.channel.id : null;
+}
+
+/**
+ * Email and display name for a Slack user id (cached for 6 hours)
+ * @returns {object|null} { email, displayName }
+ */
+function getSlackUser(userId) {
+  var cache = CacheService.getScriptCache();
+  var cacheKey = 'slack_user_' + userId;
+  var cached = cache.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  var body = callSlackApi('users.info', { user: userId }, true);
+  if (!body || !body.user || !body.user.profile || !body.user.profile.email) return null;
+  var user = {
+    email: body.user.profile.email.toLowerCase(),
+    displayName: body.user.profile.real_name || body.user.real_name || body.user.name
+  };
+  cache.put(cacheKey, JSON.stringify(user), 21600);
+  return user;
+}
+
+// ============================================
+// FORMATTING: Chat markup / cardsV2 → Slack mrkdwn / Block Kit
+// ============================================
+
+/**
+ * Convert Chat message markup (and card HTML) to Slack mrkdwn
+ */
+function formatSlackText(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?b>/gi, '*')
+    .replace(/<\/?i>/gi, '_')
+    .replace(/<a href="([^"]+)">([^<]*)<\/a>/gi, '<$1|$2>')
+    .replace(/<\/?(font|u|s)[^>]*>/gi, '')
+    .replace(/\*\*([^*]+)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<$2|$1>');
+}
+
+/**
+ * Map cardsV2 to Block Kit blocks
+ * Buttons carry { f: function, p: parameters } in their value so clicks can be
+ * replayed through onCardClick; text inputs become input blocks keyed by name.
+ */
+function convertCardsToSlackBlocks(cards) {
+  var blocks = [];
+  (cards || []).forEach(function (entry) {
+    var card = entry.card || entry;
+    if (card.header && card.header.title) {
+      blocks.push({ type: 'header', text: { type: 'plain_text', text: String(card.header.title).substring(0, 150), emoji: true } });
+      if (card.header.subtitle) blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: formatSlackText(card.header.subtitle) }] });
+    }
+    (card.sections || []).forEach(function (section, s) {
+      if (s > 0 || card.header) blocks.push({ type: 'divider' });
+      if (section.header) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*' + formatSlackText(section.header) + '*' } });
+      (section.widgets || []).forEach(function (widget) {
+        _appendSlackWidget(blocks, widget);
+      });
+    });
+  });
+  return blocks;
+}
+
+function _appendSlackWidget(blocks, widget) {
+  if (widget.textParagraph) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: _truncateSlackText(formatSlackText(widget.textParagraph.text)) } });
+  } else if (widget.decoratedText) {
+    var d = widget.decoratedText;
+    var lines = [];
+    if (d.topLabel) lines.push('*' + formatSlackText(d.topLabel) + '*');
+    lines.push(formatSlackText(d.text));
+    if (d.bottomLabel) lines.push('_' + formatSlackText(d.bottomLabel) + '_');
+    var block = { type: 'section', text: { type: 'mrkdwn', text: _truncateSlackText(lines.join('\n')) } };
+    if (d.button) block.accessory = _toSlackButton(d.button, blocks.length, 0);
+    blocks.push(block);
+  } else if (widget.buttonList) {
+    var elements = (widget.buttonList.buttons || []).map(function (button, i) {
+      return _toSlackButton(button, blocks.length, i);
+    }).filter(function (b) { return b; });
+    if (elements.length > 0) blocks.push({ type: 'actions', elements: elements.slice(0, 25) });
+  } else if (widget.textInput) {
+    var input = widget.textInput;
+    var element = { type: 'plain_text_input', action_id: input.name, multiline: input.type === 'MULTIPLE_LINE' };
+    if (input.value) element.initial_value = String(input.value);
+    if (input.hintText) element.placeholder = { type: 'plain_text', text: String(input.hintText).substring(0, 150) };
+    blocks.push({ type: 'input', block_id: input.name, optional: true, label: { type: 'plain_text', text: String(input.label || input.name).substring(0, 2000) }, element: element });
+  } else if (widget.columns) {
+    var fields = widget.columns.columnItems.map(function (column) {
+      return (column.widgets || []).map(function (w) {
+        return formatSlackText((w.textParagraph && w.textParagraph.text) || (w.decoratedText && w.decoratedText.text) || '');
+      }).join('\n');
+    });
+    blocks.push({ type: 'section', fields: fields.slice(0, 10).map(function (f) { return { type: 'mrkdwn', text: f.substring(0, 2000) || ' ' }; }) });
+  } else if (widget.divider) {
+    blocks.push({ type: 'divider' });
+  } else if (widget.image && widget.image.imageUrl) {
+    blocks.push({ type: 'image', image_url: widget.image.imageUrl, alt_text: widget.image.altText || 'image' });
+  } else {
+    console.warn('Slack: no Block Kit mapping for widget ' + Object.keys(widget).join(','));
+  }
+}
+
+function _toSlackButton(button, blockIndex, i) {
+  var action = button.onClick && button.onClick.action;
+  if (button.onClick && button.onClick.openLink) {
+    return { type: 'button', text: { type: 'plain_text', text: String(button.text).substring(0, 75), emoji: true }, url: button.onClick.openLink.url, action_id: 'link_' + blockIndex + '_' + i };
+  }
+  if (!action) return null;
+
+  var params = {};
+  (action.parameters || []).forEach(function (p) { params[p.key] = p.value; });
+  return {
+    type: 'button',
+    text: { type: 'plain_text', text: String(button.text).substring(0, 75), emoji: true },
+    action_id: action.function + '_' + blockIndex + '_' + i,
+    value: JSON.stringify({ f: action.function, p: params }).substring(0, 2000)
+  };
+}
+
+function _truncateSlackText(text) {
+  return text.length > SLACK_MAX_TEXT ? text.substring(0, SLACK_MAX_TEXT - 3) + '...' : text;
+}
+
+// ============================================
+// INBOUND: Events API + interactivity (via doPost)
+// ============================================
+
+/**
+ * Whether a web app POST came from Slack (event callback or interaction)
+ */
+function isSlackRequest(e) {
+  if (e && e.parameter && e.parameter.payload) return true;
+  var body = _parseSlackBody(e);
+  return !!body && (body.type === 'url_verification' || body.type === 'event_callback');
+}
+
+/**
+ * Handle a Slack request posted to the web app
+ * Apps Script can't read request headers, so requests are checked against the
+ * app's verification token (SLACK_VERIFICATION_TOKEN) instead of the signature.
+ */
+function handleSlackRequest(e) {
+  var config = getConfig();
+  var interaction = e.parameter && e.parameter.payload ? JSON.parse(e.parameter.payload) : null;
+  var body = interaction || _parseSlackBody(e);
+
+  if (!config.slack_verification_token || body.token !== config.slack_verification_token) {
+    console.warn('Slack request rejected: bad verification token');
+    return ContentService.createTextOutput('forbidden');
+  }
+
+  if (body.type === 'url_verification') {
+    return ContentService.createTextOutput(body.challenge);
+  }
+
+  try {
+    if (interaction) {
+      _handleSlackInteraction(interaction);
+    } else if (body.type === 'event_callback') {
+      _handleSlackEvent(body);
+    }
+  } catch (error) {
+    console.error('Slack request failed:', error.message);
+    logBotError('handleSlackRequest', error, { type: body.type });
+  }
+  return ContentService.createTextOutput('');
+}
+
+/**
+ * A DM to the bot → onMessage, reply posted back to the DM
+ */
+function _handleSlackEvent(body) {
+  var event = body.event || {};
+  if (event.type !== 'message' || event.channel_type !== 'im' || event.bot_id || event.subtype) return;
+
+  // Slack retries slow deliveries; handle each event once
+  var cache = CacheService.getScriptCache();
+  var dedupKey = 'slack_event_' + body.event_id;
+  if (cache.get(dedupKey)) return;
+  cache.put(dedupKey, '1', 3600);
+
+  var user = getSlackUser(event.user);
+  if (!user) {
+    console.error('Slack: no email for user ' + event.user + ' (needs users:read.email)');
+    return;
+  }
+
+  var spaceName = SLACK_SPACE_PREFIX + event.channel;
+  var response = onMessage({
+    chat: {
+      user: { email: user.email, displayName: user.displayName, name: SLACK_SPACE_PREFIX + event.user },
+      messagePayload: {
+        message: { text: event.text || '' },
+        space: { name: spaceName, type: 'DM' }
+      }
+    }
+  });
+  _deliverSlackResponse(response, spaceName, null);
+}
+
+/**
+ * A button click or form submit → onCardClick, reply updates the message or posts a new one
+ */
+function _handleSlackInteraction(payload) {
+  if (payload.type !== 'block_actions' || !payload.actions || payload.actions.length === 0) return;
+
+  var clicked = payload.actions[0];
+  var target;
+  try {
+    target = JSON.parse(clicked.value || '');
+  } catch (e) {
+    return; // link buttons and inputs carry no action
+  }
+
+  var user = getSlackUser(payload.user.id);
+  if (!user) {
+    console.error('Slack: no email for user ' + payload.user.id + ' (needs users:read.email)');
+    return;
+  }
+
+  // Input blocks (textInput widgets) → Chat formInputs
+  var formInputs = {};
+  var values = (payload.state && payload.state.values) || {};
+  Object.keys(values).forEach(function (blockId) {
+    Object.keys(values[blockId]).forEach(function (actionId) {
+      var input = values[blockId][actionId];
+      var value = input.selected_option ? input.selected_option.value : input.value;
+      formInputs[actionId] = { stringInputs: { value: [value || ''] } };
+    });
+  });
+
+  var params = target.p || {};
+  var response = onCardClick({
+    chat: { user: { email: user.email, displayName: user.displayName } },
+    commonEventObject: { invokedFunction: target.f, parameters: params, formInputs: formInputs },
+    common: { invokedFunction: target.f, parameters: params, formInputs: formInputs },
+    action: { actionMethodName: target.f, parameters: Object.keys(params).map(function (k) { return { key: k, value: params[k] }; }) }
+  });
+
+  var channel = (payload.channel && payload.channel.id) || (payload.container && payload.container.channel_id);
+  var messageName = payload.container && payload.container.message_ts
+    ? SLACK_SPACE_PREFIX + channel + '/' + payload.container.message_ts
+    : null;
+  _deliverSlackResponse(response, SLACK_SPACE_PREFIX + channel, messageName);
+}
+
+/**
+ * Send a handler's Chat response to Slack: UPDATE_MESSAGE replaces the clicked
+ * message, anything else is posted as a new message
+ */
+function _deliverSlackResponse(response, spaceName, messageName) {
+  var message = response && response.hostAppDataAction && response.hostAppDataAction.chatDataAction &&
+    response.hostAppDataAction.chatDataAction.createMessageAction &&
+    response.hostAppDataAction.chatDataAction.createMessageAction.message;
+  if (!message || (!message.text && !message.cardsV2)) return;
+
+  var isUpdate = message.actionResponse && message.actionResponse.type === 'UPDATE_MESSAGE';
+  if (isUpdate && messageName) {
+    updateSlackMessage(messageName, message.text || '', message.cardsV2 || null);
+  } else {
+    sendSlackMessage(spaceName, message.text || '', message.cardsV2 || null);
+  }
+}
+
+function _parseSlackBody(e) {
+  if (!e || !e.postData || !e.postData.contents) return null;
+  try {
+    return JSON.parse(e.postData.contents);
+  } catch (err) {
+    return null;
+  }
+}
@@ -127,6 +127,64 @@ function buildEodFeedback(feedback) {
   return lines.length > 0 ? lines.join('\n') + '\n' : '';
 }
 
+/**
+ * Format the AI coaching note appended to a member's EOD confirmation
+ */
+function formatCoachingNote(note) {
+  return '\n\n🧭 **Coaching note:** ' + note + '\n_Reply "coaching off" to stop these notes._';
+}
+
+/**
+ * Build the prompt for a member's EOD coaching note
+ * @param {object} ctx - { name, eodText, hoursWorked, taskStats, recentEods, delayReasons, chronicDelays, gamingSignals }
+ */
+function buildEodCoachingPrompt(ctx) {
+  var prompt = 'Write ONE short coaching note (max 2 sentences) for ' + ctx.name + ' based on their end-of-day report and recent patterns below.\n'
+    + 'Be specific, practical and kind — point at a pattern and suggest one concrete action '
+    + '(e.g. "You\'ve moved the same task 4 times; consider splitting it into smaller pieces."). '
+    + 'Don\'t repeat their report back, don\'t praise generically, and don\'t mention monitoring or scores. '
+    + 'If there is no useful pattern, reply with exactly NONE.\n\n';
+
+  prompt += '## Today\'s EOD\n' + String(ctx.eodText || '').substring(0, 800) + '\n';
+  if (ctx.hoursWorked !== null && ctx.hoursWorked !== undefined) prompt += 'Hours reported: ' + ctx.hoursWorked + 'h\n';
+  if (ctx.taskStats) {
+    prompt += 'Tasks today: ' + ctx.taskStats.completed + '/' + ctx.taskStats.total + ' completed, '
+      + ctx.taskStats.overdue + ' overdue\n';
+  }
+
+  if (ctx.recentEods && ctx.recentEods.length > 0) {
+    prompt += '\n## Previous EODs (newest first)\n';
+    ctx.recentEods.forEach(function (e) {
+      prompt += '- ' + e.eod_date + ': ' + String(e.raw_response || '').replace(/\s+/g, ' ').substring(0, 200) + '\n';
+    });
+  }
+
+  if (ctx.chronicDelays && ctx.chronicDelays.length > 0) {
+    prompt += '\n## Tasks pushed repeatedly (last 14 days)\n';
+    ctx.chronicDelays.forEach(function (t) {
+      prompt += '- "' + t.task_name + '" moved ' + t.times_delayed + ' times\n';
+    });
+  }
+
+  if (ctx.delayReasons && ctx.delayReasons.length > 0) {
+    prompt += '\n## Delay reasons (last 30 days)\n';
+    ctx.delayReasons.forEach(function (r) {
+      prompt += '- ' + (r.delay_reason || 'unspecified') + ': ' + r.count + '\n';
+    });
+  }
+
+  var gs = ctx.gamingSignals;
+  if (gs && gs.flags && gs.flags.length > 0) {
+    prompt += '\n## Report quality signals\n';
+    if (gs.flags.indexOf('COPY_PASTE') !== -1 || gs.flags.indexOf('HIGH_SIMILARITY') !== -1) prompt += '- Today\'s report is ' + Math.round(gs.similarityScore * 100) + '% similar to ' + gs.mostSimilarDate + '\n';
+    if (gs.vaguePhrasesFound.length > 0) prompt += '- Vague phrases: ' + gs.vaguePhrasesFound.join(', ') + '\n';
+    if (gs.flags.indexOf('VERY_SHORT') !== -1 || gs.flags.indexOf('SHORT') !== -1) prompt += '- Report is short\n';
+    if (gs.hoursTaskRatio) prompt += '- Hours vs completed tasks: ' + gs.hoursTaskRatio + '\n';
+  }
+
+  return prompt;
+}
+
 /**
  * Get escalation message for missed check-in
  */
@@ -410,6 +468,13 @@ function buildAiEvaluationPrompt(teamData, lastEvaluation) {
     if (member.blockers) {
       prompt += 'Blockers: "' + member.blockers.substring(0, 200) + '"\n';
     }
+    if (member.openBlockers && member.openBlockers.length > 0) {
+      prompt += 'Open Blockers: ' + member.openBlockers.map(function (b) {
+        var handoff = describeBlockerHandoff(b);
+        return '"' + b.blocker_text.substring(0, 100) + '" (' + formatBlockerAge(b.age_days) +
+          (handoff ? ', ' + handoff : (b.blocked_by ? ', waiting on ' + b.blocked_by : '')) + ')';
+      }).join('; ') + '\n';
+    }
 
     // Task stats
     if (member.taskStats) {
@@ -510,6 +575,10 @@ function buildAiEvaluationPrompt(teamData, lastEvaluation) {
       if (member.gamingSignals.similarityScore > 0.5) {
         prompt += '    Similarity to recent report: ' + Math.round(member.gamingSignals.similarityScore * 100) + '%';
         if (member.gamingSignals.mostSimilarDate) prompt += ' (vs ' + member.gamingSignals.mostSimilarDate + ')';
+        var thresholds = member.gamingSignals.similarityThresholds;
+        if (thresholds && thresholds.mean !== null) {
+          prompt += '; ' + (thresholds.basis === 'department' ? thresholds.department : 'team') + ' usually ' + Math.round(thresholds.mean * 100) + '%';
+        }
         prompt += '\n';
       }
       if (member.gamingSignals.vaguePhrasesFound && member.gamingSignals.vaguePhrasesFound.length > 0) {
@@ -545,7 +614,7 @@ function buildAiEvaluationPrompt(teamData, lastEvaluation) {
   prompt += '- Task completion rate below their own average\n';
   prompt += '- On-time streak broken after 5+ days (momentum loss)\n';
   prompt += '- Repeat-delayed tasks — same task pushed 3+ times = avoidance pattern\n';
-  prompt += '- Blockers mentioned with no management escalation\n';
+  prompt += '- Blockers open for several days (see Open Blockers age) with no management escalation\n';
   prompt += '- Reported 8h but only 1-2 small tasks completed (compare to their typical throughput)\n';
   prompt += '- Missing check-in or EOD — is this a one-off or pattern? Check 7-day attendance\n';
   prompt += '- Low hours + high output = possible underreporting (flag for praise, not concern)\n';
@@ -557,8 +626,8 @@ function buildAiEvaluationPrompt(teamData, lastEvaluation) {
   prompt += '- Completed tasks but no deliverable links provided (when task type warrants one)\n\n';
 
   prompt += '## Anti-Gaming Patterns\n';
-  prompt += '- COPY_PASTE: >80% similar to a previous day\'s report — likely copy-pasted\n';
-  prompt += '- HIGH_SIMILARITY: 60-80% similar — may be recycling content\n';
+  prompt += '- COPY_PASTE: far more similar to a previous day\'s report than is usual for their department — likely copy-pasted\n';
+  prompt += '- HIGH_SIMILARITY: more similar than usual for their department — may be recycling content\n';
   prompt += '- VAGUE_LANGUAGE: Generic phrases without specifics ("did work", "various tasks")\n';
   prompt += '- VERY_SHORT: Under 10 words — insufficient detail\n';
   prompt += '- HOURS_INFLATION: High hours reported with very few tasks completed\n';
@@ -112,9 +112,10 @@ function testSageHRConnection() {
 }
 
 function testOpenAIConnection() {
-  const result = callOpenAI('Say "test ok"');
-  if (result) { console.log('✅ OpenAI connected'); return true; }
-  console.log('❌ OpenAI failed'); return false;
+  const provider = getAiProviderName();
+  const result = callLLM('Say "test ok"', { feature: 'connection_test', maxTokens: 20 });
+  if (result) { console.log(`✅ AI provider (${provider}, ${result.model}) connected`); return true; }
+  console.log(`❌ AI provider (${provider}) failed`); return false;
 }
 
 function testBigQueryConnection() {
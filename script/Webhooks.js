@@ -0,0 +1,218 @@
+/**
+ * Webhooks.gs - Signed outbound webhooks for bot events
+ * Other tools subscribe to checkin.created, eod.submitted, escalation.sent,
+ * task.action and badge.awarded via the webhooks tab. Each delivery is a JSON POST
+ * signed with HMAC-SHA256 over "<timestamp>.<body>" using the webhook's secret.
+ * Events are only queued where they happen, so a slow endpoint never holds up a
+ * check-in or card click: each delivery is a small Script Property (WEBHOOK_QUEUE_*,
+ * at most WEBHOOK_QUEUE_MAX of them) and the event body sits in the cache.
+ * processEodBackground sends them, and retries failures with backoff before
+ * dropping and logging them.
+ */
+
+var WEBHOOK_EVENTS = ['checkin.created', 'eod.submitted', 'escalation.sent', 'task.action', 'badge.awarded'];
+
+// Minutes to wait before each retry; a delivery gets 1 + WEBHOOK_RETRY_MINUTES.length attempts
+var WEBHOOK_RETRY_MINUTES = [1, 5, 15, 60, 240];
+
+var WEBHOOK_QUEUE_PREFIX = 'WEBHOOK_QUEUE_';
+var WEBHOOK_BODY_PREFIX = 'WEBHOOK_BODY_';
+
+// Pending deliveries kept at once; events beyond that are dropped and logged
+var WEBHOOK_QUEUE_MAX = 200;
+
+// Deliveries sent per processEodBackground run
+var WEBHOOK_BATCH_SIZE = 25;
+
+// Stop starting new deliveries after this long, so slow endpoints can't run the trigger out of time
+var WEBHOOK_BATCH_BUDGET_MS = 60 * 1000;
+
+// Retries finish within about 5.5 hours, inside the 6 hour cache lifetime of the body
+var WEBHOOK_BODY_CACHE_SECONDS = 21600;
+
+/**
+ * Queue an event for every active webhook subscribed to it.
+ * Never throws: webhook problems must not break the flow that raised the event.
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {object} data - Event payload
+ * @returns {number} Webhooks the event was queued for
+ */
+function emitBotEvent(eventType, data) {
+  try {
+    var webhooks = getWebhooksForEvent(eventType);
+    if (webhooks.length === 0) return 0;
+
+    var props = PropertiesService.getScriptProperties();
+    var pending = props.getKeys().filter(function (key) { return key.indexOf(WEBHOOK_QUEUE_PREFIX) === 0; }).length;
+    if (pending + webhooks.length > WEBHOOK_QUEUE_MAX) {
+      console.error('Webhook queue full (' + pending + ' pending), dropping ' + eventType);
+      logSystemEvent('WEBHOOK', 'DROPPED', { event: eventType, pending: pending });
+      return 0;
+    }
+
+    var eventId = Utilities.getUuid();
+    CacheService.getScriptCache().put(WEBHOOK_BODY_PREFIX + eventId, JSON.stringify({
+      id: eventId,
+      event: eventType,
+      created_at: new Date().toISOString(),
+      data: data
+    }), WEBHOOK_BODY_CACHE_SECONDS);
+
+    webhooks.forEach(function (webhook) {
+      _queueWebhookDelivery({
+        delivery_id: Utilities.getUuid(),
+        event_id: eventId,
+        url: webhook.url,
+        event: eventType,
+        attempt: 1,
+        next_attempt_at: new Date().getTime()
+      });
+    });
+    return webhooks.length;
+  } catch (e) {
+    console.error('emitBotEvent ' + eventType + ' failed:', e.message);
+    return 0;
+  }
+}
+
+/**
+ * Active webhooks from the webhooks tab that subscribe to an event
+ * (events column blank or "*" = all events)
+ */
+function getWebhooksForEvent(eventType) {
+  var config = getConfig();
+  return (config.webhooks || []).filter(function (w) {
+    return w.active && (w.events.length === 0 || w.events.indexOf('*') !== -1 || w.events.indexOf(eventType) !== -1);
+  });
+}
+
+/**
+ * Send queued deliveries that are due, oldest first. Runs from processEodBackground (every minute).
+ * Deliveries whose webhook was removed or deactivated are dropped.
+ */
+function processWebhookQueue() {
+  var props = PropertiesService.getScriptProperties();
+  var allProps = props.getProperties();
+  var now = new Date().getTime();
+  var due = [];
+
+  Object.keys(allProps).forEach(function (key) {
+    if (key.indexOf(WEBHOOK_QUEUE_PREFIX) !== 0) return;
+    try {
+      var delivery = JSON.parse(allProps[key]);
+      if (delivery.next_attempt_at <= now) due.push(delivery);
+    } catch (e) {
+      props.deleteProperty(key);
+    }
+  });
+
+  due.sort(function (a, b) { return a.next_attempt_at - b.next_attempt_at; });
+  // Each delivery stays parked until its attempt finishes, so one cut short by a
+  // timeout is sent again next run instead of being lost
+  var batch = due.slice(0, WEBHOOK_BATCH_SIZE);
+  for (var i = 0; i < batch.length; i++) {
+    if (new Date().getTime() - now > WEBHOOK_BATCH_BUDGET_MS) break;
+    var delivery = batch[i];
+    var stillSubscribed = getWebhooksForEvent(delivery.event).some(function (w) { return w.url === delivery.url; });
+    if (!stillSubscribed) {
+      props.deleteProperty(WEBHOOK_QUEUE_PREFIX + delivery.delivery_id);
+      continue;
+    }
+
+    _attemptWebhookDelivery(delivery);
+  }
+}
+
+/**
+ * HMAC-SHA256 signature header value for a delivery: sha256=<hex of HMAC("<timestamp>.<body>")>
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  var digest = Utilities.computeHmacSha256Signature(timestamp + '.' + body, secret);
+  return 'sha256=' + digest.map(function (b) {
+    return ('0' + ((b + 256) % 256).toString(16)).slice(-2);
+  }).join('');
+}
+
+/**
+ * POST one delivery; on failure re-park it for the next retry, or give up after the last attempt.
+ * The parked property is only removed once the delivery is sent or given up.
+ * @param {object} delivery - { delivery_id, event_id, url, event, attempt }
+ * @returns {boolean} Delivered (2xx)
+ */
+function _attemptWebhookDelivery(delivery) {
+  var secret = _getWebhookSecret(delivery.url);
+  var body = CacheService.getScriptCache().get(WEBHOOK_BODY_PREFIX + delivery.event_id);
+  var error = null;
+  var code = null;
+
+  if (!secret) {
+    error = 'no signing secret';
+  } else if (!body) {
+    error = 'event body expired';
+  } else {
+    var timestamp = String(Math.floor(new Date().getTime() / 1000));
+    try {
+      var response = UrlFetchApp.fetch(delivery.url, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: body,
+        headers: {
+          'X-Checkin-Event': delivery.event,
+          'X-Checkin-Delivery': delivery.delivery_id,
+          'X-Checkin-Timestamp': timestamp,
+          'X-Checkin-Signature': signWebhookPayload(secret, timestamp, body)
+        },
+        muteHttpExceptions: true
+      });
+      code = response.getResponseCode();
+      if (code >= 200 && code < 300) {
+        _removeWebhookDelivery(delivery);
+        return true;
+      }
+      error = 'HTTP ' + code;
+    } catch (e) {
+      error = e.message;
+    }
+  }
+
+  console.error('Webhook ' + delivery.event + ' to ' + delivery.url + ' failed (attempt ' + delivery.attempt + '): ' + error);
+
+  if (secret && body && delivery.attempt <= WEBHOOK_RETRY_MINUTES.length) {
+    _queueWebhookDelivery({
+      delivery_id: delivery.delivery_id,
+      event_id: delivery.event_id,
+      url: delivery.url,
+      event: delivery.event,
+      attempt: delivery.attempt + 1,
+      next_attempt_at: new Date().getTime() + WEBHOOK_RETRY_MINUTES[delivery.attempt - 1] * 60000
+    });
+    return false;
+  }
+
+  _removeWebhookDelivery(delivery);
+  logSystemEvent('WEBHOOK', 'FAILED', {
+    url: delivery.url,
+    event: delivery.event,
+    delivery: delivery.delivery_id,
+    attempts: delivery.attempt,
+    error: error
+  });
+  return false;
+}
+
+function _queueWebhookDelivery(delivery) {
+  PropertiesService.getScriptProperties().setProperty(WEBHOOK_QUEUE_PREFIX + delivery.delivery_id, JSON.stringify(delivery));
+}
+
+function _removeWebhookDelivery(delivery) {
+  PropertiesService.getScriptProperties().deleteProperty(WEBHOOK_QUEUE_PREFIX + delivery.delivery_id);
+}
+
+/**
+ * Signing secret: the webhook row's secret, else the WEBHOOK_SECRET script property
+ */
+function _getWebhookSecret(url) {
+  var config = getConfig();
+  var webhook = (config.webhooks || []).find(function (w) { return w.url === url; });
+  return (webhook && webhook.secret) || config.webhook_secret || null;
+}
@@ -0,0 +1,134 @@
+/**
+ * absence.test.js - "ooo today" / "ooo tomorrow" / "half day"
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, replyText } = require('./harness');
+
+// Declared absences are answered from whatever has been inserted so far
+function serveDeclaredAbsences(h) {
+  h.bigQuery.onQuery('declared_absences', (sql, tables) => {
+    const date = sql.match(/absence_date = '([\d-]+)'/)[1];
+    return (tables.declared_absences || []).filter((r) => r.absence_date === date);
+  });
+}
+
+// Tuesday 2026-03-10, 07:30 America/Chicago
+const TUESDAY_0730 = '2026-03-10T12:30:00Z';
+
+test('ooo today logs the absence, updates the working list and notifies the manager', () => {
+  const h = createHarness({ now: TUESDAY_0730 });
+  serveDeclaredAbsences(h);
+  h.registerDM('manager@example.com');
+  h.cache.put('working_employees', JSON.stringify([
+    { email: 'alice@example.com', name: 'Alice' }, { email: 'bob@example.com', name: 'Bob' }
+  ]));
+
+  const text = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'ooo today sick')));
+
+  assert.match(text, /out of office\* for Tuesday, March 10/);
+  const row = h.bigQuery.rows('declared_absences')[0];
+  assert.strictEqual(row.absence_date, '2026-03-10');
+  assert.strictEqual(row.absence_type, 'full');
+  assert.strictEqual(row.reason, 'sick');
+
+  const working = JSON.parse(h.cache.get('working_employees')).map((e) => e.email);
+  assert.deepStrictEqual(working, ['bob@example.com']);
+
+  const notice = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_manager');
+  assert.match(notice.text, /Alice\*\* declared out of office for Tuesday, March 10/);
+  assert.match(notice.text, /Reason: sick/);
+});
+
+test('ooo tomorrow on a Friday lands on Monday', () => {
+  const h = createHarness({ now: '2026-03-13T15:00:00Z' });
+  serveDeclaredAbsences(h);
+
+  const text = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'ooo tomorrow')));
+
+  assert.match(text, /Monday, March 16/);
+  assert.strictEqual(h.bigQuery.rows('declared_absences')[0].absence_date, '2026-03-16');
+  assert.strictEqual(h.run('isDeclaredAbsent', 'alice@example.com', 'CHECKIN'), false);
+});
+
+test('half day suppresses EOD but not check-in', () => {
+  const h = createHarness({ now: TUESDAY_0730 });
+  serveDeclaredAbsences(h);
+
+  h.run('onMessage', h.chatEvent('bob@example.com', 'half day dentist'));
+
+  assert.strictEqual(h.bigQuery.rows('declared_absences')[0].absence_type, 'half_pm');
+  assert.strictEqual(h.run('isDeclaredAbsent', 'bob@example.com', 'CHECKIN'), false);
+  assert.strictEqual(h.run('isDeclaredAbsent', 'bob@example.com', 'EOD'), true);
+
+  // Repeating the command does not log a second row
+  const again = replyText(h.run('onMessage', h.chatEvent('bob@example.com', 'half day')));
+  assert.match(again, /already marked half day/);
+  assert.strictEqual(h.bigQuery.rows('declared_absences').length, 1);
+});
+
+test('dispatcher and escalations skip a member who is out of office', () => {
+  // Tuesday 09:05 Chicago — bob's custom start
+  const h = createHarness({ now: '2026-03-10T14:05:00Z' });
+  serveDeclaredAbsences(h);
+  h.registerDM('bob@example.com');
+  h.run('onMessage', h.chatEvent('bob@example.com', 'ooo today'));
+  const before = h.urlFetch.chatMessages().length;
+
+  h.run('triggerScheduleDispatcher');
+  h.run('escalateMissedCheckIn', 'bob@example.com', 'Bob');
+  h.run('escalateMissedEod', 'bob@example.com', 'Bob');
+
+  assert.strictEqual(h.urlFetch.chatMessages().length, before);
+  assert.strictEqual(h.bigQuery.rows('escalations').length, 0);
+});
+
+test('morning summary lists self-declared absences as on leave', () => {
+  const h = createHarness({ now: '2026-03-10T15:00:00Z' });
+  serveDeclaredAbsences(h);
+  h.run('onMessage', h.chatEvent('alice@example.com', 'ooo today flu'));
+
+  const onLeave = plain(h.run('getDeclaredAbsencesForSummary'));
+  assert.deepStrictEqual(onLeave, [
+    { name: 'Alice', email: 'alice@example.com', leave_type: 'Out of office (self-declared): flu' }
+  ]);
+});
+
+test('a failed absence lookup is cached briefly instead of re-queried per member', () => {
+  const h = createHarness({ now: '2026-03-10T15:00:00Z' });
+  h.eval("var absenceLookups = 0; getDeclaredAbsenceRows = function () { absenceLookups++; throw new Error('BigQuery unavailable'); };");
+
+  assert.strictEqual(h.run('isDeclaredAbsent', 'alice@example.com', 'CHECKIN'), false);
+  assert.strictEqual(h.run('isDeclaredAbsent', 'bob@example.com', 'CHECKIN'), false);
+  assert.strictEqual(h.eval('absenceLookups'), 1);
+
+  h.clock.advance(61 * 1000);
+  h.run('isDeclaredAbsent', 'alice@example.com', 'CHECKIN');
+  assert.strictEqual(h.eval('absenceLookups'), 2);
+});
+
+test('an EOD that starts with "Half day" is the report, not an absence', () => {
+  // Tuesday 17:30 Chicago
+  const h = createHarness({ now: '2026-03-10T22:30:00Z' });
+  serveDeclaredAbsences(h);
+  h.registerDM('alice@example.com');
+  h.run('setUserState', 'alice@example.com', 'AWAITING_EOD');
+
+  const reply = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'Half day spent on QA for the release, rest on the forecast. 8h')));
+
+  // Handled (and validated) as the EOD
+  assert.match(reply, /EOD report/);
+  assert.strictEqual(h.bigQuery.rows('declared_absences').length, 0);
+  assert.strictEqual(h.run('getUserState', 'alice@example.com'), 'AWAITING_EOD');
+});
+
+test('only the full command forms are absences', () => {
+  const h = createHarness({ now: TUESDAY_0730 });
+  assert.strictEqual(h.run('isOooCommandText', 'ooo today'), true);
+  assert.strictEqual(h.run('isOooCommandText', '/ooo tomorrow back monday'), true);
+  assert.strictEqual(h.run('isOooCommandText', 'half day'), true);
+  assert.strictEqual(h.run('isOooCommandText', 'ooo'), true);
+  assert.strictEqual(h.run('isOooCommandText', 'ooo at lunch, then reviews'), false);
+  assert.strictEqual(h.run('isOooCommandText', 'half days are rare'), false);
+});
@@ -0,0 +1,54 @@
+/**
+ * amend.test.js - "amend" / "edit eod" flow
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, replyText } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+const ORIGINAL = { user_email: 'alice@example.com', eod_timestamp: '2026-03-10T22:00:00.000Z',
+  raw_response: 'Closed vendor tickets. Tomorrow: forecast. Hours: 8', hours_worked: '8', revision: '0' };
+
+test('amend without an EOD today explains there is nothing to edit', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  const text = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'amend')));
+  assert.match(text, /nothing to amend/);
+  assert.strictEqual(h.run('getUserState', 'alice@example.com'), 'IDLE');
+});
+
+test('amended EOD is queued, logged as the next revision and re-forwarded as revised', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  h.registerDM('alice@example.com');
+  h.registerDM('manager@example.com');
+  h.bigQuery.onQuery('v_eod_reports', [ORIGINAL]);
+  h.bigQuery.onQuery('MAX(IFNULL(revision, 0))', [{ rev: 0 }]);
+
+  const prompt = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'edit eod')));
+  assert.match(prompt, /Closed vendor tickets/);
+  assert.strictEqual(h.run('getUserState', 'alice@example.com'), 'AMENDING_EOD');
+
+  const revised = 'Closed vendor tickets and fixed the invoice export. Blockers: waiting on finance. Tomorrow: forecast.';
+  assert.match(replyText(h.run('onMessage', h.chatEvent('alice@example.com', revised))), /revised EOD/);
+  assert.strictEqual(h.run('getUserState', 'alice@example.com'), 'IDLE');
+
+  h.run('processEodBackground');
+
+  const rows = h.bigQuery.rows('eod_reports');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].revision, 1);
+  assert.strictEqual(rows[0].raw_response, revised);
+  assert.strictEqual(rows[0].hours_worked, 8); // carried over from the original
+
+  const forward = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_manager');
+  assert.match(forward.text, /EOD Report from alice \(revised\)/);
+});
+
+test('cancel keeps the original EOD', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  h.bigQuery.onQuery('v_eod_reports', [ORIGINAL]);
+  h.run('onMessage', h.chatEvent('alice@example.com', 'amend'));
+  assert.match(replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'cancel'))), /original EOD stands/);
+  assert.strictEqual(h.properties.getKeys().filter((k) => k.startsWith('EOD_QUEUE_')).length, 0);
+});
@@ -0,0 +1,114 @@
+/**
+ * api.test.js - REST API web app endpoints (API keys, read endpoints, prompt resend)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+// Tuesday 2026-03-10, 16:00 America/Chicago
+const TUESDAY_1600 = '2026-03-10T21:00:00Z';
+
+const KEY = 'k-dashboard-123';
+
+function setup() {
+  const h = createHarness({ now: TUESDAY_1600, properties: { API_KEY_DASHBOARD: KEY } });
+  h.registerDM('bob@example.com');
+  h.bigQuery.onQuery(/check_ins`\s+WHERE checkin_date = '2026-03-10'/, [
+    { user_email: 'alice@example.com', checkin_timestamp: '2026-03-10T13:02:00Z', is_late: false, response_text: 'Button check-in' }
+  ]);
+  h.bigQuery.onQuery(/v_eod_reports`\s+WHERE eod_date = '2026-03-10'/, [
+    { user_email: 'alice@example.com', tasks_completed: 'Shipped it', hours_worked: '8' }
+  ]);
+  h.bigQuery.onQuery('COUNT(*) as streak', [{ streak: '6' }]);
+  h.bigQuery.onQuery('COUNT(DISTINCT c.checkin_date) as checkin_days', [{ checkin_days: '5', late_days: '1', eod_days: '4' }]);
+  h.bigQuery.onQuery('overdue_snapshots', [
+    { user_email: 'bob@example.com', total_overdue: '3', max_days_overdue: '9', avg_days_overdue: '4.0', chronic_count: '2' },
+    { user_email: 'alice@example.com', total_overdue: '1', max_days_overdue: '1', avg_days_overdue: '1.0', chronic_count: '0' }
+  ]);
+  return h;
+}
+
+function get(h, path, params) {
+  return JSON.parse(h.run('doGet', { pathInfo: path, parameter: Object.assign({ key: KEY }, params) }).getContent());
+}
+
+function post(h, path, body, key) {
+  const output = h.run('doPost', { pathInfo: path, parameter: { key: key === undefined ? KEY : key }, postData: { contents: JSON.stringify(body), type: 'application/json' } });
+  return JSON.parse(output.getContent());
+}
+
+test('requests without a valid API key are rejected without a BigQuery row each', () => {
+  const h = setup();
+
+  assert.deepStrictEqual(get(h, 'checkins', { key: 'nope' }), { ok: false, status: 401, error: 'Invalid or missing API key' });
+  assert.strictEqual(post(h, 'prompts/resend', { email: 'bob@example.com', type: 'eod' }, '').status, 401);
+  assert.strictEqual(h.urlFetch.chatMessages().length, 0);
+
+  assert.strictEqual(h.bigQuery.rows('system_events').filter((r) => r.event_type === 'API').length, 0);
+});
+
+test('read endpoints return attendance, EODs, member stats and overdue summary', () => {
+  const h = setup();
+
+  const checkins = get(h, 'checkins');
+  assert.strictEqual(checkins.ok, true);
+  assert.strictEqual(checkins.data.date, '2026-03-10');
+  assert.strictEqual(checkins.data.checkins[0].user_email, 'alice@example.com');
+
+  const eods = get(h, '/eods/', { date: '2026-03-10' });
+  assert.strictEqual(eods.data.eods[0].tasks_completed, 'Shipped it');
+  assert.strictEqual(get(h, 'eods', { date: "2026-03-10' OR 1=1" }).status, 400);
+
+  const stats = get(h, 'users/' + encodeURIComponent('Alice@example.com') + '/stats');
+  assert.deepStrictEqual(stats.data, {
+    email: 'alice@example.com',
+    name: 'Alice',
+    streak: 6,
+    weekly: { checkin_days: 5, late_days: 1, eod_days: 4 }
+  });
+  assert.strictEqual(get(h, 'users/mallory@example.com/stats').status, 404);
+
+  const overdue = get(h, 'overdue');
+  assert.strictEqual(overdue.data.total_overdue, 4);
+  assert.strictEqual(overdue.data.members[0].user_email, 'bob@example.com');
+
+  assert.strictEqual(get(h, 'prompts/resend').status, 404, 'resend is POST only');
+
+  const ok = h.bigQuery.rows('system_events').filter((r) => r.event_type === 'API' && r.status === 'OK');
+  assert.strictEqual(JSON.parse(ok[0].details).client, 'dashboard');
+});
+
+test('POST prompts/resend sends the prompt unless the member already responded', () => {
+  const h = setup();
+
+  const sent = post(h, 'prompts/resend', { email: 'bob@example.com', type: 'EOD' });
+  assert.deepStrictEqual(sent.data, { email: 'bob@example.com', type: 'EOD', sent: true });
+  const messages = h.urlFetch.chatMessages();
+  assert.strictEqual(messages.length, 1);
+  assert.strictEqual(messages[0].space, 'spaces/DM_bob');
+  assert.strictEqual(h.run('getUserState', 'bob@example.com'), 'AWAITING_EOD');
+
+  const skipped = post(h, 'prompts/resend', { email: 'alice@example.com', type: 'checkin' });
+  assert.deepStrictEqual(skipped.data, { email: 'alice@example.com', type: 'checkin', sent: false, reason: 'already checked in' });
+  assert.strictEqual(h.urlFetch.chatMessages().length, 1);
+
+  assert.strictEqual(post(h, 'prompts/resend', { email: 'bob@example.com', type: 'lunch' }).status, 400);
+  assert.strictEqual(post(h, 'prompts/resend', { email: 'mallory@example.com', type: 'eod' }).status, 404);
+});
+
+test('POST prompts/resend reports a queued or failed prompt as not sent', () => {
+  const queuedHarness = createHarness({ now: TUESDAY_1600, properties: { API_KEY_DASHBOARD: KEY } });
+  const queued = post(queuedHarness, 'prompts/resend', { email: 'bob@example.com', type: 'checkin' });
+  assert.strictEqual(queued.status, 202);
+  assert.deepStrictEqual(queued.data, { email: 'bob@example.com', type: 'checkin', sent: false, queued: true, error: 'No DM space' });
+
+  const h = setup();
+  h.urlFetch.on('spaces/DM_bob/messages', () => ({ code: 403, body: { error: { message: 'Bot removed' } } }));
+  const failed = post(h, 'prompts/resend', { email: 'bob@example.com', type: 'eod' });
+  assert.strictEqual(failed.ok, false);
+  assert.strictEqual(failed.status, 502);
+  assert.ok(failed.error);
+  const event = h.bigQuery.rows('system_events').find((r) => r.event_type === 'API_RESEND_PROMPT');
+  assert.deepStrictEqual(JSON.parse(event.details), { user: 'bob@example.com', client: 'dashboard', sent: false, queued: false });
+});
@@ -0,0 +1,121 @@
+/**
+ * ask.test.js - Manager "ask" command over BigQuery history
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, DEFAULT_SHEETS } = require('./harness');
+
+const NOW = '2026-10-06T15:00:00Z';
+
+function setup(answer) {
+  const h = createHarness({ now: NOW, properties: { OPENAI_API_KEY: 'sk-test' } });
+  h.urlFetch.on('api.openai.com', () => ({ body: { choices: [{ message: { content: JSON.stringify(answer) } }] } }));
+  return h;
+}
+
+function ask(h, email, text) {
+  return h.run('onMessage', h.chatEvent(email, text)).hostAppDataAction.chatDataAction.createMessageAction.message.text;
+}
+
+test('generated queries are limited to read-only selects over allowed tables', () => {
+  const h = setup({});
+  const check = (sql) => h.run('validateAskSql', sql);
+
+  const ok = check('SELECT e.department, COUNT(*) AS missed FROM checkin_bot.missed_checkins m '
+    + 'JOIN `checkin_bot.employees` e ON e.email = m.user_email '
+    + "WHERE EXTRACT(MONTH FROM m.missed_date) = 9 AND m.missed_type = 'EOD' GROUP BY 1;");
+  assert.strictEqual(ok.error, undefined);
+  assert.match(ok.sql, /FROM `test-project\.checkin_bot\.missed_checkins` m\s+JOIN `test-project\.checkin_bot\.employees` e/);
+  assert.match(ok.sql, /EXTRACT\(MONTH FROM m\.missed_date\)/);
+  assert.match(ok.sql, /\) LIMIT 50$/);
+
+  const cte = check('WITH pushed AS (SELECT user_email, COUNT(*) n FROM checkin_bot.task_delays GROUP BY 1) SELECT * FROM pushed');
+  assert.strictEqual(cte.error, undefined);
+
+  assert.match(check('DELETE FROM checkin_bot.check_ins WHERE 1=1').error, /not a SELECT/);
+  assert.match(check('SELECT 1; DROP TABLE checkin_bot.check_ins').error, /more than one statement/);
+  assert.match(check('SELECT * FROM checkin_bot.ai_evaluations').error, /ai_evaluations is not an allowed table/);
+  assert.match(check('SELECT * FROM other_dataset.check_ins').error, /outside checkin_bot/);
+  assert.match(check('SELECT * FROM checkin_bot.INFORMATION_SCHEMA.TABLES').error, /INFORMATION_SCHEMA/);
+  assert.strictEqual(check("SELECT * FROM checkin_bot.v_eod_reports WHERE blockers LIKE '%update;%'").error, undefined);
+});
+
+test('every table reference is checked, not just the one after FROM or JOIN', () => {
+  const h = setup({});
+  const check = (sql) => h.run('validateAskSql', sql);
+
+  assert.match(check('SELECT * FROM checkin_bot.check_ins, other_ds.payroll').error, /other_ds\.payroll is outside checkin_bot/);
+  assert.match(check('SELECT * FROM checkin_bot.check_ins c, checkin_bot.ask_queries q').error, /ask_queries is not an allowed table/);
+  assert.match(check('SELECT * FROM EXTERNAL_QUERY("conn", "select 1")').error, /EXTERNAL_QUERY is not allowed/);
+  assert.match(check('SELECT * FROM (SELECT * FROM checkin_bot.check_ins JOIN checkin_bot.bot_errors USING (user_email))').error, /bot_errors/);
+  assert.match(check('SELECT * FROM checkin_bot.check_ins WHERE user_email IN (SELECT email FROM hr.salaries)').error, /hr\.salaries is outside/);
+  assert.match(check('SELECT * FROM `other-project.checkin_bot.check_ins`').error, /outside checkin_bot/);
+  assert.match(check("SELECT * FROM checkin_bot.check_ins #'\nJOIN other_ds.payroll ON TRUE #'").error, /comments are not allowed/);
+
+  const ok = check('SELECT c.user_email, d FROM checkin_bot.check_ins AS c, checkin_bot.missed_checkins m, UNNEST([1, 2]) d '
+    + 'WHERE c.user_email = m.user_email AND c.checkin_date IS DISTINCT FROM m.missed_date ORDER BY 1, 2');
+  assert.strictEqual(ok.error, undefined);
+  assert.match(ok.sql, /FROM `test-project\.checkin_bot\.check_ins` AS c, `test-project\.checkin_bot\.missed_checkins` m, UNNEST\(\[1, 2\]\) d/);
+});
+
+test('questions use the reporting timezone and emails reach the query intact', () => {
+  const workHours = DEFAULT_SHEETS.work_hours.filter((r) => r[0] !== 'timezone').concat([['timezone', 'Asia/Tokyo']]);
+  const h = createHarness({ now: NOW, properties: { OPENAI_API_KEY: 'sk-test' }, sheets: { work_hours: workHours } });
+  const email = h.run('getRedactionPseudonym', 'bob@example.com').replace('Person_', 'Email_');
+  h.urlFetch.on('api.openai.com', () => ({ body: { choices: [{ message: { content: JSON.stringify({
+    sql: "SELECT COUNT(*) AS n FROM checkin_bot.check_ins WHERE user_email = '" + email + "'", note: null
+  }) } }] } }));
+
+  ask(h, 'manager@example.com', 'ask how many times did bob@example.com check in?');
+
+  const prompt = h.urlFetch.calls.find((c) => /api\.openai\.com/.test(c.url)).payload.messages[1].content;
+  assert.match(prompt, /Today is 2026-10-07 \(Wednesday\) \(Asia\/Tokyo\)/);
+  assert.doesNotMatch(prompt, /bob@example\.com/);
+  assert.match(h.bigQuery.rows('ask_queries')[0].executed_sql, /user_email = 'bob@example\.com'/);
+});
+
+test('a manager question is answered as a table and audited', () => {
+  const h = setup({
+    sql: 'SELECT e.name, COUNT(*) AS tasks_pushed FROM checkin_bot.task_delays d JOIN checkin_bot.employees e ON e.email = d.user_email GROUP BY 1 ORDER BY 2 DESC',
+    note: 'Counts Tomorrow-button delays per person.'
+  });
+  h.bigQuery.onQuery('task_delays', [{ name: 'Alice', tasks_pushed: '7' }, { name: 'Bob', tasks_pushed: '2' }]);
+
+  const text = ask(h, 'manager@example.com', 'ask who pushed the most tasks last week?');
+  assert.match(text, /🔎 \*who pushed the most tasks last week\?\*/);
+  assert.match(text, /```\nname  \| tasks_pushed\n------\+-------------\nAlice \| 7\nBob   \| 2\n```/);
+
+  const prompt = h.urlFetch.calls.find((c) => /api\.openai\.com/.test(c.url)).payload.messages[1].content;
+  assert.match(prompt, /Today is 2026-10-06 \(Tuesday\)/);
+  assert.match(prompt, /checkin_bot\.employees: email, name, department/);
+
+  const audit = h.bigQuery.rows('ask_queries')[0];
+  assert.strictEqual(audit.requester_email, 'manager@example.com');
+  assert.strictEqual(audit.status, 'OK');
+  assert.strictEqual(audit.row_count, 2);
+  assert.match(audit.executed_sql, /`test-project\.checkin_bot\.task_delays` d/);
+});
+
+test('rejected queries are audited and not run; non-managers are not routed', () => {
+  const h = setup({ sql: 'SELECT * FROM checkin_bot.bot_errors', note: 'Errors' });
+  assert.match(ask(h, 'manager@example.com', 'ask show me the errors'), /rejected \(bot_errors is not an allowed table\)/);
+  assert.ok(!h.bigQuery.queries.some((q) => /bot_errors/.test(q)));
+  const audit = h.bigQuery.rows('ask_queries')[0];
+  assert.strictEqual(audit.status, 'REJECTED');
+  assert.strictEqual(audit.executed_sql, null);
+
+  assert.match(ask(h, 'alice@example.com', '/ask how many EODs?'), /only available to managers/);
+  assert.doesNotMatch(ask(h, 'alice@example.com', 'ask Bob for the deck'), /only available to managers/);
+});
+
+test('a manager EOD that starts with "ask" is the report, not a question', () => {
+  const h = setup({ sql: 'SELECT COUNT(*) AS n FROM checkin_bot.eod_reports', note: 'EODs' });
+  h.registerDM('manager@example.com');
+  h.run('setUserState', 'manager@example.com', 'AWAITING_EOD');
+
+  const reply = ask(h, 'manager@example.com', 'ask the vendor about the invoice done, reviewed Q3 plan. Tomorrow: hiring. 8h');
+
+  assert.doesNotMatch(reply, /EODs/);
+  assert.strictEqual(h.bigQuery.rows('ask_queries').length, 0);
+});
@@ -0,0 +1,103 @@
+/**
+ * blockers.test.js - Blocker records, Resolved? button and persistent-blocker alerts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, DEFAULT_SHEETS, plain, responseMessage, serveBlockers } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+test('blocker text is split into records with their owner', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  assert.deepStrictEqual(plain(h.run('parseBlockerEntries', 'Waiting on Sarah for the artwork | API keys > IT > Friday')), [
+    { text: 'Waiting on Sarah for the artwork', blocked_by: 'Sarah' },
+    { text: 'API keys > IT > Friday', blocked_by: 'IT' }
+  ]);
+  assert.deepStrictEqual(plain(h.run('parseBlockerEntries', 'No blockers.')), []);
+  assert.deepStrictEqual(plain(h.run('parseBlockerEntries', null)), []);
+});
+
+test('EOD blockers are recorded once, even when re-reported', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  serveBlockers(h, '2026-03-10');
+  const fields = { tasks_completed: 'Vendor tickets', blockers: 'Waiting on Sarah for the artwork', tomorrow_priority: 'Forecast', hours_worked: 8 };
+
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', 'EOD', h.eval('new Date()'), false, fields);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', 'EOD', h.eval('new Date()'), true, fields);
+
+  const rows = h.bigQuery.rows('blockers');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].status, 'OPEN');
+  assert.strictEqual(rows[0].opened_date, '2026-03-10');
+  assert.strictEqual(rows[0].blocked_by, 'Sarah');
+});
+
+test('Resolved? on the check-in card closes the blocker and keeps the check-in button', () => {
+  // Wednesday 07:55 Chicago
+  const h = createHarness({ now: '2026-03-11T12:55:00Z' });
+  serveBlockers(h, '2026-03-11');
+  const blocker = h.run('logBlocker', { blocker_id: 'b1', user_email: 'alice@example.com', opened_date: '2026-03-10',
+    blocker_text: 'Waiting on Sarah for the artwork', blocked_by: 'Sarah' }, 'OPEN', null);
+
+  const card = plain(h.run('buildCheckInCard', 'Alice', { overdue: 1, inProgress: 0, dueToday: 2 }, h.run('getOpenBlockers', 'alice@example.com')));
+  const blockerWidget = card[0].card.sections[1].widgets[0].decoratedText;
+  assert.strictEqual(blockerWidget.bottomLabel, 'open 1 day · waiting on Sarah');
+  const params = {};
+  blockerWidget.button.onClick.action.parameters.forEach((p) => { params[p.key] = p.value; });
+
+  // Someone else can't close it
+  const denied = responseMessage(h.run('onCardClick', h.cardClickEvent('bob@example.com', 'handleBlockerResolved', params)));
+  assert.match(denied.text, /Only the person who reported/);
+
+  const message = responseMessage(h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleBlockerResolved', params)));
+  assert.match(message.text, /Marked resolved: "Waiting on Sarah for the artwork"/);
+  const sections = message.cardsV2[0].card.sections;
+  assert.strictEqual(sections.length, 1);
+  assert.strictEqual(sections[0].widgets[2].buttonList.buttons[0].onClick.action.function, 'handleCheckIn');
+  assert.match(sections[0].widgets[0].decoratedText.text, /1 overdue \| 📋 2 due today/);
+
+  const rows = h.bigQuery.rows('blockers');
+  assert.strictEqual(rows[1].blocker_id, blocker.blocker_id);
+  assert.strictEqual(rows[1].status, 'RESOLVED');
+  assert.strictEqual(rows[1].resolved_by, 'alice@example.com');
+  assert.deepStrictEqual(plain(h.run('getOpenBlockers', 'alice@example.com')), []);
+});
+
+test('persistent-blocker alert uses open-blocker age and is not repeated', () => {
+  const h = createHarness({ now: '2026-03-12T13:40:00Z' });
+  serveBlockers(h, '2026-03-12');
+  h.registerDM('manager@example.com');
+  h.bigQuery.onQuery("escalation_type = 'PERSISTENT_BLOCKER'", (sql, tables) =>
+    (tables.escalations || []).map((e) => ({ blocker_id: e.blocker_id })));
+  h.run('logBlocker', { blocker_id: 'old', user_email: 'alice@example.com', opened_date: '2026-03-09', blocker_text: 'VPN access > IT', blocked_by: 'IT' }, 'OPEN', null);
+  h.run('logBlocker', { blocker_id: 'new', user_email: 'alice@example.com', opened_date: '2026-03-11', blocker_text: 'Copy review' }, 'OPEN', null);
+
+  h.run('checkPersistentBlockers');
+  h.run('checkPersistentBlockers');
+
+  const alerts = h.urlFetch.chatMessages().filter((m) => /Persistent Blocker Alert/.test(m.text));
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].space, 'spaces/DM_manager');
+  assert.match(alerts[0].text, /"VPN access > IT" — open 3 days, waiting on IT/);
+  assert.doesNotMatch(alerts[0].text, /Copy review/);
+  const escalations = h.bigQuery.rows('escalations');
+  assert.deepStrictEqual(escalations.map((e) => [e.blocker_id, e.blocker_text, e.blocker_age_days]), [['old', 'VPN access > IT', 3]]);
+  assert.strictEqual(escalations[0].task_id, undefined);
+  // One escalation lookup per run, not one per blocker
+  assert.strictEqual(h.bigQuery.queries.filter((q) => /PERSISTENT_BLOCKER/.test(q)).length, 2);
+});
+
+test('blocker ages are counted in the reporting timezone', () => {
+  const workHours = DEFAULT_SHEETS.work_hours.filter((r) => r[0] !== 'timezone').concat([['timezone', 'Asia/Karachi']]);
+  const h = createHarness({ now: TUESDAY_1730, sheets: { work_hours: workHours } });
+
+  h.run('getOpenBlockerRows');
+  h.run('getResolvedBlockerRows', 'alice@example.com', '2026-03-01');
+
+  const sql = h.bigQuery.queries.filter((q) => /v_blockers/.test(q)).join('\n');
+  assert.match(sql, /CURRENT_DATE\('Asia\/Karachi'\)/);
+  assert.match(sql, /DATE\(resolved_at, 'Asia\/Karachi'\)/);
+  assert.doesNotMatch(sql, /America\/Chicago/);
+});
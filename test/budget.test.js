@@ -0,0 +1,115 @@
+/**
+ * budget.test.js - AI cost ledger and monthly budget cap
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, DEFAULT_SHEETS, plain } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const EOD_TEXT = 'Closed vendor tickets. Blocker: waiting on IT for VPN. Tomorrow: forecast. Worked 8 hours.';
+
+function setup(budget, monthSpend) {
+  const h = createHarness({
+    now: TUESDAY_1730,
+    properties: { OPENAI_API_KEY: 'sk-test' },
+    sheets: {
+      settings: [
+        ['key', 'value'],
+        ['manager_email', 'manager@example.com'],
+        ['enable_ai_eod_parsing', true],
+        ['monthly_ai_budget_usd', budget],
+        ['ai_model_prices', 'gpt4o-prod=2.5/10']
+      ]
+    }
+  });
+  h.registerDM('manager@example.com');
+  h.registerDM('alice@example.com');
+  h.bigQuery.onQuery('ai_usage', (sql) => {
+    assert.match(sql, /usage_date >= '2026-03-01'/);
+    return [{ feature: 'eod_parsing', calls: '400', total_tokens: '900000', cost_usd: String(monthSpend) }];
+  });
+  h.urlFetch.on('api.openai.com', () => ({
+    body: {
+      choices: [{ message: { content: '{"tasks_completed":"Vendor tickets","blockers":null,"tomorrow_priority":"Forecast","hours_worked":8}' } }],
+      usage: { prompt_tokens: 1000, completion_tokens: 200 }
+    }
+  }));
+  return h;
+}
+
+test('cost is estimated from built-in and configured prices', () => {
+  const h = setup('', 0);
+  assert.strictEqual(h.run('estimateAiCost', 'gpt-4o-mini-2024-07-18', 1000000, 1000000), 0.75);
+  assert.strictEqual(h.run('estimateAiCost', 'gpt-4o', 1000, 200), 0.0045);
+  assert.strictEqual(h.run('estimateAiCost', 'gpt4o-prod', 1000, 200), 0.0045);
+  assert.strictEqual(h.run('estimateAiCost', 'llama3.1', 1000, 200), 0);
+});
+
+test('each call is logged with its estimated cost while under budget', () => {
+  const h = setup(5, 1.2);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+
+  const usage = h.bigQuery.rows('ai_usage');
+  assert.strictEqual(usage.length, 1);
+  assert.strictEqual(usage[0].feature, 'eod_parsing');
+  assert.strictEqual(usage[0].estimated_cost_usd, 0.00027);
+  assert.strictEqual(h.bigQuery.rows('eod_reports')[0].tasks_completed, 'Vendor tickets');
+});
+
+test('over budget, EODs fall back to regex parsing and managers are alerted once', () => {
+  const h = setup(5, 5.01);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), true);
+
+  assert.ok(!h.urlFetch.calls.some((c) => /api\.openai\.com/.test(c.url)));
+  assert.deepStrictEqual(h.bigQuery.rows('ai_usage'), []);
+  const row = h.bigQuery.rows('eod_reports')[0];
+  assert.strictEqual(row.tasks_completed, EOD_TEXT);
+  assert.strictEqual(row.hours_worked, 8);
+
+  const alerts = h.urlFetch.chatMessages().filter((m) => /AI budget reached/.test(m.text));
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].space, 'spaces/DM_manager');
+  assert.match(alerts[0].text, /\$5\.01 of the \$5\.00 budget/);
+  assert.match(alerts[0].text, /eod_parsing: 400 calls, \$5\.01/);
+});
+
+test('spend is recorded even when the cached month total has expired', () => {
+  const h = setup(5, 4.995);
+  assert.strictEqual(h.run('isAiBudgetExceeded'), false);
+
+  h.clock.advance(11 * 60 * 1000);
+  h.run('_addToAiMonthSpend', 0.01);
+
+  // ai_usage still reports 4.995, but this call's cost is counted
+  assert.strictEqual(h.run('getAiMonthToDateSpend'), 5.005);
+  assert.strictEqual(h.run('isAiBudgetExceeded'), true);
+});
+
+test('ai usage command is manager-only and shows the month against the budget', () => {
+  const h = setup(5, 5.01);
+  const reply = (email) => h.run('onMessage', h.chatEvent(email, 'ai usage')).hostAppDataAction.chatDataAction.createMessageAction.message.text;
+
+  assert.match(reply('alice@example.com'), /only available to managers/);
+  const text = reply('manager@example.com');
+  assert.match(text, /eod_parsing: 400 calls, 900,000 tokens, \$5\.01/);
+  assert.match(text, /\$5\.01 of \$5\.00 budget — ⛔ cap reached/);
+  assert.deepStrictEqual(plain(h.bigQuery.rows('ai_usage')), []);
+});
+
+test('ai usage command counts the month in the reporting timezone', () => {
+  // 1 April 01:00 in Karachi, still 31 March in Chicago
+  const workHours = DEFAULT_SHEETS.work_hours.filter((r) => r[0] !== 'timezone').concat([['timezone', 'Asia/Karachi']]);
+  const h = createHarness({
+    now: '2026-03-31T20:00:00Z',
+    sheets: { work_hours: workHours, settings: [['key', 'value'], ['manager_email', 'manager@example.com']] }
+  });
+
+  h.run('onMessage', h.chatEvent('manager@example.com', 'ai usage'));
+
+  const usageQuery = h.bigQuery.queries.find((q) => /GROUP BY feature/.test(q));
+  assert.match(usageQuery, /usage_date >= '2026-04-01'/);
+});
@@ -0,0 +1,99 @@
+/**
+ * coaching.test.js - Optional AI coaching note in the EOD confirmation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, DEFAULT_SHEETS } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const EOD_TEXT = 'Worked on the pricing deck. Tomorrow: pricing deck. 8 hours';
+
+function setup(reply, extraSettings, teamMembers) {
+  const h = createHarness({
+    now: TUESDAY_1730,
+    properties: { OPENAI_API_KEY: 'sk-test' },
+    sheets: {
+      settings: DEFAULT_SHEETS.settings.concat([['enable_ai_coaching', true]], extraSettings || []),
+      team_members: teamMembers || DEFAULT_SHEETS.team_members
+    }
+  });
+  ['alice@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  h.bigQuery.onQuery('raw_response IS NOT NULL', [
+    { eod_date: '2026-03-09', raw_response: 'Worked on the pricing deck. 8 hours' },
+    { eod_date: '2026-03-06', raw_response: 'Pricing deck and emails. 8 hours' }
+  ]);
+  h.bigQuery.onQuery('GROUP BY delay_reason', [{ delay_reason: 'Waiting on input', count: '3' }]);
+  h.bigQuery.onQuery('HAVING COUNT(*) >= 3', [
+    { task_id: 't1', task_name: 'Pricing deck', user_email: 'alice@example.com', times_delayed: '4' },
+    { task_id: 't2', task_name: 'Hiring plan', user_email: 'bob@example.com', times_delayed: '3' }
+  ]);
+  h.urlFetch.on('api.openai.com', () => ({ body: { choices: [{ message: { content: reply } }] } }));
+  return h;
+}
+
+function openAiPrompts(h) {
+  return h.urlFetch.calls.filter((c) => /api\.openai\.com/.test(c.url)).map((c) => c.payload.messages[1].content);
+}
+
+test('coaching note is built from history and sent only to the member', () => {
+  const h = setup("You've moved the pricing deck 4 times; consider splitting it.");
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+
+  const prompt = openAiPrompts(h)[0];
+  assert.match(prompt, /Previous EODs \(newest first\)\n- 2026-03-09: Worked on the pricing deck/);
+  assert.match(prompt, /"Pricing deck" moved 4 times/);
+  assert.doesNotMatch(prompt, /Hiring plan/);
+  assert.match(prompt, /Waiting on input: 3/);
+  assert.match(prompt, /similar to 2026-03-09/);
+  assert.strictEqual(h.bigQuery.rows('ai_usage')[0].feature, 'eod_coaching');
+
+  const toAlice = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_alice').pop();
+  assert.match(toAlice.text, /🧭 \*\*Coaching note:\*\* You've moved the pricing deck 4 times/);
+  const toManager = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_manager');
+  assert.doesNotMatch(toManager.text, /Coaching note/);
+});
+
+test('NONE means no note', () => {
+  const h = setup('NONE');
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+  const toAlice = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_alice').pop();
+  assert.doesNotMatch(toAlice.text, /Coaching note/);
+});
+
+test('members can opt out by command or in the team_members sheet', () => {
+  const h = setup('Tip');
+  const reply = h.run('onMessage', h.chatEvent('alice@example.com', 'coaching off')).hostAppDataAction.chatDataAction.createMessageAction.message.text;
+  assert.match(reply, /no more coaching notes/);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+  assert.strictEqual(openAiPrompts(h).length, 0);
+
+  h.run('onMessage', h.chatEvent('alice@example.com', 'coaching on'));
+  assert.strictEqual(h.run('isAiCoachingEnabled', 'alice@example.com'), true);
+
+  const optedOut = DEFAULT_SHEETS.team_members.map((row, i) => (i === 1 ? row.concat([false]) : row));
+  const h2 = setup('Tip', [], optedOut);
+  assert.strictEqual(h2.run('isAiCoachingEnabled', 'alice@example.com'), false);
+  assert.strictEqual(h2.run('isAiCoachingEnabled', 'bob@example.com'), true);
+
+  const h3 = setup('Tip', [['enable_ai_coaching', false]]);
+  assert.strictEqual(h3.run('isAiCoachingEnabled', 'alice@example.com'), false);
+});
+
+test('a full Sage HR sync keeps the team_members opt-out', () => {
+  const optedOut = DEFAULT_SHEETS.team_members.map((row, i) => (i === 1 ? row.concat([false]) : row));
+  const h = setup('Tip', [], optedOut);
+  h.properties.setProperty('SAGE_HR_API_KEY', 'sage-key');
+  h.urlFetch.on(/sage\.hr\/api\/+employees/, () => ({ body: { data: [
+    { id: 1, email: 'alice@example.com', first_name: 'Alice', last_name: 'A' },
+    { id: 2, email: 'bob@example.com', first_name: 'Bob', last_name: 'B' }
+  ] } }));
+
+  assert.strictEqual(h.run('syncEmployeesToSheet').success, true);
+
+  const rows = h.spreadsheet.getSheetByName('team_members')._rows();
+  assert.strictEqual(rows[0][12], 'ai_coaching');
+  assert.deepStrictEqual(rows.slice(1).map((r) => [r[0], r[12]]), [['alice@example.com', false], ['bob@example.com', '']]);
+});
@@ -0,0 +1,72 @@
+/**
+ * dmsetup.test.js - Proactive DM space setup during the daily Sage HR sync
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+// Tuesday 2026-03-10, 06:00 America/Chicago
+const TUESDAY_0600 = '2026-03-10T11:00:00Z';
+
+const SAGE_EMPLOYEES = [
+  { id: 1, email: 'alice@example.com', first_name: 'Alice', last_name: 'A' },
+  { id: 2, email: 'bob@example.com', first_name: 'Bob', last_name: 'B' },
+  { id: 3, email: 'carol@example.com', first_name: 'Carol', last_name: 'C' },
+  { id: 4, email: 'erin@example.com', first_name: 'Erin', last_name: 'E' }
+];
+
+function setup() {
+  const h = createHarness({ now: TUESDAY_0600, properties: { SAGE_HR_API_KEY: 'sage-key' } });
+  h.registerDM('alice@example.com');
+  h.registerDM('manager@example.com');
+  h.urlFetch.on(/sage\.hr\/api\/+employees/, () => ({ body: { data: SAGE_EMPLOYEES } }));
+  h.urlFetch.on(/sage\.hr\/api\/+leave-management/, () => ({ body: { data: [] } }));
+  h.urlFetch.on('spaces:findDirectMessage', (url) => {
+    if (url.indexOf(encodeURIComponent('users/bob@example.com')) !== -1) return { body: { name: 'spaces/DM_bob', spaceType: 'DIRECT_MESSAGE' } };
+    return { code: 404, body: { error: { code: 404, message: 'Direct message space not found' } } };
+  });
+  h.urlFetch.on('spaces:setup', (url, options) => {
+    const member = JSON.parse(options.payload).memberships[0].member.name;
+    if (member === 'users/carol@example.com') return { body: { name: 'spaces/DM_carol', spaceType: 'DIRECT_MESSAGE' } };
+    return { code: 403, body: { error: { code: 403, message: 'The caller does not have permission' } } };
+  });
+  return h;
+}
+
+test('missing DM spaces are found or created, and the rest are reported', () => {
+  const h = setup();
+
+  h.run('dailySageHRSync');
+
+  // Alice already had a space: no Chat API lookups for her
+  const lookups = h.urlFetch.calls.filter((c) => c.url.indexOf('spaces:findDirectMessage') !== -1);
+  assert.deepStrictEqual(lookups.map((c) => decodeURIComponent(c.url.split('name=')[1])),
+    ['users/bob@example.com', 'users/carol@example.com', 'users/erin@example.com']);
+
+  const setups = h.urlFetch.calls.filter((c) => c.url.indexOf('spaces:setup') !== -1);
+  assert.strictEqual(setups.length, 2, 'bob already had a DM with the bot');
+  assert.deepStrictEqual(setups[0].payload, {
+    space: { spaceType: 'DIRECT_MESSAGE' },
+    memberships: [{ member: { name: 'users/carol@example.com', type: 'HUMAN' } }]
+  });
+
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_bob_example_com'), 'spaces/DM_bob');
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_carol_example_com'), 'spaces/DM_carol');
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_erin_example_com'), null);
+
+  // Only Erin is still unreachable
+  const alerts = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_manager');
+  assert.strictEqual(alerts.length, 1);
+  assert.match(alerts[0].text, /Erin E\*\* \(erin@example\.com\) — _also missing from team_members sheet_/);
+  assert.match(alerts[0].text, /spaces\.setup HTTP 403: The caller does not have permission/);
+  assert.doesNotMatch(alerts[0].text, /bob@example\.com|carol@example\.com/);
+
+  const sync = h.bigQuery.rows('system_events').find((r) => r.event_type === 'SAGE_HR_SYNC');
+  assert.strictEqual(JSON.parse(sync.details).dm_spaces_created, 1);
+  assert.strictEqual(JSON.parse(sync.details).missing_dm, 1);
+
+  // The next prompt to Carol goes straight to her new space
+  h.run('sendDirectMessage', 'carol@example.com', '👋 Good morning!');
+  assert.strictEqual(h.urlFetch.chatMessages().pop().space, 'spaces/DM_carol');
+});
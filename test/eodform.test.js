@@ -0,0 +1,67 @@
+/**
+ * eodform.test.js - Structured EOD form card
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, responseMessage } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const FORM = {
+  eodAccomplishments: 'Closed vendor tickets, 1 meeting (standup)',
+  eodBlockers: '',
+  eodTomorrow: 'Quarterly forecast',
+  eodHours: '7.5'
+};
+
+test('Start EOD card offers the form, which enforces required fields', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  const startCard = plain(h.run('buildStartEodCard', '', '', { completed: 0, overdue: 0, inProgress: 0, dueToday: 0 }));
+  const buttons = startCard[0].card.sections[0].widgets.pop().buttonList.buttons;
+  assert.deepStrictEqual(buttons.map((b) => b.onClick.action.function), ['handleStartEod', 'handleOpenEodForm']);
+
+  const message = responseMessage(h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleOpenEodForm')));
+  const widgets = plain(message.cardsV2[0].card.sections[0].widgets);
+  assert.deepStrictEqual(widgets.filter((w) => w.textInput).map((w) => w.textInput.name),
+    ['eodAccomplishments', 'eodBlockers', 'eodTomorrow', 'eodHours']);
+  assert.deepStrictEqual(widgets.pop().buttonList.buttons[0].onClick.action.requiredWidgets,
+    ['eodAccomplishments', 'eodTomorrow', 'eodHours']);
+  assert.strictEqual(h.run('getUserState', 'alice@example.com'), 'AWAITING_EOD');
+});
+
+test('invalid hours re-render the form with the entered values', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  const message = responseMessage(h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleEodFormSubmit', {},
+    Object.assign({}, FORM, { eodHours: '30' }))));
+
+  const widgets = plain(message.cardsV2[0].card.sections[0].widgets);
+  assert.match(widgets[0].decoratedText.text, /between 0 and 24/);
+  assert.strictEqual(widgets[1].textInput.value, FORM.eodAccomplishments);
+  assert.strictEqual(h.properties.getKeys().filter((k) => k.startsWith('EOD_QUEUE_')).length, 0);
+});
+
+test('form submission is logged from its fields without AI parsing', () => {
+  const h = createHarness({ now: TUESDAY_1730, sheets: { settings: [['key', 'value'], ['enable_ai_eod_parsing', true]] } });
+  h.registerDM('alice@example.com');
+  h.run('setUserState', 'alice@example.com', 'AWAITING_EOD');
+
+  const message = responseMessage(h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleEodFormSubmit', {}, FORM)));
+  assert.match(message.text, /EOD form submitted\* \(7\.5h\)/);
+  assert.strictEqual(h.run('getUserState', 'alice@example.com'), 'IDLE');
+
+  // Double-click doesn't queue a second report
+  h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleEodFormSubmit', {}, FORM));
+  assert.strictEqual(h.properties.getKeys().filter((k) => k.startsWith('EOD_QUEUE_')).length, 1);
+
+  h.run('processEodBackground');
+
+  const row = h.bigQuery.rows('eod_reports')[0];
+  assert.strictEqual(row.tasks_completed, FORM.eodAccomplishments);
+  assert.strictEqual(row.blockers, null);
+  assert.strictEqual(row.tomorrow_priority, 'Quarterly forecast');
+  assert.strictEqual(row.hours_worked, 7.5);
+  assert.match(row.raw_response, /Tomorrow: Quarterly forecast\nHours: 7\.5h/);
+  assert.ok(!h.urlFetch.calls.some((c) => /openai/.test(c.url)));
+});
@@ -0,0 +1,113 @@
+/**
+ * eodparse.test.js - Schema-validated AI EOD parsing with per-field regex fallback
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const EOD_TEXT = 'Closed vendor tickets. Tomorrow: forecast. Worked 7 hours.';
+
+function setup(answers) {
+  const h = createHarness({
+    now: TUESDAY_1730,
+    properties: { OPENAI_API_KEY: 'sk-test' },
+    sheets: { settings: [['key', 'value'], ['manager_email', 'manager@example.com'], ['enable_ai_eod_parsing', true]] }
+  });
+  h.registerDM('alice@example.com');
+  let i = 0;
+  h.urlFetch.on('api.openai.com', () => {
+    const answer = answers[Math.min(i++, answers.length - 1)];
+    return { body: { choices: [{ message: { content: typeof answer === 'string' ? answer : JSON.stringify(answer) } }] } };
+  });
+  return h;
+}
+
+function openAiPrompts(h) {
+  return h.urlFetch.calls.filter((c) => /api\.openai\.com/.test(c.url)).map((c) => c.payload.messages[1].content);
+}
+
+test('model output is coerced to the schema', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  const check = plain(h.run('validateEodParse', {
+    tasks_completed: '- Vendor tickets\n- Forecast draft',
+    blockers: [{ text: 'VPN access', type: 'ACCESS' }, { text: 'Logo', type: 'vibes' }, 'none'],
+    tomorrow_priority: 'Forecast',
+    hours_worked: '7.5h',
+    waiting_on: 'IT'
+  }));
+  assert.deepStrictEqual(check.errors, {});
+  assert.deepStrictEqual(check.value, {
+    tasks_completed: ['Vendor tickets', 'Forecast draft'],
+    blockers: [{ text: 'VPN access', type: 'access' }, { text: 'Logo', type: 'other' }],
+    tomorrow_priority: 'Forecast',
+    hours_worked: 7.5,
+    waiting_on: ['IT']
+  });
+
+  const bad = plain(h.run('validateEodParse', { tasks_completed: [], hours_worked: 30, blockers: 5 }));
+  assert.deepStrictEqual(Object.keys(bad.errors).sort(), ['blockers', 'hours_worked', 'tasks_completed']);
+  assert.match(bad.errors.hours_worked, /between 0 and 24, got 30/);
+});
+
+test('a schema failure is retried with the errors, and a valid retry is used', () => {
+  const h = setup([
+    '{"tasks_completed": ["Vendor tickets"], "hours_worked": 70',
+    { tasks_completed: ['Vendor tickets'], blockers: [], tomorrow_priority: 'Forecast', hours_worked: 7, waiting_on: [] }
+  ]);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+
+  const prompts = openAiPrompts(h);
+  assert.strictEqual(prompts.length, 2);
+  assert.match(prompts[1], /did not match the schema:\n- tasks_completed: response was not a JSON object/);
+
+  const row = h.bigQuery.rows('eod_reports')[0];
+  assert.strictEqual(row.tasks_completed, 'Vendor tickets');
+  assert.strictEqual(row.hours_worked, 7);
+  assert.strictEqual(row.parse_source, 'ai');
+  assert.strictEqual(row.fallback_fields, null);
+  assert.strictEqual(row.parse_errors, null);
+});
+
+test('fields still invalid after the retry fall back to regex and are recorded', () => {
+  const bad = { tasks_completed: ['Vendor tickets'], blockers: [], tomorrow_priority: 'Forecast', hours_worked: 70, waiting_on: [] };
+  const h = setup([bad, bad]);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+
+  assert.strictEqual(openAiPrompts(h).length, 2);
+  const row = h.bigQuery.rows('eod_reports')[0];
+  assert.strictEqual(row.tasks_completed, 'Vendor tickets');
+  assert.strictEqual(row.tomorrow_priority, 'Forecast');
+  assert.strictEqual(row.hours_worked, 7);
+  assert.strictEqual(row.fallback_fields, 'hours_worked');
+  assert.match(row.parse_errors, /hours_worked: must be between 0 and 24, got 70/);
+});
+
+test('no AI answer at all falls back to regex for every field', () => {
+  const h = setup(['{}']);
+  h.urlFetch.on('api.openai.com', () => ({ code: 500, body: {} }));
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+
+  const row = h.bigQuery.rows('eod_reports')[0];
+  assert.strictEqual(row.tasks_completed, EOD_TEXT);
+  assert.strictEqual(row.fallback_fields, 'tasks_completed,blockers,tomorrow_priority,hours_worked');
+  assert.strictEqual(row.parse_errors, 'no AI response');
+});
+
+test('AI blocker types are stored on the blocker records', () => {
+  const h = setup([{
+    tasks_completed: ['Vendor tickets'],
+    blockers: [{ text: 'VPN access from IT', type: 'access' }, { text: 'Vendor portal is down', type: 'external' }],
+    tomorrow_priority: 'Forecast',
+    hours_worked: 7,
+    waiting_on: []
+  }]);
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', EOD_TEXT, h.eval('new Date()'), false);
+
+  assert.strictEqual(h.bigQuery.rows('eod_reports')[0].blockers, 'VPN access from IT; Vendor portal is down');
+  const blockers = h.bigQuery.rows('blockers').map((b) => [b.blocker_text, b.blocker_type]);
+  assert.deepStrictEqual(blockers, [['VPN access from IT', 'access'], ['Vendor portal is down', 'external']]);
+});
@@ -0,0 +1,93 @@
+/**
+ * excuse.test.js - Missed check-in excuses and manager approval
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, replyText, serveLatestRows } = require('./harness');
+
+// Tuesday 2026-03-10, 10:00 America/Chicago
+const TUESDAY_1000 = '2026-03-10T15:00:00Z';
+
+function escalate(h) {
+  ['alice@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  const missed = h.run('logMissedCheckIn', 'alice@example.com', h.eval('new Date()'), 'CHECKIN');
+  h.run('escalateMissedCheckIn', 'alice@example.com', 'Alice', missed);
+  return missed;
+}
+
+test('missed check-in escalation gives the employee excuse buttons', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  const missed = escalate(h);
+
+  const toAlice = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_alice');
+  assert.match(toAlice.text, /Missed Check-in Alert/);
+  const buttons = toAlice.cardsV2[0].card.sections[0].widgets[0].buttonList.buttons;
+  assert.deepStrictEqual(buttons.map((b) => b.text), ['📞 I was on a call', '💻 Technical issue', '🤦 Forgot', '🤒 Sick']);
+  assert.strictEqual(buttons[0].onClick.action.parameters[0].value, missed.missed_id);
+
+  const toManager = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_manager');
+  assert.ok(!toManager.cardsV2);
+});
+
+test('selecting an excuse records it and sends managers an approve/reject card', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  serveLatestRows(h, 'v_missed_checkin_excuses', 'missed_checkin_excuses', 'missed_id');
+  const missed = escalate(h);
+
+  const text = replyText(h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleExcuseSelected',
+    { missedId: missed.missed_id, missedDate: '2026-03-10', reason: 'ON_CALL' })));
+
+  assert.match(text, /sent to your manager for review/);
+  const row = h.bigQuery.rows('missed_checkin_excuses')[0];
+  assert.strictEqual(row.missed_id, missed.missed_id);
+  assert.strictEqual(row.status, 'PENDING');
+  assert.strictEqual(row.excuse_reason, 'ON_CALL');
+
+  const review = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_manager').pop();
+  assert.strictEqual(review.cardsV2[0].cardId, 'excuse_review_' + row.excuse_id);
+
+  // A second click doesn't log another excuse
+  h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleExcuseSelected',
+    { missedId: missed.missed_id, missedDate: '2026-03-10', reason: 'FORGOT' }));
+  assert.strictEqual(h.bigQuery.rows('missed_checkin_excuses').length, 1);
+});
+
+test('manager approval is recorded once and the employee is told', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  serveLatestRows(h, 'v_missed_checkin_excuses', 'missed_checkin_excuses', 'missed_id');
+  const missed = escalate(h);
+  h.run('onCardClick', h.cardClickEvent('alice@example.com', 'handleExcuseSelected',
+    { missedId: missed.missed_id, missedDate: '2026-03-10', reason: 'SICK' }));
+  const excuseId = h.bigQuery.rows('missed_checkin_excuses')[0].excuse_id;
+  const params = { missedId: missed.missed_id, excuseId: excuseId, email: 'alice@example.com', missedDate: '2026-03-10', reason: 'SICK' };
+
+  // Non-managers can't decide
+  const denied = replyText(h.run('onCardClick', h.cardClickEvent('bob@example.com', 'handleExcuseReview', Object.assign({ decision: 'APPROVED' }, params))));
+  assert.match(denied, /Only a manager/);
+
+  const text = replyText(h.run('onCardClick', h.cardClickEvent('manager@example.com', 'handleExcuseReview', Object.assign({ decision: 'APPROVED' }, params))));
+  assert.match(text, /Approved/);
+  const rows = h.bigQuery.rows('missed_checkin_excuses');
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[1].status, 'APPROVED');
+  assert.strictEqual(rows[1].reviewed_by, 'manager@example.com');
+  assert.match(h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_alice').pop().text, /approved/);
+
+  // Later clicks see the decision
+  const again = replyText(h.run('onCardClick', h.cardClickEvent('manager@example.com', 'handleExcuseReview', Object.assign({ decision: 'REJECTED' }, params))));
+  assert.match(again, /Already approved/);
+  assert.strictEqual(h.bigQuery.rows('missed_checkin_excuses').length, 2);
+});
+
+test('streak and weekly adoption queries skip approved excuse days', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  h.run('getUserStreak', 'alice@example.com');
+  h.run('computeWeeklyAdoptionScores');
+
+  const streakSql = h.bigQuery.queries.find((q) => q.includes('COUNT(*) as streak'));
+  assert.match(streakSql, /v_missed_checkin_excuses[\s\S]*status = 'APPROVED'/);
+  assert.match(streakSql, /AND NOT is_excused/);
+  const adoptionSql = h.bigQuery.queries.find((q) => q.includes('daily_adoption_metrics'));
+  assert.match(adoptionSql, /COUNTIF\(checkin_prompted AND x\.missed_date IS NULL\)/);
+});
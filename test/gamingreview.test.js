@@ -0,0 +1,109 @@
+/**
+ * gamingreview.test.js - Reporting-integrity review queue and manager verdicts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, replyText, serveLatestRows } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const REPEATED = 'Answered support tickets in the queue and updated the help center article on refunds for customers.';
+
+function runEvaluation() {
+  const h = createHarness({ now: TUESDAY_1730 });
+  ['alice@example.com', 'bob@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  serveLatestRows(h, 'v_gaming_reviews', 'gaming_reviews', 'review_id');
+  h.bigQuery.onQuery('v_eod_reports', (sql) => {
+    if (/eod_date < CURRENT_DATE\(\)/.test(sql)) {
+      return /alice/.test(sql) ? [{ eod_date: '2026-03-09', raw_response: REPEATED }, { eod_date: '2026-03-06', raw_response: 'Planned the quarter.' }] : [];
+    }
+    return [
+      { user_email: 'alice@example.com', eod_date: '2026-03-10', raw_response: REPEATED, tasks_completed: REPEATED },
+      { user_email: 'bob@example.com', eod_date: '2026-03-10', raw_response: 'Called four distributors about the spring promo, sent two quotes and updated the CRM pipeline.', tasks_completed: 'Calls' }
+    ];
+  });
+  h.run('generateDailyAiEvaluation');
+  return h;
+}
+
+test('flags from the daily evaluation are stored and sent to managers side by side', () => {
+  const h = runEvaluation();
+
+  const reviews = h.bigQuery.rows('gaming_reviews');
+  assert.strictEqual(reviews.length, 1);
+  assert.strictEqual(reviews[0].user_email, 'alice@example.com');
+  assert.strictEqual(reviews[0].rule, 'COPY_PASTE');
+  assert.strictEqual(reviews[0].eod_date, '2026-03-10');
+  assert.strictEqual(reviews[0].similar_date, '2026-03-09');
+  assert.strictEqual(reviews[0].status, 'PENDING');
+
+  const card = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_manager' && m.cardsV2);
+  assert.match(card.text, /Reporting integrity review.*1 flagged EOD today/);
+  const section = card.cardsV2[0].card.sections[0];
+  assert.strictEqual(section.header, 'Alice');
+  const columns = section.widgets[0].columns.columnItems;
+  assert.match(columns[0].widgets[0].textParagraph.text, /^<b>Today<\/b>\nAnswered support tickets/);
+  assert.match(columns[1].widgets[0].textParagraph.text, /^<b>2026-03-09<\/b>\nAnswered support tickets/);
+  assert.strictEqual(section.widgets[1].decoratedText.text, '100% similar to 2026-03-09');
+  const buttons = section.widgets[2].buttonList.buttons;
+  assert.deepStrictEqual(buttons.map((b) => b.text), ['✅ Legit', '💬 Coach', '⚠️ Warn']);
+  assert.strictEqual(buttons[0].onClick.action.parameters[0].value, reviews[0].review_id);
+
+  assert.ok(!h.urlFetch.chatMessages().some((m) => m.space === 'spaces/DM_alice' && /integrity/.test(m.text)));
+});
+
+test('re-running the evaluation does not queue the same flag twice', () => {
+  const h = runEvaluation();
+  const review = h.bigQuery.rows('gaming_reviews')[0];
+  assert.strictEqual(review.review_id, 'alice@example.com|2026-03-10|COPY_PASTE');
+
+  h.run('generateDailyAiEvaluation');
+  assert.strictEqual(h.bigQuery.rows('gaming_reviews').length, 1);
+  assert.strictEqual(h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_manager' && /integrity/.test(m.text)).length, 1);
+});
+
+test('review items carry the date of the flagged EOD row', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  ['alice@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  const rows = h.run('queueGamingReviews', [{
+    email: 'alice@example.com', name: 'Alice', eodDate: '2026-03-09', eodText: 'Meetings and stuff.',
+    signals: { flags: ['VAGUE_LANGUAGE'], vaguePhrasesFound: ['stuff'] }
+  }]);
+  assert.strictEqual(rows[0].eod_date, '2026-03-09');
+  assert.strictEqual(rows[0].review_id, 'alice@example.com|2026-03-09|VAGUE_LANGUAGE');
+  const card = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_manager' && m.cardsV2);
+  assert.match(card.cardsV2[0].card.header.subtitle, /^2026-03-09 · 1 flagged/);
+});
+
+test('the first manager verdict is stored; others and non-managers are turned away', () => {
+  const h = runEvaluation();
+  const review = h.bigQuery.rows('gaming_reviews')[0];
+  const params = { reviewId: review.review_id, email: 'alice@example.com', eodDate: '2026-03-10', rule: 'COPY_PASTE' };
+  const click = (email, verdict) => replyText(h.run('onCardClick', h.cardClickEvent(email, 'handleGamingReview', Object.assign({ verdict: verdict }, params))));
+
+  assert.match(click('bob@example.com', 'WARN'), /Only a manager/);
+  assert.match(click('manager@example.com', 'LEGIT'), /✅ Legit: alice@example\.com — COPY_PASTE \(2026-03-10\)/);
+  assert.match(click('manager@example.com', 'WARN'), /already marked ✅ Legit by manager@example\.com/);
+
+  const rows = h.bigQuery.rows('gaming_reviews');
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[1].status, 'LEGIT');
+  assert.strictEqual(rows[1].reviewed_by, 'manager@example.com');
+  assert.strictEqual(rows[1].similar_date, '2026-03-09');
+});
+
+test('gaming stats shows the false-positive rate per rule to managers', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  h.bigQuery.onQuery('GROUP BY rule', [
+    { rule: 'VAGUE_LANGUAGE', flagged: '12', reviewed: '10', legit: '6', coach: '3', warn: '1' },
+    { rule: 'HOURS_INFLATION', flagged: '3', reviewed: '0', legit: '0', coach: '0', warn: '0' }
+  ]);
+  const reply = (email) => replyText(h.run('onMessage', h.chatEvent(email, 'gaming stats')));
+
+  assert.match(reply('alice@example.com'), /only available to managers/);
+  const text = reply('manager@example.com');
+  assert.match(text, /\*VAGUE_LANGUAGE\*: 12 flagged, 10 reviewed — 6 legit, 3 coach, 1 warn \(60% false positives\)/);
+  assert.match(text, /\*HOURS_INFLATION\*: 3 flagged, 0 reviewed$/m);
+});
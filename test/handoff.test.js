@@ -0,0 +1,89 @@
+/**
+ * handoff.test.js - Blocker handoff to the teammate a blocker is waiting on
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, DEFAULT_SHEETS, responseMessage, serveBlockers } = require('./harness');
+
+const SARAH = ['sarah@example.com', 'Sarah Lee', 'Design', '', true, '', '', 'America/Chicago', 'clickup', 'tracked', '', ''];
+
+function setup(now, today) {
+  const h = createHarness({ now: now, sheets: { team_members: DEFAULT_SHEETS.team_members.concat([SARAH]) } });
+  serveBlockers(h, today);
+  ['alice@example.com', 'sarah@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  return h;
+}
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+test('teammates are found by email, full name or a unique capitalized first name', () => {
+  const h = setup(TUESDAY_1730, '2026-03-10');
+  const found = (text) => plain(h.run('findTeamMembersInText', text, 'alice@example.com')).map((m) => m.email);
+  assert.deepStrictEqual(found('Waiting on Sarah for the artwork'), ['sarah@example.com']);
+  assert.deepStrictEqual(found('need sign-off from sarah lee'), ['sarah@example.com']);
+  assert.deepStrictEqual(found('ping bob@example.com'), ['bob@example.com']);
+  assert.deepStrictEqual(found('waiting on sarah'), []);
+  assert.deepStrictEqual(found('Alice needs to decide'), []);
+});
+
+test('a blocker naming a teammate sends them a handoff card', () => {
+  const h = setup(TUESDAY_1730, '2026-03-10');
+  h.run('recordEodBlockers', 'alice@example.com', '2026-03-10', 'Waiting on Sarah for the artwork');
+
+  const row = h.bigQuery.rows('blockers')[0];
+  assert.strictEqual(row.blocked_by_email, 'sarah@example.com');
+  assert.strictEqual(row.ack_status, null);
+
+  const dm = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_sarah');
+  assert.match(dm.text, /Alice reported a blocker that's waiting on you/);
+  const card = dm.cardsV2[0].card;
+  assert.strictEqual(card.header.title, 'Alice is waiting on you');
+  assert.deepStrictEqual(card.sections[0].widgets[1].buttonList.buttons.map((b) => b.text), ['👍 On it', '✅ Done', '🙅 Not me']);
+});
+
+test('AI waiting_on names the owner when the blocker text does not', () => {
+  const h = setup(TUESDAY_1730, '2026-03-10');
+  h.run('recordEodBlockers', 'alice@example.com', '2026-03-10', 'Artwork not delivered', ['Sarah Lee']);
+  const row = h.bigQuery.rows('blockers')[0];
+  assert.strictEqual(row.blocked_by_email, 'sarah@example.com');
+  assert.strictEqual(row.blocked_by, 'Sarah Lee');
+});
+
+test('On it and Done are logged and relayed to the reporter', () => {
+  const h = setup(TUESDAY_1730, '2026-03-10');
+  const blocker = h.run('recordEodBlockers', 'alice@example.com', '2026-03-10', 'Waiting on Sarah for the artwork')[0];
+  const click = (email, response) => responseMessage(h.run('onCardClick',
+    h.cardClickEvent(email, 'handleBlockerHandoffReply', { blockerId: blocker.blocker_id, response: response })));
+
+  assert.match(click('bob@example.com', 'ON_IT').text, /isn't assigned to you/);
+
+  assert.match(click('sarah@example.com', 'ON_IT').text, /On it — "Waiting on Sarah for the artwork"/);
+  let rows = h.bigQuery.rows('blockers');
+  assert.strictEqual(rows[1].ack_status, 'ON_IT');
+  assert.strictEqual(rows[1].status, 'OPEN');
+  let toAlice = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_alice').pop();
+  assert.match(toAlice.text, /Sarah Lee\* is on it/);
+
+  click('sarah@example.com', 'DONE');
+  rows = h.bigQuery.rows('blockers');
+  assert.strictEqual(rows[2].status, 'RESOLVED');
+  assert.strictEqual(rows[2].resolved_by, 'sarah@example.com');
+  toAlice = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_alice').pop();
+  assert.match(toAlice.text, /marked this done/);
+  assert.match(click('sarah@example.com', 'NOT_ME').text, /Already resolved/);
+});
+
+test('persistent-blocker alert separates unacknowledged handoffs', () => {
+  const h = setup('2026-03-12T13:40:00Z', '2026-03-12');
+  const base = { user_email: 'alice@example.com', opened_date: '2026-03-09', blocked_by: 'Sarah Lee', blocked_by_email: 'sarah@example.com' };
+  h.run('logBlocker', Object.assign({ blocker_id: 'a', blocker_text: 'Artwork' }, base), 'OPEN', null);
+  h.run('logBlocker', Object.assign({ blocker_id: 'b', blocker_text: 'Logo files', ack_status: 'ON_IT' }, base), 'OPEN', null);
+
+  h.run('checkPersistentBlockers');
+
+  const alert = h.urlFetch.chatMessages().find((m) => /Persistent Blocker Alert/.test(m.text));
+  assert.match(alert.text, /Unacknowledged:\*\n• "Artwork" — open 3 days, no reply from Sarah Lee/);
+  assert.match(alert.text, /Other:\*\n• "Logo files" — open 3 days, Sarah Lee is on it/);
+});
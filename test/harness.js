@@ -0,0 +1,672 @@
+/**
+ * harness.js - Local Test Harness
+ * Loads every script/*.js file into a Node vm sandbox with in-memory stand-ins
+ * for the Apps Script services (Cache, Properties, Spreadsheet, UrlFetch,
+ * Utilities, BigQuery, ScriptApp, Lock, ContentService) and a frozen clock.
+ *
+ * Usage:
+ *   const { createHarness } = require('./harness');
+ *   const h = createHarness({ now: '2026-03-10T08:05:00-05:00', sheets: { team_members: [...] } });
+ *   h.run('onMessage', h.chatEvent('alice@example.com', 'ping'));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'script');
+
+// ============================================
+// DEFAULT FIXTURES
+// ============================================
+
+const DEFAULT_SHEETS = {
+  settings: [
+    ['key', 'value'],
+    ['manager_email', 'manager@example.com'],
+    ['team_updates_space_id', 'spaces/TEAM_UPDATES'],
+    ['enable_ai_eod_parsing', false]
+  ],
+  team_members: [
+    ['email', 'name', 'department', 'manager_email', 'active', 'custom_start_time', 'custom_end_time',
+      'timezone', 'task_source', 'tracking_mode', 'custom_block2_start', 'custom_block2_end'],
+    ['alice@example.com', 'Alice', 'Ops', 'manager@example.com', true, '', '', 'America/Chicago', 'clickup', 'tracked', '', ''],
+    ['bob@example.com', 'Bob', 'Sales', 'manager@example.com', true, '09:00', '17:00', 'America/Chicago', 'clickup', 'tracked', '', '']
+  ],
+  work_hours: [
+    ['key', 'value'],
+    ['default_start', '08:00'],
+    ['default_end', '17:00'],
+    ['friday_start', '07:00'],
+    ['friday_end', '11:00'],
+    ['default_hours_per_day', 8],
+    ['friday_hours_per_day', 4],
+    ['timezone', 'America/Chicago']
+  ],
+  holidays: [['date', 'name', 'type']],
+  clickup_config: [['key', 'value'], ['enabled', false]],
+  odoo_config: [['key', 'value'], ['enabled', false]]
+};
+
+const DEFAULT_PROPERTIES = {
+  CONFIG_SHEET_ID: 'test-sheet',
+  BIGQUERY_PROJECT_ID: 'test-project',
+  SERVICE_ACCOUNT_KEY: JSON.stringify({ client_email: 'bot@test-project.iam.gserviceaccount.com', private_key: 'test-key' })
+};
+
+// ============================================
+// CLOCK
+// ============================================
+
+function createClock(start) {
+  let ms = start === undefined ? Date.UTC(2026, 0, 5, 14, 0, 0) : new Date(start).getTime();
+  return {
+    now: () => ms,
+    set: (value) => { ms = new Date(value).getTime(); },
+    advance: (deltaMs) => { ms += deltaMs; }
+  };
+}
+
+// Installs a Date subclass in the sandbox whose no-arg constructor and now() read the clock
+const FROZEN_DATE_SRC = `
+(function (RealDate, clock) {
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now());
+      else super(...args);
+    }
+    static now() { return clock.now(); }
+  }
+  globalThis.Date = FrozenDate;
+})(Date, __clock);
+`;
+
+// ============================================
+// CACHE / PROPERTIES / LOCK
+// ============================================
+
+function createCache(clock) {
+  const store = new Map();
+  const cache = {
+    get: (key) => {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= clock.now()) {
+        store.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    put: (key, value, ttlSeconds) => {
+      store.set(key, { value: String(value), expiresAt: clock.now() + (ttlSeconds || 600) * 1000 });
+    },
+    remove: (key) => { store.delete(key); },
+    getAll: (keys) => {
+      const out = {};
+      keys.forEach((k) => { const v = cache.get(k); if (v !== null) out[k] = v; });
+      return out;
+    },
+    putAll: (values, ttlSeconds) => { Object.keys(values).forEach((k) => cache.put(k, values[k], ttlSeconds)); },
+    removeAll: (keys) => { keys.forEach((k) => store.delete(k)); },
+    _store: store
+  };
+  return cache;
+}
+
+function createProperties(initial) {
+  const store = Object.assign({}, initial || {});
+  return {
+    getProperty: (key) => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    setProperty: (key, value) => { store[key] = String(value); },
+    setProperties: (values) => { Object.keys(values).forEach((k) => { store[k] = String(values[k]); }); },
+    deleteProperty: (key) => { delete store[key]; },
+    getProperties: () => Object.assign({}, store),
+    getKeys: () => Object.keys(store),
+    deleteAllProperties: () => { Object.keys(store).forEach((k) => delete store[k]); },
+    _store: store
+  };
+}
+
+function createLock() {
+  let held = false;
+  return {
+    tryLock: () => { if (held) return false; held = true; return true; },
+    waitLock: () => { held = true; },
+    releaseLock: () => { held = false; },
+    hasLock: () => held
+  };
+}
+
+// ============================================
+// SPREADSHEET
+// ============================================
+
+function createSheet(name, rows) {
+  let data = (rows || []).map((r) => r.slice());
+
+  const width = () => data.reduce((max, r) => Math.max(max, r.length), 0);
+  const ensure = (row, col) => {
+    while (data.length < row) data.push([]);
+    data.forEach((r) => { while (r.length < col) r.push(''); });
+  };
+
+  const range = (row, col, numRows, numCols) => ({
+    getValues: () => {
+      const out = [];
+      for (let r = 0; r < numRows; r++) {
+        const src = data[row - 1 + r] || [];
+        const line = [];
+        for (let c = 0; c < numCols; c++) line.push(src[col - 1 + c] === undefined ? '' : src[col - 1 + c]);
+        out.push(line);
+      }
+      return out;
+    },
+    getValue: () => ((data[row - 1] || [])[col - 1] === undefined ? '' : data[row - 1][col - 1]),
+    setValues: (values) => {
+      ensure(row - 1 + values.length, col - 1 + (values[0] || []).length);
+      values.forEach((line, r) => line.forEach((v, c) => { data[row - 1 + r][col - 1 + c] = v; }));
+    },
+    setValue: (value) => { ensure(row, col); data[row - 1][col - 1] = value; },
+    setFontWeight: () => range(row, col, numRows, numCols),
+    setBackground: () => range(row, col, numRows, numCols),
+    setNumberFormat: () => range(row, col, numRows, numCols)
+  });
+
+  return {
+    getName: () => name,
+    getDataRange: () => range(1, 1, data.length, width()),
+    getRange: (row, col, numRows, numCols) => range(row, col, numRows || 1, numCols || 1),
+    getLastRow: () => data.length,
+    getLastColumn: () => width(),
+    appendRow: (values) => { data.push(values.slice()); },
+    clear: () => { data = []; },
+    setFrozenRows: () => {},
+    autoResizeColumns: () => {},
+    _rows: () => data
+  };
+}
+
+function createSpreadsheet(tabs) {
+  const sheets = {};
+  Object.keys(tabs).forEach((name) => { sheets[name] = createSheet(name, tabs[name]); });
+  return {
+    getSheetByName: (name) => sheets[name] || null,
+    insertSheet: (name) => { sheets[name] = createSheet(name, []); return sheets[name]; },
+    getSheets: () => Object.keys(sheets).map((n) => sheets[n]),
+    _sheets: sheets
+  };
+}
+
+// ============================================
+// UTILITIES (formatDate follows Java SimpleDateFormat)
+// ============================================
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+
+function zonedParts(date, timeZone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+    weekday: 'short', timeZoneName: 'short'
+  });
+  const parts = {};
+  fmt.formatToParts(date).forEach((p) => { parts[p.type] = p.value; });
+  const p = {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    zoneName: parts.timeZoneName
+  };
+  p.weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  p.offsetMinutes = Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  return p;
+}
+
+function pad(n, width) {
+  return String(n).padStart(width, '0');
+}
+
+function formatDate(date, timeZone, pattern) {
+  const d = new Date(date.getTime());
+  const p = zonedParts(d, timeZone || 'UTC');
+  let out = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const ch = pattern[i];
+    if (ch === "'") {
+      const end = pattern.indexOf("'", i + 1);
+      out += end === i + 1 ? "'" : pattern.slice(i + 1, end === -1 ? pattern.length : end);
+      i = end === -1 ? pattern.length : end + 1;
+      continue;
+    }
+    if (!/[a-zA-Z]/.test(ch)) { out += ch; i++; continue; }
+    let n = 1;
+    while (pattern[i + n] === ch) n++;
+    i += n;
+    switch (ch) {
+      case 'y': out += n === 2 ? pad(p.year % 100, 2) : pad(p.year, n); break;
+      case 'M':
+        if (n >= 4) out += MONTHS[p.month - 1];
+        else if (n === 3) out += MONTHS[p.month - 1].slice(0, 3);
+        else out += pad(p.month, n);
+        break;
+      case 'd': out += pad(p.day, n); break;
+      case 'E': out += n >= 4 ? WEEKDAYS[p.weekday] : WEEKDAYS[p.weekday].slice(0, 3); break;
+      case 'u': out += p.weekday === 0 ? 7 : p.weekday; break;
+      case 'H': out += pad(p.hour, n); break;
+      case 'h': out += pad(p.hour % 12 === 0 ? 12 : p.hour % 12, n); break;
+      case 'm': out += pad(p.minute, n); break;
+      case 's': out += pad(p.second, n); break;
+      case 'S': out += pad(d.getUTCMilliseconds(), n); break;
+      case 'a': out += p.hour < 12 ? 'AM' : 'PM'; break;
+      case 'z': out += p.zoneName; break;
+      case 'Z': {
+        const sign = p.offsetMinutes < 0 ? '-' : '+';
+        const abs = Math.abs(p.offsetMinutes);
+        out += sign + pad(Math.floor(abs / 60), 2) + pad(abs % 60, 2);
+        break;
+      }
+      default: throw new Error('formatDate: unsupported pattern letter ' + ch);
+    }
+  }
+  return out;
+}
+
+function createUtilities(clock) {
+  let uuidCounter = 0;
+  const toBuffer = (data) => (Array.isArray(data) ? Buffer.from(data.map((b) => b & 0xff)) : Buffer.from(String(data), 'utf8'));
+  return {
+    formatDate: formatDate,
+    getUuid: () => {
+      uuidCounter++;
+      return '00000000-0000-4000-8000-' + pad(uuidCounter, 12);
+    },
+    sleep: (ms) => { clock.advance(ms); },
+    base64Encode: (data) => toBuffer(data).toString('base64'),
+    base64EncodeWebSafe: (data) => toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64Decode: (str) => Array.from(Buffer.from(str, 'base64')),
+    newBlob: (data) => ({ getDataAsString: () => (Array.isArray(data) ? Buffer.from(data).toString('utf8') : String(data)) }),
+    computeRsaSha256Signature: (input) => Array.from(crypto.createHash('sha256').update(String(input)).digest()),
+    computeHmacSha256Signature: (value, key) =>
+      Array.from(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+    computeDigest: (algorithm, value) => Array.from(crypto.createHash('sha256').update(toBuffer(value)).digest()),
+    DigestAlgorithm: { SHA_256: 'SHA_256', MD5: 'MD5' }
+  };
+}
+
+// ============================================
+// URLFETCH + BIGQUERY
+// ============================================
+
+function httpResponse(code, body, headers) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body === undefined ? {} : body);
+  return {
+    getResponseCode: () => code,
+    getContentText: () => text,
+    getHeaders: () => headers || {},
+    getBlob: () => ({ getDataAsString: () => text })
+  };
+}
+
+/**
+ * In-memory BigQuery: records inserted rows per table and answers queries
+ * from handlers registered with onQuery(pattern, rowsOrFn).
+ */
+function createBigQuery() {
+  const tables = {};
+  const queries = [];
+  const handlers = [];
+
+  const answer = (sql) => {
+    queries.push(sql);
+    for (let i = handlers.length - 1; i >= 0; i--) {
+      const h = handlers[i];
+      const match = typeof h.pattern === 'string' ? sql.includes(h.pattern) : h.pattern.test(sql);
+      if (match) return typeof h.rows === 'function' ? h.rows(sql, tables) : h.rows;
+    }
+    return [];
+  };
+
+  const toResult = (rows) => {
+    const fields = [];
+    rows.forEach((r) => Object.keys(r).forEach((k) => { if (!fields.includes(k)) fields.push(k); }));
+    return {
+      jobComplete: true,
+      jobReference: { jobId: 'job_' + queries.length },
+      schema: { fields: fields.map((name) => ({ name: name })) },
+      rows: rows.length ? rows.map((r) => ({
+        f: fields.map((k) => ({ v: r[k] === null || r[k] === undefined ? null : String(r[k]) }))
+      })) : undefined
+    };
+  };
+
+  const insert = (table, rows) => {
+    tables[table] = (tables[table] || []).concat(rows);
+  };
+
+  return {
+    tables: tables,
+    queries: queries,
+    rows: (table) => tables[table] || [],
+    onQuery: (pattern, rows) => { handlers.push({ pattern: pattern, rows: rows }); },
+    _answer: answer,
+    _toResult: toResult,
+    _insert: insert,
+    // Built-in advanced service (used as fallback when the SA token is missing)
+    service: {
+      Jobs: { query: (request) => toResult(answer(request.query)) },
+      Tabledata: {
+        insertAll: (request, projectId, datasetId, tableName) => {
+          insert(tableName, request.rows.map((r) => r.json));
+          return {};
+        }
+      },
+      Datasets: { get: () => ({}), insert: () => ({}) },
+      Tables: { get: () => ({}), insert: () => ({}) }
+    }
+  };
+}
+
+/**
+ * Recording UrlFetchApp. Built-in routes cover the SA token exchange,
+ * BigQuery REST and Chat messages; tests add their own with on(pattern, fn).
+ */
+function createUrlFetch(bigQuery) {
+  const calls = [];
+  const routes = [];
+  let messageCounter = 0;
+
+  const builtIn = (url, options) => {
+    if (url.indexOf('https://oauth2.googleapis.com/token') === 0) {
+      return httpResponse(200, { access_token: 'test-token', expires_in: 3600 });
+    }
+    const insertMatch = url.match(/bigquery\/v2\/projects\/[^/]+\/datasets\/[^/]+\/tables\/([^/]+)\/insertAll/);
+    if (insertMatch) {
+      const payload = JSON.parse(options.payload);
+      bigQuery._insert(insertMatch[1], payload.rows.map((r) => r.json));
+      return httpResponse(200, {});
+    }
+    if (/bigquery\/v2\/projects\/[^/]+\/queries$/.test(url)) {
+      const payload = JSON.parse(options.payload);
+      return httpResponse(200, bigQuery._toResult(bigQuery._answer(payload.query)));
+    }
+    const chatMatch = url.match(/chat\.googleapis\.com\/v1\/(spaces\/[^/]+)\/messages$/);
+    if (chatMatch) {
+      messageCounter++;
+      return httpResponse(200, { name: chatMatch[1] + '/messages/m' + messageCounter });
+    }
+    return httpResponse(200, {});
+  };
+
+  const fetch = (url, options) => {
+    const opts = options || {};
+    const call = { url: url, method: (opts.method || 'get').toLowerCase(), options: opts };
+    if (typeof opts.payload === 'string') {
+      try { call.payload = JSON.parse(opts.payload); } catch (e) { call.payload = opts.payload; }
+    } else {
+      call.payload = opts.payload;
+    }
+    calls.push(call);
+
+    for (let i = routes.length - 1; i >= 0; i--) {
+      const r = routes[i];
+      const match = typeof r.pattern === 'string' ? url.includes(r.pattern) : r.pattern.test(url);
+      if (match) {
+        const res = r.handler(url, opts, call);
+        if (res && typeof res.getResponseCode === 'function') return res;
+        const code = res && res.code !== undefined ? res.code : 200;
+        if (code >= 400 && !opts.muteHttpExceptions) throw new Error('Request failed for ' + url + ' returned code ' + code);
+        return httpResponse(code, res ? res.body : {}, res ? res.headers : undefined);
+      }
+    }
+    return builtIn(url, opts);
+  };
+
+  return {
+    service: { fetch: fetch, fetchAll: (requests) => requests.map((r) => fetch(r.url, r)) },
+    calls: calls,
+    on: (pattern, handler) => { routes.push({ pattern: pattern, handler: handler }); },
+    chatMessages: () => calls
+      .filter((c) => /chat\.googleapis\.com\/v1\/spaces\/[^/]+\/messages$/.test(c.url) && c.method === 'post')
+      .map((c) => ({ space: c.url.match(/v1\/(spaces\/[^/]+)/)[1], text: c.payload.text, cardsV2: c.payload.cardsV2 }))
+  };
+}
+
+// ============================================
+// SCRIPTAPP
+// ============================================
+
+function createScriptApp() {
+  const triggers = [];
+  let idCounter = 0;
+
+  const builder = (handler) => {
+    const spec = { handler: handler };
+    const chain = {
+      timeBased: () => chain,
+      atHour: (h) => { spec.atHour = h; return chain; },
+      nearMinute: (m) => { spec.nearMinute = m; return chain; },
+      everyDays: (n) => { spec.everyDays = n; return chain; },
+      everyMinutes: (n) => { spec.everyMinutes = n; return chain; },
+      everyHours: (n) => { spec.everyHours = n; return chain; },
+      onWeekDay: (d) => { spec.weekDay = d; return chain; },
+      inTimezone: (tz) => { spec.timezone = tz; return chain; },
+      after: (ms) => { spec.afterMs = ms; return chain; },
+      at: (date) => { spec.at = date; return chain; },
+      create: () => {
+        idCounter++;
+        const id = 'trigger_' + idCounter;
+        const trigger = {
+          spec: spec,
+          getHandlerFunction: () => handler,
+          getUniqueId: () => id,
+          getEventType: () => 'CLOCK'
+        };
+        triggers.push(trigger);
+        return trigger;
+      }
+    };
+    return chain;
+  };
+
+  return {
+    triggers: triggers,
+    service: {
+      newTrigger: builder,
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: (t) => {
+        const idx = triggers.indexOf(t);
+        if (idx >= 0) triggers.splice(idx, 1);
+      },
+      getOAuthToken: () => 'test-oauth-token',
+      WeekDay: { MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY',
+        FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY' }
+    }
+  };
+}
+
+// ============================================
+// HARNESS
+// ============================================
+
+/**
+ * Copy a sandbox value into this realm so deepStrictEqual can compare it
+ * (sandbox objects have the sandbox's Object/Array prototypes).
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build a sandbox with every script/*.js file loaded.
+ * @param {Object} options
+ *   now        - ISO string / ms for the frozen clock
+ *   sheets     - tab name → array of rows (header first); merged over DEFAULT_SHEETS
+ *   properties - Script Properties; merged over DEFAULT_PROPERTIES
+ *   verbose    - pass console output through instead of capturing it
+ */
+function createHarness(options) {
+  const opts = options || {};
+  const clock = createClock(opts.now);
+  const cache = createCache(clock);
+  const properties = createProperties(Object.assign({}, DEFAULT_PROPERTIES, opts.properties || {}));
+  const spreadsheet = createSpreadsheet(Object.assign({}, DEFAULT_SHEETS, opts.sheets || {}));
+  const bigQuery = createBigQuery();
+  const urlFetch = createUrlFetch(bigQuery);
+  const scriptApp = createScriptApp();
+  const lock = createLock();
+  const logs = [];
+
+  const capture = (level) => (...args) => {
+    logs.push({ level: level, message: args.map((a) => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ') });
+    if (opts.verbose) console[level](...args);
+  };
+
+  const sandbox = {
+    __clock: clock,
+    console: { log: capture('log'), info: capture('info'), warn: capture('warn'), error: capture('error') },
+    CacheService: { getScriptCache: () => cache, getUserCache: () => cache, getDocumentCache: () => cache },
+    PropertiesService: { getScriptProperties: () => properties, getUserProperties: () => properties },
+    SpreadsheetApp: { openById: () => spreadsheet, getActiveSpreadsheet: () => spreadsheet },
+    UrlFetchApp: urlFetch.service,
+    Utilities: createUtilities(clock),
+    BigQuery: bigQuery.service,
+    ScriptApp: scriptApp.service,
+    LockService: { getScriptLock: () => lock, getUserLock: () => lock },
+    ContentService: {
+      MimeType: { JSON: 'JSON', TEXT: 'TEXT' },
+      createTextOutput: (content) => {
+        const output = { content: content || '', mimeType: 'TEXT' };
+        output.getContent = () => output.content;
+        output.setContent = (value) => { output.content = value; return output; };
+        output.getMimeType = () => output.mimeType;
+        output.setMimeType = (type) => { output.mimeType = type; return output; };
+        return output;
+      }
+    },
+    Session: {
+      getScriptTimeZone: () => 'America/Chicago',
+      getActiveUser: () => ({ getEmail: () => 'manager@example.com' }),
+      getEffectiveUser: () => ({ getEmail: () => 'manager@example.com' })
+    }
+  };
+
+  const context = vm.createContext(sandbox);
+  vm.runInContext(FROZEN_DATE_SRC, context, { filename: 'frozen-date.js' });
+
+  fs.readdirSync(SCRIPT_DIR)
+    .filter((f) => f.endsWith('.js'))
+    .sort()
+    .forEach((file) => {
+      const src = fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8');
+      vm.runInContext(src, context, { filename: path.join('script', file) });
+    });
+
+  return {
+    context: context,
+    clock: clock,
+    cache: cache,
+    properties: properties,
+    spreadsheet: spreadsheet,
+    bigQuery: bigQuery,
+    urlFetch: urlFetch,
+    triggers: scriptApp.triggers,
+    logs: logs,
+
+    /** Call a global function from the loaded scripts. */
+    run: (fnName, ...args) => {
+      const fn = context[fnName];
+      if (typeof fn !== 'function') throw new Error('No global function named ' + fnName);
+      return fn(...args);
+    },
+
+    /** Evaluate an expression inside the sandbox (e.g. to read a const). */
+    eval: (expression) => vm.runInContext(expression, context),
+
+    /** Build a Workspace Add-on chat MESSAGE event for a DM. */
+    chatEvent: (email, text, displayName) => ({
+      chat: {
+        user: { email: email, displayName: displayName || email.split('@')[0], name: 'users/' + email.split('@')[0] },
+        messagePayload: {
+          message: { text: text, argumentText: text },
+          space: { name: 'spaces/DM_' + email.split('@')[0], type: 'DM' }
+        }
+      }
+    }),
+
+    /** Build a card click event for onCardClick. */
+    cardClickEvent: (email, functionName, parameters, formInputs) => {
+      const params = parameters || {};
+      const inputs = {};
+      Object.keys(formInputs || {}).forEach((k) => {
+        inputs[k] = { stringInputs: { value: [formInputs[k]] } };
+      });
+      return {
+        chat: { user: { email: email, displayName: email.split('@')[0] } },
+        commonEventObject: { invokedFunction: functionName, parameters: params, formInputs: inputs },
+        common: { invokedFunction: functionName, parameters: params, formInputs: inputs },
+        action: { actionMethodName: functionName, parameters: Object.keys(params).map((k) => ({ key: k, value: params[k] })) }
+      };
+    },
+
+    /** Store a DM space so sendDirectMessage can reach the user. */
+    registerDM: (email) => {
+      properties.setProperty('DM_SPACE_' + email.replace(/[^a-zA-Z0-9]/g, '_'), 'spaces/DM_' + email.split('@')[0]);
+    }
+  };
+}
+
+// ============================================
+// TEST HELPERS
+// ============================================
+
+/** The message a handler returned as its synchronous Chat reply. */
+function responseMessage(response) {
+  return response.hostAppDataAction.chatDataAction.createMessageAction.message;
+}
+
+/** Text of the synchronous Chat reply. */
+function replyText(response) {
+  return responseMessage(response).text;
+}
+
+/**
+ * Serve a "latest row per id" view (v_blockers, v_gaming_reviews, ...) from the
+ * rows inserted into its table so far. A query naming one id gets that row;
+ * other queries get every latest row, passed through shape(rows, sql) if given.
+ */
+function serveLatestRows(h, view, table, idColumn, shape) {
+  h.bigQuery.onQuery(view, (sql, tables) => {
+    const latest = {};
+    (tables[table] || []).forEach((r) => { latest[r[idColumn]] = r; });
+    const rows = Object.values(latest);
+    const id = sql.match(new RegExp(idColumn + " = '([^']+)'"));
+    if (id) return rows.filter((r) => r[idColumn] === id[1]);
+    return shape ? shape(rows, sql) : rows;
+  });
+}
+
+/** v_blockers: open blockers (optionally one member's), age counted from today (yyyy-MM-dd). */
+function serveBlockers(h, today) {
+  serveLatestRows(h, 'v_blockers', 'blockers', 'blocker_id', (rows, sql) => {
+    const user = sql.match(/user_email = '([^']+)'/);
+    if (user) rows = rows.filter((r) => r.user_email === user[1]);
+    return rows.filter((r) => r.status === 'OPEN').map((r) => Object.assign({}, r, {
+      age_days: String(Math.round((Date.parse(today) - Date.parse(r.opened_date)) / 86400000))
+    }));
+  });
+}
+
+module.exports = {
+  createHarness, formatDate, plain, DEFAULT_SHEETS, DEFAULT_PROPERTIES,
+  replyText, responseMessage, serveLatestRows, serveBlockers
+};
@@ -0,0 +1,93 @@
+/**
+ * livesummary.test.js - Morning and EOD summaries updated in place as people respond
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+// Tuesday 2026-03-10, 10:00 and 17:30 America/Chicago
+const TUESDAY_1000 = '2026-03-10T15:00:00Z';
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const EOD_TEXT = 'Closed vendor tickets. Blocker: waiting on IT for VPN. Tomorrow: forecast. Worked 8 hours.';
+
+function updates(h) {
+  return h.urlFetch.calls.filter((c) => /chat\.googleapis\.com\/v1\/spaces\/TEAM_UPDATES\/messages\/m\d+\?updateMask=text$/.test(c.url));
+}
+
+test('a late check-in updates the posted morning summary', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  h.bigQuery.onQuery(/check_ins`\s+WHERE checkin_date = '2026-03-10'/, [
+    { user_email: 'alice@example.com', checkin_timestamp: '2026-03-10T13:01:00.000Z', is_late: 'false' }
+  ]);
+
+  h.run('_postMorningSummary');
+  const posted = h.urlFetch.chatMessages().find((m) => /Morning Summary/.test(m.text));
+  assert.match(posted.text, /Checked in: 1\/2/);
+  assert.match(posted.text, /Missing: 1 \(Bob\)/);
+
+  // The click only queues the update; the background run applies it.
+  // Bob's check-in isn't visible to queries yet; the summary still counts it
+  h.run('onCardClick', h.cardClickEvent('bob@example.com', 'handleCheckIn'));
+  assert.strictEqual(updates(h).length, 0);
+  h.run('processEodBackground');
+
+  const patched = updates(h);
+  assert.strictEqual(patched.length, 1);
+  assert.strictEqual(patched[0].method, 'put');
+  assert.match(patched[0].payload.text, /Morning Summary - Tuesday, March 10/);
+  assert.match(patched[0].payload.text, /Checked in: 2\/2/);
+  assert.match(patched[0].payload.text, /Late: 1 \(Bob\)/);
+  assert.doesNotMatch(patched[0].payload.text, /Missing/);
+
+  // Tomorrow's check-ins leave yesterday's summary alone
+  h.clock.advance(24 * 3600000);
+  assert.strictEqual(h.run('queueLiveSummaryRefresh', 'MORNING', 'alice@example.com', { is_late: false }), false);
+  assert.strictEqual(h.run('refreshMorningSummary', null, [{ user_email: 'alice@example.com', is_late: false }]), false);
+  assert.strictEqual(updates(h).length, 1);
+});
+
+test('check-ins between background runs are applied together in one update', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  h.run('_postMorningSummary');
+
+  h.run('queueLiveSummaryRefresh', 'MORNING', 'alice@example.com', { is_late: false });
+  h.run('queueLiveSummaryRefresh', 'MORNING', 'bob@example.com', { is_late: true });
+  assert.strictEqual(h.run('processLiveSummaryRefreshes'), 1);
+
+  const patched = updates(h);
+  assert.strictEqual(patched.length, 1);
+  assert.match(patched[0].payload.text, /Checked in: 2\/2/);
+  assert.match(patched[0].payload.text, /Late: 1 \(Bob\)/);
+  assert.strictEqual(h.properties.getKeys().filter((k) => k.indexOf('LIVE_SUMMARY_PENDING_') === 0).length, 0);
+});
+
+test('EODs update the posted EOD summary, including blockers', () => {
+  const h = createHarness({ now: TUESDAY_1730 });
+  const eods = [];
+  h.bigQuery.onQuery(/v_eod_reports`\s+WHERE eod_date = '2026-03-10'/, () => eods);
+
+  h.run('_postEodSummary');
+  const posted = h.urlFetch.chatMessages().find((m) => /EOD Summary/.test(m.text));
+  assert.match(posted.text, /Submitted: 0\/2/);
+
+  h.run('_processSingleEod', 'bob@example.com', 'Bob', EOD_TEXT, h.eval('new Date()'), false);
+  h.run('processLiveSummaryRefreshes');
+
+  const patched = updates(h);
+  assert.strictEqual(patched.length, 1);
+  assert.match(patched[0].payload.text, /Submitted: 1\/2/);
+  assert.match(patched[0].payload.text, /Missing: 1 \(Alice\)/);
+  assert.match(patched[0].payload.text, /\*\*Bob\*\*: waiting on IT for VPN/);
+});
+
+test('a summary that could not be posted is not updated', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  h.urlFetch.on('spaces/TEAM_UPDATES/messages', () => ({ code: 503, body: { error: 'unavailable' } }));
+
+  h.run('_postMorningSummary');
+  assert.strictEqual(h.properties.getKeys().filter((k) => k.indexOf('LIVE_SUMMARY_') === 0).length, 0);
+  assert.strictEqual(h.run('queueLiveSummaryRefresh', 'MORNING', 'bob@example.com', { is_late: true }), false);
+  assert.strictEqual(h.run('refreshMorningSummary', null, [{ user_email: 'bob@example.com', is_late: true }]), false);
+});
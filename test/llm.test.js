@@ -0,0 +1,95 @@
+/**
+ * llm.test.js - Pluggable LLM provider layer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain } = require('./harness');
+
+const NOW = '2026-03-10T22:30:00Z';
+
+function settings(rows) {
+  return { settings: [['key', 'value']].concat(rows) };
+}
+
+test('OpenAI is the default provider and JSON mode is parsed', () => {
+  const h = createHarness({ now: NOW, properties: { OPENAI_API_KEY: 'sk-test' } });
+  h.urlFetch.on('api.openai.com', () => ({
+    body: { choices: [{ message: { content: '{"tasks_completed":"Invoices","blockers":null}' } }], usage: { prompt_tokens: 120, completion_tokens: 30 } }
+  }));
+
+  const parsed = plain(h.run('parseEodWithAI', 'Did invoices'));
+  assert.strictEqual(parsed.fields.tasks_completed, 'Invoices');
+  assert.strictEqual(parsed.fields.blockers, null);
+
+  const call = h.urlFetch.calls.find((c) => /api\.openai\.com/.test(c.url));
+  assert.strictEqual(call.options.headers.Authorization, 'Bearer sk-test');
+  assert.strictEqual(call.payload.model, 'gpt-4o-mini');
+  assert.deepStrictEqual(plain(call.payload.response_format), { type: 'json_object' });
+
+  const usage = h.bigQuery.rows('ai_usage')[0];
+  assert.strictEqual(usage.provider, 'openai');
+  assert.strictEqual(usage.feature, 'eod_parsing');
+  assert.strictEqual(usage.total_tokens, 150);
+  assert.strictEqual(usage.success, true);
+});
+
+test('Anthropic provider with a per-feature model override', () => {
+  const h = createHarness({
+    now: NOW,
+    properties: { ANTHROPIC_API_KEY: 'ak-test' },
+    sheets: settings([['ai_provider', 'anthropic'], ['ai_model', 'claude-big'], ['ai_model_hours_estimate', 'claude-small']])
+  });
+  h.urlFetch.on('api.anthropic.com', () => ({
+    body: { content: [{ type: 'text', text: '"estimatedHours": 6, "reasoning": "Two reviews"}' }], usage: { input_tokens: 80, output_tokens: 12 } }
+  }));
+
+  const estimate = plain(h.run('estimateTaskHours', [{ name: 'Review', status: 'done' }], 'Reviews', 8));
+  assert.deepStrictEqual(estimate, { estimatedHours: 6, reasoning: 'Two reviews' });
+
+  const call = h.urlFetch.calls.find((c) => /api\.anthropic\.com/.test(c.url));
+  assert.strictEqual(call.options.headers['x-api-key'], 'ak-test');
+  assert.strictEqual(call.payload.model, 'claude-small');
+  assert.deepStrictEqual(plain(call.payload.messages.pop()), { role: 'assistant', content: '{' });
+
+  const usage = h.bigQuery.rows('ai_usage')[0];
+  assert.strictEqual(usage.model, 'claude-small');
+  assert.strictEqual(usage.prompt_tokens, 80);
+});
+
+test('Azure routes by deployment; compatible endpoints use the base URL', () => {
+  const reply = () => ({ body: { choices: [{ message: { content: 'ok' } }] } });
+
+  const azure = createHarness({
+    now: NOW,
+    properties: { AZURE_OPENAI_API_KEY: 'az-test' },
+    sheets: settings([['ai_provider', 'azure_openai'], ['azure_openai_endpoint', 'https://acme.openai.azure.com/'], ['azure_openai_deployment', 'gpt4o-prod']])
+  });
+  azure.urlFetch.on('openai.azure.com', reply);
+  assert.strictEqual(azure.run('callLLM', 'hi', { feature: 'connection_test' }).text, 'ok');
+  const azureCall = azure.urlFetch.calls.find((c) => /azure/.test(c.url));
+  assert.strictEqual(azureCall.url, 'https://acme.openai.azure.com/openai/deployments/gpt4o-prod/chat/completions?api-version=2024-06-01');
+  assert.strictEqual(azureCall.options.headers['api-key'], 'az-test');
+
+  const local = createHarness({
+    now: NOW,
+    sheets: settings([['ai_provider', 'openai_compatible'], ['ai_base_url', 'http://llm.internal:11434/v1'], ['ai_model', 'llama3.1']])
+  });
+  local.urlFetch.on('llm.internal', reply);
+  const result = plain(local.run('callLLM', 'hi', { feature: 'connection_test' }));
+  assert.strictEqual(result.text, 'ok');
+  assert.strictEqual(result.model, 'llama3.1');
+  const localCall = local.urlFetch.calls.find((c) => /llm\.internal/.test(c.url));
+  assert.strictEqual(localCall.url, 'http://llm.internal:11434/v1/chat/completions');
+  assert.strictEqual(localCall.options.headers.Authorization, undefined);
+});
+
+test('provider errors return null and are logged as failed usage', () => {
+  const h = createHarness({ now: NOW, properties: { OPENAI_API_KEY: 'sk-test' } });
+  h.urlFetch.on('api.openai.com', () => ({ code: 429, body: { error: 'rate limited' } }));
+
+  assert.strictEqual(h.run('callLLM', 'hi', { feature: 'daily_evaluation' }), null);
+  const usage = h.bigQuery.rows('ai_usage')[0];
+  assert.strictEqual(usage.success, false);
+  assert.strictEqual(usage.error, 'HTTP 429');
+});
@@ -0,0 +1,173 @@
+/**
+ * outbox.test.js - Outbound message queue (retry with backoff, dead-letter, daily report)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+// Tuesday 2026-03-10, 08:00 America/Chicago
+const TUESDAY_0800 = '2026-03-10T13:00:00Z';
+
+const CARD = [{ cardId: 'checkin_card', card: { sections: [{ widgets: [{ textParagraph: { text: 'Check in' } }] }] } }];
+
+function parked(h) {
+  return h.properties.getKeys().filter((k) => k.indexOf('OUTBOX_') === 0);
+}
+
+function minutes(n) {
+  return n * 60 * 1000;
+}
+
+test('a DM with no space yet is queued and delivered once the member messages the bot', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+
+  const result = h.run('sendDirectMessage', 'bob@example.com', '👋 Good morning! Click below to check in.', CARD);
+  assert.strictEqual(result.sent, false);
+  assert.strictEqual(result.queued, true);
+  assert.strictEqual(parked(h).length, 1);
+  assert.strictEqual(h.urlFetch.chatMessages().length, 0);
+
+  // Not due until 2 minutes after the first attempt
+  h.clock.advance(minutes(1));
+  h.run('processEodBackground');
+  assert.strictEqual(h.urlFetch.chatMessages().length, 0);
+
+  // Bob says hi; the next retry finds his DM space
+  h.registerDM('bob@example.com');
+  h.clock.advance(minutes(1));
+  h.run('processEodBackground');
+
+  const sent = h.urlFetch.chatMessages();
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].space, 'spaces/DM_bob');
+  assert.strictEqual(sent[0].cardsV2[0].cardId, 'checkin_card');
+  assert.strictEqual(parked(h).length, 0);
+  assert.strictEqual(h.bigQuery.rows('undelivered_messages').length, 0);
+});
+
+test('large queued messages keep their full text', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+  const text = 'Summary line\n'.repeat(1000);
+
+  h.run('sendDirectMessage', 'bob@example.com', text);
+  assert.ok(h.properties.getProperty(parked(h)[0]).length <= 1500);
+
+  h.registerDM('bob@example.com');
+  h.clock.advance(minutes(2));
+  h.run('processEodBackground');
+  assert.strictEqual(h.urlFetch.chatMessages()[0].text, text);
+});
+
+test('server errors back off exponentially, then land in undelivered_messages', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+  h.urlFetch.on('spaces/TEAM_UPDATES/messages', () => ({ code: 503, body: { error: 'unavailable' } }));
+  const attempts = () => h.urlFetch.calls.filter((c) => c.url.indexOf('spaces/TEAM_UPDATES/messages') !== -1).length;
+
+  const result = h.run('sendChannelMessage', 'spaces/TEAM_UPDATES', '☀️ Morning summary');
+  assert.strictEqual(result.queued, true);
+
+  // Retries 2, 4, 8, 16 and 32 minutes apart: at +2, +6, +14, +30 and +62 minutes
+  let elapsed = 0;
+  [2, 6, 14, 30, 62].forEach((at, i) => {
+    h.clock.advance(minutes(at - 1 - elapsed));
+    h.run('processEodBackground');
+    assert.strictEqual(attempts(), i + 1, 'not yet due at +' + (at - 1));
+    h.clock.advance(minutes(1));
+    elapsed = at;
+    h.run('processEodBackground');
+    assert.strictEqual(attempts(), i + 2, 'retried at +' + at);
+  });
+  h.clock.advance(minutes(120));
+  h.run('processEodBackground');
+  assert.strictEqual(attempts(), 6);
+  assert.strictEqual(parked(h).length, 0);
+
+  const dead = h.bigQuery.rows('undelivered_messages');
+  assert.strictEqual(dead.length, 1);
+  assert.strictEqual(dead[0].space_name, 'spaces/TEAM_UPDATES');
+  assert.strictEqual(dead[0].attempts, 6);
+  assert.match(dead[0].last_error, /^HTTP 503/);
+});
+
+test('permanent failures are dead-lettered without retrying', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+  h.registerDM('alice@example.com');
+  h.urlFetch.on('spaces/DM_alice/messages', () => ({ code: 403, body: { error: 'PERMISSION_DENIED' } }));
+
+  const result = h.run('sendDirectMessage', 'alice@example.com', 'Reminder');
+  assert.strictEqual(result.sent, false);
+  assert.ok(!result.queued);
+  assert.strictEqual(parked(h).length, 0);
+  assert.strictEqual(h.bigQuery.rows('undelivered_messages')[0].recipient_email, 'alice@example.com');
+});
+
+test('Slack failures marked permanent are dead-lettered without retrying', () => {
+  const h = createHarness({ now: TUESDAY_0800, properties: { SLACK_BOT_TOKEN: 'xoxb-test' } });
+  h.urlFetch.on('slack.com/api/chat.postMessage', () => ({ body: { ok: false, error: 'channel_not_found' } }));
+
+  const result = h.run('sendChannelMessage', 'slack:CGONE', 'Morning summary');
+  assert.strictEqual(result.sent, false);
+  assert.ok(!result.queued);
+  assert.strictEqual(parked(h).length, 0);
+  assert.match(h.bigQuery.rows('undelivered_messages')[0].last_error, /channel_not_found/);
+});
+
+test('the queue is bounded and a failed write never throws', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+  h.eval('OUTBOX_MAX_MESSAGES = 2');
+
+  h.run('sendDirectMessage', 'bob@example.com', 'One');
+  h.run('sendDirectMessage', 'bob@example.com', 'Two');
+  const third = h.run('sendDirectMessage', 'bob@example.com', 'Three');
+  assert.deepStrictEqual([third.sent, !!third.queued, third.error], [false, false, 'No DM space (outbox full)']);
+  assert.strictEqual(parked(h).length, 2);
+
+  h.eval('OUTBOX_MAX_MESSAGES = 100');
+  h.properties.setProperty = () => { throw new Error('Exceeded maximum property storage'); };
+  const fourth = h.run('sendDirectMessage', 'bob@example.com', 'Four');
+  assert.strictEqual(fourth.sent, false);
+  assert.ok(!fourth.queued);
+  assert.match(fourth.error, /not queued: Exceeded maximum property storage/);
+
+  const dead = h.bigQuery.rows('undelivered_messages').map((r) => r.text_preview);
+  assert.deepStrictEqual(dead, ['Three', 'Four']);
+});
+
+test('managers get a daily report of their undelivered messages', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+  h.registerDM('manager@example.com');
+  h.bigQuery.onQuery('undelivered_messages', (sql) => {
+    assert.match(sql, /failed_at >= TIMESTAMP\('2026-03-09T13:00:00.000Z'\)/);
+    return [
+      { recipient_email: 'bob@example.com', space_name: null, text_preview: '👋 Good morning! Click below to check in.', attempts: '6', last_error: 'No DM space' },
+      { recipient_email: 'bob@example.com', space_name: null, text_preview: '⏰ *Reminder:* Please check in.', attempts: '6', last_error: 'No DM space' },
+      { recipient_email: null, space_name: 'spaces/TEAM_UPDATES', text_preview: '☀️ Morning summary', attempts: '6', last_error: 'HTTP 503: unavailable' }
+    ];
+  });
+
+  assert.strictEqual(h.run('sendUndeliveredMessagesReport'), 3);
+
+  const sent = h.urlFetch.chatMessages();
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].space, 'spaces/DM_manager');
+  assert.match(sent[0].text, /Undelivered messages \(since the last report\)/);
+  assert.match(sent[0].text, /Bob \(bob@example\.com\)\* — 2 messages: no DM with the bot yet/);
+  assert.match(sent[0].text, /Channel spaces\/TEAM_UPDATES\* — 1 message: HTTP 503: unavailable/);
+});
+
+test('the undelivered report covers everything since the previous report', () => {
+  const h = createHarness({ now: TUESDAY_0800 });
+  const since = [];
+  h.bigQuery.onQuery('undelivered_messages', (sql) => {
+    since.push(sql.match(/TIMESTAMP\('([^']+)'\)/)[1]);
+    return [];
+  });
+
+  h.run('sendUndeliveredMessagesReport');
+  // Next Monday: the weekend is included
+  h.clock.advance(6 * 24 * 3600000);
+  h.run('sendUndeliveredMessagesReport');
+
+  assert.deepStrictEqual(since, ['2026-03-09T13:00:00.000Z', '2026-03-10T13:00:00.000Z']);
+});
@@ -0,0 +1,90 @@
+/**
+ * redaction.test.js - Redaction of names, emails and sensitive data before AI calls
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, DEFAULT_SHEETS } = require('./harness');
+
+const NOW = '2026-03-10T22:30:00Z';
+
+const SARAH = ['sarah@example.com', 'Sarah Lee', 'Design', '', true, '', '', 'America/Chicago', 'clickup', 'tracked', '', ''];
+
+function setup(extraSettings) {
+  return createHarness({
+    now: NOW,
+    properties: { OPENAI_API_KEY: 'sk-test' },
+    sheets: {
+      settings: DEFAULT_SHEETS.settings.concat(extraSettings || [['redaction_keywords', 'Acme Corp, SKU-4411']]),
+      team_members: DEFAULT_SHEETS.team_members.concat([SARAH])
+    }
+  });
+}
+
+test('names, emails, phones, URL secrets and keywords are redacted and restored', () => {
+  const h = setup();
+  const sarah = h.run('getRedactionPseudonym', 'sarah@example.com');
+  const alice = h.run('getRedactionPseudonym', 'alice@example.com');
+  const aliceEmail = alice.replace('Person_', 'Email_');
+  assert.match(sarah, /^Person_[0-9A-F]{4}$/);
+
+  const text = 'Alice (Alice@Example.com) waited on sarah lee and Sarah for Acme Corp SKU-4411. '
+    + 'Call +1 312-555-0199 or vendor@other.com. See https://files.example.com/doc?id=7&token=abc123&sig=xyz';
+  const out = h.eval(`(function () {
+    var r = createRedactor();
+    var redacted = r.redact(${JSON.stringify(text)});
+    return { redacted: redacted, restored: r.restore(redacted) };
+  })()`);
+
+  assert.strictEqual(out.redacted, alice + ' (' + aliceEmail + ') waited on ' + sarah + ' and ' + sarah + ' for Term_1 Term_2. '
+    + 'Call Phone_1 or Contact_1. See Url_1');
+  // Emails come back as the email that was sent, names as the member's name, placeholders as the original text
+  assert.strictEqual(out.restored, 'Alice (Alice@Example.com) waited on Sarah Lee and Sarah Lee for Acme Corp SKU-4411. '
+    + 'Call +1 312-555-0199 or vendor@other.com. See https://files.example.com/doc?id=7&token=abc123&sig=xyz');
+});
+
+test('EOD prompts leave pseudonymized and parsed names come back real', () => {
+  const h = setup();
+  const sarah = h.run('getRedactionPseudonym', 'sarah@example.com');
+  h.urlFetch.on('api.openai.com', () => ({
+    body: { choices: [{ message: { content: JSON.stringify({
+      tasks_completed: ['Artwork review for Term_1'], blockers: [{ text: 'Waiting on ' + sarah, type: 'waiting_on_person' }],
+      tomorrow_priority: null, hours_worked: 8, waiting_on: [sarah]
+    }) } }] }
+  }));
+
+  const parsed = h.run('parseEodWithAI', 'Reviewed artwork for Acme Corp. Blocked: waiting on Sarah Lee (sarah@example.com). Hours: 8');
+
+  const sent = h.urlFetch.calls.find((c) => /api\.openai\.com/.test(c.url)).payload.messages[1].content;
+  assert.doesNotMatch(sent, /Sarah|sarah@|Acme/);
+  assert.match(sent, new RegExp('waiting on ' + sarah + ' \\(' + sarah.replace('Person_', 'Email_') + '\\)'));
+
+  assert.strictEqual(parsed.fields.tasks_completed, 'Artwork review for Acme Corp');
+  assert.strictEqual(parsed.fields.blockers, 'Waiting on Sarah Lee');
+  assert.strictEqual(parsed.fields.waiting_on[0], 'Sarah Lee');
+});
+
+test('numbers masked in an EOD prompt come back in the parsed report', () => {
+  const h = setup();
+  h.urlFetch.on('api.openai.com', (url, opts, call) => {
+    const sent = call.payload.messages[1].content;
+    const phone = sent.match(/Phone_\d+/)[0];
+    return { body: { choices: [{ message: { content: JSON.stringify({
+      tasks_completed: ['Shipped order ' + phone], blockers: [], tomorrow_priority: null, hours_worked: 8, waiting_on: []
+    }) } }] } };
+  });
+
+  const parsed = h.run('parseEodWithAI', 'Shipped order 1234567890. Hours: 8');
+
+  const sent = h.urlFetch.calls.find((c) => /api\.openai\.com/.test(c.url)).payload.messages[1].content;
+  assert.doesNotMatch(sent, /1234567890/);
+  assert.strictEqual(parsed.fields.tasks_completed, 'Shipped order 1234567890');
+});
+
+test('redaction can be turned off', () => {
+  const h = setup([['enable_ai_redaction', false]]);
+  h.urlFetch.on('api.openai.com', () => ({ body: { choices: [{ message: { content: 'ok' } }] } }));
+  h.run('callLLM', 'Alice is waiting on Bob', { feature: 'connection_test' });
+  const sent = h.urlFetch.calls.find((c) => /api\.openai\.com/.test(c.url)).payload.messages[1].content;
+  assert.strictEqual(sent, 'Alice is waiting on Bob');
+});
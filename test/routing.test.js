@@ -0,0 +1,85 @@
+/**
+ * routing.test.js - Line-manager routing for escalations and EOD forwards
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, DEFAULT_SHEETS } = require('./harness');
+
+// dave has no manager in team_members; Sage HR says he reports to lead, who reports to director
+const DAVE = ['dave@example.com', 'Dave', 'Ops', '', true, '', '', 'America/Chicago', 'clickup', 'tracked', '', ''];
+const SAGE_EMPLOYEES = [
+  { id: 1, email: 'dave@example.com', first_name: 'Dave', last_name: 'D', reports_to: { id: 2, email: 'lead@example.com' } },
+  { id: 2, email: 'lead@example.com', first_name: 'Lea', last_name: 'L', reports_to: { id: 3, email: 'director@example.com' } }
+];
+
+function setup(settings) {
+  const h = createHarness({
+    now: '2026-03-10T15:00:00Z',
+    properties: { SAGE_HR_API_KEY: 'sage-key' },
+    sheets: {
+      settings: DEFAULT_SHEETS.settings.concat(settings || []),
+      team_members: DEFAULT_SHEETS.team_members.concat([DAVE])
+    }
+  });
+  h.urlFetch.on(/sage\.hr\/api\/+employees/, () => ({ body: { data: SAGE_EMPLOYEES } }));
+  ['dave@example.com', 'lead@example.com', 'director@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  return h;
+}
+
+test('line manager comes from team_members, else Sage HR reports_to', () => {
+  const h = setup();
+  assert.strictEqual(h.run('getLineManagerEmail', 'alice@example.com'), 'manager@example.com');
+  assert.strictEqual(h.run('getLineManagerEmail', 'dave@example.com'), 'lead@example.com');
+  assert.deepStrictEqual(plain(h.run('getMemberManagerRecipients', 'dave@example.com')), ['lead@example.com']);
+  assert.strictEqual(h.run('getSkipLevelManagerEmail', 'dave@example.com'), 'director@example.com');
+});
+
+test('missed EOD escalation goes to the Sage HR line manager only', () => {
+  const h = setup();
+  h.run('escalateMissedEod', 'dave@example.com', 'Dave');
+
+  const spaces = h.urlFetch.chatMessages().map((m) => m.space);
+  assert.ok(spaces.includes('spaces/DM_lead'));
+  assert.ok(!spaces.includes('spaces/DM_manager'));
+  assert.ok(!spaces.includes('spaces/DM_director'));
+  assert.deepStrictEqual(JSON.parse(h.bigQuery.rows('escalations')[0].recipients), ['lead@example.com']);
+});
+
+test('skip-level manager is CC\'d once repeats reach skip_level_cc_after', () => {
+  const h = setup([['skip_level_cc_after', 3]]);
+  h.bigQuery.onQuery('COUNT(*) as escalation_count', [{ escalation_count: '2' }]);
+
+  h.run('escalateMissedCheckIn', 'dave@example.com', 'Dave');
+
+  const cc = h.urlFetch.chatMessages().find((m) => m.space === 'spaces/DM_director');
+  assert.match(cc.text, /Skip-level CC\* — escalation #3 in the last 14 days/);
+  assert.match(h.bigQuery.queries.find((q) => q.includes('escalation_count')), /escalation_type = 'MISSED_CHECKIN'/);
+  assert.deepStrictEqual(JSON.parse(h.bigQuery.rows('escalations')[0].recipients), ['lead@example.com', 'director@example.com']);
+});
+
+test('no skip-level CC below the threshold', () => {
+  const h = setup([['skip_level_cc_after', 3]]);
+  h.bigQuery.onQuery('COUNT(*) as escalation_count', [{ escalation_count: '1' }]);
+
+  h.run('escalateMissedCheckIn', 'dave@example.com', 'Dave');
+
+  assert.ok(!h.urlFetch.chatMessages().some((m) => m.space === 'spaces/DM_director'));
+});
+
+test('EOD forward goes to the member\'s line manager', () => {
+  const h = setup();
+  assert.deepStrictEqual(plain(h.run('getMemberEodForwardRecipients', 'dave@example.com')), ['lead@example.com']);
+  assert.deepStrictEqual(plain(h.run('getMemberEodForwardRecipients', 'alice@example.com')), ['manager@example.com']);
+});
+
+test('a failed Sage HR call is not cached as "no line managers"', () => {
+  const h = setup();
+  let up = false;
+  h.urlFetch.on(/sage\.hr\/api\/+employees/, () => (up ? { body: { data: SAGE_EMPLOYEES } } : { code: 503, body: { error: 'unavailable' } }));
+
+  assert.strictEqual(h.run('getLineManagerEmail', 'dave@example.com'), null);
+
+  up = true;
+  assert.strictEqual(h.run('getLineManagerEmail', 'dave@example.com'), 'lead@example.com');
+});
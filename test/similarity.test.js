@@ -0,0 +1,133 @@
+/**
+ * similarity.test.js - EOD similarity backends and department baselines
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, DEFAULT_SHEETS } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const NOW = '2026-03-10T22:30:00Z';
+
+const ORIGINAL = 'Answered support tickets in the refunds queue and updated the help center article on returns.';
+const REWORDED = 'Updated the returns help center article, then answered the refunds queue support tickets.';
+const UNRELATED = 'Built the spring promo forecast with finance and reviewed two vendor contracts.';
+
+function harness(settings, properties) {
+  return createHarness({
+    now: NOW,
+    properties: properties || {},
+    sheets: { settings: DEFAULT_SHEETS.settings.concat(settings || []) }
+  });
+}
+
+// Weekdays before 2026-03-10, newest last
+function pastWeekdays(count) {
+  const days = [];
+  const d = new Date('2026-03-09T12:00:00Z');
+  while (days.length < count) {
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) days.unshift(d.toISOString().substring(0, 10));
+    d.setUTCDate(d.getUTCDate() - 1);
+  }
+  return days;
+}
+
+test('TF-IDF catches a reworded copy that word bigrams miss', () => {
+  const bigram = harness();
+  const tfidf = harness([['similarity_method', 'tfidf']]);
+  const score = (h) => plain(h.run('computeSimilarityScores', [{ text: REWORDED, others: [ORIGINAL, UNRELATED] }]));
+
+  const b = score(bigram);
+  assert.strictEqual(b.method, 'bigram');
+  assert.ok(b.scores[0][0] < 0.6, 'bigram score ' + b.scores[0][0]);
+
+  const t = score(tfidf);
+  assert.strictEqual(t.method, 'tfidf');
+  assert.ok(t.scores[0][0] > 0.85, 'tfidf score ' + t.scores[0][0]);
+  assert.ok(t.scores[0][1] < 0.2, 'tfidf unrelated score ' + t.scores[0][1]);
+
+  const signals = tfidf.run('computeGamingSignals', 'bob@example.com', REWORDED, [{ eod_date: '2026-03-09', raw_response: ORIGINAL }], null, null);
+  assert.ok(signals.flags.indexOf('COPY_PASTE') !== -1);
+  assert.strictEqual(signals.similarityMethod, 'tfidf');
+  assert.strictEqual(signals.similarityThresholds.basis, 'default');
+});
+
+test('a repetitive department gets higher cutoffs than a varied one', () => {
+  const h = harness();
+  const days = pastWeekdays(12);
+  const varied = ['Quoted Acme', 'Demoed the portal to Globex', 'Renewed the Initech contract', 'Cold calls in Austin',
+    'Trade show booth prep', 'Pipeline review with Dana', 'Pricing sheet for resellers', 'Visited Hooli HQ',
+    'Followed up on RFP leads', 'Negotiated Umbrella discount', 'Wrote the Q2 territory plan', 'Onboarded Vandelay'];
+  h.bigQuery.onQuery('ORDER BY user_email, eod_date', () => [].concat(
+    days.map((d, i) => ({ user_email: 'alice@example.com', eod_date: d, raw_response: ORIGINAL + (i % 2 ? ' Also triaged chat.' : '') })),
+    days.map((d, i) => ({ user_email: 'bob@example.com', eod_date: d, raw_response: varied[i] + ' today.' }))
+  ));
+
+  const baselines = plain(h.run('getSimilarityBaselines', 'bigram'));
+  assert.strictEqual(baselines.Ops.samples, 11);
+  assert.ok(baselines.Ops.mean > 0.8, 'Ops mean ' + baselines.Ops.mean);
+  assert.ok(baselines.Sales.mean < 0.3, 'Sales mean ' + baselines.Sales.mean);
+
+  const ops = plain(h.run('getSimilarityThresholds', 'alice@example.com', 'bigram'));
+  const sales = plain(h.run('getSimilarityThresholds', 'bob@example.com', 'bigram'));
+  assert.strictEqual(ops.basis, 'department');
+  assert.strictEqual(ops.department, 'Ops');
+  assert.ok(ops.copy > 0.9);
+  assert.strictEqual(sales.copy, 0.6);
+
+  // Alice's usual report isn't flagged; the same overlap from Bob is
+  const aliceToday = h.run('computeGamingSignals', 'alice@example.com', ORIGINAL + ' Also triaged chat.', [{ eod_date: days[11], raw_response: ORIGINAL }], null, null);
+  assert.ok(!aliceToday.flags.some((f) => f === 'COPY_PASTE' || f === 'HIGH_SIMILARITY'));
+  const bobToday = h.run('computeGamingSignals', 'bob@example.com', ORIGINAL + ' Also triaged chat.', [{ eod_date: days[11], raw_response: ORIGINAL }], null, null);
+  assert.ok(bobToday.flags.indexOf('COPY_PASTE') !== -1);
+});
+
+test('embeddings are fetched in one call, and providers without them fall back to TF-IDF', () => {
+  const h = harness([['similarity_method', 'embedding']], { OPENAI_API_KEY: 'sk-test' });
+  h.urlFetch.on('api.openai.com/v1/embeddings', () => ({
+    body: { data: [{ index: 1, embedding: [0.9, 0.1, 0.4] }, { index: 0, embedding: [1, 0, 0.4] }, { index: 2, embedding: [0, 1, 0] }], usage: { prompt_tokens: 60 } }
+  }));
+
+  const result = plain(h.run('computeSimilarityScores', [{ text: REWORDED, others: [ORIGINAL, UNRELATED] }]));
+  assert.strictEqual(result.method, 'embedding');
+  assert.ok(result.scores[0][0] > 0.99);
+  assert.strictEqual(result.scores[0][1], 0);
+
+  const calls = h.urlFetch.calls.filter((c) => /embeddings/.test(c.url));
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].payload.model, 'text-embedding-3-small');
+  assert.strictEqual(calls[0].payload.input.length, 3);
+  const usage = h.bigQuery.rows('ai_usage')[0];
+  assert.strictEqual(usage.feature, 'eod_similarity');
+  assert.strictEqual(usage.estimated_cost_usd, 0.000001);
+
+  const anthropic = harness([['similarity_method', 'embedding'], ['ai_provider', 'anthropic']], { ANTHROPIC_API_KEY: 'ak-test' });
+  const fallback = plain(anthropic.run('computeSimilarityScores', [{ text: REWORDED, others: [ORIGINAL] }]));
+  assert.strictEqual(fallback.method, 'tfidf');
+  assert.ok(fallback.scores[0][0] > 0.85);
+});
+
+test('embeddings are requested in batches and a fallback is not cached as the embedding baseline', () => {
+  const h = harness([['similarity_method', 'embedding']], { OPENAI_API_KEY: 'sk-test' });
+  let failing = false;
+  h.urlFetch.on('api.openai.com/v1/embeddings', (url, opts, call) => {
+    if (failing) return { code: 500, body: { error: 'down' } };
+    return { body: { data: call.payload.input.map((t, i) => ({ index: i, embedding: [1, t.length % 7, 0.5] })), usage: { prompt_tokens: 10 } } };
+  });
+
+  const sets = [];
+  for (let i = 0; i < 75; i++) sets.push({ text: ORIGINAL + ' #' + i, others: [UNRELATED + ' #' + i] });
+  assert.strictEqual(h.run('computeSimilarityScores', sets).method, 'embedding');
+  const batches = h.urlFetch.calls.filter((c) => /embeddings/.test(c.url)).map((c) => c.payload.input.length);
+  assert.deepStrictEqual(batches, [100, 50]);
+
+  const days = pastWeekdays(12);
+  h.bigQuery.onQuery('ORDER BY user_email, eod_date', () => days.map((d) => ({ user_email: 'alice@example.com', eod_date: d, raw_response: ORIGINAL })));
+  failing = true;
+  assert.deepStrictEqual(plain(h.run('getSimilarityBaselines', 'embedding')), {});
+  assert.strictEqual(h.run('getSimilarityThresholds', 'alice@example.com', 'embedding').basis, 'default');
+  assert.strictEqual(plain(h.run('getSimilarityBaselines', 'tfidf')).Ops.samples, 11);
+
+  failing = false;
+  assert.strictEqual(plain(h.run('getSimilarityBaselines', 'embedding')).Ops.samples, 11);
+});
@@ -0,0 +1,163 @@
+/**
+ * slack.test.js - Slack transport (Block Kit cards, DMs, web app events)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, DEFAULT_SHEETS } = require('./harness');
+
+// Tuesday 2026-03-10, 17:30 America/Chicago
+const TUESDAY_1730 = '2026-03-10T22:30:00Z';
+
+const TOKEN = 'verify-me';
+
+function setup() {
+  const members = DEFAULT_SHEETS.team_members.map((row, i) => row.concat(i === 0 ? ['ai_coaching', 'chat_platform'] : ['', i === 2 ? 'slack' : '']));
+  const h = createHarness({
+    now: TUESDAY_1730,
+    properties: { SLACK_BOT_TOKEN: 'xoxb-test', SLACK_VERIFICATION_TOKEN: TOKEN },
+    sheets: { team_members: members }
+  });
+  let ts = 0;
+  h.urlFetch.on('slack.com/api/users.lookupByEmail', () => ({ body: { ok: true, user: { id: 'UBOB' } } }));
+  h.urlFetch.on('slack.com/api/users.info', () => ({ body: { ok: true, user: { id: 'UBOB', profile: { email: 'Bob@example.com', real_name: 'Bob Builder' } } } }));
+  h.urlFetch.on('slack.com/api/conversations.open', () => ({ body: { ok: true, channel: { id: 'DBOB' } } }));
+  h.urlFetch.on('slack.com/api/chat.postMessage', (url, options) => ({ body: { ok: true, channel: JSON.parse(options.payload).channel, ts: '1710000000.' + (++ts) } }));
+  h.urlFetch.on('slack.com/api/chat.update', () => ({ body: { ok: true } }));
+  return h;
+}
+
+function slackCalls(h, method) {
+  return h.urlFetch.calls.filter((c) => c.url.indexOf('https://slack.com/api/' + method) === 0);
+}
+
+function post(h, body) {
+  return h.run('doPost', { parameter: {}, postData: { contents: JSON.stringify(body), type: 'application/json' } });
+}
+
+function dm(text, eventId) {
+  return { token: TOKEN, type: 'event_callback', event_id: eventId || 'Ev1', event: { type: 'message', channel_type: 'im', channel: 'DBOB', user: 'UBOB', text: text } };
+}
+
+test('DMs to Slack members open a Slack DM and cards become Block Kit', () => {
+  const h = setup();
+  const excuse = { missed_id: 'm1', excuse_id: 'x1', user_email: 'alice@example.com', missed_date: '2026-03-10', excuse_reason: 'SICK' };
+  const result = plain(h.run('sendDirectMessage', 'bob@example.com', '📝 **Alice** sent an excuse', h.run('buildExcuseReviewCard', excuse, 'Alice')));
+
+  assert.deepStrictEqual(result, { sent: true, spaceName: 'slack:DBOB', messageName: 'slack:DBOB/1710000000.1', hasCards: true });
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_bob_example_com'), 'slack:DBOB');
+  assert.strictEqual(slackCalls(h, 'users.lookupByEmail')[0].url, 'https://slack.com/api/users.lookupByEmail?email=bob%40example.com');
+  assert.ok(!h.urlFetch.calls.some((c) => /chat\.googleapis\.com/.test(c.url)));
+
+  const payload = slackCalls(h, 'chat.postMessage')[0].payload;
+  assert.strictEqual(payload.channel, 'DBOB');
+  assert.strictEqual(payload.text, '📝 *Alice* sent an excuse');
+  assert.deepStrictEqual(payload.blocks.map((b) => b.type), ['section', 'header', 'context', 'divider', 'section', 'actions']);
+  assert.strictEqual(payload.blocks[1].text.text, '📝 Missed check-in excuse');
+  const approve = payload.blocks[5].elements[0];
+  assert.strictEqual(approve.text.text, '✅ Approve');
+  assert.deepStrictEqual(JSON.parse(approve.value), {
+    f: 'handleExcuseReview',
+    p: { missedId: 'm1', excuseId: 'x1', email: 'alice@example.com', missedDate: '2026-03-10', reason: 'SICK', decision: 'APPROVED' }
+  });
+
+  // Google Chat members are unchanged
+  h.registerDM('alice@example.com');
+  h.run('sendDirectMessage', 'alice@example.com', 'hi');
+  assert.strictEqual(h.urlFetch.chatMessages().pop().space, 'spaces/DM_alice');
+});
+
+test('a member switched to Slack is messaged in Slack, not their old Chat DM', () => {
+  const h = setup();
+  h.registerDM('bob@example.com');
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_bob_example_com'), 'spaces/DM_bob');
+
+  const result = plain(h.run('sendDirectMessage', 'bob@example.com', 'Time for your EOD'));
+
+  assert.strictEqual(result.spaceName, 'slack:DBOB');
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_bob_example_com'), 'slack:DBOB');
+  assert.strictEqual(slackCalls(h, 'chat.postMessage').length, 1);
+  assert.ok(!h.urlFetch.calls.some((c) => /chat\.googleapis\.com/.test(c.url)));
+});
+
+test('Slack DMs are verified, replayed through onMessage and answered in Slack', () => {
+  const h = setup();
+
+  assert.strictEqual(post(h, { token: TOKEN, type: 'url_verification', challenge: 'abc' }).getContent(), 'abc');
+  assert.strictEqual(post(h, Object.assign(dm('ping'), { token: 'wrong' })).getContent(), 'forbidden');
+  assert.strictEqual(slackCalls(h, 'chat.postMessage').length, 0);
+
+  post(h, dm('ping'));
+  post(h, dm('ping')); // Slack retry of the same event
+  const replies = slackCalls(h, 'chat.postMessage');
+  assert.strictEqual(replies.length, 1);
+  assert.strictEqual(replies[0].payload.channel, 'DBOB');
+  assert.match(replies[0].payload.text, /Pong/);
+
+  post(h, dm('status', 'Ev2'));
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_bob_example_com'), 'slack:DBOB');
+  assert.strictEqual(slackCalls(h, 'chat.postMessage').length, 2);
+});
+
+test('button clicks and input blocks are replayed through onCardClick', () => {
+  const h = setup();
+  const interaction = (fn, values) => h.run('doPost', {
+    parameter: {
+      payload: JSON.stringify({
+        token: TOKEN,
+        type: 'block_actions',
+        user: { id: 'UBOB' },
+        channel: { id: 'DBOB' },
+        container: { type: 'message', message_ts: '1710000000.9', channel_id: 'DBOB' },
+        actions: [{ action_id: fn + '_0_0', value: JSON.stringify({ f: fn, p: {} }) }],
+        state: { values: values || {} }
+      })
+    }
+  });
+
+  interaction('handleOpenEodForm');
+  const form = slackCalls(h, 'chat.update')[0].payload;
+  assert.strictEqual(form.channel, 'DBOB');
+  assert.strictEqual(form.ts, '1710000000.9');
+  const inputs = form.blocks.filter((b) => b.type === 'input');
+  assert.deepStrictEqual(inputs.map((b) => b.block_id), ['eodAccomplishments', 'eodBlockers', 'eodTomorrow', 'eodHours']);
+  assert.strictEqual(inputs[0].element.multiline, true);
+  assert.strictEqual(h.run('getUserState', 'bob@example.com'), 'AWAITING_EOD');
+
+  const input = (name, value) => ({ [name]: { [name]: { type: 'plain_text_input', value: value } } });
+  interaction('handleEodFormSubmit', Object.assign({},
+    input('eodAccomplishments', 'Sent four quotes'), input('eodBlockers', null), input('eodTomorrow', 'Renewals'), input('eodHours', '8')));
+
+  const done = slackCalls(h, 'chat.update')[1].payload;
+  assert.match(done.text, /EOD form submitted\* \(8h\)/);
+  assert.deepStrictEqual(plain(done.blocks), []);
+  assert.strictEqual(h.run('getUserState', 'bob@example.com'), 'IDLE');
+});
+
+test('failed Slack posts say whether a retry can help', () => {
+  const h = setup();
+  let error = 'channel_not_found';
+  h.urlFetch.on('slack.com/api/chat.postMessage', () => ({ body: { ok: false, error: error } }));
+
+  const gone = plain(h.run('sendSlackMessage', 'slack:CGONE', 'Hello'));
+  assert.deepStrictEqual(gone, { sent: false, error: 'Slack chat.postMessage failed: channel_not_found', code: null, permanent: true });
+
+  error = 'internal_error';
+  assert.strictEqual(h.run('sendSlackMessage', 'slack:CTEAM', 'Hello').permanent, false);
+});
+
+test('a full Sage HR sync keeps each member\'s chat platform', () => {
+  const h = setup();
+  h.properties.setProperty('SAGE_HR_API_KEY', 'sage-key');
+  h.urlFetch.on(/sage\.hr\/api\/+employees/, () => ({ body: { data: [
+    { id: 1, email: 'alice@example.com', first_name: 'Alice', last_name: 'A' },
+    { id: 2, email: 'bob@example.com', first_name: 'Bob', last_name: 'B' }
+  ] } }));
+
+  assert.strictEqual(h.run('syncEmployeesToSheet').success, true);
+
+  const rows = h.spreadsheet.getSheetByName('team_members')._rows();
+  assert.strictEqual(rows[0][13], 'chat_platform');
+  assert.deepStrictEqual(rows.slice(1).map((r) => [r[0], r[13]]), [['alice@example.com', 'google_chat'], ['bob@example.com', 'slack']]);
+  assert.strictEqual(h.run('isSlackMember', 'bob@example.com'), true);
+});
@@ -0,0 +1,65 @@
+/**
+ * smoke.test.js - Harness smoke tests
+ * Run with: node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, formatDate, replyText } = require('./harness');
+
+// Tuesday 2026-03-10, 09:05 America/Chicago (CDT, UTC-5)
+const TUESDAY_0905 = '2026-03-10T14:05:00Z';
+
+test('formatDate follows SimpleDateFormat in the given timezone', () => {
+  const d = new Date('2026-03-10T14:05:09Z');
+  assert.strictEqual(formatDate(d, 'America/Chicago', 'yyyy-MM-dd HH:mm'), '2026-03-10 09:05');
+  assert.strictEqual(formatDate(d, 'America/Chicago', 'EEEE, MMMM d'), 'Tuesday, March 10');
+  assert.strictEqual(formatDate(d, 'America/Chicago', 'Z'), '-0500');
+  assert.strictEqual(formatDate(d, 'Asia/Karachi', 'HH:mm'), '19:05');
+});
+
+test('new Date() inside the sandbox reads the frozen clock', () => {
+  const h = createHarness({ now: TUESDAY_0905 });
+  assert.strictEqual(h.eval('new Date().toISOString()'), '2026-03-10T14:05:00.000Z');
+  h.clock.advance(60000);
+  assert.strictEqual(h.eval('Date.now()'), Date.parse('2026-03-10T14:06:00Z'));
+});
+
+test('onMessage answers ping and help', () => {
+  const h = createHarness({ now: TUESDAY_0905 });
+  assert.match(replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'ping'))), /Pong/);
+  assert.match(replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'help'))), /Daily Check-in Bot Help/);
+  // DM space is remembered for proactive messages
+  assert.strictEqual(h.properties.getProperty('DM_SPACE_alice_example_com'), 'spaces/DM_alice');
+});
+
+test('triggerScheduleDispatcher sends the check-in card to custom-schedule users', () => {
+  const h = createHarness({ now: TUESDAY_0905 });
+  h.registerDM('bob@example.com');
+
+  h.run('triggerScheduleDispatcher');
+
+  const sent = h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_bob');
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].text, /Good morning/);
+  assert.strictEqual(sent[0].cardsV2[0].cardId, 'checkin_card');
+  assert.strictEqual(h.bigQuery.rows('prompt_log')[0].prompt_type, 'CHECKIN');
+
+  // Dedup cache prevents a second send in the same window
+  h.run('triggerScheduleDispatcher');
+  assert.strictEqual(h.urlFetch.chatMessages().filter((m) => m.space === 'spaces/DM_bob').length, 1);
+});
+
+test('_processSingleEod logs the EOD row and confirms to the user', () => {
+  const h = createHarness({ now: '2026-03-10T21:30:00Z' });
+  h.registerDM('alice@example.com');
+
+  const text = 'Finished the vendor report and reviewed invoices. Blockers: none. Tomorrow: start Q2 forecast. Hours: 8';
+  h.run('_processSingleEod', 'alice@example.com', 'Alice', text, new Date('2026-03-10T21:30:00Z'));
+
+  const rows = h.bigQuery.rows('eod_reports');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].user_email, 'alice@example.com');
+  assert.strictEqual(rows[0].eod_date, '2026-03-10');
+  assert.ok(h.urlFetch.chatMessages().some((m) => m.space === 'spaces/DM_alice'));
+});
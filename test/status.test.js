@@ -0,0 +1,38 @@
+/**
+ * status.test.js - "status" command
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, replyText } = require('./harness');
+
+// Tuesday 2026-03-10, 10:00 America/Chicago
+const TUESDAY_1000 = '2026-03-10T15:00:00Z';
+
+test('status shows check-in lateness, pending EOD, streak and schedule', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  h.bigQuery.onQuery(/FROM `test-project\.checkin_bot\.check_ins`\s+WHERE checkin_date = '2026-03-10'/, [
+    { user_email: 'alice@example.com', checkin_timestamp: '2026-03-10T13:45:00.000Z', is_late: 'true' }
+  ]);
+  h.bigQuery.onQuery('COUNT(*) as streak', [{ streak: 4 }]);
+
+  const text = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'status')));
+
+  assert.match(text, /Tuesday, March 10/);
+  assert.match(text, /Schedule:\* 08:00–17:00 \(8h\)/);
+  assert.match(text, new RegExp('Check-in:\\* 08:45 \\(' + (45 - h.run('getLateThresholdMin')) + ' min late\\)'));
+  assert.match(text, /EOD:\* Not submitted yet/);
+  assert.match(text, /Streak:\* 4 days/);
+});
+
+test('status reports a submitted EOD with hours', () => {
+  const h = createHarness({ now: '2026-03-10T23:00:00Z' });
+  h.bigQuery.onQuery('v_eod_reports', [
+    { user_email: 'alice@example.com', eod_timestamp: '2026-03-10T22:10:00.000Z', hours_worked: '7.5' }
+  ]);
+
+  const text = replyText(h.run('onMessage', h.chatEvent('alice@example.com', 'status')));
+
+  assert.match(text, /Check-in:\* Not checked in yet/);
+  assert.match(text, /EOD:\* Submitted at 17:10 \(7\.5h\)/);
+});
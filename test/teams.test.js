@@ -0,0 +1,102 @@
+/**
+ * teams.test.js - Per-department channels, managers and schedules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, DEFAULT_SHEETS } = require('./harness');
+
+const TEAMS = [
+  ['department', 'team_name', 'manager_email', 'summary_space_id', 'escalation_recipients',
+    'eod_forward_recipients', 'default_start', 'default_end', 'friday_start', 'friday_end', 'active'],
+  ['Ops', 'Ops Team', 'opslead@example.com', 'spaces/OPS', '', 'opslead@example.com, ops2@example.com', '', '', '', '', true],
+  ['Sales', 'Sales Team', '', 'spaces/SALES', 'saleshead@example.com', '', '', '', '', '', true]
+];
+
+// carol (Ops) has no direct manager; alice and bob report to manager@example.com
+const CAROL = ['carol@example.com', 'Carol', 'ops', '', true, '', '', 'America/Chicago', 'clickup', 'tracked', '', ''];
+
+function sheets(teams) {
+  return { teams: teams || TEAMS, team_members: DEFAULT_SHEETS.team_members.concat([CAROL]) };
+}
+
+// Tuesday 2026-03-10, 10:00 America/Chicago
+const TUESDAY_1000 = '2026-03-10T15:00:00Z';
+
+test('without a teams tab everyone is one group on the global channel', () => {
+  const h = createHarness({ now: TUESDAY_1000 });
+  const groups = plain(h.eval('groupMembersByTeam(getActiveTeamMembers())'));
+  assert.strictEqual(groups.length, 1);
+  assert.strictEqual(groups[0].team, null);
+  assert.strictEqual(h.run('getTeamUpdatesChannel'), 'spaces/TEAM_UPDATES');
+});
+
+test('members are grouped by department, case-insensitively', () => {
+  const h = createHarness({ now: TUESDAY_1000, sheets: sheets() });
+  const groups = plain(h.eval('groupMembersByTeam(getActiveTeamMembers())'))
+    .map((g) => [g.team && g.team.name, g.members.map((m) => m.email)]);
+  assert.deepStrictEqual(groups, [
+    ['Ops Team', ['alice@example.com', 'carol@example.com']],
+    ['Sales Team', ['bob@example.com']]
+  ]);
+});
+
+test('morning summary is posted once per team to its own channel', () => {
+  const h = createHarness({ now: TUESDAY_1000, sheets: sheets() });
+  h.bigQuery.onQuery(/check_ins`\s+WHERE checkin_date/, [
+    { user_email: 'bob@example.com', checkin_timestamp: '2026-03-10T14:02:00.000Z', is_late: 'false' }
+  ]);
+
+  h.run('_postMorningSummary');
+
+  const posts = h.urlFetch.chatMessages().filter((m) => /Morning Summary/.test(m.text));
+  assert.deepStrictEqual(posts.map((p) => p.space), ['spaces/OPS', 'spaces/SALES']);
+  assert.match(posts[0].text, /Ops Team Morning Summary/);
+  assert.match(posts[0].text, /Checked in: 0\/2/);
+  assert.match(posts[1].text, /Checked in: 1\/1/);
+});
+
+test('escalations go to the direct manager, else the team list', () => {
+  const h = createHarness({ now: TUESDAY_1000, sheets: sheets() });
+  assert.deepStrictEqual(plain(h.run('getMemberManagerRecipients', 'alice@example.com')), ['manager@example.com']);
+  // No direct manager: team escalation recipients, else the team manager
+  assert.deepStrictEqual(plain(h.run('getMemberManagerRecipients', 'carol@example.com')), ['opslead@example.com']);
+
+  ['carol@example.com', 'opslead@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  h.run('escalateMissedEod', 'carol@example.com', 'Carol');
+  const spaces = h.urlFetch.chatMessages().map((m) => m.space);
+  assert.ok(spaces.includes('spaces/DM_opslead'));
+  assert.ok(!spaces.includes('spaces/DM_manager'));
+});
+
+test('compiled EOD batch is split by team and sent to team recipients', () => {
+  const h = createHarness({ now: '2026-03-10T23:30:00Z', sheets: sheets() });
+  ['opslead@example.com', 'ops2@example.com', 'manager@example.com'].forEach((e) => h.registerDM(e));
+  h.bigQuery.onQuery('v_eod_reports', [
+    { user_email: 'alice@example.com', hours_worked: '8', raw_response: 'Ops work', revision: '0' },
+    { user_email: 'bob@example.com', hours_worked: '7', raw_response: 'Sales work', revision: '0' }
+  ]);
+
+  h.run('_checkAndSendCompiledBatch');
+
+  const batches = h.urlFetch.chatMessages().filter((m) => /Compiled EOD Reports/.test(m.text));
+  const bySpace = {};
+  batches.forEach((b) => { bySpace[b.space] = b.text; });
+  assert.deepStrictEqual(Object.keys(bySpace).sort(), ['spaces/DM_manager', 'spaces/DM_ops2', 'spaces/DM_opslead']);
+  assert.match(bySpace['spaces/DM_opslead'], /Ops Team Compiled EOD Reports[\s\S]*Ops work/);
+  assert.doesNotMatch(bySpace['spaces/DM_opslead'], /Sales work/);
+  // Sales has no manager or forward list: global eod_forward fallback
+  assert.match(bySpace['spaces/DM_manager'], /Sales Team Compiled EOD Reports[\s\S]*Sales work/);
+});
+
+test('team hours override work_hours and hand members to the dispatcher', () => {
+  const teams = TEAMS.map((r) => r.slice());
+  teams[1][6] = '09:30';
+  teams[1][7] = '18:30';
+  const h = createHarness({ now: TUESDAY_1000, sheets: sheets(teams) });
+
+  const schedule = plain(h.run('getUserWorkSchedule', 'alice@example.com'));
+  assert.strictEqual(schedule.source, 'team');
+  assert.deepStrictEqual(schedule.blocks, [{ start: '09:30', end: '18:30' }]);
+  assert.strictEqual(h.eval("isDispatcherManaged(getConfig().team_members[0])"), true);
+});
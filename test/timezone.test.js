@@ -0,0 +1,92 @@
+/**
+ * timezone.test.js - Per-member timezone scheduling
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, plain, DEFAULT_SHEETS } = require('./harness');
+
+const KARACHI_MEMBER = ['sana@example.com', 'Sana', 'Ops', 'manager@example.com', true, '', '', 'Asia/Karachi', 'clickup', 'tracked', '', ''];
+
+function sheets() {
+  return { team_members: DEFAULT_SHEETS.team_members.concat([KARACHI_MEMBER]) };
+}
+
+// Tuesday 08:05 in Karachi = Monday 22:05 in Chicago
+const KARACHI_TUE_0805 = '2026-03-10T03:05:00Z';
+
+test('schedule and local date follow the member timezone', () => {
+  const h = createHarness({ now: KARACHI_TUE_0805, sheets: sheets() });
+  const schedule = h.run('getUserWorkSchedule', 'sana@example.com');
+  assert.strictEqual(schedule.timezone, 'Asia/Karachi');
+  assert.deepStrictEqual(plain(schedule.blocks), [{ start: '08:00', end: '17:00' }]);
+  assert.strictEqual(h.run('getUserLocalDate', 'sana@example.com'), '2026-03-10');
+  assert.strictEqual(h.run('getUserLocalDate', 'alice@example.com'), '2026-03-09');
+  assert.strictEqual(h.run('isTimeForPrompt', 'sana@example.com', 'CHECKIN'), true);
+  assert.strictEqual(h.run('isTimeForPrompt', 'alice@example.com', 'CHECKIN'), false);
+});
+
+test('dispatcher prompts other-timezone members at their local start', () => {
+  const h = createHarness({ now: KARACHI_TUE_0805, sheets: sheets() });
+  h.registerDM('sana@example.com');
+  h.registerDM('alice@example.com');
+
+  h.run('triggerScheduleDispatcher');
+
+  const spaces = h.urlFetch.chatMessages().map((m) => m.space);
+  assert.deepStrictEqual(spaces, ['spaces/DM_sana']);
+  assert.ok(h.bigQuery.queries.some((q) => q.includes("checkin_date = '2026-03-10'")));
+});
+
+test('default-trigger members exclude other-timezone members', () => {
+  const h = createHarness({ now: KARACHI_TUE_0805, sheets: sheets() });
+  const members = h.run('getActiveTeamMembers');
+  const managed = members.filter((m) => h.run('isDispatcherManaged', m)).map((m) => m.email);
+  assert.deepStrictEqual(plain(managed), ['bob@example.com', 'sana@example.com']);
+});
+
+test('check-in date and lateness use the member local clock', () => {
+  // Tuesday 08:40 Karachi — 40 minutes after start
+  const h = createHarness({ now: '2026-03-10T03:40:00Z', sheets: sheets() });
+  h.run('logCheckIn', 'sana@example.com', h.eval('new Date()'), 'Button check-in', true);
+  const row = h.bigQuery.rows('check_ins')[0];
+  assert.strictEqual(row.checkin_date, '2026-03-10');
+
+  const late = h.run('getLateMinutesForUser', 'sana@example.com',
+    [{ user_email: 'sana@example.com', is_late: 'true', checkin_timestamp: row.checkin_timestamp }]);
+  assert.strictEqual(late, 40 - h.run('getLateThresholdMin'));
+});
+
+test('weekend is judged on the member calendar', () => {
+  // Saturday 01:00 Karachi = Friday 15:00 Chicago
+  const h = createHarness({ now: '2026-03-13T20:00:00Z', sheets: sheets() });
+  assert.strictEqual(h.run('isWorkday'), true);
+  assert.strictEqual(h.eval("isWorkday(new Date(), 'Asia/Karachi')"), false);
+});
+
+test('special periods and the AI budget month follow the reporting timezone', () => {
+  // Tuesday 08:05 in Karachi, still Monday in Chicago
+  const workHours = DEFAULT_SHEETS.work_hours.filter((r) => r[0] !== 'timezone').concat([['timezone', 'Asia/Karachi']]);
+  const specialHours = [
+    ['name', 'start_date', 'end_date', 'mt_start', 'mt_end', 'fri_start', 'fri_end'],
+    ['Ramadan', '2026-03-10', '2026-04-09', '09:00', '15:00', '', '']
+  ];
+  const h = createHarness({ now: KARACHI_TUE_0805, sheets: { work_hours: workHours, special_hours: specialHours } });
+  assert.strictEqual(h.run('getReportingTimezone'), 'Asia/Karachi');
+  assert.strictEqual(h.eval('getActiveSpecialPeriod().name'), 'Ramadan');
+  assert.strictEqual(h.eval("getActiveSpecialPeriod(new Date(), 'America/Chicago')"), null);
+
+  // 00:30 on April 1 in Karachi is still March in Chicago
+  h.clock.set('2026-03-31T19:30:00Z');
+  assert.strictEqual(h.run('_aiMonthStart'), '2026-04-01');
+});
+
+test('members with a blank timezone follow the reporting timezone', () => {
+  const workHours = DEFAULT_SHEETS.work_hours.filter((r) => r[0] !== 'timezone').concat([['timezone', 'Asia/Karachi']]);
+  const members = DEFAULT_SHEETS.team_members.map((row, i) => (i === 1 ? row.map((v, j) => (j === 7 ? '' : v)) : row));
+  const h = createHarness({ now: KARACHI_TUE_0805, sheets: { work_hours: workHours, team_members: members } });
+
+  assert.strictEqual(h.run('getUserTimezone', 'alice@example.com'), 'Asia/Karachi');
+  assert.strictEqual(h.run('getUserLocalDate', 'alice@example.com'), '2026-03-10');
+  assert.strictEqual(h.eval("isDispatcherManaged(getConfig().team_members.find(function (m) { return m.email === 'alice@example.com'; }))"), false);
+});
@@ -0,0 +1,186 @@
+/**
+ * webhooks.test.js - Signed outbound webhooks (event queue, signature, retry with backoff)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createHarness } = require('./harness');
+
+// Tuesday 2026-03-10, 08:05 America/Chicago
+const TUESDAY_0805 = '2026-03-10T13:05:00Z';
+
+const HOOKS = 'https://hooks.example.com/';
+
+function setup(extraProperties) {
+  return createHarness({
+    now: TUESDAY_0805,
+    properties: extraProperties,
+    sheets: {
+      webhooks: [
+        ['url', 'events', 'secret', 'active', 'description'],
+        [HOOKS + 'attendance', 'checkin.created, eod.submitted', 's3cret', true, 'HR dashboard'],
+        [HOOKS + 'all', '*', '', true, 'Data lake'],
+        [HOOKS + 'off', '', 'x', false, 'Paused']
+      ]
+    }
+  });
+}
+
+function hookCalls(h, path) {
+  return h.urlFetch.calls.filter((c) => c.url === HOOKS + path);
+}
+
+function queued(h) {
+  return h.properties.getKeys().filter((k) => k.indexOf('WEBHOOK_QUEUE_') === 0);
+}
+
+test('events go to subscribed webhooks with an HMAC-SHA256 signature', () => {
+  const h = setup({ WEBHOOK_SECRET: 'fallback' });
+
+  h.run('logCheckIn', 'alice@example.com', new Date('2026-03-10T13:05:00Z'), 'Button check-in', false);
+  h.run('awardBadge', 'alice@example.com', Object.keys(h.eval('BADGES'))[0]);
+
+  // Queued where they happen, sent by the background run
+  assert.strictEqual(h.urlFetch.calls.filter((c) => c.url.indexOf(HOOKS) === 0).length, 0);
+  assert.strictEqual(queued(h).length, 3);
+  h.run('processEodBackground');
+  assert.strictEqual(queued(h).length, 0);
+
+  const attendance = hookCalls(h, 'attendance');
+  assert.strictEqual(attendance.length, 1, 'badge is not in the attendance subscription');
+  assert.strictEqual(hookCalls(h, 'all').length, 2);
+  assert.strictEqual(hookCalls(h, 'off').length, 0, 'inactive webhooks get nothing');
+
+  const call = attendance[0];
+  assert.strictEqual(call.method, 'post');
+  assert.strictEqual(call.payload.event, 'checkin.created');
+  assert.strictEqual(call.payload.data.user_email, 'alice@example.com');
+  assert.strictEqual(call.payload.data.checkin_date, '2026-03-10');
+  assert.strictEqual(call.payload.data.is_late, false);
+
+  const headers = call.options.headers;
+  assert.strictEqual(headers['X-Checkin-Event'], 'checkin.created');
+  const expected = crypto.createHmac('sha256', 's3cret').update(headers['X-Checkin-Timestamp'] + '.' + call.options.payload).digest('hex');
+  assert.strictEqual(headers['X-Checkin-Signature'], 'sha256=' + expected);
+
+  // Rows without a secret use WEBHOOK_SECRET
+  const all = hookCalls(h, 'all')[0];
+  const fallback = crypto.createHmac('sha256', 'fallback').update(all.options.headers['X-Checkin-Timestamp'] + '.' + all.options.payload).digest('hex');
+  assert.strictEqual(all.options.headers['X-Checkin-Signature'], 'sha256=' + fallback);
+  assert.strictEqual(all.payload.id, call.payload.id, 'one event id across webhooks');
+  assert.notStrictEqual(all.options.headers['X-Checkin-Delivery'], call.options.headers['X-Checkin-Delivery']);
+});
+
+test('escalations are published as escalation.sent', () => {
+  const h = setup({ WEBHOOK_SECRET: 'fallback' });
+
+  h.run('escalateMissedCheckIn', 'bob@example.com', 'Bob');
+  h.run('processEodBackground');
+
+  const events = hookCalls(h, 'all').map((c) => c.payload);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].event, 'escalation.sent');
+  assert.strictEqual(events[0].data.escalation_type, 'MISSED_CHECKIN');
+  assert.strictEqual(events[0].data.user_email, 'bob@example.com');
+  assert.ok(events[0].data.recipients.indexOf('manager@example.com') !== -1);
+  assert.strictEqual(h.bigQuery.rows('escalations').length, 1);
+});
+
+test('failed deliveries retry with backoff, then give up and log', () => {
+  const h = setup();
+  let status = 503;
+  h.urlFetch.on(HOOKS + 'attendance', () => ({ code: status, body: 'down' }));
+
+  h.run('logCheckIn', 'alice@example.com', new Date('2026-03-10T13:05:00Z'), 'Button check-in', false);
+  h.run('processEodBackground');
+  assert.strictEqual(hookCalls(h, 'attendance').length, 1);
+  assert.strictEqual(hookCalls(h, 'all').length, 0, 'no secret anywhere: never sent unsigned');
+
+  const parked = () => queued(h);
+  assert.strictEqual(parked().length, 1);
+
+  // Not due yet
+  h.clock.advance(30 * 1000);
+  h.run('processEodBackground');
+  assert.strictEqual(hookCalls(h, 'attendance').length, 1);
+
+  // 1 minute after the first attempt: retried, and delivered
+  h.clock.advance(31 * 1000);
+  status = 200;
+  h.run('processEodBackground');
+  const calls = hookCalls(h, 'attendance');
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(calls[1].options.headers['X-Checkin-Delivery'], calls[0].options.headers['X-Checkin-Delivery'], 'retries keep the delivery id');
+  assert.strictEqual(parked().length, 0);
+
+  // An endpoint that stays down gets 6 attempts in total
+  status = 500;
+  h.run('logEodReport', 'alice@example.com', new Date('2026-03-10T22:00:00Z'), 'Shipped', null, 'More', 8, 0, null);
+  h.run('processEodBackground');
+  [1, 5, 15, 60, 240, 240].forEach((minutes) => {
+    h.clock.advance(minutes * 60 * 1000);
+    h.run('processEodBackground');
+  });
+  const eodCalls = hookCalls(h, 'attendance').filter((c) => c.payload.event === 'eod.submitted');
+  assert.strictEqual(eodCalls.length, 6);
+  assert.strictEqual(parked().length, 0);
+
+  const failed = h.bigQuery.rows('system_events').filter((r) => r.event_type === 'WEBHOOK' && r.status === 'FAILED');
+  const details = failed.map((r) => JSON.parse(r.details));
+  assert.deepStrictEqual(details.map((d) => d.error), ['no signing secret', 'no signing secret', 'HTTP 500']);
+  assert.strictEqual(details[2].attempts, 6);
+});
+
+test('a slow batch stops at its time budget and leaves the rest parked', () => {
+  const h = setup({ WEBHOOK_SECRET: 'fallback' });
+  h.urlFetch.on(HOOKS, () => {
+    h.clock.advance(25 * 1000);
+    return { code: 200, body: 'ok' };
+  });
+
+  ['alice@example.com', 'bob@example.com'].forEach((email) => {
+    h.run('logCheckIn', email, new Date('2026-03-10T13:05:00Z'), 'Button check-in', false);
+  });
+  assert.strictEqual(queued(h).length, 4);
+
+  h.run('processWebhookQueue');
+  assert.strictEqual(h.urlFetch.calls.filter((c) => c.url.indexOf(HOOKS) === 0).length, 3);
+  assert.strictEqual(queued(h).length, 1);
+
+  h.run('processWebhookQueue');
+  assert.strictEqual(queued(h).length, 0);
+});
+
+test('a delivery stays parked until its attempt finishes', () => {
+  const h = setup({ WEBHOOK_SECRET: 'fallback' });
+  const parkedDuringPost = [];
+  h.urlFetch.on(HOOKS, () => {
+    parkedDuringPost.push(queued(h).length);
+    return { code: 200, body: 'ok' };
+  });
+
+  h.run('logCheckIn', 'alice@example.com', new Date('2026-03-10T13:05:00Z'), 'Button check-in', false);
+  h.run('processWebhookQueue');
+
+  assert.deepStrictEqual(parkedDuringPost, [2, 1]);
+  assert.strictEqual(queued(h).length, 0);
+});
+
+test('the queue is bounded and an expired event body is logged, not sent', () => {
+  const h = setup({ WEBHOOK_SECRET: 'fallback' });
+  h.eval('WEBHOOK_QUEUE_MAX = 3');
+
+  h.run('logCheckIn', 'alice@example.com', new Date('2026-03-10T13:05:00Z'), 'Button check-in', false);
+  assert.strictEqual(h.run('emitBotEvent', 'checkin.created', { user_email: 'bob@example.com' }), 0);
+  assert.strictEqual(queued(h).length, 2);
+  const dropped = h.bigQuery.rows('system_events').filter((r) => r.event_type === 'WEBHOOK' && r.status === 'DROPPED');
+  assert.strictEqual(JSON.parse(dropped[0].details).pending, 2);
+
+  h.clock.advance(7 * 3600 * 1000);
+  h.run('processEodBackground');
+  assert.strictEqual(h.urlFetch.calls.filter((c) => c.url.indexOf(HOOKS) === 0).length, 0);
+  assert.strictEqual(queued(h).length, 0);
+  const failed = h.bigQuery.rows('system_events').filter((r) => r.event_type === 'WEBHOOK' && r.status === 'FAILED');
+  assert.deepStrictEqual(failed.map((r) => JSON.parse(r.details).error), ['event body expired', 'event body expired']);
+});